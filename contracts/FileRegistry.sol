@@ -1,6 +1,9 @@
 // SPDX-License-Identifier: MIT
 pragma solidity ^0.8.20;
 
+import {Initializable} from "@openzeppelin/contracts-upgradeable/proxy/utils/Initializable.sol";
+import {UUPSUpgradeable} from "@openzeppelin/contracts-upgradeable/proxy/utils/UUPSUpgradeable.sol";
+
 /*
  * Project: DecentraFile
  * Author: Thor Thor
@@ -12,18 +15,62 @@ pragma solidity ^0.8.20;
  * @title FileRegistry
  * @dev A secure registry for decentralized file storage using IPFS and blockchain
  * @notice This contract stores file metadata and encrypted keys on-chain
+ * @dev Deployed behind a UUPS proxy (ERC-1967), so the registry keeps its address and data
+ *      across upgrades; the admin authorizes them. New state variables go after the existing
+ *      ones. A registry deployed without a proxy is set up by its constructor and cannot be upgraded.
  */
-contract FileRegistry {
+contract FileRegistry is Initializable, UUPSUpgradeable {
     struct FileMetadata {
         bytes32 fileHash; // IPFS hash (keccak256)
         bytes encryptedKey; // Encrypted AES key
+        bytes locator; // IPFS CID, plaintext or encrypted with the file key (see LOCATOR_PLAINTEXT)
         address owner;
         uint256 timestamp;
+        bool deleted; // Tombstone: key cleared, hash cannot be registered again
+    }
+
+    struct Collection {
+        address owner;
+        string name;
+        bytes32[] files;
     }
 
     mapping(bytes32 => FileMetadata) public files;
     mapping(address => bytes32[]) public userFiles;
 
+    // Per-recipient wrapped keys (fileHash => recipient => wrapped AES key)
+    mapping(bytes32 => mapping(address => bytes)) private accessKeys;
+    // Recipients that currently hold a wrapped key for a file
+    mapping(bytes32 => address[]) private fileRecipients;
+    // 1-based position of a recipient in fileRecipients (0 = not a recipient)
+    mapping(bytes32 => mapping(address => uint256)) private recipientIndex;
+    // 1-based position of a file in its owner's userFiles array
+    mapping(bytes32 => uint256) private userFileIndex;
+
+    // Version lineages: a lineage is named after its first version's hash and lists every
+    // version oldest first, so a version's parent is the entry before it and the latest the last
+    mapping(bytes32 => bytes32[]) private lineageVersions;
+    // Lineage of a versioned file (0 = the file was never versioned)
+    mapping(bytes32 => bytes32) private lineageOf;
+    // 1-based version number of a versioned file
+    mapping(bytes32 => uint256) private versionOf;
+
+    // Collections, numbered from 1; only their owner's active files can be members
+    mapping(uint256 => Collection) private collections;
+    uint256 public collectionCount;
+    mapping(address => uint256[]) private userCollections;
+    // 1-based position of a file in a collection's files array (0 = not a member)
+    mapping(uint256 => mapping(bytes32 => uint256)) private collectionFileIndex;
+    // Collections a file is a member of, kept so deletion and rotation can update them
+    mapping(bytes32 => uint256[]) private fileCollections;
+
+    // Account allowed to change registry settings
+    address public admin;
+    // Current per-user file cap (0 = no cap)
+    uint256 public maxFilesPerUser;
+    // Nonce each account's next signed request must carry (see uploadFileBySig)
+    mapping(address => uint256) public nonces;
+
     // Custom errors for gas efficiency
     error FileAlreadyExists(bytes32 fileHash);
     error FileNotFound(bytes32 fileHash);
@@ -32,56 +79,218 @@ contract FileRegistry {
     error EncryptedKeyTooLarge(uint256 size, uint256 maxSize);
     error UnauthorizedAccess();
     error MaxFilesPerUserExceeded(uint256 currentCount, uint256 maxCount);
+    error InvalidRecipient();
+    error RecipientNotFound(address recipient);
+    error ArrayLengthMismatch();
+    error FileTombstoned(bytes32 fileHash);
+    error LocatorTooLarge(uint256 size, uint256 maxSize);
+    error LocatorMismatch(bytes32 fileHash);
+    error NotAdmin();
+    error NotLatestVersion(bytes32 fileHash, bytes32 latestFileHash);
+    error CollectionNotFound(uint256 collectionId);
+    error InvalidCollectionName();
+    error FileAlreadyInCollection(uint256 collectionId, bytes32 fileHash);
+    error FileNotInCollection(uint256 collectionId, bytes32 fileHash);
+    error CollectionChanged(uint256 collectionId);
+    error SignatureExpired(uint256 deadline);
+    error InvalidSignature();
 
     event FileUploaded(bytes32 indexed fileHash, address indexed owner, uint256 timestamp);
     event FileDownloaded(bytes32 indexed fileHash, address indexed recipient);
     event FileAccessDenied(bytes32 indexed fileHash, address indexed requester);
+    event AccessGranted(bytes32 indexed fileHash, address indexed recipient);
+    event AccessRevoked(bytes32 indexed fileHash, address indexed recipient);
+    event FileRotated(bytes32 indexed oldFileHash, bytes32 indexed newFileHash, address indexed owner);
+    event FileDeleted(bytes32 indexed fileHash, address indexed owner);
+    event LocatorSet(bytes32 indexed fileHash);
+    event FileVersionAdded(bytes32 indexed lineage, bytes32 indexed previousFileHash, bytes32 indexed fileHash, uint256 version);
+    event CollectionCreated(uint256 indexed collectionId, address indexed owner, string name);
+    event CollectionRenamed(uint256 indexed collectionId, string name);
+    event CollectionFileAdded(uint256 indexed collectionId, bytes32 indexed fileHash);
+    event CollectionFileRemoved(uint256 indexed collectionId, bytes32 indexed fileHash);
+    event CollectionShared(uint256 indexed collectionId, address indexed recipient);
+    event MaxFilesPerUserChanged(uint256 maxFiles);
+    event AdminTransferred(address indexed previousAdmin, address indexed newAdmin);
 
     // Maximum size for encrypted key blob (1024 bytes)
     uint256 public constant MAX_ENCRYPTED_KEY_SIZE = 1024;
     
-    // Maximum number of files per user to prevent unbounded array growth and gas exhaustion
+    // Default per-user file cap; the admin can change it with setMaxFilesPerUser.
+    // Owner lists are read in pages (getUserFilesPage), so the cap is a policy, not a gas limit.
     uint256 public constant MAX_FILES_PER_USER = 1000;
 
+    // Maximum size for a locator blob (version byte + CID or encrypted CID)
+    uint256 public constant MAX_LOCATOR_SIZE = 256;
+
+    // Maximum size of a collection name (UTF-8 bytes)
+    uint256 public constant MAX_COLLECTION_NAME_LENGTH = 128;
+
+    // Locator version byte for an unencrypted CID; its keccak256 must equal the fileHash
+    bytes1 public constant LOCATOR_PLAINTEXT = 0x00;
+
+    // EIP-712 signing domain and the requests owners sign for the *BySig functions.
+    // Dynamic fields are hashed into the struct, as EIP-712 encodes bytes.
+    string private constant EIP712_NAME = "DecentraFile";
+    string private constant EIP712_VERSION = "1";
+    bytes32 private constant DOMAIN_TYPEHASH =
+        keccak256("EIP712Domain(string name,string version,uint256 chainId,address verifyingContract)");
+    bytes32 private constant UPLOAD_FILE_TYPEHASH =
+        keccak256("UploadFile(address owner,bytes32 fileHash,bytes encryptedKey,bytes locator,uint256 nonce,uint256 deadline)");
+    bytes32 private constant GRANT_ACCESS_TYPEHASH =
+        keccak256("GrantAccess(address owner,bytes32 fileHash,address recipient,bytes wrappedKey,uint256 nonce,uint256 deadline)");
+    bytes32 private constant DELETE_FILE_TYPEHASH =
+        keccak256("DeleteFile(address owner,bytes32 fileHash,uint256 nonce,uint256 deadline)");
+
+    // Largest s of a canonical secp256k1 signature (half the curve order, as in EIP-2)
+    uint256 private constant MAX_SIGNATURE_S = 0x7FFFFFFFFFFFFFFFFFFFFFFFFFFFFFFF5D576E7357A4501DDFE92F46681B20A0;
+
+    /// @custom:oz-upgrades-unsafe-allow constructor
+    constructor() {
+        _setUp(msg.sender);
+        _disableInitializers();
+    }
+
+    /**
+     * @dev Set up a registry deployed behind a proxy, in the proxy's storage
+     * @param initialAdmin Account allowed to change settings and upgrade the registry
+     */
+    function initialize(address initialAdmin) external initializer {
+        _setUp(initialAdmin);
+    }
+
+    /**
+     * @dev Change the per-user file cap
+     * @param maxFiles New cap; 0 removes it
+     * @notice Only the admin can change the cap. Lowering it below an owner's file count
+     *         keeps their files but blocks further uploads until they are under the cap.
+     */
+    function setMaxFilesPerUser(uint256 maxFiles) external {
+        _requireAdmin();
+        maxFilesPerUser = maxFiles;
+
+        emit MaxFilesPerUserChanged(maxFiles);
+    }
+
+    /**
+     * @dev Hand the admin role to another account
+     * @param newAdmin The new admin; address(0) leaves the settings and the implementation fixed for good
+     */
+    function transferAdmin(address newAdmin) external {
+        _requireAdmin();
+        emit AdminTransferred(admin, newAdmin);
+        admin = newAdmin;
+    }
+
     /**
      * @dev Upload file metadata to the registry
      * @param fileHash The keccak256 hash of the IPFS CID
      * @param encryptedKey The encrypted AES key for file decryption
-     * @notice Reverts if file already exists or inputs are invalid
+     * @notice Reverts if file already exists (including deleted files) or inputs are invalid
      */
     function uploadFile(bytes32 fileHash, bytes memory encryptedKey) external {
-        // Input validation
-        if (fileHash == bytes32(0)) {
-            revert InvalidFileHash();
+        _registerFile(msg.sender, fileHash, encryptedKey, "");
+    }
+
+    /**
+     * @dev Upload file metadata together with the file's IPFS locator
+     * @param fileHash The keccak256 hash of the IPFS CID
+     * @param encryptedKey The encrypted AES key for file decryption
+     * @param locator Version byte followed by the CID (LOCATOR_PLAINTEXT) or the CID encrypted with the file key
+     * @notice Lets any client with chain access find the ciphertext without an off-chain mapping
+     */
+    function uploadFileWithLocator(bytes32 fileHash, bytes memory encryptedKey, bytes memory locator) external {
+        _validateLocator(fileHash, locator);
+        _registerFile(msg.sender, fileHash, encryptedKey, locator);
+    }
+
+    /**
+     * @dev Upload a file as the next version of one of the caller's files
+     * @param previousFileHash The latest version of the lineage (may have been deleted)
+     * @param fileHash The keccak256 hash of the new version's IPFS CID
+     * @param encryptedKey The owner's key for the new version
+     * @param locator Locator of the new version (empty to store none)
+     * @param recipients Recipients granted access to the new version
+     * @param wrappedKeys The new version's key wrapped for each recipient (same order as recipients)
+     * @notice The new version is a file of its own: earlier versions and their grants are kept.
+     *         Only the owner of the previous version can add one, and only on top of the latest,
+     *         so each lineage stays a single chain.
+     */
+    function uploadNewVersion(
+        bytes32 previousFileHash,
+        bytes32 fileHash,
+        bytes memory encryptedKey,
+        bytes memory locator,
+        address[] memory recipients,
+        bytes[] memory wrappedKeys
+    ) external {
+        // A deleted version keeps its owner, so a lineage can continue past it
+        if (files[previousFileHash].owner == address(0)) {
+            revert FileNotFound(previousFileHash);
         }
-        if (encryptedKey.length == 0) {
-            revert InvalidEncryptedKey();
+        if (files[previousFileHash].owner != msg.sender) {
+            revert UnauthorizedAccess();
         }
-        if (encryptedKey.length > MAX_ENCRYPTED_KEY_SIZE) {
-            revert EncryptedKeyTooLarge(encryptedKey.length, MAX_ENCRYPTED_KEY_SIZE);
+        if (recipients.length != wrappedKeys.length) {
+            revert ArrayLengthMismatch();
         }
-        
-        // Check if file already exists
-        if (files[fileHash].owner != address(0)) {
-            revert FileAlreadyExists(fileHash);
+        if (locator.length > 0) {
+            _validateLocator(fileHash, locator);
         }
-        
-        // Store file metadata
-        files[fileHash] = FileMetadata({
-            fileHash: fileHash,
-            encryptedKey: encryptedKey,
-            owner: msg.sender,
-            timestamp: block.timestamp
-        });
-        
-        // Track user's files (prevent unbounded growth)
-        uint256 currentFileCount = userFiles[msg.sender].length;
-        if (currentFileCount >= MAX_FILES_PER_USER) {
-            revert MaxFilesPerUserExceeded(currentFileCount, MAX_FILES_PER_USER);
+
+        bytes32 lineage = lineageOf[previousFileHash];
+        if (lineage == bytes32(0)) {
+            // First new version: the previous file starts the lineage, unless its hash already
+            // names one, as a first version that was rotated away does; the check below refuses that
+            lineage = previousFileHash;
+            if (lineageVersions[lineage].length == 0) {
+                // A tombstone that was never versioned, deleted or rotated away, is no version to build on
+                if (files[previousFileHash].deleted) {
+                    revert FileTombstoned(previousFileHash);
+                }
+                lineageOf[previousFileHash] = lineage;
+                versionOf[previousFileHash] = 1;
+                lineageVersions[lineage].push(previousFileHash);
+            }
         }
-        userFiles[msg.sender].push(fileHash);
-        
-        emit FileUploaded(fileHash, msg.sender, block.timestamp);
+        bytes32[] storage versions = lineageVersions[lineage];
+        if (versions[versions.length - 1] != previousFileHash) {
+            revert NotLatestVersion(previousFileHash, versions[versions.length - 1]);
+        }
+
+        _registerFile(msg.sender, fileHash, encryptedKey, locator);
+        versions.push(fileHash);
+        lineageOf[fileHash] = lineage;
+        versionOf[fileHash] = versions.length;
+
+        for (uint256 i = 0; i < recipients.length; i++) {
+            _storeGrant(fileHash, recipients[i], wrappedKeys[i]);
+        }
+
+        emit FileVersionAdded(lineage, previousFileHash, fileHash, versions.length);
+    }
+
+    /**
+     * @dev Set the locator of an existing file (e.g. for files uploaded without one)
+     * @param fileHash The keccak256 hash of the IPFS CID
+     * @param locator Version byte followed by the plaintext or encrypted CID
+     * @notice Only the file owner can set the locator
+     */
+    function setLocator(bytes32 fileHash, bytes memory locator) external {
+        _requireOwner(fileHash);
+        _validateLocator(fileHash, locator);
+        files[fileHash].locator = locator;
+
+        emit LocatorSet(fileHash);
+    }
+
+    /**
+     * @dev Get the locator of a file
+     * @param fileHash The keccak256 hash of the IPFS CID
+     * @return locator The stored locator, empty if the file was uploaded without one
+     */
+    function getLocator(bytes32 fileHash) external view returns (bytes memory) {
+        _requireActive(fileHash);
+        return files[fileHash].locator;
     }
 
     /**
@@ -91,33 +300,491 @@ contract FileRegistry {
      * @notice This is a view function and does not emit events
      */
     function downloadFile(bytes32 fileHash) external view returns (bytes memory) {
-        if (files[fileHash].owner == address(0)) {
-            revert FileNotFound(fileHash);
-        }
+        _requireActive(fileHash);
         
         return files[fileHash].encryptedKey;
     }
 
     /**
-     * @dev Retrieve file encrypted key and emit download event
+     * @dev Retrieve the caller's encrypted key and emit download event
      * @param fileHash The keccak256 hash of the IPFS CID
-     * @return encryptedKey The encrypted AES key
+     * @return encryptedKey The owner's key, or the key wrapped for the calling recipient
      * @notice This function emits FileDownloaded event for access tracking
-     * @notice Only the file owner can retrieve the file (access control)
+     * @notice Only the file owner or a granted recipient can retrieve the file (access control)
      */
     function retrieveFile(bytes32 fileHash) external returns (bytes memory) {
-        if (files[fileHash].owner == address(0)) {
-            revert FileNotFound(fileHash);
-        }
+        _requireActive(fileHash);
         
-        // Access control: only owner can retrieve and emit download event
-        if (files[fileHash].owner != msg.sender) {
+        if (files[fileHash].owner == msg.sender) {
+            emit FileDownloaded(fileHash, msg.sender);
+            return files[fileHash].encryptedKey;
+        }
+
+        // Access control: recipients must hold a wrapped key granted by the owner
+        bytes memory wrappedKey = accessKeys[fileHash][msg.sender];
+        if (wrappedKey.length == 0) {
             emit FileAccessDenied(fileHash, msg.sender);
             revert UnauthorizedAccess();
         }
         
         emit FileDownloaded(fileHash, msg.sender);
-        return files[fileHash].encryptedKey;
+        return wrappedKey;
+    }
+
+    /**
+     * @dev Grant a recipient access to a file by storing a key wrapped for them
+     * @param fileHash The keccak256 hash of the IPFS CID
+     * @param recipient The address allowed to fetch the wrapped key
+     * @param wrappedKey The AES key wrapped with the recipient's public key
+     * @notice Only the file owner can grant access; granting again replaces the recipient's key
+     */
+    function grantAccess(bytes32 fileHash, address recipient, bytes memory wrappedKey) external {
+        _requireOwner(fileHash);
+        _storeGrant(fileHash, recipient, wrappedKey);
+    }
+
+    /**
+     * @dev Revoke a recipient's access to a file
+     * @param fileHash The keccak256 hash of the IPFS CID
+     * @param recipient The recipient whose wrapped key is removed
+     * @notice Only the file owner can revoke access. Revocation does not stop a recipient
+     *         who already holds the key from decrypting the current ciphertext; rotate the
+     *         file key with rotateFile for that.
+     */
+    function revokeAccess(bytes32 fileHash, address recipient) external {
+        _requireOwner(fileHash);
+
+        uint256 index = recipientIndex[fileHash][recipient];
+        if (index == 0) {
+            revert RecipientNotFound(recipient);
+        }
+
+        // Swap-and-pop to keep the recipients array dense
+        address[] storage recipients = fileRecipients[fileHash];
+        address last = recipients[recipients.length - 1];
+        recipients[index - 1] = last;
+        recipientIndex[fileHash][last] = index;
+        recipients.pop();
+
+        delete recipientIndex[fileHash][recipient];
+        delete accessKeys[fileHash][recipient];
+
+        emit AccessRevoked(fileHash, recipient);
+    }
+
+    /**
+     * @dev Atomically replace a file with a re-encrypted copy under a new key
+     * @param oldFileHash The file being replaced
+     * @param newFileHash The keccak256 hash of the re-encrypted file's IPFS CID
+     * @param newEncryptedKey The owner's key for the new file
+     * @param newLocator Locator of the re-encrypted file (empty to store none)
+     * @param recipients Recipients that keep access to the new file
+     * @param wrappedKeys New key wrapped for each recipient (same order as recipients)
+     * @notice All grants on the old file are dropped; only the listed recipients can read the new file.
+     *         The new file takes the old file's position in the owner's file list, in its version
+     *         lineage and in its collections. The old hash is left as a tombstone, as by deleteFile.
+     */
+    function rotateFile(
+        bytes32 oldFileHash,
+        bytes32 newFileHash,
+        bytes memory newEncryptedKey,
+        bytes memory newLocator,
+        address[] memory recipients,
+        bytes[] memory wrappedKeys
+    ) external {
+        _requireOwner(oldFileHash);
+        if (newFileHash == bytes32(0)) {
+            revert InvalidFileHash();
+        }
+        _validateKey(newEncryptedKey);
+        if (files[newFileHash].owner != address(0)) {
+            revert FileAlreadyExists(newFileHash);
+        }
+        if (recipients.length != wrappedKeys.length) {
+            revert ArrayLengthMismatch();
+        }
+        if (newLocator.length > 0) {
+            _validateLocator(newFileHash, newLocator);
+        }
+
+        files[newFileHash] = FileMetadata({
+            fileHash: newFileHash,
+            encryptedKey: newEncryptedKey,
+            locator: newLocator,
+            owner: msg.sender,
+            timestamp: block.timestamp,
+            deleted: false
+        });
+
+        // Reuse the old file's slot so the owner's file count is unchanged
+        uint256 index = userFileIndex[oldFileHash];
+        userFiles[msg.sender][index - 1] = newFileHash;
+        userFileIndex[newFileHash] = index;
+
+        // The re-encrypted copy takes the old file's place in its lineage
+        bytes32 lineage = lineageOf[oldFileHash];
+        if (lineage != bytes32(0)) {
+            uint256 version = versionOf[oldFileHash];
+            lineageVersions[lineage][version - 1] = newFileHash;
+            lineageOf[newFileHash] = lineage;
+            versionOf[newFileHash] = version;
+            delete lineageOf[oldFileHash];
+            delete versionOf[oldFileHash];
+        }
+
+        // ... and in every collection it belongs to
+        uint256[] storage memberOf = fileCollections[oldFileHash];
+        for (uint256 i = 0; i < memberOf.length; i++) {
+            uint256 position = collectionFileIndex[memberOf[i]][oldFileHash];
+            collections[memberOf[i]].files[position - 1] = newFileHash;
+            collectionFileIndex[memberOf[i]][newFileHash] = position;
+            delete collectionFileIndex[memberOf[i]][oldFileHash];
+        }
+        fileCollections[newFileHash] = memberOf;
+        delete fileCollections[oldFileHash];
+
+        _tombstoneFile(oldFileHash);
+
+        for (uint256 i = 0; i < recipients.length; i++) {
+            _storeGrant(newFileHash, recipients[i], wrappedKeys[i]);
+        }
+
+        emit FileUploaded(newFileHash, msg.sender, block.timestamp);
+        emit FileRotated(oldFileHash, newFileHash, msg.sender);
+    }
+
+    /**
+     * @dev Delete a file, leaving a tombstone in the registry
+     * @param fileHash The keccak256 hash of the IPFS CID
+     * @notice Only the file owner can delete. The owner key and every recipient grant are
+     *         cleared, so copies of the ciphertext left on IPFS can no longer be decrypted
+     *         through the registry. The hash stays reserved and cannot be uploaded again.
+     *         The file is removed from the owner's list, where the last entry takes its position,
+     *         and from its collections.
+     */
+    function deleteFile(bytes32 fileHash) external {
+        _deleteFile(fileHash, msg.sender);
+    }
+
+    /**
+     * @dev Upload a file for an owner who signed the request, sent by anyone (e.g. a relayer)
+     * @param owner The account that signed the request; it becomes the file's owner
+     * @param fileHash The keccak256 hash of the IPFS CID
+     * @param encryptedKey The owner's encrypted AES key
+     * @param locator Locator of the file (empty to store none)
+     * @param deadline Unix time after which the signature is refused
+     * @param signature The owner's 65-byte EIP-712 signature of an UploadFile request
+     *        carrying these arguments and nonces[owner]
+     * @notice The sender pays the gas; the registry records the same as if the owner had called
+     *         uploadFileWithLocator (or uploadFile, without a locator). A signature is used once.
+     */
+    function uploadFileBySig(
+        address owner,
+        bytes32 fileHash,
+        bytes memory encryptedKey,
+        bytes memory locator,
+        uint256 deadline,
+        bytes calldata signature
+    ) external {
+        bytes32 structHash = keccak256(abi.encode(
+            UPLOAD_FILE_TYPEHASH, owner, fileHash, keccak256(encryptedKey), keccak256(locator), nonces[owner], deadline
+        ));
+        _useSignature(owner, structHash, deadline, signature);
+        if (locator.length > 0) {
+            _validateLocator(fileHash, locator);
+        }
+        _registerFile(owner, fileHash, encryptedKey, locator);
+    }
+
+    /**
+     * @dev grantAccess for an owner who signed a GrantAccess request
+     * @param owner The file owner, who signed the request
+     * @param deadline Unix time after which the signature is refused
+     * @param signature The owner's EIP-712 signature of the request with nonces[owner]
+     */
+    function grantAccessBySig(
+        address owner,
+        bytes32 fileHash,
+        address recipient,
+        bytes memory wrappedKey,
+        uint256 deadline,
+        bytes calldata signature
+    ) external {
+        bytes32 structHash = keccak256(abi.encode(
+            GRANT_ACCESS_TYPEHASH, owner, fileHash, recipient, keccak256(wrappedKey), nonces[owner], deadline
+        ));
+        _useSignature(owner, structHash, deadline, signature);
+        _requireOwnedBy(fileHash, owner);
+        _storeGrant(fileHash, recipient, wrappedKey);
+    }
+
+    /**
+     * @dev deleteFile for an owner who signed a DeleteFile request
+     * @param owner The file owner, who signed the request
+     * @param deadline Unix time after which the signature is refused
+     * @param signature The owner's EIP-712 signature of the request with nonces[owner]
+     */
+    function deleteFileBySig(address owner, bytes32 fileHash, uint256 deadline, bytes calldata signature) external {
+        _useSignature(owner, keccak256(abi.encode(DELETE_FILE_TYPEHASH, owner, fileHash, nonces[owner], deadline)), deadline, signature);
+        _deleteFile(fileHash, owner);
+    }
+
+    /**
+     * @dev EIP-712 domain separator of the signed requests
+     * @notice Computed on every call from the current chain id and this contract's address,
+     *         so signatures made for another chain or deployment never verify here.
+     */
+    function domainSeparator() public view returns (bytes32) {
+        return keccak256(abi.encode(
+            DOMAIN_TYPEHASH, keccak256(bytes(EIP712_NAME)), keccak256(bytes(EIP712_VERSION)), block.chainid, address(this)
+        ));
+    }
+
+    /**
+     * @dev The signing domain's fields, as EIP-5267 describes them for wallets and clients
+     * @return fields Bit mask of the fields used (name, version, chainId, verifyingContract)
+     */
+    function eip712Domain() external view returns (
+        bytes1 fields,
+        string memory name,
+        string memory version,
+        uint256 chainId,
+        address verifyingContract,
+        bytes32 salt,
+        uint256[] memory extensions
+    ) {
+        return (hex"0f", EIP712_NAME, EIP712_VERSION, block.chainid, address(this), bytes32(0), new uint256[](0));
+    }
+
+    /**
+     * @dev Delete one of owner's files (see deleteFile)
+     */
+    function _deleteFile(bytes32 fileHash, address owner) internal {
+        _requireOwnedBy(fileHash, owner);
+
+        // Swap-and-pop out of the owner's file list
+        bytes32[] storage ownerFiles = userFiles[owner];
+        uint256 index = userFileIndex[fileHash];
+        bytes32 last = ownerFiles[ownerFiles.length - 1];
+        ownerFiles[index - 1] = last;
+        userFileIndex[last] = index;
+        ownerFiles.pop();
+
+        uint256[] storage memberOf = fileCollections[fileHash];
+        for (uint256 i = 0; i < memberOf.length; i++) {
+            _removeMember(memberOf[i], fileHash);
+        }
+        delete fileCollections[fileHash];
+
+        _tombstoneFile(fileHash);
+
+        emit FileDeleted(fileHash, owner);
+    }
+
+    /**
+     * @dev Create an empty collection owned by the caller
+     * @param name Display name, 1 to MAX_COLLECTION_NAME_LENGTH bytes
+     * @return collectionId The new collection's id
+     */
+    function createCollection(string memory name) external returns (uint256 collectionId) {
+        _validateCollectionName(name);
+        collectionId = ++collectionCount;
+        collections[collectionId].owner = msg.sender;
+        collections[collectionId].name = name;
+        userCollections[msg.sender].push(collectionId);
+
+        emit CollectionCreated(collectionId, msg.sender, name);
+    }
+
+    /**
+     * @dev Rename one of the caller's collections
+     * @param collectionId The collection
+     * @param name New display name
+     */
+    function renameCollection(uint256 collectionId, string memory name) external {
+        _requireCollectionOwner(collectionId);
+        _validateCollectionName(name);
+        collections[collectionId].name = name;
+
+        emit CollectionRenamed(collectionId, name);
+    }
+
+    /**
+     * @dev Add files to one of the caller's collections
+     * @param collectionId The collection
+     * @param fileHashes Active files the caller owns; a file can be in several collections
+     * @notice Adding a file grants no access: recipients of the collection get the new
+     *         member once the collection is shared with them again
+     */
+    function addToCollection(uint256 collectionId, bytes32[] memory fileHashes) external {
+        _requireCollectionOwner(collectionId);
+        bytes32[] storage members = collections[collectionId].files;
+        for (uint256 i = 0; i < fileHashes.length; i++) {
+            _requireOwner(fileHashes[i]);
+            if (collectionFileIndex[collectionId][fileHashes[i]] != 0) {
+                revert FileAlreadyInCollection(collectionId, fileHashes[i]);
+            }
+            members.push(fileHashes[i]);
+            collectionFileIndex[collectionId][fileHashes[i]] = members.length;
+            fileCollections[fileHashes[i]].push(collectionId);
+
+            emit CollectionFileAdded(collectionId, fileHashes[i]);
+        }
+    }
+
+    /**
+     * @dev Remove files from one of the caller's collections
+     * @param collectionId The collection
+     * @param fileHashes Current members
+     * @notice Grants issued by sharing the collection stay; revoke them per file.
+     *         The collection's last file takes a removed file's position.
+     */
+    function removeFromCollection(uint256 collectionId, bytes32[] memory fileHashes) external {
+        _requireCollectionOwner(collectionId);
+        for (uint256 i = 0; i < fileHashes.length; i++) {
+            if (collectionFileIndex[collectionId][fileHashes[i]] == 0) {
+                revert FileNotInCollection(collectionId, fileHashes[i]);
+            }
+            _removeMember(collectionId, fileHashes[i]);
+
+            // Swap-and-pop the collection out of the file's memberships
+            uint256[] storage memberOf = fileCollections[fileHashes[i]];
+            for (uint256 j = 0; j < memberOf.length; j++) {
+                if (memberOf[j] == collectionId) {
+                    memberOf[j] = memberOf[memberOf.length - 1];
+                    memberOf.pop();
+                    break;
+                }
+            }
+        }
+    }
+
+    /**
+     * @dev Grant a recipient access to every current file of one of the caller's collections
+     * @param collectionId The collection
+     * @param recipient The address allowed to fetch the wrapped keys
+     * @param fileHashes The collection's files as the caller read them (getCollectionFiles order)
+     * @param wrappedKeys Each file's key wrapped for the recipient (same order as fileHashes)
+     * @notice Reverts with CollectionChanged if fileHashes is not the current member list,
+     *         so files added meanwhile are not left out. Files added later are not shared.
+     */
+    function shareCollection(
+        uint256 collectionId,
+        address recipient,
+        bytes32[] memory fileHashes,
+        bytes[] memory wrappedKeys
+    ) external {
+        _requireCollectionOwner(collectionId);
+        if (fileHashes.length != wrappedKeys.length) {
+            revert ArrayLengthMismatch();
+        }
+        bytes32[] storage members = collections[collectionId].files;
+        if (fileHashes.length != members.length) {
+            revert CollectionChanged(collectionId);
+        }
+        for (uint256 i = 0; i < members.length; i++) {
+            if (members[i] != fileHashes[i]) {
+                revert CollectionChanged(collectionId);
+            }
+            _storeGrant(members[i], recipient, wrappedKeys[i]);
+        }
+
+        emit CollectionShared(collectionId, recipient);
+    }
+
+    /**
+     * @dev Get a collection
+     * @param collectionId The collection
+     * @return owner The collection's owner
+     * @return name Display name
+     * @return fileCount Number of files in the collection
+     */
+    function getCollection(uint256 collectionId) external view returns (address owner, string memory name, uint256 fileCount) {
+        Collection storage collection = _getCollection(collectionId);
+        return (collection.owner, collection.name, collection.files.length);
+    }
+
+    /**
+     * @dev Get a page of a collection's files
+     * @param collectionId The collection
+     * @param offset Position of the first file, 0-based
+     * @param limit Maximum number of files to return
+     * @return fileHashes Files of the page
+     * @return total Number of files in the collection
+     */
+    function getCollectionFiles(uint256 collectionId, uint256 offset, uint256 limit) external view returns (
+        bytes32[] memory fileHashes,
+        uint256 total
+    ) {
+        bytes32[] storage members = _getCollection(collectionId).files;
+        total = members.length;
+        uint256 count = offset >= total ? 0 : total - offset;
+        if (count > limit) {
+            count = limit;
+        }
+        fileHashes = new bytes32[](count);
+        for (uint256 i = 0; i < count; i++) {
+            fileHashes[i] = members[offset + i];
+        }
+    }
+
+    /**
+     * @dev Get the ids of a user's collections
+     * @param user The user address
+     * @return Collection ids, oldest first
+     */
+    function getUserCollections(address user) external view returns (uint256[] memory) {
+        return userCollections[user];
+    }
+
+    /**
+     * @dev Get the collections a file belongs to
+     * @param fileHash The keccak256 hash of the IPFS CID
+     * @return Collection ids
+     */
+    function getFileCollections(bytes32 fileHash) external view returns (uint256[] memory) {
+        return fileCollections[fileHash];
+    }
+
+    /**
+     * @dev Get the encrypted key issued to the caller
+     * @param fileHash The keccak256 hash of the IPFS CID
+     * @return encryptedKey The owner's key, or the key wrapped for the calling recipient
+     * @notice Reverts with UnauthorizedAccess if the caller is neither owner nor recipient
+     */
+    function getAccessKey(bytes32 fileHash) external view returns (bytes memory) {
+        _requireActive(fileHash);
+        if (files[fileHash].owner == msg.sender) {
+            return files[fileHash].encryptedKey;
+        }
+
+        bytes memory wrappedKey = accessKeys[fileHash][msg.sender];
+        if (wrappedKey.length == 0) {
+            revert UnauthorizedAccess();
+        }
+        return wrappedKey;
+    }
+
+    /**
+     * @dev Check whether an address can obtain a key for a file
+     * @param fileHash The keccak256 hash of the IPFS CID
+     * @param user The address to check
+     * @return allowed True if user is the owner or a granted recipient
+     */
+    function hasAccess(bytes32 fileHash, address user) external view returns (bool allowed) {
+        if (files[fileHash].owner == address(0) || files[fileHash].deleted) {
+            return false;
+        }
+        return files[fileHash].owner == user || accessKeys[fileHash][user].length > 0;
+    }
+
+    /**
+     * @dev Get all recipients that were granted access to a file
+     * @param fileHash The keccak256 hash of the IPFS CID
+     * @return Array of recipient addresses (excludes the owner)
+     */
+    function getRecipients(bytes32 fileHash) external view returns (address[] memory) {
+        return fileRecipients[fileHash];
     }
 
     /**
@@ -131,12 +798,57 @@ contract FileRegistry {
         bytes32 hash,
         address owner,
         uint256 timestamp
+    ) {
+        _requireActive(fileHash);
+        FileMetadata memory file = files[fileHash];
+        return (file.fileHash, file.owner, file.timestamp);
+    }
+
+    /**
+     * @dev Get a file's place in its version lineage
+     * @param fileHash The keccak256 hash of the IPFS CID
+     * @return lineage The lineage's id: the hash its first version was uploaded under
+     * @return parent The previous version, 0 for the first
+     * @return version The file's version number, from 1
+     * @return latest The lineage's latest version
+     * @notice A file that was never versioned is version 1 of a lineage of its own.
+     *         Deleted versions keep their place, so their history can still be read.
+     */
+    function getVersionInfo(bytes32 fileHash) external view returns (
+        bytes32 lineage,
+        bytes32 parent,
+        uint256 version,
+        bytes32 latest
     ) {
         if (files[fileHash].owner == address(0)) {
             revert FileNotFound(fileHash);
         }
-        FileMetadata memory file = files[fileHash];
-        return (file.fileHash, file.owner, file.timestamp);
+        lineage = lineageOf[fileHash];
+        if (lineage == bytes32(0)) {
+            return (fileHash, bytes32(0), 1, fileHash);
+        }
+        bytes32[] storage versions = lineageVersions[lineage];
+        version = versionOf[fileHash];
+        parent = version > 1 ? versions[version - 2] : bytes32(0);
+        latest = versions[versions.length - 1];
+    }
+
+    /**
+     * @dev Get every version of a file's lineage
+     * @param fileHash Any version of the lineage
+     * @return Version hashes, oldest first (index + 1 is the version number)
+     */
+    function getVersions(bytes32 fileHash) external view returns (bytes32[] memory) {
+        if (files[fileHash].owner == address(0)) {
+            revert FileNotFound(fileHash);
+        }
+        bytes32 lineage = lineageOf[fileHash];
+        if (lineage == bytes32(0)) {
+            bytes32[] memory single = new bytes32[](1);
+            single[0] = fileHash;
+            return single;
+        }
+        return lineageVersions[lineage];
     }
 
     /**
@@ -152,13 +864,58 @@ contract FileRegistry {
         return userFiles[user];
     }
 
+    /**
+     * @dev Get a page of a user's files with their metadata
+     * @param user The user address
+     * @param offset Position of the first file, 0-based
+     * @param limit Maximum number of files to return
+     * @return fileHashes File hashes, in the order of getUserFiles
+     * @return timestamps Upload timestamp of each file
+     * @return locators Locator of each file, empty for files uploaded without one
+     * @return total Number of files the user has
+     * @notice Pages past the end are empty. Deleting a file moves the user's last file
+     *         into its position, so a listing taken while files are deleted can skip or repeat one.
+     */
+    function getUserFilesPage(address user, uint256 offset, uint256 limit) external view returns (
+        bytes32[] memory fileHashes,
+        uint256[] memory timestamps,
+        bytes[] memory locators,
+        uint256 total
+    ) {
+        bytes32[] storage ownerFiles = userFiles[user];
+        total = ownerFiles.length;
+        uint256 count = offset >= total ? 0 : total - offset;
+        if (count > limit) {
+            count = limit;
+        }
+
+        fileHashes = new bytes32[](count);
+        timestamps = new uint256[](count);
+        locators = new bytes[](count);
+        for (uint256 i = 0; i < count; i++) {
+            FileMetadata storage file = files[ownerFiles[offset + i]];
+            fileHashes[i] = file.fileHash;
+            timestamps[i] = file.timestamp;
+            locators[i] = file.locator;
+        }
+    }
+
     /**
      * @dev Check if a file exists
      * @param fileHash The keccak256 hash of the IPFS CID
      * @return exists True if file exists
      */
     function fileExists(bytes32 fileHash) external view returns (bool exists) {
-        return files[fileHash].owner != address(0);
+        return files[fileHash].owner != address(0) && !files[fileHash].deleted;
+    }
+
+    /**
+     * @dev Check if a file has been deleted by its owner
+     * @param fileHash The keccak256 hash of the IPFS CID
+     * @return deleted True if the file is tombstoned
+     */
+    function isDeleted(bytes32 fileHash) external view returns (bool deleted) {
+        return files[fileHash].deleted;
     }
 
     /**
@@ -169,5 +926,238 @@ contract FileRegistry {
     function getUserFileCount(address user) external view returns (uint256 count) {
         return userFiles[user].length;
     }
-}
 
+    /**
+     * @dev Validate and store a new file for owner
+     * @notice Reverts if file already exists (including deleted files) or inputs are invalid
+     */
+    function _registerFile(address owner, bytes32 fileHash, bytes memory encryptedKey, bytes memory locator) internal {
+        // Input validation
+        if (fileHash == bytes32(0)) {
+            revert InvalidFileHash();
+        }
+        if (encryptedKey.length == 0) {
+            revert InvalidEncryptedKey();
+        }
+        if (encryptedKey.length > MAX_ENCRYPTED_KEY_SIZE) {
+            revert EncryptedKeyTooLarge(encryptedKey.length, MAX_ENCRYPTED_KEY_SIZE);
+        }
+        
+        // Check if file already exists
+        if (files[fileHash].owner != address(0)) {
+            revert FileAlreadyExists(fileHash);
+        }
+        
+        // Store file metadata
+        files[fileHash] = FileMetadata({
+            fileHash: fileHash,
+            encryptedKey: encryptedKey,
+            locator: locator,
+            owner: owner,
+            timestamp: block.timestamp,
+            deleted: false
+        });
+        
+        // Track user's files, up to the configured cap
+        uint256 currentFileCount = userFiles[owner].length;
+        if (maxFilesPerUser != 0 && currentFileCount >= maxFilesPerUser) {
+            revert MaxFilesPerUserExceeded(currentFileCount, maxFilesPerUser);
+        }
+        userFiles[owner].push(fileHash);
+        userFileIndex[fileHash] = userFiles[owner].length;
+        
+        emit FileUploaded(fileHash, owner, block.timestamp);
+    }
+
+    /**
+     * @dev Revert unless the locator fits MAX_LOCATOR_SIZE and a plaintext CID hashes to fileHash
+     */
+    function _validateLocator(bytes32 fileHash, bytes memory locator) internal pure {
+        if (locator.length < 2) {
+            revert LocatorMismatch(fileHash);
+        }
+        if (locator.length > MAX_LOCATOR_SIZE) {
+            revert LocatorTooLarge(locator.length, MAX_LOCATOR_SIZE);
+        }
+        if (locator[0] == LOCATOR_PLAINTEXT) {
+            bytes memory cid = new bytes(locator.length - 1);
+            for (uint256 i = 1; i < locator.length; i++) {
+                cid[i - 1] = locator[i];
+            }
+            if (keccak256(cid) != fileHash) {
+                revert LocatorMismatch(fileHash);
+            }
+        }
+    }
+
+    /**
+     * @dev Revert unless the file exists and has not been deleted
+     */
+    function _requireActive(bytes32 fileHash) internal view {
+        if (files[fileHash].owner == address(0)) {
+            revert FileNotFound(fileHash);
+        }
+        if (files[fileHash].deleted) {
+            revert FileTombstoned(fileHash);
+        }
+    }
+
+    /**
+     * @dev Revert unless the file is active and msg.sender owns it
+     */
+    function _requireOwner(bytes32 fileHash) internal view {
+        _requireOwnedBy(fileHash, msg.sender);
+    }
+
+    /**
+     * @dev Revert unless the file is active and owner owns it
+     */
+    function _requireOwnedBy(bytes32 fileHash, address owner) internal view {
+        _requireActive(fileHash);
+        if (files[fileHash].owner != owner) {
+            revert UnauthorizedAccess();
+        }
+    }
+
+    /**
+     * @dev Check owner's signature of a request and use up its nonce
+     * @param structHash EIP-712 hash of the request, built with nonces[owner]
+     */
+    function _useSignature(address owner, bytes32 structHash, uint256 deadline, bytes calldata signature) internal {
+        if (block.timestamp > deadline) {
+            revert SignatureExpired(deadline);
+        }
+        if (signature.length != 65 || uint256(bytes32(signature[32:64])) > MAX_SIGNATURE_S) {
+            revert InvalidSignature();
+        }
+        bytes32 digest = keccak256(abi.encodePacked("\x19\x01", domainSeparator(), structHash));
+        address signer = ecrecover(digest, uint8(signature[64]), bytes32(signature[0:32]), bytes32(signature[32:64]));
+        if (signer == address(0) || signer != owner) {
+            revert InvalidSignature();
+        }
+        nonces[owner]++;
+    }
+
+    /**
+     * @dev Revert unless the collection exists
+     */
+    function _getCollection(uint256 collectionId) internal view returns (Collection storage) {
+        if (collectionId == 0 || collectionId > collectionCount) {
+            revert CollectionNotFound(collectionId);
+        }
+        return collections[collectionId];
+    }
+
+    /**
+     * @dev Revert unless the collection exists and msg.sender owns it
+     */
+    function _requireCollectionOwner(uint256 collectionId) internal view {
+        if (_getCollection(collectionId).owner != msg.sender) {
+            revert UnauthorizedAccess();
+        }
+    }
+
+    /**
+     * @dev Revert unless the name is 1 to MAX_COLLECTION_NAME_LENGTH bytes
+     */
+    function _validateCollectionName(string memory name) internal pure {
+        if (bytes(name).length == 0 || bytes(name).length > MAX_COLLECTION_NAME_LENGTH) {
+            revert InvalidCollectionName();
+        }
+    }
+
+    /**
+     * @dev Swap-and-pop a file out of a collection's files
+     * @notice Does not touch fileCollections; callers manage the file's memberships
+     */
+    function _removeMember(uint256 collectionId, bytes32 fileHash) internal {
+        bytes32[] storage members = collections[collectionId].files;
+        uint256 index = collectionFileIndex[collectionId][fileHash];
+        bytes32 last = members[members.length - 1];
+        members[index - 1] = last;
+        collectionFileIndex[collectionId][last] = index;
+        members.pop();
+        delete collectionFileIndex[collectionId][fileHash];
+
+        emit CollectionFileRemoved(collectionId, fileHash);
+    }
+
+    /**
+     * @dev Revert unless msg.sender is the admin
+     */
+    function _requireAdmin() internal view {
+        if (msg.sender != admin) {
+            revert NotAdmin();
+        }
+    }
+
+    /**
+     * @dev Initial settings, for the constructor or initialize
+     */
+    function _setUp(address initialAdmin) private {
+        admin = initialAdmin;
+        maxFilesPerUser = MAX_FILES_PER_USER;
+    }
+
+    /**
+     * @dev Only the admin can upgrade the registry (see upgradeToAndCall)
+     */
+    function _authorizeUpgrade(address) internal view override {
+        _requireAdmin();
+    }
+
+    /**
+     * @dev Revert unless the key blob is non-empty and within MAX_ENCRYPTED_KEY_SIZE
+     */
+    function _validateKey(bytes memory key) internal pure {
+        if (key.length == 0) {
+            revert InvalidEncryptedKey();
+        }
+        if (key.length > MAX_ENCRYPTED_KEY_SIZE) {
+            revert EncryptedKeyTooLarge(key.length, MAX_ENCRYPTED_KEY_SIZE);
+        }
+    }
+
+    /**
+     * @dev Store (or replace) a recipient's wrapped key; caller must have checked ownership
+     */
+    function _storeGrant(bytes32 fileHash, address recipient, bytes memory wrappedKey) internal {
+        if (recipient == address(0) || recipient == files[fileHash].owner) {
+            revert InvalidRecipient();
+        }
+        _validateKey(wrappedKey);
+
+        if (recipientIndex[fileHash][recipient] == 0) {
+            fileRecipients[fileHash].push(recipient);
+            recipientIndex[fileHash][recipient] = fileRecipients[fileHash].length;
+        }
+        accessKeys[fileHash][recipient] = wrappedKey;
+
+        emit AccessGranted(fileHash, recipient);
+    }
+
+    /**
+     * @dev Tombstone a file: clear its key, locator and every grant issued for it. It keeps its
+     *      owner, so the hash stays reserved and cannot be registered again
+     * @notice Does not touch userFiles; callers manage the owner's file list
+     */
+    function _tombstoneFile(bytes32 fileHash) internal {
+        _clearGrants(fileHash);
+        delete userFileIndex[fileHash];
+        delete files[fileHash].encryptedKey;
+        delete files[fileHash].locator;
+        files[fileHash].deleted = true;
+    }
+
+    /**
+     * @dev Delete every recipient grant issued for a file
+     */
+    function _clearGrants(bytes32 fileHash) internal {
+        address[] storage recipients = fileRecipients[fileHash];
+        for (uint256 i = 0; i < recipients.length; i++) {
+            delete accessKeys[fileHash][recipients[i]];
+            delete recipientIndex[fileHash][recipients[i]];
+        }
+        delete fileRecipients[fileHash];
+    }
+}
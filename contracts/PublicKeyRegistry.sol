@@ -0,0 +1,169 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+/*
+ * Project: DecentraFile
+ * Author: Thor Thor
+ * Contact: codethor@gmail.com
+ * LinkedIn: https://www.linkedin.com/in/thor-thor0
+ */
+
+/**
+ * @title PublicKeyRegistry
+ * @dev Directory of encryption public keys published by their own addresses
+ * @notice Senders look up a recipient's key here instead of exchanging it out-of-band.
+ * Every publish adds a new version; older versions stay readable for auditing.
+ */
+contract PublicKeyRegistry {
+    struct PublicKeyRecord {
+        bytes publicKey; // SPKI PEM (RSA) or 65-byte uncompressed point (secp256k1)
+        uint8 keyType;
+        uint64 publishedAt;
+        bool compromised;
+    }
+
+    // Versions published by each address; version N is stored at index N - 1
+    mapping(address => PublicKeyRecord[]) private keyHistory;
+
+    error InvalidKeyType(uint8 keyType);
+    error InvalidPublicKey();
+    error PublicKeyTooLarge(uint256 size, uint256 maxSize);
+    error KeyAddressMismatch();
+    error KeyNotFound(address account);
+    error KeyVersionNotFound(address account, uint256 version);
+    error KeyCompromised(address account, uint256 version);
+
+    event PublicKeyPublished(address indexed account, uint256 indexed version, uint8 keyType);
+    event PublicKeyCompromised(address indexed account, uint256 indexed version);
+
+    // Key types match the key envelope algorithm that wraps to them
+    uint8 public constant KEY_TYPE_RSA_OAEP_SHA256 = 0x01;
+    uint8 public constant KEY_TYPE_SECP256K1 = 0x02;
+
+    // Maximum size of a published key (a 4096-bit RSA PEM is about 800 bytes)
+    uint256 public constant MAX_PUBLIC_KEY_SIZE = 1024;
+
+    /**
+     * @dev Publish a new encryption public key for the caller
+     * @param keyType KEY_TYPE_RSA_OAEP_SHA256 or KEY_TYPE_SECP256K1
+     * @param publicKey The public key bytes
+     * @return version The version number assigned to the key (starting at 1)
+     * @notice Publishing again rotates the key; the previous version stays in the history.
+     * secp256k1 keys must be the caller's own account key.
+     */
+    function publishKey(uint8 keyType, bytes calldata publicKey) external returns (uint256 version) {
+        if (publicKey.length == 0) {
+            revert InvalidPublicKey();
+        }
+        if (publicKey.length > MAX_PUBLIC_KEY_SIZE) {
+            revert PublicKeyTooLarge(publicKey.length, MAX_PUBLIC_KEY_SIZE);
+        }
+
+        if (keyType == KEY_TYPE_SECP256K1) {
+            if (publicKey.length != 65 || publicKey[0] != 0x04) {
+                revert InvalidPublicKey();
+            }
+            if (address(uint160(uint256(keccak256(publicKey[1:])))) != msg.sender) {
+                revert KeyAddressMismatch();
+            }
+        } else if (keyType != KEY_TYPE_RSA_OAEP_SHA256) {
+            revert InvalidKeyType(keyType);
+        }
+
+        keyHistory[msg.sender].push(PublicKeyRecord({
+            publicKey: publicKey,
+            keyType: keyType,
+            publishedAt: uint64(block.timestamp),
+            compromised: false
+        }));
+        version = keyHistory[msg.sender].length;
+
+        emit PublicKeyPublished(msg.sender, version, keyType);
+    }
+
+    /**
+     * @dev Mark one of the caller's key versions as compromised
+     * @param version The version to flag
+     * @notice A compromised current key is no longer returned by getActiveKey until a new key is published
+     */
+    function markCompromised(uint256 version) external {
+        PublicKeyRecord storage record = _record(msg.sender, version);
+        if (record.compromised) {
+            revert KeyCompromised(msg.sender, version);
+        }
+        record.compromised = true;
+
+        emit PublicKeyCompromised(msg.sender, version);
+    }
+
+    /**
+     * @dev Get the key senders should encrypt to
+     * @param account The recipient address
+     * @return keyType The key type
+     * @return publicKey The public key bytes
+     * @return version The key version
+     * @notice Reverts if the account has no key or its latest key is compromised
+     */
+    function getActiveKey(address account) external view returns (uint8 keyType, bytes memory publicKey, uint256 version) {
+        version = keyHistory[account].length;
+        if (version == 0) {
+            revert KeyNotFound(account);
+        }
+        PublicKeyRecord storage record = keyHistory[account][version - 1];
+        if (record.compromised) {
+            revert KeyCompromised(account, version);
+        }
+        return (record.keyType, record.publicKey, version);
+    }
+
+    /**
+     * @dev Get a specific key version, including compromised ones
+     * @param account The key owner
+     * @param version The key version (starting at 1)
+     * @return keyType The key type
+     * @return publicKey The public key bytes
+     * @return publishedAt Publication timestamp
+     * @return compromised Whether the version has been marked compromised
+     */
+    function getKey(address account, uint256 version) external view returns (
+        uint8 keyType,
+        bytes memory publicKey,
+        uint64 publishedAt,
+        bool compromised
+    ) {
+        PublicKeyRecord storage record = _record(account, version);
+        return (record.keyType, record.publicKey, record.publishedAt, record.compromised);
+    }
+
+    /**
+     * @dev Get the number of key versions an account has published
+     * @param account The key owner
+     * @return count The latest version number (0 if none)
+     */
+    function getKeyCount(address account) external view returns (uint256) {
+        return keyHistory[account].length;
+    }
+
+    /**
+     * @dev Check whether an account has a usable key
+     * @param account The recipient address
+     * @return active True if the latest published key is not compromised
+     */
+    function hasActiveKey(address account) external view returns (bool) {
+        uint256 count = keyHistory[account].length;
+        return count > 0 && !keyHistory[account][count - 1].compromised;
+    }
+
+    /**
+     * @dev Look up a key version, reverting if it does not exist
+     * @param account The key owner
+     * @param version The key version (starting at 1)
+     * @return record Storage pointer to the record
+     */
+    function _record(address account, uint256 version) internal view returns (PublicKeyRecord storage) {
+        if (version == 0 || version > keyHistory[account].length) {
+            revert KeyVersionNotFound(account, version);
+        }
+        return keyHistory[account][version - 1];
+    }
+}
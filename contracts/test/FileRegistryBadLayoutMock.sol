@@ -0,0 +1,28 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+/*
+ * Project: DecentraFile
+ * Author: Thor Thor
+ * Contact: codethor@gmail.com
+ * LinkedIn: https://www.linkedin.com/in/thor-thor0
+ */
+
+import {Initializable} from "@openzeppelin/contracts-upgradeable/proxy/utils/Initializable.sol";
+import {UUPSUpgradeable} from "@openzeppelin/contracts-upgradeable/proxy/utils/UUPSUpgradeable.sol";
+
+/**
+ * @title FileRegistryBadLayoutMock
+ * @dev Implementation whose storage does not match FileRegistry's, which the storage-layout check must refuse
+ */
+contract FileRegistryBadLayoutMock is Initializable, UUPSUpgradeable {
+    // Takes the slot of FileRegistry's files mapping
+    address public owner;
+
+    /**
+     * @dev Anyone may upgrade this mock
+     */
+    function _authorizeUpgrade(address newImplementation) internal override {
+        owner = newImplementation;
+    }
+}
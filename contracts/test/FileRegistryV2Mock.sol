@@ -0,0 +1,34 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+/*
+ * Project: DecentraFile
+ * Author: Thor Thor
+ * Contact: codethor@gmail.com
+ * LinkedIn: https://www.linkedin.com/in/thor-thor0
+ */
+
+import {FileRegistry} from "../FileRegistry.sol";
+
+/**
+ * @title FileRegistryV2Mock
+ * @dev Next FileRegistry version for the upgrade tests: appends state and migrates it in a reinitializer
+ */
+contract FileRegistryV2Mock is FileRegistry {
+    uint256 public migratedFileCount;
+
+    /**
+     * @dev Data migration run by upgradeToAndCall
+     * @param fileCount Value recorded by the migration
+     */
+    function migrate(uint256 fileCount) external reinitializer(2) {
+        migratedFileCount = fileCount;
+    }
+
+    /**
+     * @dev Version of this implementation
+     */
+    function version() external pure returns (uint256) {
+        return 2;
+    }
+}
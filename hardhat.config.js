@@ -1,4 +1,5 @@
 require("@nomicfoundation/hardhat-toolbox");
+require("@openzeppelin/hardhat-upgrades");
 require("solidity-coverage");
 require("dotenv").config();
 
@@ -21,6 +22,19 @@ module.exports = {
         accountsBalance: "10000000000000000000000"
       }
     },
+    // DECENTRAFILE_NETWORK targets. The upgrades plugin tracks the FileRegistry proxy through
+    // the network Hardhat runs on, so deploy and upgrade scripts run with --network
+    local: {
+      url: process.env.RPC_URL || "http://127.0.0.1:8545",
+    },
+    testnet: {
+      url: process.env.RPC_URL || "http://127.0.0.1:8545",
+      accounts: process.env.PRIVATE_KEY ? [process.env.PRIVATE_KEY] : [],
+    },
+    mainnet: {
+      url: process.env.RPC_URL || "http://127.0.0.1:8545",
+      accounts: process.env.PRIVATE_KEY ? [process.env.PRIVATE_KEY] : [],
+    },
     mumbai: {
       url: process.env.MUMBAI_RPC_URL || "https://rpc-mumbai.maticvigil.com",
       accounts: process.env.PRIVATE_KEY ? [process.env.PRIVATE_KEY] : [],
@@ -6,24 +6,26 @@
  */
 
 const { ethers } = require("hardhat");
-const fs = require("fs");
-const path = require("path");
-
-const DEPLOYMENTS_DIR = path.join(__dirname, "../deployments");
+const { assertNotDeployed, deployFileRegistry, writeDeploymentArtifact } = require("./utils/fileRegistryDeployment");
 
 async function main() {
-    console.log("Deploying FileRegistry contract to local network...");
+    console.log("Deploying FileRegistry and PublicKeyRegistry contracts to local network...");
 
     const [deployer] = await ethers.getSigners();
     const deployerAddress = await deployer.getAddress();
     console.log("Deploying with account:", deployerAddress);
 
-    const FileRegistry = await ethers.getContractFactory("FileRegistry");
-    const fileRegistry = await FileRegistry.deploy();
-    await fileRegistry.waitForDeployment();
+    await assertNotDeployed("local", ethers.provider);
+    const { entry: fileRegistryEntry } = await deployFileRegistry(deployer);
+    console.log("FileRegistry deployed to:", fileRegistryEntry.address);
+    console.log("FileRegistry implementation:", fileRegistryEntry.implementation);
+
+    const PublicKeyRegistry = await ethers.getContractFactory("PublicKeyRegistry");
+    const publicKeyRegistry = await PublicKeyRegistry.deploy();
+    await publicKeyRegistry.waitForDeployment();
 
-    const address = await fileRegistry.getAddress();
-    console.log("FileRegistry deployed to:", address);
+    const keyRegistryAddress = await publicKeyRegistry.getAddress();
+    console.log("PublicKeyRegistry deployed to:", keyRegistryAddress);
 
     // Get chain ID
     const provider = ethers.provider;
@@ -35,23 +37,15 @@ async function main() {
         network: "local",
         chainId,
         contracts: {
-            FileRegistry: {
-                address,
+            FileRegistry: fileRegistryEntry,
+            PublicKeyRegistry: {
+                address: keyRegistryAddress,
                 deployedAt: Math.floor(Date.now() / 1000)
             }
         }
     };
 
-    // Ensure deployments directory exists
-    if (!fs.existsSync(DEPLOYMENTS_DIR)) {
-        fs.mkdirSync(DEPLOYMENTS_DIR, { recursive: true });
-    }
-
-    // Write atomically (temp file + rename)
-    const artifactPath = path.join(DEPLOYMENTS_DIR, "local.json");
-    const tempPath = artifactPath + ".tmp";
-    fs.writeFileSync(tempPath, JSON.stringify(artifact, null, 2));
-    fs.renameSync(tempPath, artifactPath);
+    const artifactPath = writeDeploymentArtifact("local", artifact);
 
     console.log("Deployment artifact written to:", artifactPath);
     console.log("\nSave this address to your .env file as CONTRACT_ADDRESS (optional, deployment artifact is used)");
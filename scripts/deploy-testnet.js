@@ -6,13 +6,10 @@
  */
 
 const { ethers } = require("hardhat");
-const fs = require("fs");
-const path = require("path");
-
-const DEPLOYMENTS_DIR = path.join(__dirname, "../deployments");
+const { assertNotDeployed, deployFileRegistry, writeDeploymentArtifact } = require("./utils/fileRegistryDeployment");
 
 async function main() {
-    console.log("Deploying FileRegistry contract to testnet...");
+    console.log("Deploying FileRegistry and PublicKeyRegistry contracts to testnet...");
 
     const networkName = process.env.DECENTRAFILE_NETWORK || "testnet";
     const rpcUrl = process.env.RPC_URL;
@@ -39,12 +36,17 @@ async function main() {
         throw new Error("Account has zero balance. Fund the account before deploying.");
     }
 
-    const FileRegistry = await ethers.getContractFactory("FileRegistry", signer);
-    const fileRegistry = await FileRegistry.deploy();
-    await fileRegistry.waitForDeployment();
+    await assertNotDeployed(networkName, provider);
+    const { entry: fileRegistryEntry } = await deployFileRegistry(signer);
+    console.log("FileRegistry deployed to:", fileRegistryEntry.address);
+    console.log("FileRegistry implementation:", fileRegistryEntry.implementation);
+
+    const PublicKeyRegistry = await ethers.getContractFactory("PublicKeyRegistry", signer);
+    const publicKeyRegistry = await PublicKeyRegistry.deploy();
+    await publicKeyRegistry.waitForDeployment();
 
-    const address = await fileRegistry.getAddress();
-    console.log("FileRegistry deployed to:", address);
+    const keyRegistryAddress = await publicKeyRegistry.getAddress();
+    console.log("PublicKeyRegistry deployed to:", keyRegistryAddress);
 
     // Get chain ID
     const network = await provider.getNetwork();
@@ -55,23 +57,15 @@ async function main() {
         network: networkName,
         chainId,
         contracts: {
-            FileRegistry: {
-                address,
+            FileRegistry: fileRegistryEntry,
+            PublicKeyRegistry: {
+                address: keyRegistryAddress,
                 deployedAt: Math.floor(Date.now() / 1000)
             }
         }
     };
 
-    // Ensure deployments directory exists
-    if (!fs.existsSync(DEPLOYMENTS_DIR)) {
-        fs.mkdirSync(DEPLOYMENTS_DIR, { recursive: true });
-    }
-
-    // Write atomically (temp file + rename)
-    const artifactPath = path.join(DEPLOYMENTS_DIR, `${networkName}.json`);
-    const tempPath = artifactPath + ".tmp";
-    fs.writeFileSync(tempPath, JSON.stringify(artifact, null, 2));
-    fs.renameSync(tempPath, artifactPath);
+    const artifactPath = writeDeploymentArtifact(networkName, artifact);
 
     console.log("Deployment artifact written to:", artifactPath);
 }
@@ -6,17 +6,20 @@
  */
 
 const { ethers } = require("hardhat");
+const { deployFileRegistry } = require("./utils/fileRegistryDeployment");
 
 async function main() {
-    console.log("Deploying FileRegistry contract...");
+    console.log("Deploying FileRegistry and PublicKeyRegistry contracts...");
 
-    const FileRegistry = await ethers.getContractFactory("FileRegistry");
-    const fileRegistry = await FileRegistry.deploy();
+    const [deployer] = await ethers.getSigners();
+    const { entry } = await deployFileRegistry(deployer);
+    console.log("FileRegistry deployed to:", entry.address);
+    console.log("FileRegistry implementation:", entry.implementation);
 
-    await fileRegistry.waitForDeployment();
-
-    const address = await fileRegistry.getAddress();
-    console.log("FileRegistry deployed to:", address);
+    const PublicKeyRegistry = await ethers.getContractFactory("PublicKeyRegistry");
+    const publicKeyRegistry = await PublicKeyRegistry.deploy();
+    await publicKeyRegistry.waitForDeployment();
+    console.log("PublicKeyRegistry deployed to:", await publicKeyRegistry.getAddress());
     console.log("\nSave this address to your .env file as CONTRACT_ADDRESS");
 }
 
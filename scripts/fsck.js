@@ -0,0 +1,81 @@
+/*
+ * Project: DecentraFile
+ * Author: Thor Thor
+ * Contact: codethor@gmail.com
+ * LinkedIn: https://www.linkedin.com/in/thor-thor0
+ */
+
+/**
+ * Reconcile storage, pins and mappings with the FileRegistry
+ *
+ * Usage: node scripts/fsck.js [--repair] [--purge] [--owner <address>]... [--grace-minutes <n>] [--json]
+ *
+ * Reports only unless --repair is given. Exits with 1 while errors remain unrepaired.
+ */
+
+const { getFileRegistryAddress } = require("../src/config/deploymentInfo");
+const { reconcileStorage } = require("../src/index");
+
+function parseArgs(argv) {
+    const args = { repair: false, purge: false, owners: [], graceMs: undefined, json: false };
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+        if (arg === "--repair") {
+            args.repair = true;
+        } else if (arg === "--purge") {
+            args.purge = true;
+        } else if (arg === "--json") {
+            args.json = true;
+        } else if (arg === "--owner") {
+            args.owners.push(argv[++i]);
+        } else if (arg === "--grace-minutes") {
+            const minutes = Number(argv[++i]);
+            if (!Number.isFinite(minutes) || minutes < 0) {
+                throw new Error(`Invalid --grace-minutes: ${argv[i]}`);
+            }
+            args.graceMs = minutes * 60 * 1000;
+        } else {
+            throw new Error(`Unknown argument: ${arg}`);
+        }
+    }
+    if (args.purge && !args.repair) {
+        throw new Error("--purge only applies with --repair");
+    }
+    return args;
+}
+
+function printReport(report, repair) {
+    const { summary, issues } = report;
+    console.log(`Checked ${summary.files} files: ${summary.active} active, ${summary.deleted} deleted, ${summary.unregistered} not registered`);
+    console.log(`Stored content: ${summary.stored}; active files only locatable with their key: ${summary.unverified}`);
+    for (const issue of issues) {
+        const status = !repair || !issue.repair
+            ? (issue.repair ? `repair: ${issue.repair}` : "no repair")
+            : (issue.repaired ? `repaired: ${issue.repair}` : `repair failed: ${issue.repairError}`);
+        console.log(`  [${issue.severity}] ${issue.type} ${issue.fileHash}${issue.cid ? ` (${issue.cid})` : ""}`);
+        console.log(`      ${issue.message} - ${status}`);
+    }
+    console.log(`${summary.issues} issues${repair ? `, ${summary.repaired} repaired, ${summary.repairFailed} repairs failed` : ""}`);
+}
+
+async function main() {
+    const args = parseArgs(process.argv.slice(2));
+    const contractAddress = process.env.CONTRACT_ADDRESS || getFileRegistryAddress();
+    const report = await reconcileStorage(contractAddress, args);
+
+    if (args.json) {
+        console.log(JSON.stringify(report, null, 2));
+    } else {
+        printReport(report, args.repair);
+    }
+
+    const unresolved = report.issues.filter(issue => issue.severity === "error" && !issue.repaired);
+    return unresolved.length > 0 ? 1 : 0;
+}
+
+main()
+    .then(code => process.exit(code))
+    .catch((error) => {
+        console.error(`fsck failed: ${error.message}`);
+        process.exit(2);
+    });
@@ -5,6 +5,10 @@
  * LinkedIn: https://www.linkedin.com/in/thor-thor0
  */
 
+// Hardhat's "local" network is the node at RPC_URL, where the upgrades plugin records the proxy
+process.env.HARDHAT_NETWORK = process.env.HARDHAT_NETWORK || "local";
+process.env.RPC_URL = process.env.RPC_URL || "http://hardhat:8545";
+
 const { ethers } = require("hardhat");
 const { logger } = require("../src/utils/logger");
 
@@ -47,19 +51,27 @@ async function deployContract() {
     }
 
     const hre = require("hardhat");
+    const { readDeploymentArtifact, deployFileRegistry } = require("./utils/fileRegistryDeployment");
     const provider = new hre.ethers.JsonRpcProvider(runtimeConfig.rpcUrl);
     const signer = await provider.getSigner(0);
 
-    const FileRegistry = await hre.ethers.getContractFactory("FileRegistry", signer);
-    const fileRegistry = await FileRegistry.deploy();
-    const deployTx = fileRegistry.deploymentTransaction();
-    if (deployTx) {
-        await deployTx.wait();
+    // A restarted app keeps the registry of a node that kept running, files and all
+    const existing = readDeploymentArtifact("local");
+    const existingAddress = existing && existing.contracts && existing.contracts.FileRegistry && existing.contracts.FileRegistry.address;
+    if (existingAddress && (await provider.getCode(existingAddress)) !== "0x") {
+        logger.info("FileRegistry already deployed", { contractAddress: existingAddress });
+        return existingAddress;
     }
-    await fileRegistry.waitForDeployment();
 
-    const address = await fileRegistry.getAddress();
-    logger.info("FileRegistry deployed", { contractAddress: address });
+    const { entry: fileRegistryEntry } = await deployFileRegistry(signer);
+    const address = fileRegistryEntry.address;
+    logger.info("FileRegistry deployed", { contractAddress: address, implementation: fileRegistryEntry.implementation });
+
+    const PublicKeyRegistry = await hre.ethers.getContractFactory("PublicKeyRegistry", signer);
+    const publicKeyRegistry = await PublicKeyRegistry.deploy();
+    await publicKeyRegistry.waitForDeployment();
+    const keyRegistryAddress = await publicKeyRegistry.getAddress();
+    logger.info("PublicKeyRegistry deployed", { contractAddress: keyRegistryAddress });
 
     // Verify deployment
     const code = await provider.getCode(address);
@@ -81,8 +93,9 @@ async function deployContract() {
         network: "local",
         chainId: Number(network.chainId),
         contracts: {
-            FileRegistry: {
-                address,
+            FileRegistry: fileRegistryEntry,
+            PublicKeyRegistry: {
+                address: keyRegistryAddress,
                 deployedAt: Math.floor(Date.now() / 1000)
             }
         }
@@ -0,0 +1,61 @@
+/*
+ * Project: DecentraFile
+ * Author: Thor Thor
+ * Contact: codethor@gmail.com
+ * LinkedIn: https://www.linkedin.com/in/thor-thor0
+ */
+
+/**
+ * Upgrade the FileRegistry proxy of DECENTRAFILE_NETWORK (default local) to the current code
+ *
+ * Run with the Hardhat network of the deployment and the admin's key, e.g.
+ *   DECENTRAFILE_NETWORK=testnet npx hardhat run scripts/upgrade.js --network testnet
+ *
+ * UPGRADE_CALL names a migration function (such as a reinitializer) of the new code to run in
+ * the upgrade transaction, with UPGRADE_CALL_ARGS as a JSON array of its arguments.
+ */
+
+const { ethers } = require("hardhat");
+const { readDeploymentArtifact, writeDeploymentArtifact, upgradeFileRegistry } = require("./utils/fileRegistryDeployment");
+
+async function main() {
+    const networkName = process.env.DECENTRAFILE_NETWORK || "local";
+    const artifact = readDeploymentArtifact(networkName);
+    if (!artifact || !artifact.contracts || !artifact.contracts.FileRegistry) {
+        throw new Error(`No FileRegistry deployment for network ${networkName}. Run the deployment script first`);
+    }
+    const { chainId } = await ethers.provider.getNetwork();
+    if (artifact.chainId && BigInt(artifact.chainId) !== chainId) {
+        throw new Error(`The ${networkName} deployment is on chain ${artifact.chainId}, but Hardhat's network is chain ${chainId}`);
+    }
+
+    let call;
+    if (process.env.UPGRADE_CALL) {
+        const args = JSON.parse(process.env.UPGRADE_CALL_ARGS || "[]");
+        if (!Array.isArray(args)) {
+            throw new Error("UPGRADE_CALL_ARGS must be a JSON array");
+        }
+        call = { fn: process.env.UPGRADE_CALL, args };
+    }
+
+    const [signer] = await ethers.getSigners();
+    console.log(`Upgrading FileRegistry at ${artifact.contracts.FileRegistry.address} on ${networkName} with account:`, await signer.getAddress());
+
+    const { upgraded, entry } = await upgradeFileRegistry(artifact.contracts.FileRegistry, signer, { call });
+    if (!upgraded) {
+        console.log("FileRegistry already runs this code:", entry.implementation);
+        return;
+    }
+    artifact.contracts.FileRegistry = entry;
+    const artifactPath = writeDeploymentArtifact(networkName, artifact);
+
+    console.log("FileRegistry now runs implementation:", entry.implementation);
+    console.log("Implementation history written to:", artifactPath);
+}
+
+main()
+    .then(() => process.exit(0))
+    .catch((error) => {
+        console.error(error);
+        process.exit(1);
+    });
@@ -0,0 +1,185 @@
+/*
+ * Project: DecentraFile
+ * Author: Thor Thor
+ * Contact: codethor@gmail.com
+ * LinkedIn: https://www.linkedin.com/in/thor-thor0
+ */
+
+/**
+ * FileRegistry proxy deployments and their artifacts
+ *
+ * FileRegistry is deployed behind a UUPS proxy, whose address is the one in
+ * deployments/<network>.json. The artifact's FileRegistry entry also lists every
+ * implementation the proxy has run, oldest first:
+ *
+ *   { address, proxy: "uups", implementation, deployedAt, blockNumber,
+ *     implementations: [{ address, activatedAt, blockNumber, txHash }] }
+ */
+
+const { ethers, upgrades } = require("hardhat");
+const fs = require("fs");
+const path = require("path");
+
+const DEPLOYMENTS_DIR = path.join(__dirname, "../../deployments");
+
+/**
+ * @param {string} networkName - DECENTRAFILE_NETWORK the artifact is for
+ * @returns {string} Path of the network's deployment artifact
+ */
+function artifactPathFor(networkName) {
+    return path.join(DEPLOYMENTS_DIR, `${networkName}.json`);
+}
+
+/**
+ * @param {string} networkName - DECENTRAFILE_NETWORK the artifact is for
+ * @returns {Object|null} The network's deployment artifact, or null if there is none
+ */
+function readDeploymentArtifact(networkName) {
+    const artifactPath = artifactPathFor(networkName);
+    if (!fs.existsSync(artifactPath)) {
+        return null;
+    }
+    return JSON.parse(fs.readFileSync(artifactPath, "utf8"));
+}
+
+/**
+ * Write a deployment artifact atomically (temp file + rename)
+ * @returns {string} Path written
+ */
+function writeDeploymentArtifact(networkName, artifact) {
+    if (!fs.existsSync(DEPLOYMENTS_DIR)) {
+        fs.mkdirSync(DEPLOYMENTS_DIR, { recursive: true });
+    }
+    const artifactPath = artifactPathFor(networkName);
+    const tempPath = artifactPath + ".tmp";
+    fs.writeFileSync(tempPath, JSON.stringify(artifact, null, 2));
+    fs.renameSync(tempPath, artifactPath);
+    return artifactPath;
+}
+
+/**
+ * Refuse to send transactions from a signer on another chain than Hardhat's network:
+ * the upgrades plugin would look for them, and record the proxy, on the wrong one
+ */
+async function assertSameChain(signer) {
+    const signerChainId = (await signer.provider.getNetwork()).chainId;
+    const hardhatChainId = (await ethers.provider.getNetwork()).chainId;
+    if (signerChainId !== hardhatChainId) {
+        throw new Error(`RPC_URL is on chain ${signerChainId} but Hardhat's network on chain ${hardhatChainId}. Run the script with --network for that chain`);
+    }
+}
+
+/**
+ * Refuse to replace a registry that is still deployed: the artifact would point away from its files
+ * Set DECENTRAFILE_REDEPLOY=true to deploy a new, empty registry anyway.
+ * @param {string} networkName - DECENTRAFILE_NETWORK being deployed to
+ * @param {Provider} provider - Provider of that network
+ */
+async function assertNotDeployed(networkName, provider) {
+    const artifact = readDeploymentArtifact(networkName);
+    const entry = artifact && artifact.contracts && artifact.contracts.FileRegistry;
+    if (!entry || !entry.address || process.env.DECENTRAFILE_REDEPLOY === "true") {
+        return;
+    }
+    const { chainId } = await provider.getNetwork();
+    if (artifact.chainId && BigInt(artifact.chainId) !== chainId) {
+        return;
+    }
+    if ((await provider.getCode(entry.address)) !== "0x") {
+        throw new Error(`FileRegistry is already deployed at ${entry.address} on ${networkName}. Upgrade it with scripts/upgrade.js, or set DECENTRAFILE_REDEPLOY=true to deploy a new, empty registry`);
+    }
+}
+
+/**
+ * Deploy FileRegistry behind a UUPS proxy
+ * @param {Signer} signer - Deployer, made the registry's admin
+ * @returns {Promise<Object>} { contract, entry }: the registry at the proxy's address and its artifact entry
+ */
+async function deployFileRegistry(signer) {
+    await assertSameChain(signer);
+    const FileRegistry = await ethers.getContractFactory("FileRegistry", signer);
+    const contract = await upgrades.deployProxy(FileRegistry, [await signer.getAddress()], { kind: "uups", initializer: "initialize" });
+    await contract.waitForDeployment();
+    // The event indexer backfills from here
+    const receipt = await contract.deploymentTransaction().wait();
+
+    const address = await contract.getAddress();
+    const implementation = await upgrades.erc1967.getImplementationAddress(address);
+    const deployedAt = Math.floor(Date.now() / 1000);
+    return {
+        contract,
+        entry: {
+            address,
+            proxy: "uups",
+            implementation,
+            deployedAt,
+            blockNumber: receipt.blockNumber,
+            implementations: [{ address: implementation, activatedAt: deployedAt, blockNumber: receipt.blockNumber, txHash: receipt.hash }]
+        }
+    };
+}
+
+/**
+ * Upgrade a FileRegistry proxy to the current FileRegistry code
+ * The plugin checks the new code is upgrade safe and that its storage layout keeps every
+ * existing variable in place before anything is sent.
+ * @param {Object} entry - The artifact's FileRegistry entry
+ * @param {Signer} signer - The registry's admin
+ * @param {Object} options - Options
+ * @param {string} options.contractName - Contract to upgrade to (default FileRegistry)
+ * @param {Object} options.call - { fn, args } migration run in the upgrade transaction, e.g. a reinitializer
+ * @returns {Promise<Object>} { upgraded, entry }: whether the proxy changed implementation, and the updated entry
+ * @throws {Error} If the registry has no proxy, the signer is not its admin, or the new code is not upgrade safe
+ */
+async function upgradeFileRegistry(entry, signer, options = {}) {
+    const { contractName = "FileRegistry", call } = options;
+    if (entry.proxy !== "uups") {
+        throw new Error(`FileRegistry at ${entry.address} was deployed without a proxy and cannot be upgraded in place`);
+    }
+    await assertSameChain(signer);
+    const signerAddress = await signer.getAddress();
+    const admin = await (await ethers.getContractAt("FileRegistry", entry.address, signer)).admin();
+    if (admin.toLowerCase() !== signerAddress.toLowerCase()) {
+        throw new Error(`Only the registry admin ${admin} can upgrade it, not ${signerAddress}`);
+    }
+
+    const factory = await ethers.getContractFactory(contractName, signer);
+    const current = await upgrades.erc1967.getImplementationAddress(entry.address);
+    // Validates the code and storage layout, and deploys the implementation unless it already is
+    const implementation = await upgrades.prepareUpgrade(entry.address, factory, { kind: "uups" });
+    if (implementation.toLowerCase() === current.toLowerCase() && !call) {
+        return { upgraded: false, entry };
+    }
+
+    const fromBlock = await ethers.provider.getBlockNumber();
+    await upgrades.upgradeProxy(entry.address, factory, { kind: "uups", call });
+    const upgradeLogs = await ethers.provider.getLogs({
+        address: entry.address,
+        topics: [ethers.id("Upgraded(address)"), ethers.zeroPadValue(implementation, 32)],
+        fromBlock
+    });
+    const upgradeLog = upgradeLogs[upgradeLogs.length - 1];
+    const history = entry.implementations || [{ address: current }];
+    return {
+        upgraded: true,
+        entry: {
+            ...entry,
+            implementation,
+            implementations: [...history, {
+                address: implementation,
+                activatedAt: Math.floor(Date.now() / 1000),
+                blockNumber: upgradeLog.blockNumber,
+                txHash: upgradeLog.transactionHash
+            }]
+        }
+    };
+}
+
+module.exports = {
+    DEPLOYMENTS_DIR,
+    readDeploymentArtifact,
+    writeDeploymentArtifact,
+    assertNotDeployed,
+    deployFileRegistry,
+    upgradeFileRegistry
+};
@@ -0,0 +1,75 @@
+/*
+ * Project: DecentraFile
+ * Author: Thor Thor
+ * Contact: codethor@gmail.com
+ * LinkedIn: https://www.linkedin.com/in/thor-thor0
+ */
+
+/* eslint-env browser */
+
+/**
+ * Sign-in bar for the portal pages
+ *
+ * Shows the signed-in account, or a button that signs in with the browser's Ethereum
+ * wallet (EIP-1193): the server prepares a Sign-In with Ethereum message, the wallet signs
+ * it with personal_sign and the server answers with a session cookie.
+ */
+
+const accountBar = document.getElementById('accountBar')
+
+/**
+ * Sign in with the wallet's first account
+ * @returns {Promise<string>} The signed-in address
+ */
+async function signIn() {
+  if (!window.ethereum) {
+    throw new Error('No Ethereum wallet found in this browser')
+  }
+  const [address] = await window.ethereum.request({ method: 'eth_requestAccounts' })
+  const challenge = await fetch(`/api/auth/nonce?address=${encodeURIComponent(address)}`).then(response => response.json())
+  const signature = await window.ethereum.request({ method: 'personal_sign', params: [challenge.message, address] })
+  const response = await fetch('/api/auth/verify', {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ message: challenge.message, signature })
+  })
+  const result = await response.json()
+  if (!response.ok) {
+    throw new Error(result.error || 'Sign-in failed')
+  }
+  return result.address
+}
+
+async function signOut() {
+  await fetch('/api/auth/logout', { method: 'POST' })
+  showAccount(null)
+}
+
+/**
+ * @param {string|null} address - Signed-in address, or null
+ */
+function showAccount(address) {
+  accountBar.textContent = ''
+  const button = document.createElement('button')
+  if (address) {
+    const label = document.createElement('span')
+    label.textContent = `Signed in as ${address} `
+    accountBar.appendChild(label)
+    button.textContent = 'Sign out'
+    button.onclick = signOut
+  } else {
+    button.textContent = 'Sign in with Ethereum'
+    button.onclick = () => signIn().then(showAccount, error => {
+      accountBar.querySelector('.account-error')?.remove()
+      const message = document.createElement('span')
+      message.className = 'account-error'
+      message.textContent = ` ${error.message}`
+      accountBar.appendChild(message)
+    })
+  }
+  accountBar.appendChild(button)
+}
+
+fetch('/api/auth/session')
+  .then(response => response.ok ? response.json() : null)
+  .then(session => showAccount(session ? session.address : null), () => showAccount(null))
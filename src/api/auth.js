@@ -0,0 +1,159 @@
+/*
+ * Project: DecentraFile
+ * Author: Thor Thor
+ * Contact: codethor@gmail.com
+ * LinkedIn: https://www.linkedin.com/in/thor-thor0
+ */
+
+/**
+ * Sign-In with Ethereum sessions
+ *
+ *   GET  /nonce    A nonce for the sign-in message: { nonce, expiresAt, domain, chainId }; with
+ *                  ?address=0x... also the message for that account to sign, ready for personal_sign
+ *   POST /verify   { message, signature }: checks the signed message and sets the session cookie
+ *   GET  /session  The signed-in account, or 401
+ *   POST /logout   Ends the session
+ *
+ * The session cookie is HttpOnly and SameSite=Strict, so pages on other sites can neither
+ * read it nor send it with their requests.
+ */
+
+const express = require('express')
+const { Web3 } = require('web3')
+const { createSiweMessage, verifySiweMessage } = require('../auth/siwe')
+const { validateAddress } = require('../utils/validation')
+const { logger, logSecurityEvent } = require('../utils/logger')
+
+const SESSION_COOKIE = 'decentrafile_session'
+const SIGN_IN_STATEMENT = 'Sign in to DecentraFile to upload, list and download your files.'
+
+/**
+ * @param {express.Request} req - Request
+ * @returns {string|null} Session id from the session cookie, or null if there is none or it is malformed
+ */
+function readSessionCookie(req) {
+  for (const part of (req.headers.cookie || '').split(';')) {
+    const separator = part.indexOf('=')
+    if (separator !== -1 && part.slice(0, separator).trim() === SESSION_COOKIE) {
+      try {
+        return decodeURIComponent(part.slice(separator + 1).trim())
+      } catch (error) {
+        logSecurityEvent('INVALID_INPUT', { operation: 'session_cookie', error: 'Malformed session cookie' })
+        return null
+      }
+    }
+  }
+  return null
+}
+
+/**
+ * Middleware setting req.session to the signed-in session, or null
+ * @param {SessionStore} store - Sessions
+ * @returns {Function} Express middleware
+ */
+function sessionAuth(store) {
+  return (req, res, next) => {
+    req.session = store.get(readSessionCookie(req))
+    next()
+  }
+}
+
+/**
+ * Middleware answering 401 to requests without a session (after sessionAuth)
+ */
+function requireSession(req, res, next) {
+  if (!req.session) {
+    logSecurityEvent('UNAUTHENTICATED_REQUEST', { path: req.path })
+    return res.status(401).json({ error: 'Sign in with your Ethereum account first' })
+  }
+  next()
+}
+
+/**
+ * Create the sign-in router
+ * @param {Object} options - Router settings
+ * @param {SessionStore} options.store - Nonces and sessions
+ * @param {Function} options.getChainId - Returns the chain ID sign-in messages must name
+ * @param {string|null} options.domain - Domain sign-in messages must name; defaults to the request's Host,
+ *   which a client can set freely, so deployments should configure it
+ * @returns {express.Router} Router to mount under /api/auth
+ */
+function createAuthRouter({ store, getChainId, domain = null }) {
+  const router = express.Router()
+  const expectedDomain = req => domain || req.get('host')
+
+  router.get('/nonce', (req, res) => {
+    const { address } = req.query
+    if (address !== undefined && validateAddress(address).error) {
+      return res.status(400).json({ error: 'Invalid address' })
+    }
+    const { nonce, expiresAt } = store.issueNonce()
+    const challenge = { nonce, expiresAt, domain: expectedDomain(req), chainId: getChainId() }
+    if (address) {
+      // Wallets sign what they are given, so the page does not need its own EIP-4361 and EIP-55 code
+      challenge.message = createSiweMessage({
+        domain: challenge.domain,
+        address: Web3.utils.toChecksumAddress(address),
+        statement: SIGN_IN_STATEMENT,
+        uri: `${req.protocol}://${challenge.domain}`,
+        chainId: challenge.chainId,
+        nonce,
+        issuedAt: new Date().toISOString(),
+        expirationTime: expiresAt
+      })
+    }
+    res.set('Cache-Control', 'no-store')
+    res.json(challenge)
+  })
+
+  router.post('/verify', (req, res) => {
+    const { message, signature } = req.body || {}
+    if (typeof message !== 'string' || typeof signature !== 'string') {
+      return res.status(400).json({ error: 'message and signature are required' })
+    }
+
+    let verified
+    try {
+      verified = verifySiweMessage(message, signature, { domain: expectedDomain(req), chainId: getChainId() })
+    } catch (error) {
+      const malformed = error.message.startsWith('Validation failed')
+      logSecurityEvent(malformed ? 'INVALID_INPUT' : 'SIGN_IN_REJECTED', { operation: 'sign_in', error: error.message })
+      return res.status(malformed ? 400 : 401).json({ error: error.message })
+    }
+    // Checked after the signature, so a forged message cannot burn someone else's nonce
+    if (!store.consumeNonce(verified.fields.nonce)) {
+      logSecurityEvent('SIGN_IN_REJECTED', { operation: 'sign_in', error: 'Unknown, expired or reused nonce' })
+      return res.status(401).json({ error: 'Sign-in failed: nonce is unknown, expired or already used' })
+    }
+
+    const session = store.create({ address: verified.address, publicKey: verified.publicKey, chainId: verified.fields.chainId })
+    res.cookie(SESSION_COOKIE, session.id, {
+      httpOnly: true,
+      sameSite: 'strict',
+      secure: req.secure,
+      path: '/',
+      expires: new Date(session.expiresAt)
+    })
+    logger.info('SIGN_IN', { address: session.address, expiresAt: session.expiresAt })
+    res.json({ address: session.address, expiresAt: session.expiresAt })
+  })
+
+  router.get('/session', sessionAuth(store), requireSession, (req, res) => {
+    res.json({ address: req.session.address, expiresAt: req.session.expiresAt })
+  })
+
+  router.post('/logout', (req, res) => {
+    store.destroy(readSessionCookie(req))
+    res.clearCookie(SESSION_COOKIE, { httpOnly: true, sameSite: 'strict', secure: req.secure, path: '/' })
+    res.json({ success: true })
+  })
+
+  return router
+}
+
+module.exports = {
+  createAuthRouter,
+  sessionAuth,
+  requireSession,
+  SESSION_COOKIE
+}
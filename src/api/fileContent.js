@@ -0,0 +1,171 @@
+/*
+ * Project: DecentraFile
+ * Author: Thor Thor
+ * Contact: codethor@gmail.com
+ * LinkedIn: https://www.linkedin.com/in/thor-thor0
+ */
+
+/**
+ * Decrypted file content for HTTP responses, shared by the portal and the REST API
+ *
+ * Content is streamed from storage through decryption straight into the response; nothing
+ * is written to disk. A fileHash names one immutable ciphertext (rotating a key registers
+ * a new fileHash), so the fileHash is a strong ETag and the registration time is the
+ * Last-Modified date.
+ */
+
+const { pipeline } = require('stream/promises')
+const { openFileReader } = require('../index')
+const { getFilenameMetadata } = require('../utils/fileMetadata')
+const { detectFileType, sanitizeFilename } = require('../utils/fileType')
+const { logSecurityEvent } = require('../utils/logger')
+
+// detectFileType looks at most at this many leading bytes
+const TYPE_SNIFF_BYTES = 512
+
+/**
+ * Read the start of a file to detect its type
+ * @param {Object} reader - Result of openFileReader
+ * @returns {Promise<Buffer>} Up to TYPE_SNIFF_BYTES leading bytes
+ */
+async function readHead(reader) {
+  if (reader.size === 0) {
+    return Buffer.alloc(0)
+  }
+  const chunks = []
+  for await (const chunk of reader.read({ start: 0, end: Math.min(TYPE_SNIFF_BYTES, reader.size) - 1 })) {
+    chunks.push(chunk)
+  }
+  return Buffer.concat(chunks)
+}
+
+/**
+ * Work out the name and MIME type to serve a file with
+ * The stored filename and MIME type are used when known; otherwise the type is detected from the content.
+ * @param {Object} reader - Result of openFileReader
+ * @returns {Promise<Object>} { filename (sanitized for headers), mimeType }
+ */
+async function describeContent(reader) {
+  const fileHash = reader.fileHash
+  const metadata = getFilenameMetadata(fileHash)
+  if (metadata && metadata.filename) {
+    return { filename: sanitizeFilename(metadata.filename), mimeType: metadata.mimeType || 'application/octet-stream' }
+  }
+
+  // Fallback: detect file type from the first bytes
+  const detected = detectFileType(await readHead(reader))
+  // Only use detected extension if we don't have stored filename
+  const filename = metadata ? `downloaded-${fileHash.substring(0, 8)}.bin` : `downloaded-${fileHash.substring(0, 8)}${detected.extension}`
+  return { filename: sanitizeFilename(filename), mimeType: detected.mimeType }
+}
+
+/**
+ * Whether a Range header still applies, given the request's If-Range validator
+ * @returns {boolean} True without If-Range, or if it matches the current ETag or Last-Modified date
+ */
+function rangeStillValid(req, etag, lastModified) {
+  const ifRange = req.get('If-Range')
+  if (!ifRange) {
+    return true
+  }
+  if (ifRange.includes('"')) {
+    return ifRange === etag
+  }
+  return Date.parse(ifRange) === Date.parse(lastModified)
+}
+
+/**
+ * Stream a file's decrypted content as the response
+ *
+ * GET and HEAD requests may be conditional (If-None-Match, If-Modified-Since: 304 Not
+ * Modified) and may ask for one byte range (Range, subject to If-Range: 206 Partial
+ * Content, or 416 when the range is outside the file). Requests for several ranges get
+ * the whole file. POST requests always get the whole file.
+ *
+ * If decryption fails once the body has started, the connection is destroyed so the
+ * client cannot mistake the partial body for the file, and the error is thrown.
+ *
+ * @param {express.Request} req - Request
+ * @param {express.Response} res - Response
+ * @param {Object} file - Active file, as returned by getFileInfo
+ * @param {string} contractAddress - Contract address
+ * @param {Object} access - Key to open the file with: { recipientPrivateKey, callerAddress } (see openFileReader);
+ *   without it the owner's key envelope is opened unwrapped
+ * @returns {Promise<Object>} { status, bytes (body bytes sent, null if the client disconnected), filename, mimeType, aborted };
+ *   filename and mimeType are null for 304, 403 and 416
+ */
+async function sendFileContent(req, res, file, contractAddress, access = {}) {
+  const etag = `"${file.fileHash}"`
+  const lastModified = new Date(file.timestamp * 1000).toUTCString()
+  res.setHeader('ETag', etag)
+  res.setHeader('Last-Modified', lastModified)
+  res.setHeader('Accept-Ranges', 'bytes')
+  // Decrypted content: browsers may keep it, but must revalidate and shared caches must not store it
+  res.setHeader('Cache-Control', 'private, no-cache')
+
+  if (req.fresh) {
+    res.status(304).end()
+    return { status: 304, bytes: 0, filename: null, mimeType: null }
+  }
+
+  let reader
+  try {
+    reader = await openFileReader(file.fileHash, contractAddress, access.recipientPrivateKey || null, access.callerAddress || null)
+  } catch (error) {
+    // A file its owner's wallet registered is only readable here once the server was granted access
+    if (/^Access denied/.test(error.message)) {
+      logSecurityEvent('ACCESS_DENIED', { fileHash: `${file.fileHash.substring(0, 8)}...`, operation: 'serve_content' })
+      res.status(403).json({ error: 'The server holds no key for this file; its owner has not granted the server access' })
+      return { status: 403, bytes: 0, filename: null, mimeType: null }
+    }
+    throw error
+  }
+  try {
+    let range = null
+    if ((req.method === 'GET' || req.method === 'HEAD') && req.headers.range && rangeStillValid(req, etag, lastModified)) {
+      const ranges = req.range(reader.size, { combine: true })
+      if (ranges === -1) {
+        logSecurityEvent('INVALID_INPUT', { operation: 'download_range', error: 'Unsatisfiable range' })
+        res.status(416).setHeader('Content-Range', `bytes */${reader.size}`)
+        res.end()
+        return { status: 416, bytes: 0, filename: null, mimeType: null }
+      }
+      // Malformed headers (-2) are ignored, as are multiple ranges
+      if (Array.isArray(ranges) && ranges.type === 'bytes' && ranges.length === 1) {
+        range = ranges[0]
+      }
+    }
+
+    const { filename, mimeType } = await describeContent(reader)
+    const bytes = range ? range.end - range.start + 1 : reader.size
+    res.status(range ? 206 : 200)
+    res.setHeader('Content-Type', mimeType)
+    res.setHeader('Content-Disposition', `attachment; filename="${filename}"`)
+    res.setHeader('Content-Length', bytes)
+    if (range) {
+      res.setHeader('Content-Range', `bytes ${range.start}-${range.end}/${reader.size}`)
+    }
+
+    if (req.method === 'HEAD') {
+      res.end()
+      return { status: res.statusCode, bytes: 0, filename, mimeType }
+    }
+    try {
+      // pipeline destroys the response if the content stream fails
+      await pipeline(reader.read(range || {}), res)
+    } catch (error) {
+      if (error.code !== 'ERR_STREAM_PREMATURE_CLOSE') {
+        throw error
+      }
+      // The client went away, e.g. a player seeking to another range
+      return { status: res.statusCode, bytes: null, filename, mimeType, aborted: true }
+    }
+    return { status: res.statusCode, bytes, filename, mimeType }
+  } finally {
+    reader.close()
+  }
+}
+
+module.exports = {
+  sendFileContent
+}
@@ -0,0 +1,94 @@
+/*
+ * Project: DecentraFile
+ * Author: Thor Thor
+ * Contact: codethor@gmail.com
+ * LinkedIn: https://www.linkedin.com/in/thor-thor0
+ */
+
+/**
+ * Gasless requests: the signed-in account signs, the server's relayer pays
+ *
+ *   GET  /allowance  What the relayer may still spend for the account: { limit, spent, remaining, windowMs }
+ *   POST /requests   { action, ...fields }: a request for the account to sign with eth_signTypedData_v4
+ *   POST /           { typedData, signature }: relays a signed request of the account
+ *
+ * Actions are uploadFile, grantAccess and deleteFile (see relayer/typedData.js for their
+ * fields); the owner is always the signed-in account. Errors are JSON { error } with 400 for
+ * malformed, mis-signed, expired or reverting requests, 403 for another account's request,
+ * 409 for a nonce out of order, 429 once the account's spend limit or the relayer's budget for
+ * all accounts is reached, and 503 when the server cannot relay.
+ */
+
+const express = require('express')
+const { requireSession } = require('./auth')
+const { logError } = require('../utils/logger')
+
+/**
+ * @param {Error} error - Error thrown by the relayer
+ * @returns {number} HTTP status
+ */
+function statusForRelayError(error) {
+  if (/^Validation failed|^Relayed request would revert/.test(error.message)) {
+    return 400
+  }
+  if (/^Nonce /.test(error.message)) {
+    return 409
+  }
+  if (/^Spend limit reached/.test(error.message)) {
+    return 429
+  }
+  return 500
+}
+
+/**
+ * Create the relay router
+ * @param {Object} options - Router settings
+ * @param {Function} options.getRelayer - Returns the Relayer; throws when the server cannot relay (503)
+ * @returns {express.Router} Router to mount under /api/relay
+ */
+function createRelayRouter({ getRelayer }) {
+  const router = express.Router()
+  router.use(requireSession)
+
+  function handle(operation, handler) {
+    return async (req, res) => {
+      let relayer
+      try {
+        relayer = getRelayer()
+      } catch (error) {
+        logError(error, { operation: `relay_${operation}` })
+        return res.status(503).json({ error: 'Relaying is not available on this server' })
+      }
+      try {
+        await handler(req, res, relayer)
+      } catch (error) {
+        logError(error, { operation: `relay_${operation}` })
+        res.status(statusForRelayError(error)).json({ error: error.message })
+      }
+    }
+  }
+
+  router.get('/allowance', handle('allowance', (req, res, relayer) => {
+    res.json(relayer.getAllowance(req.session.address))
+  }))
+
+  router.post('/requests', handle('prepare', async (req, res, relayer) => {
+    const { action, ...fields } = req.body || {}
+    res.json(await relayer.prepare(action, { ...fields, owner: req.session.address }))
+  }))
+
+  router.post('/', handle('send', async (req, res, relayer) => {
+    const { typedData, signature } = req.body || {}
+    const owner = typedData && typedData.message ? String(typedData.message.owner) : ''
+    if (owner.toLowerCase() !== req.session.address.toLowerCase()) {
+      return res.status(403).json({ error: 'Only requests of the signed-in account are relayed' })
+    }
+    res.json(await relayer.relay(typedData, signature))
+  }))
+
+  return router
+}
+
+module.exports = {
+  createRelayRouter
+}
@@ -0,0 +1,68 @@
+/*
+ * Project: DecentraFile
+ * Author: Thor Thor
+ * Contact: codethor@gmail.com
+ * LinkedIn: https://www.linkedin.com/in/thor-thor0
+ */
+
+/**
+ * Multer storage engine that uploads files as they arrive
+ *
+ * The multipart file stream is handed to the upload function while the request is still
+ * being read, so the plaintext is encrypted chunk by chunk and never buffered whole or
+ * written to disk. Backpressure from storage reaches the client through the request socket.
+ */
+
+const crypto = require('crypto')
+const { PassThrough } = require('stream')
+const { logger } = require('../utils/logger')
+
+/**
+ * Create the storage engine
+ * @param {Function} uploadFile - async (req, file, content) => result, where content is the file's Readable
+ * @returns {Object} Multer storage engine; the upload result is set as req.file.upload and
+ *   the SHA-256 of the file's content as req.file.sha256
+ */
+function createUploadStorage(uploadFile) {
+  return {
+    _handleFile(req, file, callback) {
+      // The upload reads a stream of its own, so it can be failed without touching multer's
+      const content = new PassThrough()
+      const fail = (message) => content.destroy(new Error(message))
+      file.stream.once('limit', () => fail('File too large for this server'))
+      const onClose = () => {
+        if (!req.complete) {
+          fail('Upload aborted by the client')
+        }
+      }
+      req.once('close', onClose)
+      const digest = crypto.createHash('sha256')
+      file.stream.on('data', chunk => digest.update(chunk))
+      file.stream.pipe(content)
+
+      uploadFile(req, file, content).then((result) => {
+        req.removeListener('close', onClose)
+        callback(null, { upload: result, sha256: digest.digest('hex') })
+      }, (error) => {
+        req.removeListener('close', onClose)
+        // Drain the rest of the file so the request can finish and the error be answered
+        file.stream.unpipe(content)
+        file.stream.resume()
+        callback(error)
+      })
+    },
+
+    _removeFile(req, file, callback) {
+      // Called when a later part of the request fails. A registered file cannot be taken
+      // back here; it stays available under its fileHash.
+      if (file.upload) {
+        logger.warn('Request failed after its file was uploaded', { fileHash: `${file.upload.fileHash.substring(0, 8)}...` })
+      }
+      callback(null)
+    }
+  }
+}
+
+module.exports = {
+  createUploadStorage
+}
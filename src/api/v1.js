@@ -0,0 +1,496 @@
+/*
+ * Project: DecentraFile
+ * Author: Thor Thor
+ * Contact: codethor@gmail.com
+ * LinkedIn: https://www.linkedin.com/in/thor-thor0
+ */
+
+/**
+ * REST API v1: files as resources
+ *
+ *   GET    /files/:fileHash          Registration and filename metadata
+ *   GET    /files/:fileHash/content  Decrypted content (supports Range and conditional requests)
+ *   DELETE /files/:fileHash          Delete a file the server owns and uploaded for the signed-in account
+ *   GET    /owners/:address/files    Files the signed-in account owns or had uploaded through the server
+ *   GET    /files/:fileHash/versions  Every version of the file, oldest first
+ *   GET    /files/:fileHash/versions/:version          Metadata of one version (a number, or "latest")
+ *   GET    /files/:fileHash/versions/:version/content  Decrypted content of one version
+ *
+ * collections of files:
+ *
+ *   GET    /owners/:address/collections           Collections of the signed-in account
+ *   POST   /collections                           Create a collection { name }
+ *   GET    /collections/:collectionId             Name and files of a collection
+ *   PATCH  /collections/:collectionId             Rename a collection { name }
+ *   POST   /collections/:collectionId/files       Add files { fileHashes }
+ *   DELETE /collections/:collectionId/files/:fileHash  Remove a file
+ *   POST   /collections/:collectionId/shares      Share every current file { recipient, publicKey? }
+ *
+ * and, from the event index (see indexer/):
+ *
+ *   GET    /owners/:address/uploads  FileUploaded events of an owner
+ *   GET    /files/:fileHash/downloads  FileDownloaded events of a file
+ *   GET    /events/uploads?from=&to=   FileUploaded events in a time range (unix seconds or ISO 8601)
+ *   GET    /events/access-denied       FileAccessDenied events, optionally ?fileHash= and ?requester=
+ *
+ * Every route needs a sign-in session (see api/auth.js). Files are served to accounts that
+ * own them or were granted access on-chain. Portal uploads are owned on-chain by the account
+ * that signed them, so only that account can delete them (e.g. through the relayer). Files the
+ * server uploads for an account from code are owned on-chain by the server; deleting and
+ * listing them trusts the uploadedBy the server recorded off-chain, and nothing on-chain. Events are served to any account: they are
+ * public in the chain's logs anyway. Collections the server creates are owned on-chain by its
+ * account and managed only by the account they were created for, which can add only files
+ * the server uploaded for it.
+ *
+ * Errors are JSON { error } with 400 for malformed input, 401 without a session, 403 when
+ * the account may not use the file, 404 for unknown files, 410 for deleted ones, 409 when
+ * the registry refuses a change that conflicts with its state (the file exists, was deleted
+ * meanwhile, or is not the latest version) and 500 otherwise.
+ */
+
+const express = require('express')
+const {
+  getFileInfo,
+  getFileVersions,
+  getFileVersion,
+  hasFileAccess,
+  listOwnerFiles,
+  deleteFileFromBlockchain,
+  createCollection,
+  renameCollection,
+  addToCollection,
+  removeFromCollection,
+  shareCollection,
+  getCollection,
+  listCollections,
+  resolveRecipientPublicKey
+} = require('../index')
+const { requireSession } = require('./auth')
+const { sendFileContent } = require('./fileContent')
+const { validateFileHash, validateAddress } = require('../utils/validation')
+const { contractErrorName } = require('../utils/contractErrors')
+const { logger, logError, logSecurityEvent } = require('../utils/logger')
+
+// Statuses for FileRegistry reverts; other reverts refuse the request's input (400)
+const REVERT_STATUSES = {
+  UnauthorizedAccess: 403,
+  NotAdmin: 403,
+  FileNotFound: 404,
+  RecipientNotFound: 404,
+  CollectionNotFound: 404,
+  FileNotInCollection: 404,
+  FileAlreadyExists: 409,
+  FileAlreadyInCollection: 409,
+  FileTombstoned: 409,
+  NotLatestVersion: 409,
+  CollectionChanged: 409
+}
+
+/**
+ * @param {Error} error - Error thrown while handling a request
+ * @returns {number} HTTP status
+ */
+function statusForError(error) {
+  if (error.message.startsWith('Validation failed')) {
+    return 400
+  }
+  const reverted = contractErrorName(error)
+  if (reverted) {
+    return REVERT_STATUSES[reverted] || 400
+  }
+  if (/^Access denied/.test(error.message)) {
+    return 403
+  }
+  if (/^File not found on blockchain$|^Collection \d+ not found$/.test(error.message)) {
+    return 404
+  }
+  return 500
+}
+
+/**
+ * @param {string} value - Unix seconds or an ISO 8601 date
+ * @returns {number} Unix seconds, NaN if neither
+ */
+function parseTime(value) {
+  if (/^\d+$/.test(value)) {
+    return Number(value)
+  }
+  return Math.floor(Date.parse(value) / 1000)
+}
+
+/**
+ * @param {Object} file - Active file, as returned by getFileInfo
+ * @returns {Object} File metadata as the API returns it
+ */
+function describeFile(file) {
+  return {
+    fileHash: file.fileHash,
+    owner: file.owner,
+    timestamp: file.timestamp,
+    uploadedAt: new Date(file.timestamp * 1000).toISOString(),
+    filename: file.filename,
+    mimeType: file.mimeType,
+    size: file.size,
+    uploadedBy: file.uploadedBy
+  }
+}
+
+/**
+ * @returns {boolean} True if both are the same address, in any letter case
+ */
+function sameAddress(a, b) {
+  return Boolean(a && b) && a.toLowerCase() === b.toLowerCase()
+}
+
+/**
+ * Create the v1 router
+ * Expects req.session to be set by sessionAuth.
+ * @param {Object} options - Router settings
+ * @param {Function} options.getContractAddress - Returns the FileRegistry address
+ * @param {Function} options.getSenderAccount - Returns { address, privateKey } of the account the server signs with
+ * @param {Function} options.getEventIndexer - Returns the running EventIndexer, or null when events are not indexed (503)
+ * @param {Function} options.getKeyRegistryAddress - Returns the PublicKeyRegistry address, or null; used to look up
+ *   the keys of collection recipients that send none
+ * @returns {express.Router} Router to mount under /api/v1
+ */
+function createApiV1Router({ getContractAddress, getSenderAccount, getEventIndexer = () => null, getKeyRegistryAddress = () => null }) {
+  const router = express.Router()
+  router.use(requireSession)
+
+  router.param('fileHash', (req, res, next, fileHash) => {
+    if (validateFileHash(fileHash).error) {
+      logSecurityEvent('INVALID_INPUT', { operation: 'api_v1', error: 'Invalid fileHash' })
+      return res.status(400).json({ error: 'Invalid fileHash: expected 0x followed by 64 hex characters' })
+    }
+    next()
+  })
+
+  /**
+   * Look up an active file the signed-in account can access, answering 404, 410 or 403 otherwise
+   * @param {Object|null} found - File info already read, instead of the file in the path
+   * @returns {Promise<Object|null>} File info, or null if a response was sent
+   */
+  async function findActiveFile(req, res, found = null) {
+    const file = found || await getFileInfo(req.params.fileHash, getContractAddress())
+    if (file.status === 'not_found') {
+      res.status(404).json({ error: 'File not found' })
+      return null
+    }
+    if (file.status === 'deleted') {
+      res.status(410).json({ error: 'File has been deleted' })
+      return null
+    }
+    if (!(await hasFileAccess(file.fileHash, req.session.address, getContractAddress()))) {
+      logSecurityEvent('ACCESS_DENIED', { fileHash: `${file.fileHash.substring(0, 8)}...`, operation: 'api_v1' })
+      res.status(403).json({ error: 'This account has no access to the file' })
+      return null
+    }
+    return file
+  }
+
+  function handle(operation, handler) {
+    return async (req, res) => {
+      try {
+        await handler(req, res)
+      } catch (error) {
+        logError(error, { operation: `api_v1_${operation}` })
+        if (res.headersSent) {
+          // Failed while streaming a body: the status is already sent, so cut the response short
+          return res.destroy()
+        }
+        res.status(statusForError(error)).json({ error: error.message })
+      }
+    }
+  }
+
+  router.get('/files/:fileHash', handle('get_file', async (req, res) => {
+    const file = await findActiveFile(req, res)
+    if (file) {
+      res.json(describeFile(file))
+    }
+  }))
+
+  router.get('/files/:fileHash/content', handle('get_content', async (req, res) => {
+    const file = await findActiveFile(req, res)
+    if (!file) {
+      return
+    }
+    const sender = getSenderAccount()
+    await sendFileContent(req, res, file, getContractAddress(), { recipientPrivateKey: sender.privateKey, callerAddress: sender.address })
+  }))
+
+  router.get('/files/:fileHash/versions', handle('list_versions', async (req, res) => {
+    if (!(await findActiveFile(req, res))) {
+      return
+    }
+    const history = await getFileVersions(req.params.fileHash, getContractAddress())
+    // Access is checked per version, as in findVersion: the account may hold only some of them
+    const versions = []
+    for (const entry of history.versions) {
+      const readable = entry.status === 'active' && await hasFileAccess(entry.fileHash, req.session.address, getContractAddress())
+      versions.push(readable
+        ? { version: entry.version, status: entry.status, ...describeFile(entry) }
+        : { version: entry.version, status: entry.status, fileHash: entry.fileHash })
+    }
+    res.json({ lineage: history.lineage, latest: history.latest, versions })
+  }))
+
+  /**
+   * Look up a version the signed-in account can access, answering 404, 410 or 403 otherwise
+   * Access is checked on the version itself: recipients added later may not hold earlier versions.
+   * @returns {Promise<Object|null>} File info with its version number, or null if a response was sent
+   */
+  async function findVersion(req, res) {
+    const entry = await getFileVersion(req.params.fileHash, req.params.version, getContractAddress())
+    if (!entry) {
+      res.status(404).json({ error: 'Version not found' })
+      return null
+    }
+    return findActiveFile(req, res, entry)
+  }
+
+  router.get('/files/:fileHash/versions/:version', handle('get_version', async (req, res) => {
+    const file = await findVersion(req, res)
+    if (file) {
+      res.json({ version: file.version, ...describeFile(file) })
+    }
+  }))
+
+  router.get('/files/:fileHash/versions/:version/content', handle('get_version_content', async (req, res) => {
+    const file = await findVersion(req, res)
+    if (!file) {
+      return
+    }
+    const sender = getSenderAccount()
+    await sendFileContent(req, res, file, getContractAddress(), { recipientPrivateKey: sender.privateKey, callerAddress: sender.address })
+  }))
+
+  router.delete('/files/:fileHash', handle('delete_file', async (req, res) => {
+    const file = await findActiveFile(req, res)
+    if (!file) {
+      return
+    }
+    // The server can only sign as its own account, so it deletes the files it uploaded, and only for the account it uploaded them for.
+    // The chain does not know that account: uploadedBy is the server's own record of it
+    const sender = getSenderAccount()
+    if (sameAddress(file.owner, req.session.address)) {
+      return res.status(403).json({ error: 'The file is owned by this account: delete it from the wallet, or sign a deleteFile request for the relayer' })
+    }
+    if (!sameAddress(file.owner, sender.address) || !sameAddress(file.uploadedBy, req.session.address)) {
+      logSecurityEvent('UNAUTHORIZED_DELETE', { fileHash: `${file.fileHash.substring(0, 8)}...` })
+      return res.status(403).json({ error: 'Only the account the file was uploaded for can delete it' })
+    }
+    const result = await deleteFileFromBlockchain(file.fileHash, sender.privateKey, getContractAddress())
+    logger.info('API_V1_FILE_DELETED', { fileHash: `${file.fileHash.substring(0, 8)}...`, txHash: result.txHash })
+    res.json({ fileHash: result.fileHash, txHash: result.txHash, unpinned: result.unpinned })
+  }))
+
+  router.get('/owners/:address/files', handle('list_owner_files', async (req, res) => {
+    if (validateAddress(req.params.address).error) {
+      return res.status(400).json({ error: 'Invalid address' })
+    }
+    if (!sameAddress(req.params.address, req.session.address)) {
+      logSecurityEvent('ACCESS_DENIED', { operation: 'list_owner_files' })
+      return res.status(403).json({ error: 'Accounts can only list their own files' })
+    }
+    const files = await listOwnerFiles(req.params.address, getContractAddress())
+    const sender = getSenderAccount()
+    if (!sameAddress(req.params.address, sender.address)) {
+      const uploadedFor = await listOwnerFiles(sender.address, getContractAddress())
+      files.push(...uploadedFor.filter(file => sameAddress(file.uploadedBy, req.params.address)))
+    }
+    res.json({ owner: req.params.address, files })
+  }))
+
+  router.param('collectionId', (req, res, next, collectionId) => {
+    if (!/^[1-9]\d{0,15}$/.test(collectionId)) {
+      return res.status(400).json({ error: 'Invalid collectionId: expected a positive integer' })
+    }
+    next()
+  })
+
+  /**
+   * @returns {boolean} True if the signed-in account manages the collection: the server created it for the account
+   */
+  function managesCollection(req, collection) {
+    return sameAddress(collection.owner, getSenderAccount().address) && sameAddress(collection.createdFor, req.session.address)
+  }
+
+  /**
+   * Look up a collection the signed-in account may use, answering 404 or 403 otherwise
+   * Accounts read the collections they own on-chain or manage, and change only those they manage.
+   * @param {boolean} manage - True when the request changes the collection
+   * @returns {Promise<Object|null>} Collection, or null if a response was sent
+   */
+  async function findCollection(req, res, manage = false) {
+    const collection = await getCollection(req.params.collectionId, getContractAddress())
+    if (!collection) {
+      res.status(404).json({ error: 'Collection not found' })
+      return null
+    }
+    if (managesCollection(req, collection)) {
+      return collection
+    }
+    if (!manage && sameAddress(collection.owner, req.session.address)) {
+      return collection
+    }
+    logSecurityEvent('ACCESS_DENIED', { operation: 'api_v1_collection', collectionId: collection.collectionId })
+    res.status(403).json({ error: manage ? 'Only the account the collection was created for can change it' : 'This account cannot use the collection' })
+    return null
+  }
+
+  router.get('/owners/:address/collections', handle('list_collections', async (req, res) => {
+    if (validateAddress(req.params.address).error) {
+      return res.status(400).json({ error: 'Invalid address' })
+    }
+    if (!sameAddress(req.params.address, req.session.address)) {
+      logSecurityEvent('ACCESS_DENIED', { operation: 'list_collections' })
+      return res.status(403).json({ error: 'Accounts can only list their own collections' })
+    }
+    const collections = await listCollections(req.params.address, getContractAddress())
+    const sender = getSenderAccount()
+    if (!sameAddress(req.params.address, sender.address)) {
+      const createdFor = await listCollections(sender.address, getContractAddress())
+      collections.push(...createdFor.filter(collection => sameAddress(collection.createdFor, req.params.address)))
+    }
+    res.json({ owner: req.params.address, collections })
+  }))
+
+  router.post('/collections', handle('create_collection', async (req, res) => {
+    const { name } = req.body || {}
+    const sender = getSenderAccount()
+    const result = await createCollection(name, sender.privateKey, getContractAddress(), { createdFor: req.session.address })
+    logger.info('API_V1_COLLECTION_CREATED', { collectionId: result.collectionId, txHash: result.txHash })
+    res.status(201).json({ collectionId: result.collectionId, name: result.name, owner: result.owner, createdFor: req.session.address, txHash: result.txHash })
+  }))
+
+  router.get('/collections/:collectionId', handle('get_collection', async (req, res) => {
+    const collection = await findCollection(req, res)
+    if (collection) {
+      res.json(collection)
+    }
+  }))
+
+  router.patch('/collections/:collectionId', handle('rename_collection', async (req, res) => {
+    const collection = await findCollection(req, res, true)
+    if (!collection) {
+      return
+    }
+    const { name } = req.body || {}
+    const result = await renameCollection(collection.collectionId, name, getSenderAccount().privateKey, getContractAddress())
+    res.json(result)
+  }))
+
+  router.post('/collections/:collectionId/files', handle('add_to_collection', async (req, res) => {
+    const collection = await findCollection(req, res, true)
+    if (!collection) {
+      return
+    }
+    const { fileHashes } = req.body || {}
+    if (!Array.isArray(fileHashes) || fileHashes.length === 0 || fileHashes.some(fileHash => validateFileHash(fileHash).error)) {
+      return res.status(400).json({ error: 'fileHashes must be a non-empty array of 0x-prefixed 32-byte hashes' })
+    }
+    // Only files the server uploaded for this account: the server owns other accounts' uploads too,
+    // and the registry lets it add no file it does not own
+    const sender = getSenderAccount()
+    for (const fileHash of fileHashes) {
+      const file = await getFileInfo(fileHash, getContractAddress())
+      if (file.status !== 'active') {
+        return res.status(file.status === 'deleted' ? 410 : 404).json({ error: `File ${fileHash} is not active` })
+      }
+      if (sameAddress(file.owner, req.session.address)) {
+        return res.status(403).json({ error: `File ${fileHash} is owned by this account: add it to a collection the account owns, from the wallet` })
+      }
+      if (!sameAddress(file.owner, sender.address) || !sameAddress(file.uploadedBy, req.session.address)) {
+        logSecurityEvent('ACCESS_DENIED', { operation: 'add_to_collection', fileHash: `${fileHash.substring(0, 8)}...` })
+        return res.status(403).json({ error: `File ${fileHash} was not uploaded for this account` })
+      }
+      if (collection.files.includes(file.fileHash)) {
+        return res.status(409).json({ error: `File ${fileHash} is already in the collection` })
+      }
+    }
+    res.json(await addToCollection(collection.collectionId, fileHashes, sender.privateKey, getContractAddress()))
+  }))
+
+  router.delete('/collections/:collectionId/files/:fileHash', handle('remove_from_collection', async (req, res) => {
+    const collection = await findCollection(req, res, true)
+    if (!collection) {
+      return
+    }
+    if (!collection.files.includes(req.params.fileHash.toLowerCase())) {
+      return res.status(404).json({ error: 'File is not in the collection' })
+    }
+    res.json(await removeFromCollection(collection.collectionId, [req.params.fileHash], getSenderAccount().privateKey, getContractAddress()))
+  }))
+
+  router.post('/collections/:collectionId/shares', handle('share_collection', async (req, res) => {
+    const collection = await findCollection(req, res, true)
+    if (!collection) {
+      return
+    }
+    const { recipient, publicKey } = req.body || {}
+    if (validateAddress(recipient).error) {
+      return res.status(400).json({ error: 'Invalid recipient address' })
+    }
+    let recipientPublicKey = publicKey
+    if (!recipientPublicKey) {
+      const keyRegistryAddress = getKeyRegistryAddress()
+      if (!keyRegistryAddress) {
+        return res.status(400).json({ error: 'publicKey is required: no PublicKeyRegistry is deployed to look it up' })
+      }
+      recipientPublicKey = (await resolveRecipientPublicKey(recipient, keyRegistryAddress)).publicKey
+    }
+    const sender = getSenderAccount()
+    const result = await shareCollection(collection.collectionId, recipient, recipientPublicKey, sender.privateKey, getContractAddress())
+    logger.info('API_V1_COLLECTION_SHARED', { collectionId: result.collectionId, files: result.fileHashes.length, txHash: result.txHash })
+    res.json(result)
+  }))
+
+  /**
+   * Answer with indexed events, or 503 when there is no index
+   * @param {Function} query - (store) => events
+   */
+  function sendEvents(res, query) {
+    const indexer = getEventIndexer()
+    if (!indexer) {
+      return res.status(503).json({ error: 'Events are not indexed on this server' })
+    }
+    // Clients can tell how current the answer is
+    res.json({ events: query(indexer.store), indexedThrough: indexer.store.nextBlock - 1 })
+  }
+
+  router.get('/owners/:address/uploads', (req, res) => {
+    if (validateAddress(req.params.address).error) {
+      return res.status(400).json({ error: 'Invalid address' })
+    }
+    sendEvents(res, store => store.uploadsByOwner(req.params.address))
+  })
+
+  router.get('/files/:fileHash/downloads', (req, res) => {
+    sendEvents(res, store => store.downloadsOfFile(req.params.fileHash))
+  })
+
+  router.get('/events/uploads', (req, res) => {
+    const from = req.query.from === undefined ? 0 : parseTime(req.query.from)
+    const to = req.query.to === undefined ? Number.MAX_SAFE_INTEGER : parseTime(req.query.to)
+    if (Number.isNaN(from) || Number.isNaN(to) || from > to) {
+      return res.status(400).json({ error: 'Invalid time range: from and to are unix seconds or ISO 8601 dates, from before to' })
+    }
+    sendEvents(res, store => store.uploadsBetween(from, to))
+  })
+
+  router.get('/events/access-denied', (req, res) => {
+    const { fileHash, requester } = req.query
+    if ((fileHash !== undefined && validateFileHash(fileHash).error) || (requester !== undefined && validateAddress(requester).error)) {
+      return res.status(400).json({ error: 'Invalid fileHash or requester' })
+    }
+    sendEvents(res, store => store.accessDenied({ fileHash, address: requester }))
+  })
+
+  return router
+}
+
+module.exports = {
+  createApiV1Router,
+  statusForError
+}
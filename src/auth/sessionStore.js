@@ -0,0 +1,197 @@
+/*
+ * Project: DecentraFile
+ * Author: Thor Thor
+ * Contact: codethor@gmail.com
+ * LinkedIn: https://www.linkedin.com/in/thor-thor0
+ */
+
+/**
+ * Sign-in nonces and sessions
+ *
+ * Nonces live in memory only: one that is lost on restart just means signing in again.
+ * Sessions are persisted like the other mappings (a JSON file written atomically, or
+ * memory only) and kept for SESSION_TTL_HOURS. They are stored under a hash of the
+ * session id, so the file does not hold anything that can be replayed as a cookie.
+ */
+
+const fs = require('fs')
+const path = require('path')
+const crypto = require('crypto')
+const { logger, logError } = require('../utils/logger')
+
+const SESSIONS_FILE = process.env.SESSIONS_FILE || (process.env.IPFS_MAPPING_FILE ? path.join(path.dirname(process.env.IPFS_MAPPING_FILE), 'sessions.json') : null)
+const DEFAULT_SESSION_TTL_MS = (Number(process.env.SESSION_TTL_HOURS) || 24) * 60 * 60 * 1000
+const NONCE_TTL_MS = 10 * 60 * 1000
+
+// Unused nonces are dropped oldest first past this many, so requesting nonces cannot exhaust memory
+const MAX_PENDING_NONCES = 10000
+
+/**
+ * @param {string} sessionId - Session id as sent in the cookie
+ * @returns {string} Key the session is stored under
+ */
+function sessionKey(sessionId) {
+  return crypto.createHash('sha256').update(String(sessionId)).digest('hex')
+}
+
+class SessionStore {
+  /**
+   * @param {string|null} filePath - JSON file to persist sessions to; null keeps them in memory
+   * @param {number} ttlMs - How long a session lasts
+   */
+  constructor(filePath = SESSIONS_FILE, ttlMs = DEFAULT_SESSION_TTL_MS) {
+    this.filePath = filePath
+    this.ttlMs = ttlMs
+    this.sessions = new Map()
+    this.nonces = new Map()
+    this.load()
+  }
+
+  /**
+   * Load sessions from disk, keeping a backup of a corrupted file
+   */
+  load() {
+    if (!this.filePath || !fs.existsSync(this.filePath)) {
+      return
+    }
+    try {
+      const parsed = JSON.parse(fs.readFileSync(this.filePath, 'utf8') || '{}')
+      if (typeof parsed !== 'object' || parsed === null || Array.isArray(parsed)) {
+        throw new Error('Invalid sessions file format: expected object')
+      }
+      for (const [key, session] of Object.entries(parsed)) {
+        if (session && typeof session.address === 'string' && typeof session.expiresAt === 'string') {
+          this.sessions.set(key, session)
+        }
+      }
+      logger.debug('Loaded sessions', { count: this.sessions.size })
+    } catch (error) {
+      logError(error, { operation: 'load_sessions' })
+      logger.warn('Failed to load sessions file, starting empty')
+      try {
+        fs.copyFileSync(this.filePath, `${this.filePath}.corrupted.${Date.now()}`)
+      } catch (backupError) {
+        // Ignore backup errors
+      }
+    }
+  }
+
+  /**
+   * Write all sessions to disk (atomic: temp file, then rename)
+   */
+  save() {
+    if (!this.filePath) {
+      return
+    }
+    const tempFile = `${this.filePath}.tmp`
+    try {
+      fs.mkdirSync(path.dirname(this.filePath), { recursive: true })
+      fs.writeFileSync(tempFile, JSON.stringify(Object.fromEntries(this.sessions), null, 2), { encoding: 'utf8', mode: 0o600 })
+      fs.renameSync(tempFile, this.filePath)
+    } catch (error) {
+      logError(error, { operation: 'save_sessions' })
+      logger.warn('Failed to save sessions file, continuing with in-memory only')
+      fs.rmSync(tempFile, { force: true })
+    }
+  }
+
+  /**
+   * Issue a nonce for a sign-in message
+   * @returns {Object} { nonce, expiresAt }
+   */
+  issueNonce() {
+    const now = Date.now()
+    for (const [nonce, expiresAt] of this.nonces) {
+      if (expiresAt > now && this.nonces.size < MAX_PENDING_NONCES) {
+        break
+      }
+      this.nonces.delete(nonce)
+    }
+    // 128 bits, alphanumeric as EIP-4361 requires
+    const nonce = crypto.randomBytes(16).toString('hex')
+    const expiresAt = now + NONCE_TTL_MS
+    this.nonces.set(nonce, expiresAt)
+    return { nonce, expiresAt: new Date(expiresAt).toISOString() }
+  }
+
+  /**
+   * Use up a nonce; each one is accepted once
+   * @param {string} nonce - Nonce from a signed message
+   * @returns {boolean} True if the nonce was issued here, has not expired and was not used before
+   */
+  consumeNonce(nonce) {
+    const expiresAt = this.nonces.get(nonce)
+    this.nonces.delete(nonce)
+    return expiresAt !== undefined && expiresAt > Date.now()
+  }
+
+  /**
+   * Start a session for a verified account
+   * @param {Object} details - { address, publicKey, chainId }
+   * @returns {Object} { id, address, publicKey, chainId, createdAt, expiresAt }; id is only returned here
+   */
+  create(details) {
+    this.prune()
+    const id = crypto.randomBytes(32).toString('base64url')
+    const now = Date.now()
+    const session = {
+      address: details.address,
+      publicKey: details.publicKey,
+      chainId: details.chainId,
+      createdAt: new Date(now).toISOString(),
+      expiresAt: new Date(now + this.ttlMs).toISOString()
+    }
+    this.sessions.set(sessionKey(id), session)
+    this.save()
+    return { id, ...session }
+  }
+
+  /**
+   * @param {string} id - Session id
+   * @returns {Object|null} The session, or null if it is unknown or expired
+   */
+  get(id) {
+    if (!id) {
+      return null
+    }
+    const session = this.sessions.get(sessionKey(id))
+    if (!session || Date.parse(session.expiresAt) <= Date.now()) {
+      return null
+    }
+    return { ...session }
+  }
+
+  /**
+   * End a session
+   * @param {string} id - Session id
+   * @returns {boolean} True if a session was removed
+   */
+  destroy(id) {
+    if (!id || !this.sessions.delete(sessionKey(id))) {
+      return false
+    }
+    this.save()
+    return true
+  }
+
+  /**
+   * Drop expired sessions
+   */
+  prune() {
+    const now = Date.now()
+    let dropped = 0
+    for (const [key, session] of this.sessions) {
+      if (Date.parse(session.expiresAt) <= now) {
+        this.sessions.delete(key)
+        dropped++
+      }
+    }
+    if (dropped > 0) {
+      this.save()
+    }
+  }
+}
+
+module.exports = {
+  SessionStore
+}
@@ -0,0 +1,182 @@
+/*
+ * Project: DecentraFile
+ * Author: Thor Thor
+ * Contact: codethor@gmail.com
+ * LinkedIn: https://www.linkedin.com/in/thor-thor0
+ */
+
+/**
+ * Sign-In with Ethereum (EIP-4361) messages
+ *
+ * A wallet signs a plain-text message naming the site (domain), the account, the chain
+ * and a server-issued nonce with personal_sign. Recovering the signer from the signature
+ * proves control of the account, and also yields its secp256k1 public key, which file
+ * keys can be wrapped to.
+ */
+
+const { Web3 } = require('web3')
+const { recoverPublicKeyFromSignature, publicKeyToAddress } = require('../crypto/crypto')
+
+const HEADER_SUFFIX = ' wants you to sign in with your Ethereum account:'
+const SIWE_VERSION = '1'
+
+// Clocks of the wallet's machine and the server may differ a little
+const CLOCK_SKEW_MS = 5 * 60 * 1000
+
+// Optional and required fields after the statement, in the order EIP-4361 lists them
+const FIELD_LABELS = [
+  ['uri', 'URI'],
+  ['version', 'Version'],
+  ['chainId', 'Chain ID'],
+  ['nonce', 'Nonce'],
+  ['issuedAt', 'Issued At'],
+  ['expirationTime', 'Expiration Time'],
+  ['notBefore', 'Not Before'],
+  ['requestId', 'Request ID']
+]
+const REQUIRED_FIELDS = ['uri', 'version', 'chainId', 'nonce', 'issuedAt']
+
+// EIP-4361 nonces are at least 8 alphanumeric characters
+const NONCE_PATTERN = /^[a-zA-Z0-9]{8,}$/
+
+/**
+ * Build the message a wallet signs
+ * @param {Object} fields - { domain, address, statement, uri, version, chainId, nonce, issuedAt, expirationTime, notBefore, requestId, resources }
+ * @returns {string} EIP-4361 message
+ */
+function createSiweMessage(fields) {
+  const lines = [`${fields.domain}${HEADER_SUFFIX}`, fields.address, '']
+  if (fields.statement) {
+    lines.push(fields.statement, '')
+  }
+  const values = { version: SIWE_VERSION, ...fields }
+  for (const [key, label] of FIELD_LABELS) {
+    if (values[key] !== undefined && values[key] !== null) {
+      lines.push(`${label}: ${values[key]}`)
+    }
+  }
+  if (fields.resources && fields.resources.length > 0) {
+    lines.push('Resources:', ...fields.resources.map(resource => `- ${resource}`))
+  }
+  return lines.join('\n')
+}
+
+/**
+ * Parse a message built by createSiweMessage or a wallet library
+ * @param {string} message - EIP-4361 message
+ * @returns {Object} Fields as named in createSiweMessage; chainId is a number
+ * @throws {Error} If the message is not a well-formed EIP-4361 message
+ */
+function parseSiweMessage(message) {
+  if (typeof message !== 'string' || message.length === 0 || message.length > 4096) {
+    throw new Error('Validation failed: sign-in message must be a non-empty string of at most 4096 characters')
+  }
+  const lines = message.split('\n')
+  if (!lines[0].endsWith(HEADER_SUFFIX)) {
+    throw new Error('Validation failed: not a Sign-In with Ethereum message')
+  }
+  const fields = { domain: lines[0].slice(0, -HEADER_SUFFIX.length), address: lines[1] }
+  if (!fields.domain || !/^0x[a-fA-F0-9]{40}$/.test(fields.address || '')) {
+    throw new Error('Validation failed: sign-in message has no domain or account')
+  }
+
+  let index = 2
+  while (index < lines.length && lines[index] === '') {
+    index++
+  }
+  if (index < lines.length && !lines[index].startsWith('URI: ')) {
+    fields.statement = lines[index++]
+    while (index < lines.length && lines[index] === '') {
+      index++
+    }
+  }
+
+  for (const [key, label] of FIELD_LABELS) {
+    if (index < lines.length && lines[index].startsWith(`${label}: `)) {
+      fields[key] = lines[index++].slice(label.length + 2)
+    }
+  }
+  if (lines[index] === 'Resources:') {
+    fields.resources = []
+    for (index++; index < lines.length && lines[index].startsWith('- '); index++) {
+      fields.resources.push(lines[index].slice(2))
+    }
+  }
+  if (index < lines.length) {
+    throw new Error(`Validation failed: unexpected line in sign-in message: ${lines[index].substring(0, 40)}`)
+  }
+
+  const missing = REQUIRED_FIELDS.filter(key => fields[key] === undefined)
+  if (missing.length > 0) {
+    throw new Error(`Validation failed: sign-in message is missing ${missing.join(', ')}`)
+  }
+  if (fields.version !== SIWE_VERSION) {
+    throw new Error(`Validation failed: unsupported sign-in message version ${fields.version}`)
+  }
+  if (!/^[1-9][0-9]*$/.test(fields.chainId)) {
+    throw new Error('Validation failed: invalid chain ID in sign-in message')
+  }
+  fields.chainId = Number(fields.chainId)
+  if (!NONCE_PATTERN.test(fields.nonce)) {
+    throw new Error('Validation failed: invalid nonce in sign-in message')
+  }
+  for (const key of ['issuedAt', 'expirationTime', 'notBefore']) {
+    if (fields[key] !== undefined && isNaN(Date.parse(fields[key]))) {
+      throw new Error(`Validation failed: invalid date in sign-in message: ${fields[key]}`)
+    }
+  }
+  return fields
+}
+
+/**
+ * Check a signed sign-in message
+ *
+ * The nonce is not checked here: it must also be one the server issued and has not
+ * accepted before, which only the caller's nonce store knows.
+ *
+ * @param {string} message - EIP-4361 message
+ * @param {string} signature - 65-byte hex personal_sign signature
+ * @param {Object} expected - { domain, chainId, now } the message must match; now defaults to the current time
+ * @returns {Object} { address (checksummed), publicKey (0x04 hex), fields }
+ * @throws {Error} 'Validation failed: ...' for malformed messages, 'Sign-in failed: ...' for rejected ones
+ */
+function verifySiweMessage(message, signature, expected) {
+  const fields = parseSiweMessage(message)
+  const now = (expected.now || new Date()).getTime()
+
+  if (fields.domain !== expected.domain) {
+    throw new Error(`Sign-in failed: message is for ${fields.domain}, not ${expected.domain}`)
+  }
+  if (fields.chainId !== Number(expected.chainId)) {
+    throw new Error(`Sign-in failed: message is for chain ${fields.chainId}, not ${expected.chainId}`)
+  }
+  if (fields.address !== Web3.utils.toChecksumAddress(fields.address)) {
+    throw new Error('Sign-in failed: account address is not EIP-55 checksummed')
+  }
+  if (Date.parse(fields.issuedAt) > now + CLOCK_SKEW_MS) {
+    throw new Error('Sign-in failed: message is issued in the future')
+  }
+  if (fields.expirationTime && Date.parse(fields.expirationTime) <= now) {
+    throw new Error('Sign-in failed: message has expired')
+  }
+  if (fields.notBefore && Date.parse(fields.notBefore) > now + CLOCK_SKEW_MS) {
+    throw new Error('Sign-in failed: message is not valid yet')
+  }
+
+  let publicKey
+  try {
+    publicKey = recoverPublicKeyFromSignature(message, signature)
+  } catch (error) {
+    throw new Error(`Sign-in failed: ${error.message}`)
+  }
+  if (publicKeyToAddress(publicKey) !== fields.address.toLowerCase()) {
+    throw new Error('Sign-in failed: signature was not made by the message account')
+  }
+  return { address: fields.address, publicKey, fields }
+}
+
+module.exports = {
+  createSiweMessage,
+  parseSiweMessage,
+  verifySiweMessage
+}
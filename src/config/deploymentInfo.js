@@ -60,6 +60,23 @@ function getFileRegistryAddress() {
   return artifact.contracts.FileRegistry.address
 }
 
+/**
+ * Get PublicKeyRegistry contract address for current network
+ * Artifacts written before the key directory existed have no entry for it
+ * @returns {string|null} Contract address, or null if not deployed
+ */
+function getPublicKeyRegistryAddress() {
+  const artifact = loadDeploymentArtifact()
+  const entry = artifact.contracts.PublicKeyRegistry
+  if (!entry || !entry.address) {
+    return null
+  }
+  if (!entry.address.match(/^0x[a-fA-F0-9]{40}$/)) {
+    throw new Error(`Invalid PublicKeyRegistry address format: ${entry.address}`)
+  }
+  return entry.address
+}
+
 /**
  * Get chain ID from deployment artifact
  * @returns {number} Chain ID
@@ -78,10 +95,23 @@ function getDeploymentTimestamp() {
   return artifact.contracts.FileRegistry.deployedAt || null
 }
 
+/**
+ * Get the block FileRegistry was deployed in
+ * Artifacts written before it was recorded have none
+ * @returns {number|null} Block number
+ */
+function getDeploymentBlock() {
+  const artifact = loadDeploymentArtifact()
+  const blockNumber = artifact.contracts.FileRegistry.blockNumber
+  return Number.isInteger(blockNumber) ? blockNumber : null
+}
+
 module.exports = {
   loadDeploymentArtifact,
   getFileRegistryAddress,
+  getPublicKeyRegistryAddress,
   getChainId,
-  getDeploymentTimestamp
+  getDeploymentTimestamp,
+  getDeploymentBlock
 }
 
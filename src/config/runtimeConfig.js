@@ -11,7 +11,30 @@
  */
 
 const ALLOWED_NETWORKS = ['local', 'testnet', 'mainnet']
-const ALLOWED_STORAGE_MODES = ['mock', 'ipfs']
+const ALLOWED_STORAGE_MODES = ['mock', 'ipfs', 'local', 's3']
+const DEFAULT_STORAGE_PATH = 'data/storage'
+// none: never pin; local: pin on the storage backend; remote: pin with the pinning service; both: local and remote
+const ALLOWED_PIN_POLICIES = ['none', 'local', 'remote', 'both']
+const DEFAULT_MAX_FILE_SIZE = 10 * 1024 * 1024 * 1024 // 10GB; uploads are streamed, so this is a policy limit, not a memory one
+
+/**
+ * Read an integer environment variable
+ * @param {string} name - Variable name
+ * @param {number} defaultValue - Value when the variable is unset or empty
+ * @param {number} min - Smallest allowed value
+ * @returns {number} The setting
+ */
+function readIntegerSetting(name, defaultValue, min) {
+  const setting = process.env[name]
+  if (setting === undefined || setting === '') {
+    return defaultValue
+  }
+  const value = Number(setting)
+  if (!Number.isSafeInteger(value) || value < min) {
+    throw new Error(`Invalid ${name}: ${setting}. Expected an integer of at least ${min}`)
+  }
+  return value
+}
 
 /**
  * Get and validate network configuration
@@ -59,13 +82,82 @@ function getRuntimeConfig() {
     }
   }
 
-  // Determine IPFS endpoint
-  let ipfsEndpoint = process.env.IPFS_ENDPOINT
-  if (storageMode === 'ipfs' && !ipfsEndpoint) {
+  // Determine IPFS endpoints; a comma-separated IPFS_ENDPOINT replicates across several nodes
+  let ipfsEndpoints = (process.env.IPFS_ENDPOINT || '').split(',').map(endpoint => endpoint.trim()).filter(Boolean)
+  if (storageMode === 'ipfs' && ipfsEndpoints.length === 0) {
     throw new Error('IPFS_ENDPOINT environment variable is required when DECENTRAFILE_STORAGE=ipfs')
   }
-  if (storageMode === 'mock') {
-    ipfsEndpoint = null
+  if (storageMode !== 'ipfs') {
+    ipfsEndpoints = []
+  }
+  const ipfsEndpoint = ipfsEndpoints.length > 0 ? ipfsEndpoints[0] : null
+
+  const replicationFactor = readIntegerSetting('IPFS_REPLICATION_FACTOR', Math.max(ipfsEndpoints.length, 1), 1)
+  const ipfsReplication = {
+    replicationFactor,
+    writeQuorum: readIntegerSetting('IPFS_WRITE_QUORUM', Math.floor(replicationFactor / 2) + 1, 1),
+    hedgeDelayMs: readIntegerSetting('IPFS_HEDGE_DELAY_MS', 500, 0),
+    nodeTimeoutMs: readIntegerSetting('IPFS_NODE_TIMEOUT_MS', 15000, 1)
+  }
+  if (ipfsEndpoints.length > 0 && replicationFactor > ipfsEndpoints.length) {
+    throw new Error(`Invalid IPFS_REPLICATION_FACTOR: ${replicationFactor}. Only ${ipfsEndpoints.length} IPFS endpoint(s) configured`)
+  }
+  if (ipfsReplication.writeQuorum > replicationFactor) {
+    throw new Error(`Invalid IPFS_WRITE_QUORUM: ${ipfsReplication.writeQuorum}. Must not exceed the replication factor (${replicationFactor})`)
+  }
+
+  // Local content-addressed store (DECENTRAFILE_STORAGE=local)
+  const storagePath = process.env.DECENTRAFILE_STORAGE_PATH || DEFAULT_STORAGE_PATH
+
+  // S3-compatible bucket (DECENTRAFILE_STORAGE=s3); S3_ENDPOINT is only needed outside AWS, e.g. for MinIO
+  const s3 = {
+    bucket: process.env.S3_BUCKET || null,
+    endpoint: process.env.S3_ENDPOINT || null,
+    region: process.env.S3_REGION || 'us-east-1',
+    prefix: process.env.S3_PREFIX || ''
+  }
+  if (storageMode === 's3' && !s3.bucket) {
+    throw new Error('S3_BUCKET environment variable is required when DECENTRAFILE_STORAGE=s3')
+  }
+
+  // Pinning on upload: on the storage backend (local), with a remote pinning service, both, or none
+  const pinPolicy = (process.env.DECENTRAFILE_PIN_POLICY || 'local').toLowerCase()
+  if (!ALLOWED_PIN_POLICIES.includes(pinPolicy)) {
+    throw new Error(`Invalid DECENTRAFILE_PIN_POLICY: ${pinPolicy}. Allowed values: ${ALLOWED_PIN_POLICIES.join(', ')}`)
+  }
+  const pinningService = {
+    endpoint: process.env.PINNING_SERVICE_ENDPOINT || null,
+    accessToken: process.env.PINNING_SERVICE_TOKEN || null
+  }
+  if (pinningService.endpoint && !pinningService.accessToken) {
+    throw new Error('PINNING_SERVICE_TOKEN environment variable is required with PINNING_SERVICE_ENDPOINT')
+  }
+  if (pinPolicy === 'remote' || pinPolicy === 'both') {
+    if (!pinningService.endpoint) {
+      throw new Error(`PINNING_SERVICE_ENDPOINT environment variable is required when DECENTRAFILE_PIN_POLICY=${pinPolicy}`)
+    }
+    if (storageMode === 'local' || storageMode === 's3') {
+      throw new Error(`DECENTRAFILE_PIN_POLICY=${pinPolicy} requires IPFS storage: a pinning service cannot fetch content from DECENTRAFILE_STORAGE=${storageMode}`)
+    }
+  }
+
+  // Raw file keys on-chain are readable by anyone; only allow them off mainnet unless overridden
+  let allowPlaintextKeys = networkName !== 'mainnet'
+  const plaintextKeysSetting = process.env.DECENTRAFILE_ALLOW_PLAINTEXT_KEYS
+  if (plaintextKeysSetting !== undefined && plaintextKeysSetting !== '') {
+    if (!['true', 'false'].includes(plaintextKeysSetting.toLowerCase())) {
+      throw new Error(`Invalid DECENTRAFILE_ALLOW_PLAINTEXT_KEYS: ${plaintextKeysSetting}. Allowed values: true, false`)
+    }
+    allowPlaintextKeys = plaintextKeysSetting.toLowerCase() === 'true'
+  }
+
+  let maxFileSize = DEFAULT_MAX_FILE_SIZE
+  const maxFileSizeSetting = process.env.DECENTRAFILE_MAX_FILE_SIZE
+  if (maxFileSizeSetting !== undefined && maxFileSizeSetting !== '') {
+    maxFileSize = Number(maxFileSizeSetting)
+    if (!Number.isSafeInteger(maxFileSize) || maxFileSize < 1) {
+      throw new Error(`Invalid DECENTRAFILE_MAX_FILE_SIZE: ${maxFileSizeSetting}. Expected a positive number of bytes`)
+    }
   }
 
   return {
@@ -73,13 +165,24 @@ function getRuntimeConfig() {
     rpcUrl,
     chainId,
     storageMode,
-    ipfsEndpoint
+    ipfsEndpoint,
+    ipfsEndpoints,
+    ipfsReplication,
+    storagePath,
+    s3,
+    pinPolicy,
+    pinningService,
+    allowPlaintextKeys,
+    maxFileSize
   }
 }
 
 module.exports = {
   getRuntimeConfig,
   ALLOWED_NETWORKS,
-  ALLOWED_STORAGE_MODES
+  ALLOWED_STORAGE_MODES,
+  DEFAULT_STORAGE_PATH,
+  ALLOWED_PIN_POLICIES,
+  DEFAULT_MAX_FILE_SIZE
 }
 
@@ -20,6 +20,10 @@
  */
 
 const crypto = require('crypto')
+const { Transform } = require('stream')
+const { secp256k1 } = require('ethereum-cryptography/secp256k1')
+const { keccak256 } = require('ethereum-cryptography/keccak')
+const { isKeyEnvelope, encodeKeyEnvelope, decodeKeyEnvelope, KEY_ALGORITHMS, CONTENT_CIPHERS } = require('./keyEnvelope')
 
 // Constants
 const AES_KEY_SIZE = 32 // 256 bits
@@ -27,6 +31,18 @@ const AES_IV_SIZE = 16 // 128 bits
 const AES_AUTH_TAG_SIZE = 16 // 128 bits (GCM authentication tag size)
 const AES_ALGORITHM = 'aes-256-gcm'
 const MAX_ENCRYPTED_KEY_SIZE = 1024 // Maximum size for encrypted key blob (bytes)
+const ECIES_NONCE_SIZE = 12 // 96-bit GCM nonce for the wrapped key
+const ECIES_PUBLIC_KEY_SIZE = 33 // Compressed ephemeral secp256k1 public key
+const ECIES_HKDF_INFO = Buffer.from('DecentraFile ECIES v1', 'utf8')
+
+// Segmented streaming format (CONTENT_CIPHERS.AES_256_GCM_STREAM), see createEncryptStream
+const STREAM_MAGIC = Buffer.from('DFS', 'ascii')
+const STREAM_VERSION = 1
+const STREAM_NONCE_PREFIX_SIZE = 7 // Random per stream; followed by a 4-byte chunk counter and a 1-byte final flag
+const STREAM_HEADER_SIZE = STREAM_MAGIC.length + 1 + 4 + STREAM_NONCE_PREFIX_SIZE
+const STREAM_CHUNK_SIZE = 64 * 1024 // Default plaintext bytes per chunk
+const STREAM_MAX_CHUNK_SIZE = 16 * 1024 * 1024
+const STREAM_MAX_CHUNKS = 0xffffffff
 
 /**
  * Generate a cryptographically secure random symmetric key
@@ -170,6 +186,294 @@ function decryptFile(ciphertext, symmetricKey, iv, authTag) {
   }
 }
 
+/**
+ * Build the per-chunk GCM nonce: noncePrefix || counter (u32 BE) || final flag
+ * @param {Buffer} noncePrefix - 7-byte random stream prefix
+ * @param {number} counter - Chunk index
+ * @param {boolean} final - Whether this is the last chunk
+ * @returns {Buffer} 12-byte nonce
+ */
+function streamChunkNonce(noncePrefix, counter, final) {
+  const nonce = Buffer.alloc(STREAM_NONCE_PREFIX_SIZE + 5)
+  noncePrefix.copy(nonce, 0)
+  nonce.writeUInt32BE(counter, STREAM_NONCE_PREFIX_SIZE)
+  nonce[STREAM_NONCE_PREFIX_SIZE + 4] = final ? 1 : 0
+  return nonce
+}
+
+/**
+ * Create a Transform stream that encrypts with segmented AES-256-GCM
+ *
+ * STREAM construction: the plaintext is cut into fixed-size chunks and each chunk is
+ * sealed separately, so memory use is bounded by the chunk size and not the file size.
+ *
+ * Output layout:
+ *   header  'DFS' || version (1) || chunkSize (u32 BE) || noncePrefix (7)
+ *   chunks  ciphertext || tag (16), every chunk chunkSize bytes of plaintext except the last
+ *
+ * Each chunk's nonce is noncePrefix || counter || final flag and the header is bound as
+ * additional data. Reordering, dropping or appending chunks, or cutting the stream at a
+ * chunk boundary, all fail authentication on decryption.
+ *
+ * @param {Buffer} symmetricKey - The 32-byte AES key (copied; the caller may zero its own buffer)
+ * @param {Object} options - Stream options
+ * @param {number} options.chunkSize - Plaintext bytes per chunk (default STREAM_CHUNK_SIZE)
+ * @returns {Transform} Stream of ciphertext
+ * @throws {Error} If the key or chunk size is invalid
+ */
+function createEncryptStream(symmetricKey, options = {}) {
+  if (!Buffer.isBuffer(symmetricKey) || symmetricKey.length !== AES_KEY_SIZE) {
+    throw new Error(`Symmetric key must be a ${AES_KEY_SIZE}-byte Buffer`)
+  }
+  const chunkSize = options.chunkSize || STREAM_CHUNK_SIZE
+  if (!Number.isInteger(chunkSize) || chunkSize < 1 || chunkSize > STREAM_MAX_CHUNK_SIZE) {
+    throw new Error(`Chunk size must be between 1 and ${STREAM_MAX_CHUNK_SIZE} bytes`)
+  }
+
+  const key = Buffer.from(symmetricKey)
+  const noncePrefix = crypto.randomBytes(STREAM_NONCE_PREFIX_SIZE)
+  const header = Buffer.alloc(STREAM_HEADER_SIZE)
+  STREAM_MAGIC.copy(header, 0)
+  header[STREAM_MAGIC.length] = STREAM_VERSION
+  header.writeUInt32BE(chunkSize, STREAM_MAGIC.length + 1)
+  noncePrefix.copy(header, STREAM_MAGIC.length + 5)
+
+  let pending = Buffer.alloc(0)
+  let counter = 0
+  let headerSent = false
+
+  const seal = (stream, plaintext, final) => {
+    if (counter > STREAM_MAX_CHUNKS) {
+      throw new Error('Stream exceeds the maximum number of chunks')
+    }
+    if (!headerSent) {
+      stream.push(header)
+      headerSent = true
+    }
+    const cipher = crypto.createCipheriv(AES_ALGORITHM, key, streamChunkNonce(noncePrefix, counter, final))
+    cipher.setAAD(header)
+    stream.push(Buffer.concat([cipher.update(plaintext), cipher.final(), cipher.getAuthTag()]))
+    counter++
+  }
+
+  return new Transform({
+    transform(chunk, encoding, callback) {
+      try {
+        pending = pending.length > 0 ? Buffer.concat([pending, chunk]) : Buffer.from(chunk)
+        // Keep at least one byte back so the final chunk is never empty unless the input is
+        let offset = 0
+        while (pending.length - offset > chunkSize) {
+          seal(this, pending.subarray(offset, offset + chunkSize), false)
+          offset += chunkSize
+        }
+        pending = pending.subarray(offset)
+        callback()
+      } catch (error) {
+        callback(new Error(`Encryption failed: ${error.message}`))
+      }
+    },
+    flush(callback) {
+      try {
+        seal(this, pending, true)
+        callback()
+      } catch (error) {
+        callback(new Error(`Encryption failed: ${error.message}`))
+      } finally {
+        secureZero(key)
+      }
+    },
+    destroy(error, callback) {
+      secureZero(key)
+      callback(error)
+    }
+  })
+}
+
+/**
+ * Parse the header of a stream written by createEncryptStream
+ * @param {Buffer} data - The start of the stream, at least STREAM_HEADER_SIZE bytes
+ * @returns {Object} { header, chunkSize, noncePrefix }
+ * @throws {Error} If the data is not a supported encrypted stream
+ */
+function parseStreamHeader(data) {
+  if (!Buffer.isBuffer(data) || data.length < STREAM_HEADER_SIZE) {
+    throw new Error('Encrypted stream is truncated')
+  }
+  const header = Buffer.from(data.subarray(0, STREAM_HEADER_SIZE))
+  if (!header.subarray(0, STREAM_MAGIC.length).equals(STREAM_MAGIC)) {
+    throw new Error('Not a DecentraFile encrypted stream')
+  }
+  const version = header[STREAM_MAGIC.length]
+  if (version !== STREAM_VERSION) {
+    throw new Error(`Unsupported encrypted stream version: ${version}`)
+  }
+  const chunkSize = header.readUInt32BE(STREAM_MAGIC.length + 1)
+  if (chunkSize < 1 || chunkSize > STREAM_MAX_CHUNK_SIZE) {
+    throw new Error('Encrypted stream has an invalid chunk size')
+  }
+  return { header, chunkSize, noncePrefix: header.subarray(STREAM_MAGIC.length + 5) }
+}
+
+/**
+ * Work out the chunk layout of an encrypted stream from its header and total size
+ *
+ * The size comes from storage and is not authenticated. A wrong size only makes the
+ * chunks read with it fail authentication, since every chunk's nonce carries its
+ * position and whether it is the last one.
+ *
+ * @param {Buffer} header - The start of the stream, at least STREAM_HEADER_SIZE bytes
+ * @param {number} ciphertextSize - Size of the whole stream in bytes
+ * @returns {Object} { header, chunkSize, sealedChunkSize, chunks, plaintextSize }
+ * @throws {Error} If the header is invalid or the size cannot hold a final chunk
+ */
+function getStreamLayout(header, ciphertextSize) {
+  const parsed = parseStreamHeader(header)
+  const sealedChunkSize = parsed.chunkSize + AES_AUTH_TAG_SIZE
+  const bodySize = ciphertextSize - STREAM_HEADER_SIZE
+  // Only the final chunk may be short (or empty, for empty plaintext)
+  const chunks = Math.max(1, Math.ceil(bodySize / sealedChunkSize))
+  if (!Number.isSafeInteger(ciphertextSize) || bodySize - (chunks - 1) * sealedChunkSize < AES_AUTH_TAG_SIZE) {
+    throw new Error('Encrypted stream is truncated')
+  }
+  return {
+    header: parsed.header,
+    chunkSize: parsed.chunkSize,
+    sealedChunkSize,
+    chunks,
+    plaintextSize: bodySize - chunks * AES_AUTH_TAG_SIZE
+  }
+}
+
+/**
+ * Find the ciphertext that holds a range of plaintext
+ *
+ * Only whole chunks can be authenticated, so the ciphertext range covers every chunk the
+ * plaintext range touches. Decrypt it with createDecryptStream(key, { header, firstChunk,
+ * final }) and drop the first `skip` bytes of the output.
+ *
+ * @param {Object} layout - Result of getStreamLayout
+ * @param {number} start - First plaintext byte
+ * @param {number} end - Last plaintext byte (inclusive)
+ * @returns {Object} { offset, length, firstChunk, final, skip }: ciphertext byte range, index of its first chunk,
+ *   whether it ends with the final chunk, and the plaintext bytes before start
+ * @throws {Error} If the range is outside the plaintext
+ */
+function getStreamRange(layout, start, end) {
+  if (!Number.isInteger(start) || !Number.isInteger(end) || start < 0 || end < start || end >= layout.plaintextSize) {
+    throw new Error('Range is outside the plaintext')
+  }
+  const firstChunk = Math.floor(start / layout.chunkSize)
+  const lastChunk = Math.floor(end / layout.chunkSize)
+  const bodySize = layout.plaintextSize + layout.chunks * AES_AUTH_TAG_SIZE
+  const offset = firstChunk * layout.sealedChunkSize
+  return {
+    offset: STREAM_HEADER_SIZE + offset,
+    length: Math.min(bodySize, (lastChunk + 1) * layout.sealedChunkSize) - offset,
+    firstChunk,
+    final: lastChunk === layout.chunks - 1,
+    skip: start - firstChunk * layout.chunkSize
+  }
+}
+
+/**
+ * Create a Transform stream that decrypts the output of createEncryptStream
+ *
+ * Each chunk is authenticated before its plaintext is pushed downstream. A stream that
+ * ends without a final chunk (truncation) errors on end, so consumers must only treat
+ * the output as complete once the stream finishes without error.
+ *
+ * To decrypt a part of a stream (see getStreamRange), pass the header read separately
+ * and feed only the chunks of that part.
+ *
+ * @param {Buffer} symmetricKey - The 32-byte AES key (copied; the caller may zero its own buffer)
+ * @param {Object} options - Where the input starts, when it is not a whole stream
+ * @param {Buffer} options.header - Stream header; the input then starts at a chunk instead of the header
+ * @param {number} options.firstChunk - Index of the first chunk in the input (default 0)
+ * @param {boolean} options.final - Whether the input ends with the final chunk (default true)
+ * @returns {Transform} Stream of plaintext
+ * @throws {Error} If the key or header is invalid
+ */
+function createDecryptStream(symmetricKey, options = {}) {
+  if (!Buffer.isBuffer(symmetricKey) || symmetricKey.length !== AES_KEY_SIZE) {
+    throw new Error(`Symmetric key must be a ${AES_KEY_SIZE}-byte Buffer`)
+  }
+  const endsWithFinal = options.final !== false
+
+  let header = null
+  let noncePrefix = null
+  let sealedChunkSize = 0
+  let pending = Buffer.alloc(0)
+  let counter = options.firstChunk || 0
+
+  const useHeader = (data) => {
+    const parsed = parseStreamHeader(data)
+    header = parsed.header
+    noncePrefix = parsed.noncePrefix
+    sealedChunkSize = parsed.chunkSize + AES_AUTH_TAG_SIZE
+  }
+  if (options.header) {
+    useHeader(options.header)
+  }
+  const key = Buffer.from(symmetricKey)
+
+  const open = (stream, sealed, final) => {
+    if (sealed.length < AES_AUTH_TAG_SIZE) {
+      throw new Error('Encrypted stream is truncated')
+    }
+    const decipher = crypto.createDecipheriv(AES_ALGORITHM, key, streamChunkNonce(noncePrefix, counter, final))
+    decipher.setAAD(header)
+    decipher.setAuthTag(sealed.subarray(sealed.length - AES_AUTH_TAG_SIZE))
+    try {
+      stream.push(Buffer.concat([decipher.update(sealed.subarray(0, sealed.length - AES_AUTH_TAG_SIZE)), decipher.final()]))
+    } catch (error) {
+      throw new Error('Decryption failed: Invalid key, corrupted data, or tampering detected')
+    }
+    counter++
+  }
+
+  return new Transform({
+    transform(chunk, encoding, callback) {
+      try {
+        pending = pending.length > 0 ? Buffer.concat([pending, chunk]) : Buffer.from(chunk)
+        if (!header) {
+          if (pending.length < STREAM_HEADER_SIZE) {
+            return callback()
+          }
+          useHeader(pending)
+          pending = pending.subarray(STREAM_HEADER_SIZE)
+        }
+        // A full chunk is only known not to be the last once more data follows it
+        let offset = 0
+        while (pending.length - offset > sealedChunkSize) {
+          open(this, pending.subarray(offset, offset + sealedChunkSize), false)
+          offset += sealedChunkSize
+        }
+        pending = pending.subarray(offset)
+        callback()
+      } catch (error) {
+        callback(error)
+      }
+    },
+    flush(callback) {
+      try {
+        if (!header) {
+          throw new Error('Encrypted stream is truncated')
+        }
+        open(this, pending, endsWithFinal)
+        callback()
+      } catch (error) {
+        callback(error)
+      } finally {
+        secureZero(key)
+      }
+    },
+    destroy(error, callback) {
+      secureZero(key)
+      callback(error)
+    }
+  })
+}
+
 /**
  * Wrap a symmetric key with a recipient's public key using RSA-OAEP
  *
@@ -180,13 +484,19 @@ function decryptFile(ciphertext, symmetricKey, iv, authTag) {
  * - Uses RSA-OAEP padding with SHA-256 (PKCS#1 v2.1)
  * - Suitable for encrypting small amounts of data (keys)
  * - The wrapped key can be stored on-chain or transmitted securely
+ * - The result is a key envelope (see keyEnvelope.js) that also carries the
+ *   file's IV and auth tag, so the recipient can decrypt with nothing else
  *
  * @param {Buffer} symmetricKey - The symmetric key to wrap (32 bytes)
  * @param {string} recipientPublicKey - RSA public key in PEM format
- * @returns {Buffer} Encrypted symmetric key
+ * @param {Object} params - Parameters of the file ciphertext
+ * @param {string} params.iv - Hex-encoded IV returned by encryptFile
+ * @param {string} params.authTag - Hex-encoded auth tag returned by encryptFile
+ * @param {number} params.contentCipher - CONTENT_CIPHERS value of the file ciphertext (default AES_256_GCM)
+ * @returns {Buffer} Key envelope containing the encrypted symmetric key
  * @throws {Error} If wrapping fails or inputs are invalid
  */
-function wrapKeyForRecipient(symmetricKey, recipientPublicKey) {
+function wrapKeyForRecipient(symmetricKey, recipientPublicKey, params = {}) {
   if (!Buffer.isBuffer(symmetricKey) || symmetricKey.length !== AES_KEY_SIZE) {
     throw new Error(`Symmetric key must be a ${AES_KEY_SIZE}-byte Buffer`)
   }
@@ -194,8 +504,9 @@ function wrapKeyForRecipient(symmetricKey, recipientPublicKey) {
     throw new Error('Recipient public key must be in PEM format')
   }
 
+  let wrappedKey
   try {
-    const wrappedKey = crypto.publicEncrypt(
+    wrappedKey = crypto.publicEncrypt(
       {
         key: recipientPublicKey,
         padding: crypto.constants.RSA_PKCS1_OAEP_PADDING,
@@ -203,12 +514,6 @@ function wrapKeyForRecipient(symmetricKey, recipientPublicKey) {
       },
       symmetricKey
     )
-
-    if (wrappedKey.length > MAX_ENCRYPTED_KEY_SIZE) {
-      throw new Error(`Wrapped key exceeds maximum size of ${MAX_ENCRYPTED_KEY_SIZE} bytes`)
-    }
-
-    return wrappedKey
   } catch (error) {
     // Do not expose sensitive error details
     const errorMsg = error.message || 'Unknown error'
@@ -217,12 +522,27 @@ function wrapKeyForRecipient(symmetricKey, recipientPublicKey) {
     }
     throw new Error(`Key wrapping failed: ${errorMsg}`)
   }
+
+  const envelope = encodeKeyEnvelope({
+    algorithm: KEY_ALGORITHMS.RSA_OAEP_SHA256,
+    wrappedKey,
+    iv: params.iv,
+    authTag: params.authTag,
+    contentCipher: params.contentCipher
+  })
+  if (envelope.length > MAX_ENCRYPTED_KEY_SIZE) {
+    throw new Error(`Wrapped key exceeds maximum size of ${MAX_ENCRYPTED_KEY_SIZE} bytes`)
+  }
+  return envelope
 }
 
 /**
  * Unwrap a symmetric key using RSA-OAEP decryption
  *
- * @param {Buffer} wrappedKey - The encrypted symmetric key
+ * Accepts a key envelope or, for keys wrapped before envelopes existed,
+ * the raw RSA-OAEP ciphertext.
+ *
+ * @param {Buffer} wrappedKey - Key envelope or raw encrypted symmetric key
  * @param {string} recipientPrivateKey - RSA private key in PEM format
  * @returns {Buffer} Unwrapped symmetric key (32 bytes)
  * @throws {Error} If unwrapping fails or inputs are invalid
@@ -235,6 +555,20 @@ function unwrapKeyForRecipient(wrappedKey, recipientPrivateKey) {
     throw new Error('Recipient private key must be in PEM format')
   }
 
+  let rsaCiphertext = wrappedKey
+  if (isKeyEnvelope(wrappedKey)) {
+    let envelope
+    try {
+      envelope = decodeKeyEnvelope(wrappedKey)
+    } catch (error) {
+      throw new Error('Key unwrapping failed: Invalid key envelope')
+    }
+    if (envelope.algorithm !== KEY_ALGORITHMS.RSA_OAEP_SHA256) {
+      throw new Error('Key unwrapping failed: Envelope is not RSA-OAEP wrapped')
+    }
+    rsaCiphertext = envelope.wrappedKey
+  }
+
   try {
     const symmetricKey = crypto.privateDecrypt(
       {
@@ -242,7 +576,7 @@ function unwrapKeyForRecipient(wrappedKey, recipientPrivateKey) {
         padding: crypto.constants.RSA_PKCS1_OAEP_PADDING,
         oaepHash: 'sha256'
       },
-      wrappedKey
+      rsaCiphertext
     )
 
     if (symmetricKey.length !== AES_KEY_SIZE) {
@@ -256,6 +590,246 @@ function unwrapKeyForRecipient(wrappedKey, recipientPrivateKey) {
   }
 }
 
+/**
+ * Parse a secp256k1 public key (hex string or bytes; 64-byte, compressed or uncompressed)
+ * @param {string|Buffer} publicKey - Public key
+ * @returns {Buffer} 65-byte uncompressed public key
+ * @throws {Error} If the key is not a valid curve point
+ */
+function parseEthereumPublicKey(publicKey) {
+  let bytes = typeof publicKey === 'string'
+    ? Buffer.from(publicKey.replace(/^0x/, ''), 'hex')
+    : Buffer.from(publicKey || [])
+  if (bytes.length === 64) {
+    bytes = Buffer.concat([Buffer.from([0x04]), bytes])
+  }
+  try {
+    return Buffer.from(secp256k1.ProjectivePoint.fromHex(bytes).toRawBytes(false))
+  } catch (error) {
+    throw new Error('Recipient public key must be a secp256k1 public key')
+  }
+}
+
+/**
+ * Parse an Ethereum private key (0x-prefixed or bare hex)
+ * @param {string} privateKey - Private key
+ * @returns {Buffer} 32-byte private key
+ * @throws {Error} If the key is not a valid secp256k1 scalar
+ */
+function parseEthereumPrivateKey(privateKey) {
+  const bytes = typeof privateKey === 'string' && /^(0x)?[a-fA-F0-9]{64}$/.test(privateKey)
+    ? Buffer.from(privateKey.replace(/^0x/, ''), 'hex')
+    : null
+  if (!bytes || !secp256k1.utils.isValidPrivateKey(bytes)) {
+    throw new Error('Private key must be a 32-byte hex Ethereum private key')
+  }
+  return bytes
+}
+
+/**
+ * Derive the uncompressed public key of an Ethereum private key
+ * @param {string} privateKey - Ethereum private key (hex)
+ * @returns {string} 0x-prefixed 65-byte uncompressed public key
+ */
+function getEthereumPublicKey(privateKey) {
+  const privateKeyBytes = parseEthereumPrivateKey(privateKey)
+  const publicKey = Buffer.from(secp256k1.getPublicKey(privateKeyBytes, false))
+  secureZero(privateKeyBytes)
+  return '0x' + publicKey.toString('hex')
+}
+
+/**
+ * Compute the Ethereum address of a secp256k1 public key
+ * @param {string|Buffer} publicKey - Public key in any format accepted by parseEthereumPublicKey
+ * @returns {string} Lowercase 0x-prefixed address
+ */
+function publicKeyToAddress(publicKey) {
+  const uncompressed = parseEthereumPublicKey(publicKey)
+  return '0x' + Buffer.from(keccak256(uncompressed.subarray(1))).subarray(-20).toString('hex')
+}
+
+/**
+ * Recover the signer's public key from an Ethereum personal_sign (EIP-191) signature
+ *
+ * Lets a recipient publish their encryption key by signing any message with their wallet.
+ *
+ * @param {string|Buffer} message - The signed message
+ * @param {string} signature - 65-byte hex signature (r || s || v)
+ * @returns {string} 0x-prefixed 65-byte uncompressed public key
+ * @throws {Error} If the signature is malformed
+ */
+function recoverPublicKeyFromSignature(message, signature) {
+  const signatureBytes = Buffer.from(String(signature).replace(/^0x/, ''), 'hex')
+  if (signatureBytes.length !== 65) {
+    throw new Error('Signature must be 65 bytes')
+  }
+
+  const messageBytes = Buffer.isBuffer(message) ? message : Buffer.from(String(message), 'utf8')
+  const prefix = Buffer.from(`\x19Ethereum Signed Message:\n${messageBytes.length}`, 'utf8')
+  const messageHash = keccak256(Buffer.concat([prefix, messageBytes]))
+
+  const v = signatureBytes[64]
+  const recovery = v >= 27 ? v - 27 : v
+  try {
+    const publicKey = secp256k1.Signature.fromCompact(signatureBytes.subarray(0, 64))
+      .addRecoveryBit(recovery)
+      .recoverPublicKey(messageHash)
+    return '0x' + Buffer.from(publicKey.toRawBytes(false)).toString('hex')
+  } catch (error) {
+    throw new Error('Failed to recover public key from signature')
+  }
+}
+
+/**
+ * Derive the AES key that wraps a file key from an ECDH shared secret
+ * @param {Buffer} sharedSecret - ECDH x-coordinate
+ * @param {Buffer} ephemeralPublicKey - Sender's ephemeral public key (used as HKDF salt)
+ * @returns {Buffer} 32-byte wrapping key
+ */
+function deriveEciesKey(sharedSecret, ephemeralPublicKey) {
+  return Buffer.from(crypto.hkdfSync('sha256', sharedSecret, ephemeralPublicKey, ECIES_HKDF_INFO, AES_KEY_SIZE))
+}
+
+/**
+ * Wrap a symmetric key to an Ethereum account key using ECIES
+ *
+ * Uses an ephemeral secp256k1 key pair, ECDH with the recipient's public key,
+ * HKDF-SHA256 and AES-256-GCM. Recipients unwrap with their wallet's private key,
+ * so no separate RSA key pair is needed.
+ *
+ * @param {Buffer} symmetricKey - The symmetric key to wrap (32 bytes)
+ * @param {string|Buffer} recipientPublicKey - Recipient's secp256k1 public key
+ * @param {Object} params - Parameters of the file ciphertext
+ * @param {string} params.iv - Hex-encoded IV returned by encryptFile
+ * @param {string} params.authTag - Hex-encoded auth tag returned by encryptFile
+ * @param {number} params.contentCipher - CONTENT_CIPHERS value of the file ciphertext (default AES_256_GCM)
+ * @returns {Buffer} Key envelope containing ephemeralPublicKey || nonce || tag || encrypted key
+ * @throws {Error} If wrapping fails or inputs are invalid
+ */
+function wrapKeyForEthereumRecipient(symmetricKey, recipientPublicKey, params = {}) {
+  if (!Buffer.isBuffer(symmetricKey) || symmetricKey.length !== AES_KEY_SIZE) {
+    throw new Error(`Symmetric key must be a ${AES_KEY_SIZE}-byte Buffer`)
+  }
+  const recipientPoint = parseEthereumPublicKey(recipientPublicKey)
+
+  const ecdh = crypto.createECDH('secp256k1')
+  ecdh.generateKeys()
+  const ephemeralPublicKey = ecdh.getPublicKey(null, 'compressed')
+  const sharedSecret = ecdh.computeSecret(recipientPoint)
+  const wrappingKey = deriveEciesKey(sharedSecret, ephemeralPublicKey)
+  secureZero(sharedSecret)
+
+  const nonce = crypto.randomBytes(ECIES_NONCE_SIZE)
+  const cipher = crypto.createCipheriv(AES_ALGORITHM, wrappingKey, nonce)
+  const encryptedKey = Buffer.concat([cipher.update(symmetricKey), cipher.final()])
+  const tag = cipher.getAuthTag()
+  secureZero(wrappingKey)
+
+  return encodeKeyEnvelope({
+    algorithm: KEY_ALGORITHMS.ECIES_SECP256K1,
+    wrappedKey: Buffer.concat([ephemeralPublicKey, nonce, tag, encryptedKey]),
+    iv: params.iv,
+    authTag: params.authTag,
+    contentCipher: params.contentCipher
+  })
+}
+
+/**
+ * Unwrap a symmetric key from an ECIES key envelope
+ *
+ * @param {Buffer} envelope - Key envelope produced by wrapKeyForEthereumRecipient
+ * @param {string} recipientPrivateKey - Recipient's Ethereum private key (hex)
+ * @returns {Buffer} Unwrapped symmetric key (32 bytes)
+ * @throws {Error} If unwrapping fails or inputs are invalid
+ */
+function unwrapKeyForEthereumRecipient(envelope, recipientPrivateKey) {
+  let fields
+  try {
+    fields = decodeKeyEnvelope(envelope)
+  } catch (error) {
+    throw new Error('Key unwrapping failed: Invalid key envelope')
+  }
+  if (fields.algorithm !== KEY_ALGORITHMS.ECIES_SECP256K1) {
+    throw new Error('Key unwrapping failed: Envelope is not ECIES wrapped')
+  }
+  const privateKeyBytes = parseEthereumPrivateKey(recipientPrivateKey)
+
+  const payload = fields.wrappedKey
+  const nonceStart = ECIES_PUBLIC_KEY_SIZE
+  const tagStart = nonceStart + ECIES_NONCE_SIZE
+  const keyStart = tagStart + AES_AUTH_TAG_SIZE
+
+  let sharedSecret = null
+  let wrappingKey = null
+  try {
+    const ephemeralPublicKey = payload.subarray(0, nonceStart)
+    const ecdh = crypto.createECDH('secp256k1')
+    ecdh.setPrivateKey(privateKeyBytes)
+    sharedSecret = ecdh.computeSecret(ephemeralPublicKey)
+    wrappingKey = deriveEciesKey(sharedSecret, ephemeralPublicKey)
+
+    const decipher = crypto.createDecipheriv(AES_ALGORITHM, wrappingKey, payload.subarray(nonceStart, tagStart))
+    decipher.setAuthTag(payload.subarray(tagStart, keyStart))
+    const symmetricKey = Buffer.concat([decipher.update(payload.subarray(keyStart)), decipher.final()])
+
+    if (symmetricKey.length !== AES_KEY_SIZE) {
+      throw new Error(`Unwrapped key must be ${AES_KEY_SIZE} bytes`)
+    }
+    return symmetricKey
+  } catch (error) {
+    throw new Error('Key unwrapping failed: Invalid key or corrupted data')
+  } finally {
+    secureZero(privateKeyBytes)
+    secureZero(sharedSecret)
+    secureZero(wrappingKey)
+  }
+}
+
+/**
+ * Open a key envelope and return everything needed to decrypt the file
+ *
+ * @param {Buffer} envelope - Key envelope as stored on-chain
+ * @param {string} recipientPrivateKey - RSA private key (PEM) or Ethereum private key (hex) matching the
+ *   envelope's algorithm; not needed for unwrapped envelopes
+ * @returns {Object} Object containing:
+ *   - symmetricKey: Buffer - The 32-byte AES key
+ *   - iv: string - Hex-encoded IV of the file ciphertext (empty for streamed ciphertext)
+ *   - authTag: string - Hex-encoded auth tag of the file ciphertext (empty for streamed ciphertext)
+ *   - algorithm: number - KEY_ALGORITHMS value the key was protected with
+ *   - contentCipher: number - CONTENT_CIPHERS value of the file ciphertext
+ * @throws {Error} If the envelope is invalid or the key cannot be unwrapped
+ */
+function openKeyEnvelope(envelope, recipientPrivateKey = null) {
+  const fields = decodeKeyEnvelope(envelope)
+  // Streamed ciphertext carries its nonces and tags inline; whole-file GCM needs them from the envelope
+  if (fields.contentCipher === CONTENT_CIPHERS.AES_256_GCM && (!fields.iv || !fields.authTag)) {
+    throw new Error('Key envelope is missing IV or auth tag')
+  }
+
+  let symmetricKey
+  if (fields.algorithm === KEY_ALGORITHMS.NONE) {
+    if (fields.wrappedKey.length !== AES_KEY_SIZE) {
+      throw new Error(`Unwrapped key must be ${AES_KEY_SIZE} bytes`)
+    }
+    symmetricKey = fields.wrappedKey
+  } else {
+    if (!recipientPrivateKey) {
+      throw new Error('Recipient private key is required to unwrap this file key')
+    }
+    symmetricKey = fields.algorithm === KEY_ALGORITHMS.ECIES_SECP256K1
+      ? unwrapKeyForEthereumRecipient(envelope, recipientPrivateKey)
+      : unwrapKeyForRecipient(envelope, recipientPrivateKey)
+  }
+
+  return {
+    symmetricKey,
+    iv: fields.iv,
+    authTag: fields.authTag,
+    algorithm: fields.algorithm,
+    contentCipher: fields.contentCipher
+  }
+}
+
 /**
  * Securely zero out a buffer containing sensitive data
  *
@@ -279,11 +853,23 @@ module.exports = {
   decryptFile,
   wrapKeyForRecipient,
   unwrapKeyForRecipient,
+  wrapKeyForEthereumRecipient,
+  unwrapKeyForEthereumRecipient,
+  getEthereumPublicKey,
+  publicKeyToAddress,
+  recoverPublicKeyFromSignature,
+  openKeyEnvelope,
+  createEncryptStream,
+  createDecryptStream,
+  getStreamLayout,
+  getStreamRange,
   secureZero,
   // Constants exported for validation
   AES_KEY_SIZE,
   AES_IV_SIZE,
   AES_AUTH_TAG_SIZE,
-  MAX_ENCRYPTED_KEY_SIZE
+  MAX_ENCRYPTED_KEY_SIZE,
+  STREAM_HEADER_SIZE,
+  STREAM_CHUNK_SIZE
 }
 
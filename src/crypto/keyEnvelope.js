@@ -0,0 +1,159 @@
+/*
+ * Project: DecentraFile
+ * Author: Thor Thor
+ * Contact: codethor@gmail.com
+ * LinkedIn: https://www.linkedin.com/in/thor-thor0
+ */
+
+/**
+ * Binary key envelope format
+ *
+ * Every key blob stored on-chain (owner key and recipient grants) is an envelope
+ * carrying everything needed to decrypt the file except the recipient's private key.
+ *
+ * Layout (all integers big-endian):
+ *   magic          3 bytes  'DFK'
+ *   version        1 byte   ENVELOPE_VERSION
+ *   algorithm      1 byte   KEY_ALGORITHMS (how wrappedKey is protected)
+ *   contentCipher  1 byte   CONTENT_CIPHERS (how the file itself is encrypted)
+ *   ivLength       1 byte,  iv
+ *   tagLength      1 byte,  authTag
+ *   keyLength      2 bytes, wrappedKey
+ *
+ * This module only encodes and decodes; wrapping lives in crypto.js.
+ */
+
+const ENVELOPE_MAGIC = Buffer.from('DFK', 'ascii')
+const ENVELOPE_VERSION = 1
+
+const KEY_ALGORITHMS = {
+  NONE: 0x00, // Raw key, only when plaintext key storage is allowed
+  RSA_OAEP_SHA256: 0x01,
+  ECIES_SECP256K1: 0x02 // Ephemeral ECDH + HKDF-SHA256 + AES-256-GCM to an Ethereum account key
+}
+
+const CONTENT_CIPHERS = {
+  AES_256_GCM: 0x01, // Whole file under one IV; iv and authTag are stored in the envelope
+  AES_256_GCM_STREAM: 0x02 // Segmented STREAM format from createEncryptStream; iv and authTag are empty
+}
+
+const HEADER_SIZE = ENVELOPE_MAGIC.length + 3
+
+/**
+ * Check whether a buffer starts with the envelope magic
+ * @param {Buffer} buffer - Key blob
+ * @returns {boolean} True if the buffer looks like a key envelope
+ */
+function isKeyEnvelope(buffer) {
+  return Buffer.isBuffer(buffer) &&
+    buffer.length >= HEADER_SIZE &&
+    buffer.subarray(0, ENVELOPE_MAGIC.length).equals(ENVELOPE_MAGIC)
+}
+
+/**
+ * Encode a key envelope
+ * @param {Object} fields - Envelope fields
+ * @param {number} fields.algorithm - One of KEY_ALGORITHMS
+ * @param {Buffer} fields.wrappedKey - Wrapped (or raw, for NONE) symmetric key
+ * @param {string} fields.iv - Hex-encoded IV of the file ciphertext
+ * @param {string} fields.authTag - Hex-encoded auth tag of the file ciphertext
+ * @param {number} fields.contentCipher - One of CONTENT_CIPHERS (default AES_256_GCM)
+ * @returns {Buffer} Encoded envelope
+ * @throws {Error} If a field is missing or out of range
+ */
+function encodeKeyEnvelope({ algorithm, wrappedKey, iv = '', authTag = '', contentCipher = CONTENT_CIPHERS.AES_256_GCM }) {
+  if (!Object.values(KEY_ALGORITHMS).includes(algorithm)) {
+    throw new Error(`Unsupported key algorithm: ${algorithm}`)
+  }
+  if (!Object.values(CONTENT_CIPHERS).includes(contentCipher)) {
+    throw new Error(`Unsupported content cipher: ${contentCipher}`)
+  }
+  if (!Buffer.isBuffer(wrappedKey) || wrappedKey.length === 0 || wrappedKey.length > 0xffff) {
+    throw new Error('Wrapped key must be a non-empty Buffer')
+  }
+
+  const ivBytes = Buffer.from(iv, 'hex')
+  const tagBytes = Buffer.from(authTag, 'hex')
+  if (ivBytes.length > 0xff || tagBytes.length > 0xff) {
+    throw new Error('IV and auth tag must be at most 255 bytes')
+  }
+
+  const keyLength = Buffer.alloc(2)
+  keyLength.writeUInt16BE(wrappedKey.length)
+
+  return Buffer.concat([
+    ENVELOPE_MAGIC,
+    Buffer.from([ENVELOPE_VERSION, algorithm, contentCipher, ivBytes.length]),
+    ivBytes,
+    Buffer.from([tagBytes.length]),
+    tagBytes,
+    keyLength,
+    wrappedKey
+  ])
+}
+
+/**
+ * Decode a key envelope
+ * @param {Buffer} buffer - Encoded envelope
+ * @returns {Object} { version, algorithm, contentCipher, iv (hex), authTag (hex), wrappedKey (Buffer) }
+ * @throws {Error} If the buffer is not a valid envelope
+ */
+function decodeKeyEnvelope(buffer) {
+  if (!isKeyEnvelope(buffer)) {
+    throw new Error('Not a key envelope')
+  }
+
+  let offset = ENVELOPE_MAGIC.length
+  const version = buffer[offset++]
+  if (version !== ENVELOPE_VERSION) {
+    throw new Error(`Unsupported key envelope version: ${version}`)
+  }
+  const algorithm = buffer[offset++]
+  const contentCipher = buffer[offset++]
+
+  const readField = (lengthBytes) => {
+    if (offset + lengthBytes > buffer.length) {
+      throw new Error('Key envelope is truncated')
+    }
+    const length = lengthBytes === 1 ? buffer[offset] : buffer.readUInt16BE(offset)
+    offset += lengthBytes
+    if (offset + length > buffer.length) {
+      throw new Error('Key envelope is truncated')
+    }
+    const field = buffer.subarray(offset, offset + length)
+    offset += length
+    return field
+  }
+
+  const iv = readField(1)
+  const authTag = readField(1)
+  const wrappedKey = readField(2)
+
+  if (offset !== buffer.length) {
+    throw new Error('Key envelope has trailing data')
+  }
+  if (!Object.values(KEY_ALGORITHMS).includes(algorithm)) {
+    throw new Error(`Unsupported key algorithm: ${algorithm}`)
+  }
+  if (!Object.values(CONTENT_CIPHERS).includes(contentCipher)) {
+    throw new Error(`Unsupported content cipher: ${contentCipher}`)
+  }
+
+  return {
+    version,
+    algorithm,
+    contentCipher,
+    iv: iv.toString('hex'),
+    authTag: authTag.toString('hex'),
+    wrappedKey: Buffer.from(wrappedKey)
+  }
+}
+
+module.exports = {
+  isKeyEnvelope,
+  encodeKeyEnvelope,
+  decodeKeyEnvelope,
+  ENVELOPE_VERSION,
+  KEY_ALGORITHMS,
+  CONTENT_CIPHERS
+}
@@ -0,0 +1,297 @@
+/*
+ * Project: DecentraFile
+ * Author: Thor Thor
+ * Contact: codethor@gmail.com
+ * LinkedIn: https://www.linkedin.com/in/thor-thor0
+ */
+
+/**
+ * Storage, chain and mapping reconciliation ("fsck")
+ *
+ * Every source is keyed by fileHash = keccak256(CID), so stored content can be
+ * matched to its registration without any mapping:
+ * - ipfs-mapping.json: fileHash -> CID
+ * - filename-mapping.json: fileHash -> { filename, mimeType, size }
+ * - pin records and the content the storage backend holds
+ * - FileRegistry: fileExists / isDeleted per file, getUserFiles per owner (paged by the reader), getLocator
+ *
+ * Repairs never touch the chain and only delete content when purging is asked for.
+ */
+
+const { keccak256 } = require('ethereum-cryptography/keccak')
+const { decodeLocator, LOCATOR_PLAINTEXT } = require('./utils/fileLocator')
+const { logger } = require('./utils/logger')
+
+const ISSUE_TYPES = {
+  // Stored or pinned content whose file is deleted or not registered
+  ORPHANED_CONTENT: 'orphaned_content',
+  // Registered file with no locator and no usable mapping entry
+  DANGLING_REGISTRATION: 'dangling_registration',
+  // Registered file whose content the storage backend does not hold
+  MISSING_CONTENT: 'missing_content',
+  // Registered file that is not pinned as the pin policy requires
+  UNPINNED_CONTENT: 'unpinned_content',
+  // Mapping entry whose CID does not hash to its fileHash
+  MAPPING_MISMATCH: 'mapping_mismatch',
+  // Mapping entry for a file that is deleted or not registered
+  STALE_MAPPING: 'stale_mapping',
+  // Registered file without a filename mapping entry
+  MISSING_METADATA: 'missing_metadata'
+}
+
+const SEVERITIES = {
+  [ISSUE_TYPES.ORPHANED_CONTENT]: 'warning',
+  [ISSUE_TYPES.DANGLING_REGISTRATION]: 'error',
+  [ISSUE_TYPES.MISSING_CONTENT]: 'error',
+  [ISSUE_TYPES.UNPINNED_CONTENT]: 'warning',
+  [ISSUE_TYPES.MAPPING_MISMATCH]: 'error',
+  [ISSUE_TYPES.STALE_MAPPING]: 'warning',
+  [ISSUE_TYPES.MISSING_METADATA]: 'info'
+}
+
+// Pin records younger than this belong to uploads that may still be registering
+const DEFAULT_GRACE_MS = 15 * 60 * 1000
+
+/**
+ * @param {string} cid - Content identifier
+ * @returns {string} fileHash the registry would store for the CID (lowercase, 0x-prefixed)
+ */
+function fileHashOf(cid) {
+  return '0x' + Buffer.from(keccak256(Buffer.from(cid, 'utf8'))).toString('hex')
+}
+
+/**
+ * @param {Buffer|string} bytes - Bytes from the registry, as a Buffer or 0x hex string
+ * @returns {Buffer} Bytes
+ */
+function toBuffer(bytes) {
+  if (Buffer.isBuffer(bytes)) {
+    return bytes
+  }
+  return Buffer.from(String(bytes || '0x').replace(/^0x/, ''), 'hex')
+}
+
+/**
+ * Index a mapping by lowercase fileHash, keeping the key it is stored under
+ * @param {Map} mapping - fileHash -> value
+ * @returns {Map} lowercase fileHash -> { key, value }
+ */
+function indexByFileHash(mapping) {
+  const index = new Map()
+  for (const [key, value] of mapping.entries()) {
+    index.set(key.toLowerCase(), { key, value })
+  }
+  return index
+}
+
+/**
+ * @param {Object} record - Pin record
+ * @returns {boolean} True if the pinning service is, or will be, keeping the content
+ */
+function isRemotePinActive(record) {
+  return Boolean(record && record.remote && !['failed', 'removed'].includes(record.remote.status))
+}
+
+/**
+ * Cross-check storage, pins, mappings and the registry, and optionally repair what is safe to repair
+ *
+ * Repairs by issue type:
+ * - orphaned_content: unpin (or delete the content with purge). Files that are not registered
+ *   are left alone while their pin record is younger than graceMs, or while the upload journal
+ *   has their upload pending (e.g. a wallet upload awaiting its signature, for up to an hour).
+ * - dangling_registration / mapping_mismatch: restore the mapping entry from content whose CID
+ *   hashes to the fileHash; a mismatched entry with no replacement is removed
+ * - missing_content / unpinned_content: pin again, which fails if no copy of the content exists
+ * - stale_mapping: remove entries of deleted files. Entries of files that were never registered
+ *   may belong to another deployment and are only reported.
+ * - missing_metadata: none; the original filename is unknown
+ *
+ * @param {Object} options - Reconciliation settings
+ * @param {Object} options.registry - FileRegistry reader: { fileExists(fileHash), isDeleted(fileHash), getUserFiles(owner), getLocator(fileHash) }
+ * @param {StorageBackend} options.storage - Storage backend, for list and delete
+ * @param {PinManager} options.pinManager - Pin manager, for pin records and pin repairs
+ * @param {Object} options.mappings - { ipfs: { load(), set(fileHash, cid), remove(fileHash) }, filenames: { load(), remove(fileHash) } }
+ * @param {UploadJournal} options.journal - Upload journal, for uploads still pending (optional)
+ * @param {Array<string>} options.owners - Owners whose registered files are enumerated with getUserFiles
+ * @param {boolean} options.repair - Apply repairs (default: report only)
+ * @param {boolean} options.purge - Delete orphaned content instead of unpinning it
+ * @param {number} options.graceMs - Age below which unregistered uploads are left alone (default 15 minutes)
+ * @returns {Promise<Object>} { checkedAt, summary, issues }
+ */
+async function runFsck(options) {
+  const {
+    registry,
+    storage,
+    pinManager,
+    mappings,
+    journal = null,
+    owners = [],
+    repair = false,
+    purge = false,
+    graceMs = DEFAULT_GRACE_MS
+  } = options
+  const now = Date.now()
+
+  const ipfsEntries = indexByFileHash(mappings.ipfs.load())
+  const filenameEntries = indexByFileHash(mappings.filenames.load())
+  const pinRecords = new Map(pinManager.list().map(record => [record.fileHash.toLowerCase(), record]))
+  const pendingUploads = new Set((journal ? journal.list({ pending: true }) : [])
+    .filter(entry => entry.fileHash)
+    .map(entry => entry.fileHash.toLowerCase()))
+  const stored = new Map()
+  for (const entry of await storage.list()) {
+    stored.set(fileHashOf(entry.cid), entry)
+  }
+  const listed = new Set()
+  for (const owner of owners) {
+    for (const fileHash of await registry.getUserFiles(owner)) {
+      listed.add(fileHash.toLowerCase())
+    }
+  }
+
+  const pinLocally = pinManager.policy === 'local' || pinManager.policy === 'both'
+  const pinRemotely = pinManager.policy === 'remote' || pinManager.policy === 'both'
+  const summary = { files: 0, active: 0, deleted: 0, unregistered: 0, unverified: 0, stored: stored.size, issues: 0, repaired: 0, repairFailed: 0 }
+  const findings = []
+
+  function report(type, fileHash, cid, message, action = null, extra = {}) {
+    findings.push({
+      issue: { type, severity: SEVERITIES[type], fileHash, cid, message, repair: action ? action.name : null, ...extra },
+      apply: action ? action.run : null
+    })
+  }
+
+  const fileHashes = new Set([...listed, ...ipfsEntries.keys(), ...filenameEntries.keys(), ...pinRecords.keys(), ...stored.keys()])
+  for (const fileHash of fileHashes) {
+    summary.files++
+    let state = 'active'
+    if (!listed.has(fileHash) && !(await registry.fileExists(fileHash))) {
+      state = (await registry.isDeleted(fileHash)) ? 'deleted' : 'unregistered'
+    }
+    summary[state]++
+
+    const mapped = ipfsEntries.get(fileHash)
+    const named = filenameEntries.get(fileHash)
+    const record = pinRecords.get(fileHash)
+    const content = stored.get(fileHash)
+
+    if (state !== 'active') {
+      const why = state === 'deleted'
+        ? 'the file is deleted on-chain'
+        : 'the file is not registered in this FileRegistry'
+      for (const [mapping, entry] of [['ipfs', mapped], ['filenames', named]]) {
+        if (entry) {
+          const action = state === 'deleted'
+            ? { name: 'remove_mapping', run: () => mappings[mapping].remove(entry.key) }
+            : null
+          report(ISSUE_TYPES.STALE_MAPPING, fileHash, mapping === 'ipfs' ? entry.value : null,
+            `${mapping === 'ipfs' ? 'IPFS' : 'Filename'} mapping entry kept but ${why}`, action, { mapping, state })
+        }
+      }
+
+      const pinned = Boolean(content && content.pinned) || isRemotePinActive(record)
+      if (content || pinned) {
+        const cid = content ? content.cid : record.cid
+        const pending = state === 'unregistered' && pendingUploads.has(fileHash)
+        const recent = state === 'unregistered' && record && record.createdAt && now - Date.parse(record.createdAt) < graceMs
+        let action = null
+        if (!pending && !recent && purge && content) {
+          action = {
+            name: 'delete',
+            run: async () => {
+              await pinManager.unpin(fileHash, cid)
+              await storage.delete(cid)
+            }
+          }
+        } else if (!pending && !recent && pinned) {
+          action = { name: 'unpin', run: () => pinManager.unpin(fileHash, cid) }
+        }
+        report(ISSUE_TYPES.ORPHANED_CONTENT, fileHash, cid,
+          `Content is ${pinned ? 'pinned' : 'stored'} but ${why}${pending ? '; its upload is still pending in the upload journal' : recent ? '; the upload is recent and may still be registering' : ''}`,
+          action, { pinned, state })
+      }
+      continue
+    }
+
+    // Content whose CID hashes to the fileHash, if any copy or pin record knows it
+    const recoveredCid = content
+      ? content.cid
+      : (record && fileHashOf(record.cid) === fileHash ? record.cid : null)
+
+    let mappedCid = mapped ? mapped.value : null
+    if (mappedCid && fileHashOf(mappedCid) !== fileHash) {
+      const action = recoveredCid
+        ? { name: 'restore_mapping', run: () => mappings.ipfs.set(mapped.key, recoveredCid) }
+        : { name: 'remove_mapping', run: () => mappings.ipfs.remove(mapped.key) }
+      report(ISSUE_TYPES.MAPPING_MISMATCH, fileHash, mappedCid, 'IPFS mapping entry points to content with a different hash', action, { mapping: 'ipfs' })
+      mappedCid = null
+    }
+
+    const locator = toBuffer(await registry.getLocator(fileHash))
+    const locatorCid = locator.length > 1 && locator[0] === LOCATOR_PLAINTEXT ? decodeLocator(locator) : null
+    if (!mapped && locator.length === 0) {
+      const action = recoveredCid
+        ? { name: 'restore_mapping', run: () => mappings.ipfs.set(fileHash, recoveredCid) }
+        : null
+      report(ISSUE_TYPES.DANGLING_REGISTRATION, fileHash, recoveredCid,
+        recoveredCid
+          ? 'Registered without a locator and missing from the IPFS mapping; the content was found in storage'
+          : 'Registered without a locator and missing from the IPFS mapping; no content hashes to the fileHash',
+        action)
+    }
+
+    const cid = mappedCid || locatorCid || recoveredCid
+    if (!cid) {
+      // Only the encrypted on-chain locator knows the CID
+      summary.unverified++
+    } else {
+      const missingLocal = pinLocally && !stored.has(fileHash)
+      const unpinnedLocal = pinLocally && content && !content.pinned
+      const unpinnedRemote = pinRemotely && !isRemotePinActive(record)
+      if (missingLocal || unpinnedLocal || unpinnedRemote) {
+        const missing = [missingLocal || unpinnedLocal ? 'local' : null, unpinnedRemote ? 'remote' : null].filter(Boolean)
+        report(missingLocal ? ISSUE_TYPES.MISSING_CONTENT : ISSUE_TYPES.UNPINNED_CONTENT, fileHash, cid,
+          missingLocal
+            ? `Registered but the ${storage.label} backend does not hold the content`
+            : `Registered but not pinned (${missing.join(' and ')}) as pin policy ${pinManager.policy} requires`,
+          { name: 'pin', run: () => pinManager.pin(fileHash, cid) }, { missing })
+      }
+    }
+
+    if (!named) {
+      report(ISSUE_TYPES.MISSING_METADATA, fileHash, cid, 'Registered without a filename mapping entry; downloads fall back to a detected file type')
+    }
+  }
+
+  summary.issues = findings.length
+  if (repair) {
+    for (const { issue, apply } of findings) {
+      if (!apply) {
+        continue
+      }
+      try {
+        await apply()
+        issue.repaired = true
+        summary.repaired++
+      } catch (error) {
+        issue.repaired = false
+        issue.repairError = error.message
+        summary.repairFailed++
+      }
+    }
+  }
+
+  logger.info('Reconciliation finished', { repair, ...summary })
+  return {
+    checkedAt: new Date(now).toISOString(),
+    summary,
+    issues: findings.map(({ issue }) => issue)
+  }
+}
+
+module.exports = {
+  runFsck,
+  fileHashOf,
+  ISSUE_TYPES,
+  DEFAULT_GRACE_MS
+}
@@ -19,30 +19,65 @@
  */
 
 const { Web3 } = require('web3')
-const { uploadFile: uploadToIPFS, downloadFile: downloadFromIPFS } = require('./ipfs')
+const { TransactionFactory } = require('web3-eth-accounts')
+const { pipeline, Readable, Transform } = require('stream')
+const { pipeline: pipelineAsync } = require('stream/promises')
+const {
+  downloadFile: downloadFromIPFS,
+  uploadStream: uploadStreamToIPFS,
+  downloadStream: downloadStreamFromIPFS,
+  statFile: statIPFSFile,
+  storage
+} = require('./ipfs')
+const { getPinManager } = require('./pinning')
+const { runFsck } = require('./fsck')
+const { getUploadJournal, resumeUploads: resumeJournaledUploads, settlePreparedUpload } = require('./journal')
 const {
   generateSymmetricKey,
-  encryptFile,
   decryptFile,
+  createEncryptStream,
+  createDecryptStream,
+  getStreamLayout,
+  getStreamRange,
   wrapKeyForRecipient,
   unwrapKeyForRecipient,
+  wrapKeyForEthereumRecipient,
+  getEthereumPublicKey,
+  publicKeyToAddress,
+  openKeyEnvelope,
   secureZero,
-  MAX_ENCRYPTED_KEY_SIZE
+  MAX_ENCRYPTED_KEY_SIZE,
+  STREAM_HEADER_SIZE
 } = require('./crypto/crypto')
+const { isKeyEnvelope, encodeKeyEnvelope, KEY_ALGORITHMS, CONTENT_CIPHERS } = require('./crypto/keyEnvelope')
 const {
   validateUploadParams,
   validateDownloadParams,
+  validateShareParams,
+  validateFileActionParams,
+  validateAddress,
+  validatePrivateKey,
+  validateFileHash,
   validateIPFSHash
 } = require('./utils/validation')
 const { logger, logFileUpload, logFileDownload, logError, logSecurityEvent } = require('./utils/logger')
+const { loadFilenameMapping, getFilenameMetadata, setFilenameMetadata, deleteFilenameMetadata } = require('./utils/fileMetadata')
+const { encodeLocator, decodeLocator } = require('./utils/fileLocator')
+const { getCollectionCreatedFor, setCollectionCreatedFor } = require('./utils/collectionMetadata')
+const { buildUnsignedTransaction } = require('./utils/unsignedTransaction')
 const fs = require('fs')
 const path = require('path')
 
 // File path for persistent IPFS hash mapping (optional, falls back to in-memory if not set)
 const IPFS_MAPPING_FILE = process.env.IPFS_MAPPING_FILE || null
 
+// Files read per getUserFilesPage call when listing an owner's files
+const OWNER_FILES_PAGE_SIZE = 100
+
+// Longest collection name FileRegistry accepts (MAX_COLLECTION_NAME_LENGTH, UTF-8 bytes)
+const MAX_COLLECTION_NAME_LENGTH = 128
+
 // File size limits
-const MAX_FILE_SIZE = 100 * 1024 * 1024 // 100MB - maximum file size for upload
 
 /**
  * Load IPFS hash mapping from persistent storage
@@ -160,6 +195,36 @@ function saveIPFSMapping(mapping) {
   }
 }
 
+/**
+ * Remove a fileHash from the IPFS hash mapping (memory and persistent storage)
+ * saveIPFSMapping merges entries back in from disk, so removals are written directly
+ * @param {string} fileHash - File hash (bytes32)
+ */
+function removeIPFSMappingEntry(fileHash) {
+  ipfsHashMapping.delete(fileHash)
+
+  if (IPFS_MAPPING_FILE) {
+    const tempFile = IPFS_MAPPING_FILE + '.tmp'
+    try {
+      const diskMapping = loadIPFSMapping()
+      diskMapping.delete(fileHash)
+      fs.writeFileSync(tempFile, JSON.stringify(Object.fromEntries(diskMapping), null, 2), 'utf8')
+      fs.renameSync(tempFile, IPFS_MAPPING_FILE)
+      logger.debug('Removed IPFS hash mapping entry', { count: diskMapping.size })
+    } catch (error) {
+      logError(error, { operation: 'remove_ipfs_mapping' })
+      if (fs.existsSync(tempFile)) {
+        try {
+          fs.unlinkSync(tempFile)
+        } catch (cleanupError) {
+          // Ignore cleanup errors
+        }
+      }
+      throw new Error(`Failed to remove IPFS mapping entry: ${error.message}`)
+    }
+  }
+}
+
 // Initialize Web3 using centralized config
 const { getRuntimeConfig } = require('./config/runtimeConfig')
 const runtimeConfig = getRuntimeConfig()
@@ -208,9 +273,213 @@ const FileRegistryABI = [
     outputs: [{ internalType: 'bool', name: '', type: 'bool' }],
     stateMutability: 'view',
     type: 'function'
+  },
+  {
+    inputs: [
+      { internalType: 'bytes32', name: 'fileHash', type: 'bytes32' },
+      { internalType: 'address', name: 'recipient', type: 'address' },
+      { internalType: 'bytes', name: 'wrappedKey', type: 'bytes' }
+    ],
+    name: 'grantAccess',
+    outputs: [],
+    stateMutability: 'nonpayable',
+    type: 'function'
+  },
+  {
+    inputs: [{ internalType: 'bytes32', name: 'fileHash', type: 'bytes32' }],
+    name: 'getAccessKey',
+    outputs: [{ internalType: 'bytes', name: '', type: 'bytes' }],
+    stateMutability: 'view',
+    type: 'function'
+  },
+  {
+    inputs: [
+      { internalType: 'bytes32', name: 'fileHash', type: 'bytes32' },
+      { internalType: 'address', name: 'user', type: 'address' }
+    ],
+    name: 'hasAccess',
+    outputs: [{ internalType: 'bool', name: 'allowed', type: 'bool' }],
+    stateMutability: 'view',
+    type: 'function'
+  },
+  {
+    inputs: [{ internalType: 'bytes32', name: 'fileHash', type: 'bytes32' }],
+    name: 'getRecipients',
+    outputs: [{ internalType: 'address[]', name: '', type: 'address[]' }],
+    stateMutability: 'view',
+    type: 'function'
+  },
+  {
+    inputs: [
+      { internalType: 'bytes32', name: 'fileHash', type: 'bytes32' },
+      { internalType: 'address', name: 'recipient', type: 'address' }
+    ],
+    name: 'revokeAccess',
+    outputs: [],
+    stateMutability: 'nonpayable',
+    type: 'function'
+  },
+  {
+    inputs: [
+      { internalType: 'bytes32', name: 'oldFileHash', type: 'bytes32' },
+      { internalType: 'bytes32', name: 'newFileHash', type: 'bytes32' },
+      { internalType: 'bytes', name: 'newEncryptedKey', type: 'bytes' },
+      { internalType: 'bytes', name: 'newLocator', type: 'bytes' },
+      { internalType: 'address[]', name: 'recipients', type: 'address[]' },
+      { internalType: 'bytes[]', name: 'wrappedKeys', type: 'bytes[]' }
+    ],
+    name: 'rotateFile',
+    outputs: [],
+    stateMutability: 'nonpayable',
+    type: 'function'
+  },
+  {
+    inputs: [
+      { internalType: 'bytes32', name: 'previousFileHash', type: 'bytes32' },
+      { internalType: 'bytes32', name: 'fileHash', type: 'bytes32' },
+      { internalType: 'bytes', name: 'encryptedKey', type: 'bytes' },
+      { internalType: 'bytes', name: 'locator', type: 'bytes' },
+      { internalType: 'address[]', name: 'recipients', type: 'address[]' },
+      { internalType: 'bytes[]', name: 'wrappedKeys', type: 'bytes[]' }
+    ],
+    name: 'uploadNewVersion',
+    outputs: [],
+    stateMutability: 'nonpayable',
+    type: 'function'
+  },
+  {
+    inputs: [{ internalType: 'bytes32', name: 'fileHash', type: 'bytes32' }],
+    name: 'deleteFile',
+    outputs: [],
+    stateMutability: 'nonpayable',
+    type: 'function'
+  },
+  {
+    inputs: [
+      { internalType: 'bytes32', name: 'fileHash', type: 'bytes32' },
+      { internalType: 'bytes', name: 'encryptedKey', type: 'bytes' },
+      { internalType: 'bytes', name: 'locator', type: 'bytes' }
+    ],
+    name: 'uploadFileWithLocator',
+    outputs: [],
+    stateMutability: 'nonpayable',
+    type: 'function'
+  },
+  {
+    inputs: [
+      { internalType: 'bytes32', name: 'fileHash', type: 'bytes32' },
+      { internalType: 'bytes', name: 'locator', type: 'bytes' }
+    ],
+    name: 'setLocator',
+    outputs: [],
+    stateMutability: 'nonpayable',
+    type: 'function'
+  },
+  {
+    inputs: [{ internalType: 'bytes32', name: 'fileHash', type: 'bytes32' }],
+    name: 'getLocator',
+    outputs: [{ internalType: 'bytes', name: '', type: 'bytes' }],
+    stateMutability: 'view',
+    type: 'function'
+  },
+  {
+    inputs: [{ internalType: 'string', name: 'name', type: 'string' }],
+    name: 'createCollection',
+    outputs: [{ internalType: 'uint256', name: 'collectionId', type: 'uint256' }],
+    stateMutability: 'nonpayable',
+    type: 'function'
+  },
+  {
+    inputs: [
+      { internalType: 'uint256', name: 'collectionId', type: 'uint256' },
+      { internalType: 'string', name: 'name', type: 'string' }
+    ],
+    name: 'renameCollection',
+    outputs: [],
+    stateMutability: 'nonpayable',
+    type: 'function'
+  },
+  {
+    inputs: [
+      { internalType: 'uint256', name: 'collectionId', type: 'uint256' },
+      { internalType: 'bytes32[]', name: 'fileHashes', type: 'bytes32[]' }
+    ],
+    name: 'addToCollection',
+    outputs: [],
+    stateMutability: 'nonpayable',
+    type: 'function'
+  },
+  {
+    inputs: [
+      { internalType: 'uint256', name: 'collectionId', type: 'uint256' },
+      { internalType: 'bytes32[]', name: 'fileHashes', type: 'bytes32[]' }
+    ],
+    name: 'removeFromCollection',
+    outputs: [],
+    stateMutability: 'nonpayable',
+    type: 'function'
+  },
+  {
+    inputs: [
+      { internalType: 'uint256', name: 'collectionId', type: 'uint256' },
+      { internalType: 'address', name: 'recipient', type: 'address' },
+      { internalType: 'bytes32[]', name: 'fileHashes', type: 'bytes32[]' },
+      { internalType: 'bytes[]', name: 'wrappedKeys', type: 'bytes[]' }
+    ],
+    name: 'shareCollection',
+    outputs: [],
+    stateMutability: 'nonpayable',
+    type: 'function'
+  },
+  {
+    anonymous: false,
+    inputs: [
+      { indexed: true, internalType: 'uint256', name: 'collectionId', type: 'uint256' },
+      { indexed: true, internalType: 'address', name: 'owner', type: 'address' },
+      { indexed: false, internalType: 'string', name: 'name', type: 'string' }
+    ],
+    name: 'CollectionCreated',
+    type: 'event'
+  }
+]
+
+// PublicKeyRegistry ABI (state-changing functions; reads go through callRegistry)
+const PublicKeyRegistryABI = [
+  {
+    inputs: [
+      { internalType: 'uint8', name: 'keyType', type: 'uint8' },
+      { internalType: 'bytes', name: 'publicKey', type: 'bytes' }
+    ],
+    name: 'publishKey',
+    outputs: [{ internalType: 'uint256', name: 'version', type: 'uint256' }],
+    stateMutability: 'nonpayable',
+    type: 'function'
+  },
+  {
+    inputs: [{ internalType: 'uint256', name: 'version', type: 'uint256' }],
+    name: 'markCompromised',
+    outputs: [],
+    stateMutability: 'nonpayable',
+    type: 'function'
+  },
+  {
+    anonymous: false,
+    inputs: [
+      { indexed: true, internalType: 'address', name: 'account', type: 'address' },
+      { indexed: true, internalType: 'uint256', name: 'version', type: 'uint256' },
+      { indexed: false, internalType: 'uint8', name: 'keyType', type: 'uint8' }
+    ],
+    name: 'PublicKeyPublished',
+    type: 'event'
   }
 ]
 
+// Key types in PublicKeyRegistry, numbered like the envelope algorithms that wrap to them
+const PUBLIC_KEY_TYPES = {
+  RSA_OAEP_SHA256: KEY_ALGORITHMS.RSA_OAEP_SHA256,
+  SECP256K1: KEY_ALGORITHMS.ECIES_SECP256K1
+}
+
 // Mapping of fileHash to IPFS CID
 // Security note: This mapping is critical - without it, files become permanently inaccessible
 // Current implementation uses in-memory storage which is lost on restart
@@ -226,141 +495,711 @@ if (IPFS_MAPPING_FILE) {
 }
 
 /**
- * Upload file to blockchain and IPFS
+ * Normalize a fileHash to 0x-prefixed bytes32 hex
+ * @param {string} fileHash - File hash (with or without 0x prefix)
+ * @returns {string} 0x + 64 hex chars
+ * @throws {Error} If the hash does not have the expected length
+ */
+function formatFileHash(fileHash) {
+  const formatted = fileHash.startsWith('0x') ? fileHash : '0x' + fileHash
+  if (formatted.length !== 66) {
+    throw new Error(`Invalid fileHash format: expected 66 characters (0x + 64 hex), got ${formatted.length}`)
+  }
+  return formatted
+}
+
+/**
+ * Call a read-only FileRegistry function via eth_call
+ *
+ * Arguments are ABI-encoded manually and appended to the function selector
+ * to bypass web3.js v4 validator issues with bytes32 parameters.
  *
- * Process:
- * 1. Validate inputs
- * 2. Read and validate file
- * 3. Generate symmetric key and encrypt file
- * 4. Upload encrypted file to IPFS
- * 5. Wrap symmetric key (currently stores wrapped key metadata, should use recipient public key)
- * 6. Store metadata on blockchain
- * 7. Store IPFS CID mapping
- *
- * @param {string} filePath - Path to file
- * @param {string} privateKey - Private key for signing transactions
  * @param {string} contractAddress - Contract address
- * @param {string} recipientPublicKey - Optional RSA public key for key wrapping (PEM format)
- * @returns {Promise<Object>} Upload result with IPFS hash and transaction hash
+ * @param {string} signature - Function signature, e.g. 'getAccessKey(bytes32)'
+ * @param {Array<string>} paramTypes - ABI types of the arguments
+ * @param {Array} params - Argument values
+ * @param {string} from - Optional caller address (msg.sender for access-controlled views)
+ * @returns {Promise<string>} Raw ABI-encoded return data
  */
-async function uploadFileToBlockchain(filePath, privateKey, contractAddress, recipientPublicKey = null) {
-  let symmetricKey = null
+async function callRegistry(contractAddress, signature, paramTypes, params, from = null) {
+  const selector = web3.eth.abi.encodeFunctionSignature(signature)
+  const encodedParams = paramTypes.length > 0 ? web3.eth.abi.encodeParameters(paramTypes, params).slice(2) : ''
+  const callObject = { to: contractAddress, data: selector + encodedParams }
+  if (from) {
+    callObject.from = from
+  }
+  return web3.eth.call(callObject)
+}
 
+/**
+ * Decode an ABI-encoded dynamic bytes return value into a Buffer
+ * Format: 0x + offset (32 bytes) + length (32 bytes) + data (padded to 32-byte boundary)
+ * @param {string} rawResult - Raw eth_call result
+ * @returns {Buffer} Decoded bytes
+ */
+function decodeBytesResult(rawResult) {
+  if (!rawResult || rawResult === '0x' || rawResult.length < 66) {
+    throw new Error('Invalid response from contract: empty or malformed bytes')
+  }
+
+  let bytesHex
   try {
-    // Validate inputs
-    const validation = validateUploadParams({ filePath, privateKey, contractAddress })
-    if (validation.error) {
-      logSecurityEvent('INVALID_INPUT', { operation: 'upload', error: validation.error.message })
-      throw new Error(`Validation failed: ${validation.error.message}`)
+    const decoded = web3.eth.abi.decodeParameters(['bytes'], rawResult)
+    bytesHex = decoded[0]
+  } catch (decodeError) {
+    // Fallback: manual parsing for dynamic bytes
+    // Extract length from position 0x20 (bytes 32-63)
+    const lengthHex = rawResult.substring(66, 130)
+    const length = parseInt(lengthHex, 16)
+    if (length > 0 && length < 10000) {
+      // Extract data starting at 0x40 (byte 64+)
+      const dataStart = 130
+      const dataEnd = dataStart + (length * 2)
+      if (rawResult.length >= dataEnd) {
+        bytesHex = '0x' + rawResult.substring(dataStart, dataEnd)
+      } else {
+        throw new Error('Contract response truncated')
+      }
+    } else {
+      throw new Error('Invalid bytes length in contract response')
     }
+  }
 
-    // Check if file exists
-    if (!fs.existsSync(filePath)) {
-      throw new Error(`File not found: ${filePath}`)
-    }
+  return Buffer.from(bytesHex.startsWith('0x') ? bytesHex.slice(2) : bytesHex, 'hex')
+}
 
-    // Check file size before reading into memory
-    const stats = fs.statSync(filePath)
-    if (stats.size > MAX_FILE_SIZE) {
-      logSecurityEvent('FILE_TOO_LARGE', { size: stats.size, maxSize: MAX_FILE_SIZE })
-      throw new Error(`File too large: ${stats.size} bytes (max: ${MAX_FILE_SIZE} bytes)`)
-    }
+/**
+ * Load a signing account into the web3 wallet
+ * @param {string} privateKey - Private key for signing transactions
+ * @returns {Object} web3 account
+ */
+function getSigningAccount(privateKey) {
+  const account = web3.eth.accounts.privateKeyToAccount(privateKey)
 
-    if (stats.size === 0) {
-      throw new Error('Cannot upload empty file')
-    }
+  // Add account to wallet - this enables automatic signing for transactions
+  if (!web3.eth.accounts.wallet.get(account.address)) {
+    web3.eth.accounts.wallet.add(account)
+  }
 
-    logger.info('Starting file upload', { filePath: path.basename(filePath), contractAddress })
+  // Set default account for convenience (web3.js v4 may use this)
+  web3.eth.defaultAccount = account.address
 
-    // Read file
-    const fileBuffer = fs.readFileSync(filePath)
+  // Verify account is in wallet (web3.js v4 requires account to be in wallet for auto-signing)
+  const walletAccount = web3.eth.accounts.wallet.get(account.address)
+  if (!walletAccount || walletAccount.address.toLowerCase() !== account.address.toLowerCase()) {
+    throw new Error(`Account ${account.address} not found in web3 wallet. Cannot sign transaction.`)
+  }
 
-    // Generate symmetric key and encrypt file
-    symmetricKey = generateSymmetricKey()
-    const { ciphertext, iv, authTag } = encryptFile(fileBuffer, symmetricKey)
+  return account
+}
 
-    // Upload encrypted file to IPFS
-    const ipfsHash = await uploadToIPFS(ciphertext)
+/**
+ * Estimate gas for a contract method call with a safety margin
+ * Storage cost grows with the size of wrapped keys, so a fixed limit is not enough
+ * @param {Object} method - web3 contract method (e.g. contract.methods.grantAccess(...))
+ * @param {string} from - Sender address
+ * @returns {Promise<bigint>} Gas limit (estimate + 20%)
+ */
+async function estimateGasWithMargin(method, from) {
+  const estimate = BigInt(await method.estimateGas({ from }))
+  return (estimate * BigInt(120)) / BigInt(100)
+}
 
-    // Validate IPFS hash format
-    const ipfsValidation = validateIPFSHash(ipfsHash)
-    if (ipfsValidation.error) {
-      secureZero(symmetricKey)
-      symmetricKey = null
-      throw new Error(`Invalid IPFS hash format: ${ipfsValidation.error.message}`)
-    }
+/**
+ * Sign a contract method call without sending it
+ * Signing first gives the transaction hash and raw bytes up front, so they can be
+ * journaled before the transaction leaves this process.
+ * @param {Object} method - web3 contract method
+ * @param {Object} account - web3 account from getSigningAccount
+ * @param {string} contractAddress - Contract address
+ * @returns {Promise<Object>} { rawTransaction, txHash, nonce }
+ */
+async function signContractCall(method, account, contractAddress) {
+  const [gas, nonce, gasPrice, chainId] = await Promise.all([
+    estimateGasWithMargin(method, account.address),
+    web3.eth.getTransactionCount(account.address, 'pending'),
+    web3.eth.getGasPrice(),
+    web3.eth.getChainId()
+  ])
+  const signed = await account.signTransaction({
+    from: account.address,
+    to: contractAddress,
+    data: method.encodeABI(),
+    gas,
+    gasPrice,
+    nonce,
+    chainId
+  })
+  return { rawTransaction: signed.rawTransaction, txHash: signed.transactionHash, nonce: nonce.toString() }
+}
 
-    // Convert IPFS hash to bytes32 for blockchain storage
-    // Hash the IPFS CID string (UTF-8 encoded) to create a deterministic bytes32 identifier
-    // web3.utils.keccak256() hashes strings as UTF-8 bytes, which is correct for CID strings
-    const fileHash = web3.utils.keccak256(ipfsHash)
+/**
+ * Build a contract method call for another account's wallet to sign
+ * @param {Object} method - web3 contract method
+ * @param {string} from - Account that signs and sends the transaction
+ * @param {string} contractAddress - Contract address
+ * @param {number} nonceOffset - Transactions prepared for the same account that will be sent before this one
+ * @returns {Promise<Object>} Unsigned transaction (see utils/unsignedTransaction)
+ */
+function prepareContractCall(method, from, contractAddress, nonceOffset = 0) {
+  return buildUnsignedTransaction({ from, to: contractAddress, data: method.encodeABI() }, {
+    estimateGas: call => web3.eth.estimateGas(call),
+    getPendingNonce: address => web3.eth.getTransactionCount(address, 'pending'),
+    getChainId: () => web3.eth.getChainId()
+  }, nonceOffset)
+}
 
-    // Validate fileHash format (should be 0x + 64 hex chars)
-    if (!fileHash || !fileHash.match(/^0x[a-fA-F0-9]{64}$/)) {
-      secureZero(symmetricKey)
-      symmetricKey = null
-      throw new Error('Invalid fileHash generated from IPFS hash')
+/**
+ * @param {string} txHash - Transaction hash
+ * @returns {Promise<Object|null>} Receipt, or null while the transaction is not mined
+ */
+async function getTransactionReceiptOrNull(txHash) {
+  try {
+    return await web3.eth.getTransactionReceipt(txHash)
+  } catch (error) {
+    // web3.js v4 throws instead of returning null for unknown transactions
+    if (error.name === 'TransactionNotFound') {
+      return null
     }
+    throw error
+  }
+}
 
-    // Wrap symmetric key for storage
-    let wrappedKey
-    if (recipientPublicKey) {
-      // Validate recipient public key format before use
-      if (typeof recipientPublicKey !== 'string' || !recipientPublicKey.includes('-----BEGIN')) {
-        secureZero(symmetricKey)
-        symmetricKey = null
-        throw new Error('Recipient public key must be in PEM format')
-      }
-
-      // Wrap with recipient's public key (RSA-OAEP)
-      try {
-        wrappedKey = wrapKeyForRecipient(symmetricKey, recipientPublicKey)
-      } catch (wrapError) {
-        secureZero(symmetricKey)
-        symmetricKey = null
-        throw wrapError
-      }
-    } else {
-      // Temporary: Store encrypted key metadata
-      // TODO: In production, always use recipient public key wrapping
-      // This is a placeholder that should be replaced with proper key wrapping
-      const keyMetadata = {
-        iv,
-        tag: authTag,
-        // Note: In production, the symmetric key should be wrapped with recipient's public key
-        // This plaintext storage is a security risk and should be removed
-        key: symmetricKey.toString('hex')
-      }
-      wrappedKey = Buffer.from(JSON.stringify(keyMetadata))
-
-      if (wrappedKey.length > MAX_ENCRYPTED_KEY_SIZE) {
-        secureZero(symmetricKey)
-        symmetricKey = null
-        throw new Error(`Wrapped key exceeds maximum size: ${wrappedKey.length} bytes`)
-      }
-
-      logSecurityEvent('PLAINTEXT_KEY_STORAGE', {
-        warning: 'Symmetric key stored without proper wrapping - use recipientPublicKey parameter'
-      })
+/**
+ * Broadcast a signed transaction and wait for its receipt
+ * A reverted transaction resolves with its failed receipt instead of throwing.
+ * @param {string} rawTransaction - Signed transaction
+ * @param {string} txHash - Hash of the signed transaction
+ * @returns {Promise<Object>} Receipt
+ * @throws {Error} If the transaction was not mined, e.g. because the node could not be reached
+ */
+async function broadcastSignedTransaction(rawTransaction, txHash) {
+  try {
+    return await web3.eth.sendSignedTransaction(rawTransaction)
+  } catch (error) {
+    const receipt = await getTransactionReceiptOrNull(txHash).catch(() => null)
+    if (receipt) {
+      return receipt
     }
+    throw error
+  }
+}
 
-    // Securely zero out symmetric key from memory
-    secureZero(symmetricKey)
-    symmetricKey = null
-
-    // Set up account and configure web3 to use it for signing
-    const account = web3.eth.accounts.privateKeyToAccount(privateKey)
-
-    // Add account to wallet - this enables automatic signing for transactions
-    web3.eth.accounts.wallet.add(account)
-
-    // Set default account for convenience (web3.js v4 may use this)
-    web3.eth.defaultAccount = account.address
+/**
+ * Fetch the key blob issued to a caller (owner key or recipient grant)
+ * @param {string} fileHash - File hash (bytes32, 0x-prefixed)
+ * @param {string} contractAddress - Contract address
+ * @param {string} callerAddress - Address whose key should be returned
+ * @returns {Promise<Buffer>} Key blob as stored on-chain
+ * @throws {Error} If the caller has no access to the file
+ */
+async function fetchAccessKey(fileHash, contractAddress, callerAddress) {
+  let rawResult
+  try {
+    rawResult = await callRegistry(contractAddress, 'getAccessKey(bytes32)', ['bytes32'], [fileHash], callerAddress)
+  } catch (error) {
+    logSecurityEvent('ACCESS_DENIED', { fileHash, operation: 'get_access_key' })
+    throw new Error('Access denied: no key has been granted to this address for the file')
+  }
+  return decodeBytesResult(rawResult)
+}
 
-    // Verify account has funds (debug log for local dev)
-    if (process.env.DECENTRAFILE_NETWORK === 'local' || !process.env.DECENTRAFILE_NETWORK) {
-      try {
-        const balance = await web3.eth.getBalance(account.address)
+/**
+ * Recover the symmetric key, IV and auth tag from an on-chain key blob
+ *
+ * Supported formats:
+ * - Recipient key metadata: {"iv", "tag", "wrappedKey"} with an RSA-OAEP wrapped key
+ * - Plaintext key metadata: {"iv", "tag", "key"} (legacy, development only)
+ *
+ * @param {Buffer} keyBlob - Key blob as stored on-chain
+ * @param {string} recipientPrivateKey - Optional RSA private key (PEM) or Ethereum private key (hex)
+ * @param {string} maskedFileHash - Masked fileHash for security logging
+ * @returns {Object} { symmetricKey: Buffer, iv: string, authTag: string, contentCipher: number }
+ */
+function openKeyMaterial(keyBlob, recipientPrivateKey, maskedFileHash) {
+  if (isKeyEnvelope(keyBlob)) {
+    try {
+      const { symmetricKey, iv, authTag, contentCipher } = openKeyEnvelope(keyBlob, recipientPrivateKey)
+      return { symmetricKey, iv, authTag, contentCipher }
+    } catch (error) {
+      logSecurityEvent('INVALID_ENCRYPTED_KEY', { fileHash: maskedFileHash })
+      throw error
+    }
+  }
+
+  // Key blobs written before key envelopes existed
+  let keyData = null
+  try {
+    keyData = JSON.parse(keyBlob.toString('utf8'))
+  } catch (parseError) {
+    keyData = null
+  }
+
+  if (!keyData || typeof keyData !== 'object') {
+    if (recipientPrivateKey) {
+      // Raw RSA-wrapped key from before key envelopes: the IV/authTag were never stored
+      logSecurityEvent('INVALID_ENCRYPTED_KEY', { fileHash: maskedFileHash })
+      throw new Error('Legacy RSA-wrapped key has no IV/authTag and cannot decrypt the file. Ask the owner to share it again.')
+    }
+    logSecurityEvent('INVALID_ENCRYPTED_KEY', { fileHash: maskedFileHash })
+    throw new Error('Invalid encrypted key format')
+  }
+
+  // Validate key data structure
+  if ((!keyData.key && !keyData.wrappedKey) || !keyData.iv || !keyData.tag) {
+    logSecurityEvent('INVALID_ENCRYPTED_KEY', { fileHash: maskedFileHash })
+    throw new Error('Invalid encrypted key format: missing required fields')
+  }
+
+  let symmetricKey
+  if (keyData.wrappedKey) {
+    if (!recipientPrivateKey) {
+      throw new Error('Recipient private key is required to unwrap this file key')
+    }
+    symmetricKey = unwrapKeyForRecipient(Buffer.from(keyData.wrappedKey, 'hex'), recipientPrivateKey)
+  } else {
+    // Security note: This mode stores symmetric key in plaintext JSON - use recipientPublicKey parameter instead
+    symmetricKey = Buffer.from(keyData.key, 'hex')
+  }
+
+  // Validate symmetric key length
+  if (symmetricKey.length !== 32) {
+    logSecurityEvent('INVALID_ENCRYPTED_KEY', { fileHash: maskedFileHash })
+    secureZero(symmetricKey)
+    throw new Error('Invalid encrypted key format: incorrect key length')
+  }
+
+  return { symmetricKey, iv: keyData.iv, authTag: keyData.tag, contentCipher: CONTENT_CIPHERS.AES_256_GCM }
+}
+
+/**
+ * Check whether a public key is an RSA key in PEM format (as opposed to a secp256k1 key)
+ * @param {string} publicKey - Public key
+ * @returns {boolean} True for PEM keys
+ */
+function isPemKey(publicKey) {
+  return typeof publicKey === 'string' && publicKey.includes('-----BEGIN')
+}
+
+/**
+ * Check that a secp256k1 public key belongs to the address it is shared with
+ * RSA keys carry no address and are not checked
+ * @param {string} publicKey - Recipient public key
+ * @param {string} address - Recipient address
+ * @throws {Error} If the key derives a different address
+ */
+function assertKeyMatchesAddress(publicKey, address) {
+  if (isPemKey(publicKey)) {
+    return
+  }
+  if (publicKeyToAddress(publicKey) !== address.toLowerCase()) {
+    throw new Error(`Public key does not belong to recipient ${address}`)
+  }
+}
+
+/**
+ * Build the on-chain key envelope for a symmetric key
+ * @param {Buffer} symmetricKey - The 32-byte AES key
+ * @param {Object} cipherParams - { iv, authTag, contentCipher } of the ciphertext; iv and authTag are empty for streamed ciphertext
+ * @param {string} recipientPublicKey - Optional RSA public key (PEM) or secp256k1 public key (hex); without it the key is stored unwrapped
+ * @returns {Buffer} Key envelope
+ * @throws {Error} If no public key is given and plaintext key storage is disabled
+ */
+function buildKeyEnvelope(symmetricKey, cipherParams, recipientPublicKey = null) {
+  const { iv = '', authTag = '', contentCipher } = cipherParams
+  let envelope
+  if (recipientPublicKey) {
+    envelope = isPemKey(recipientPublicKey)
+      ? wrapKeyForRecipient(symmetricKey, recipientPublicKey, { iv, authTag, contentCipher })
+      : wrapKeyForEthereumRecipient(symmetricKey, recipientPublicKey, { iv, authTag, contentCipher })
+  } else {
+    if (!runtimeConfig.allowPlaintextKeys) {
+      logSecurityEvent('PLAINTEXT_KEY_REJECTED', { network: runtimeConfig.networkName })
+      throw new Error('Plaintext key storage is disabled (DECENTRAFILE_ALLOW_PLAINTEXT_KEYS=false). Provide a public key to wrap the file key.')
+    }
+    envelope = encodeKeyEnvelope({ algorithm: KEY_ALGORITHMS.NONE, wrappedKey: symmetricKey, iv, authTag, contentCipher })
+    logSecurityEvent('PLAINTEXT_KEY_STORAGE', {
+      warning: 'Symmetric key stored without wrapping - provide a public key'
+    })
+  }
+
+  if (envelope.length > MAX_ENCRYPTED_KEY_SIZE) {
+    throw new Error(`Wrapped key exceeds maximum size: ${envelope.length} bytes`)
+  }
+  return envelope
+}
+
+/**
+ * Look up the active encryption key a recipient published in PublicKeyRegistry
+ * @param {string} recipientAddress - Recipient address
+ * @param {string} keyRegistryAddress - PublicKeyRegistry contract address
+ * @returns {Promise<Object>} { publicKey, keyType, version } with publicKey as a PEM string (RSA) or 0x04 hex (secp256k1)
+ * @throws {Error} If the recipient has no key or their current key is marked compromised
+ */
+async function resolveRecipientPublicKey(recipientAddress, keyRegistryAddress) {
+  if (validateAddress(recipientAddress).error) {
+    throw new Error(`Validation failed: invalid recipient address ${recipientAddress}`)
+  }
+  if (!keyRegistryAddress || validateAddress(keyRegistryAddress).error) {
+    throw new Error('Validation failed: a valid PublicKeyRegistry address is required to resolve recipient keys')
+  }
+
+  let rawResult
+  try {
+    rawResult = await callRegistry(keyRegistryAddress, 'getActiveKey(address)', ['address'], [recipientAddress])
+  } catch (error) {
+    logSecurityEvent('PUBLIC_KEY_UNAVAILABLE', { recipient: recipientAddress })
+    throw new Error(`No usable public key published for ${recipientAddress} (missing or marked compromised)`)
+  }
+
+  const decoded = web3.eth.abi.decodeParameters(['uint8', 'bytes', 'uint256'], rawResult)
+  const keyType = Number(decoded[0])
+  const keyBytes = Buffer.from(decoded[1].slice(2), 'hex')
+  const version = Number(decoded[2])
+
+  if (keyType === PUBLIC_KEY_TYPES.RSA_OAEP_SHA256) {
+    return { publicKey: keyBytes.toString('utf8'), keyType, version }
+  }
+  if (keyType === PUBLIC_KEY_TYPES.SECP256K1) {
+    // The registry only accepts account keys from their own address; check again rather than trust the RPC
+    const publicKey = '0x' + keyBytes.toString('hex')
+    assertKeyMatchesAddress(publicKey, recipientAddress)
+    return { publicKey, keyType, version }
+  }
+  throw new Error(`Unsupported public key type ${keyType} for ${recipientAddress}`)
+}
+
+/**
+ * Open the plaintext of a stored file as a stream
+ *
+ * Streamed ciphertext (AES_256_GCM_STREAM) is decrypted chunk by chunk as it arrives
+ * from IPFS. Files encrypted as a single GCM message before streaming existed are
+ * downloaded and decrypted in memory.
+ *
+ * @param {string} ipfsHash - IPFS CID of the ciphertext
+ * @param {Object} keyMaterial - Result of openKeyMaterial
+ * @returns {Promise<Readable>} Plaintext stream; errors if authentication fails or the ciphertext is truncated
+ */
+async function openPlaintextStream(ipfsHash, keyMaterial) {
+  if (keyMaterial.contentCipher === CONTENT_CIPHERS.AES_256_GCM_STREAM) {
+    return pipeline(downloadStreamFromIPFS(ipfsHash), createDecryptStream(keyMaterial.symmetricKey), () => {})
+  }
+
+  const encryptedFile = await downloadFromIPFS(ipfsHash)
+  let plaintext
+  try {
+    plaintext = decryptFile(encryptedFile, keyMaterial.symmetricKey, keyMaterial.iv, keyMaterial.authTag)
+  } catch (decryptError) {
+    throw new Error('Failed to decrypt file. Invalid key or corrupted data.')
+  }
+  return Readable.from([plaintext])
+}
+
+/**
+ * Encrypt a plaintext stream with the streaming format and upload it to IPFS
+ * @param {Readable} plaintext - Plaintext stream
+ * @param {Buffer} symmetricKey - The 32-byte AES key
+ * @returns {Promise<string>} IPFS CID of the ciphertext
+ */
+async function uploadEncryptedStream(plaintext, symmetricKey) {
+  const ciphertext = pipeline(plaintext, createEncryptStream(symmetricKey), () => {})
+  return uploadStreamToIPFS(ciphertext)
+}
+
+/**
+ * Resolve the IPFS CID for a fileHash from the mapping
+ * Reloads persistent storage if the entry is not in memory
+ * @param {string} fileHash - File hash (bytes32)
+ * @returns {string|null} IPFS hash or null if not found
+ */
+function resolveIPFSHash(fileHash) {
+  let ipfsHash = ipfsHashMapping.get(fileHash)
+
+  if (!ipfsHash) {
+    // Try reloading from persistent storage in case it was updated externally
+    if (IPFS_MAPPING_FILE && fs.existsSync(IPFS_MAPPING_FILE)) {
+      const reloaded = loadIPFSMapping()
+      for (const [hash, ipfs] of reloaded.entries()) {
+        ipfsHashMapping.set(hash, ipfs)
+      }
+      ipfsHash = ipfsHashMapping.get(fileHash)
+    }
+  }
+
+  return ipfsHash || null
+}
+
+/**
+ * Resolve the IPFS CID of a file, preferring the on-chain locator
+ * Falls back to the local mapping for files registered without a locator
+ * @param {string} fileHash - File hash (bytes32, 0x-prefixed)
+ * @param {string} contractAddress - Contract address
+ * @param {Buffer} symmetricKey - File key, used to decrypt encrypted locators
+ * @returns {Promise<string|null>} IPFS hash or null if neither source knows the file
+ */
+async function locateFile(fileHash, contractAddress, symmetricKey) {
+  const rawResult = await callRegistry(contractAddress, 'getLocator(bytes32)', ['bytes32'], [fileHash])
+  const locator = decodeBytesResult(rawResult)
+
+  if (locator.length === 0) {
+    return resolveIPFSHash(fileHash)
+  }
+
+  const ipfsHash = decodeLocator(locator, symmetricKey)
+  if (web3.utils.keccak256(ipfsHash) !== fileHash.toLowerCase()) {
+    logSecurityEvent('LOCATOR_MISMATCH', { fileHash: `${fileHash.substring(0, 8)}...` })
+    throw new Error('On-chain locator does not match the file hash')
+  }
+
+  // Cache in memory so later lookups in this process skip the RPC call
+  ipfsHashMapping.set(fileHash, ipfsHash)
+  return ipfsHash
+}
+
+/**
+ * Reject upload sizes outside the configured limit
+ * @param {number} size - File size in bytes
+ * @throws {Error} If the file is empty or larger than runtimeConfig.maxFileSize
+ */
+function checkUploadSize(size) {
+  if (size > runtimeConfig.maxFileSize) {
+    logSecurityEvent('FILE_TOO_LARGE', { size, maxSize: runtimeConfig.maxFileSize })
+    throw new Error(`File too large: ${size} bytes (max: ${runtimeConfig.maxFileSize} bytes)`)
+  }
+  if (size === 0) {
+    throw new Error('Cannot upload empty file')
+  }
+}
+
+/**
+ * Pass-through stream that counts the plaintext of an upload and enforces the size limit
+ * Errors as soon as the limit is passed, and at the end if nothing was read.
+ * @returns {Transform} Stream with a bytesRead property
+ */
+function limitUploadSize() {
+  const counter = new Transform({
+    transform(chunk, encoding, callback) {
+      counter.bytesRead += chunk.length
+      if (counter.bytesRead > runtimeConfig.maxFileSize) {
+        logSecurityEvent('FILE_TOO_LARGE', { size: counter.bytesRead, maxSize: runtimeConfig.maxFileSize })
+        return callback(new Error(`File too large: more than ${runtimeConfig.maxFileSize} bytes`))
+      }
+      callback(null, chunk)
+    },
+    flush(callback) {
+      callback(counter.bytesRead === 0 ? new Error('Cannot upload empty file') : null)
+    }
+  })
+  counter.bytesRead = 0
+  return counter
+}
+
+/**
+ * Check that an upload source exists and is within the size limit, when its size is known up front
+ * @param {string|Buffer|Readable} source - Path, content or stream
+ * @returns {number|null} Size in bytes, or null for streams
+ * @throws {Error} If the file is missing, empty or too large
+ */
+function checkUploadSource(source) {
+  let knownSize = null
+  if (typeof source === 'string') {
+    if (!fs.existsSync(source)) {
+      throw new Error(`File not found: ${source}`)
+    }
+    knownSize = fs.statSync(source).size
+  } else if (Buffer.isBuffer(source)) {
+    knownSize = source.length
+  }
+  if (knownSize !== null) {
+    checkUploadSize(knownSize)
+  }
+  return knownSize
+}
+
+/**
+ * Filename metadata to journal with an upload
+ * @param {string|Buffer|Readable} source - Path, content or stream
+ * @param {Object|null} metadata - { filename, mimeType, uploadedBy } as passed by the caller
+ * @returns {Object|null} Metadata with defaults filled in, or null if none was given
+ */
+function uploadMetadataFor(source, metadata) {
+  if (!metadata) {
+    return null
+  }
+  const uploadMetadata = {
+    filename: metadata.filename || (typeof source === 'string' ? path.basename(source) : 'uploaded-file'),
+    mimeType: metadata.mimeType || 'application/octet-stream'
+  }
+  if (metadata.uploadedBy) {
+    uploadMetadata.uploadedBy = metadata.uploadedBy
+  }
+  return uploadMetadata
+}
+
+/**
+ * Resolve the public keys of upload recipients
+ * @param {Array<string|Object>} recipients - Addresses, looked up in PublicKeyRegistry, or { address, publicKey }
+ * @param {string} keyRegistryAddress - PublicKeyRegistry contract address, required with addresses
+ * @returns {Promise<Array<Object>>} [{ address, publicKey }], one per address
+ */
+async function resolveUploadRecipients(recipients, keyRegistryAddress) {
+  const addressOf = recipient => typeof recipient === 'string' ? recipient : recipient.address
+  const uniqueRecipients = [...new Map(recipients.map(recipient => [String(addressOf(recipient)).toLowerCase(), recipient])).values()]
+  const recipientKeys = []
+  for (const recipient of uniqueRecipients) {
+    if (typeof recipient === 'string') {
+      const { publicKey } = await resolveRecipientPublicKey(recipient, keyRegistryAddress)
+      recipientKeys.push({ address: recipient, publicKey })
+    } else {
+      if (validateAddress(recipient.address).error || !recipient.publicKey) {
+        throw new Error(`Validation failed: recipient needs an address and a public key: ${recipient.address}`)
+      }
+      assertKeyMatchesAddress(recipient.publicKey, recipient.address)
+      recipientKeys.push({ address: recipient.address, publicKey: recipient.publicKey })
+    }
+  }
+  return recipientKeys
+}
+
+/**
+ * Encrypt an upload under a new file key and store the ciphertext
+ *
+ * The key is wrapped for the owner and each recipient before anything leaves this process,
+ * so a rejected key does not leave an orphaned upload on IPFS, and it is zeroed before
+ * this returns. The stored step is recorded in the journal.
+ *
+ * @param {string|Buffer|Readable} source - Path, content or stream
+ * @param {string} uploadId - Journal upload id
+ * @param {string|null} ownerPublicKey - Key to wrap the owner's envelope to; null stores it unwrapped (if allowed)
+ * @param {Array<Object>} recipientKeys - [{ address, publicKey }] to wrap envelopes for
+ * @param {boolean} publicLocator - Store the CID on-chain unencrypted
+ * @returns {Promise<Object>} { ipfsHash, fileHash, size, wrappedKey (Buffer), recipientEnvelopes (0x hex), locator (Buffer) }
+ */
+async function encryptAndStore(source, uploadId, ownerPublicKey, recipientKeys, publicLocator) {
+  const symmetricKey = generateSymmetricKey()
+  try {
+    // Streamed ciphertext carries its nonces and tags inline, so the envelope needs no IV or tag
+    const cipherParams = { contentCipher: CONTENT_CIPHERS.AES_256_GCM_STREAM }
+    const wrappedKey = buildKeyEnvelope(symmetricKey, cipherParams, ownerPublicKey)
+    const recipientEnvelopes = recipientKeys.map(({ publicKey }) =>
+      '0x' + buildKeyEnvelope(symmetricKey, cipherParams, publicKey).toString('hex')
+    )
+
+    // Encrypt and upload in chunks, so memory use does not grow with the file size
+    const plaintext = typeof source === 'string' ? fs.createReadStream(source) : Buffer.isBuffer(source) ? Readable.from([source]) : source
+    const sizeLimit = limitUploadSize()
+    const ipfsHash = await uploadEncryptedStream(pipeline(plaintext, sizeLimit, () => {}), symmetricKey)
+    const size = sizeLimit.bytesRead
+
+    // Validate IPFS hash format
+    const ipfsValidation = validateIPFSHash(ipfsHash)
+    if (ipfsValidation.error) {
+      throw new Error(`Invalid IPFS hash format: ${ipfsValidation.error.message}`)
+    }
+
+    // Convert IPFS hash to bytes32 for blockchain storage
+    // Hash the IPFS CID string (UTF-8 encoded) to create a deterministic bytes32 identifier
+    // web3.utils.keccak256() hashes strings as UTF-8 bytes, which is correct for CID strings
+    const fileHash = web3.utils.keccak256(ipfsHash)
+
+    // Validate fileHash format (should be 0x + 64 hex chars)
+    if (!fileHash || !fileHash.match(/^0x[a-fA-F0-9]{64}$/)) {
+      throw new Error('Invalid fileHash generated from IPFS hash')
+    }
+
+    getUploadJournal().record(uploadId, 'stored', { cid: ipfsHash, fileHash, size })
+
+    // Store the CID on-chain so the file can be found without the local mapping
+    const locator = encodeLocator(ipfsHash, publicLocator ? null : symmetricKey)
+    return { ipfsHash, fileHash, size, wrappedKey, recipientEnvelopes, locator }
+  } finally {
+    // Securely zero out symmetric key from memory, on errors too
+    secureZero(symmetricKey)
+  }
+}
+
+/**
+ * Upload file to blockchain and IPFS
+ *
+ * Process:
+ * 1. Validate inputs
+ * 2. Check the file size, when it is known up front
+ * 3. Resolve recipient public keys from PublicKeyRegistry
+ * 4. Generate symmetric key
+ * 5. Wrap symmetric key in a key envelope (RSA-OAEP, ECIES, or unwrapped if plaintext keys are allowed)
+ * 6. Stream the file through chunked encryption to IPFS
+ * 7. Pin the ciphertext as DECENTRAFILE_PIN_POLICY requires
+ * 8. Sign and send the transaction storing metadata and the CID locator on blockchain
+ * 9. Store IPFS CID mapping (and filename metadata, if given)
+ * 10. Grant access to each recipient
+ *
+ * Steps 6 to 9 are recorded in the upload journal as they happen. If the process dies,
+ * resumeUploads finishes the upload or releases its pins on the next start. An upload whose
+ * transaction was sent but not confirmed (e.g. the RPC node went away) is left to
+ * resumeUploads too, and fails with its uploadId in the message.
+ *
+ * The content can be a file, a Buffer or a stream. A stream is encrypted as it is read,
+ * with backpressure, so the plaintext is never buffered whole or written to disk. Its size
+ * is only known once it ends: a stream over the size limit, or an empty one, fails the
+ * upload before anything is registered.
+ *
+ * @param {string|Buffer|Readable} source - Path to the file, its content, or a stream of it (consumed once)
+ * @param {string} privateKey - Private key for signing transactions
+ * @param {string} contractAddress - Contract address
+ * @param {string} recipientPublicKey - Optional public key to wrap the file key for: RSA (PEM) or secp256k1 (hex).
+ *   When omitted and plaintext keys are disabled, the key is wrapped to the uploader's own account key.
+ * @param {Object} options - Upload options
+ * @param {boolean} options.publicLocator - Store the CID on-chain unencrypted (default: encrypted with the file key)
+ * @param {Array<string|Object>} options.recipients - Recipients to share the file with: addresses, whose keys are read from
+ *   PublicKeyRegistry, or { address, publicKey } with a secp256k1 or RSA key already known (e.g. from a sign-in signature)
+ * @param {string} options.keyRegistryAddress - PublicKeyRegistry contract address, required with recipient addresses
+ * @param {Object} options.metadata - { filename, mimeType, uploadedBy } to store in the filename mapping once the file is registered;
+ *   uploadedBy is the account an upload was made for, when the signer uploads on its behalf
+ * @param {string} options.previousFileHash - Register the file as the next version of this one, granting the recipients
+ *   in the same transaction (see uploadNewVersion)
+ * @returns {Promise<Object>} Upload result with IPFS hash, transaction hash, the recipients granted access, the pin record and the journal uploadId
+ */
+async function uploadFileToBlockchain(source, privateKey, contractAddress, recipientPublicKey = null, options = {}) {
+  const { recipients = [], keyRegistryAddress = null, metadata = null, previousFileHash = null } = options
+  const journal = getUploadJournal()
+  let upload = null
+  let pinnedFileHash = null
+  let registered = false
+  let awaitingReceipt = false
+  const sourceName = typeof source === 'string' ? path.basename(source) : Buffer.isBuffer(source) ? 'buffer' : 'stream'
+
+  try {
+    // Validate inputs
+    const validation = validateUploadParams({ filePath: source, privateKey, contractAddress })
+    if (validation.error) {
+      logSecurityEvent('INVALID_INPUT', { operation: 'upload', error: validation.error.message })
+      throw new Error(`Validation failed: ${validation.error.message}`)
+    }
+
+    // Check the size before reading anything; a stream is checked as it is read
+    const knownSize = checkUploadSource(source)
+
+    logger.info('Starting file upload', { filePath: sourceName, contractAddress })
+    upload = journal.begin({ contractAddress, size: knownSize, metadata: uploadMetadataFor(source, metadata) })
+
+    // Resolve recipient keys first: a missing or compromised key should fail before anything is uploaded
+    const recipientKeys = await resolveUploadRecipients(recipients, keyRegistryAddress)
+
+    const ownerPublicKey = recipientPublicKey || (runtimeConfig.allowPlaintextKeys ? null : getEthereumPublicKey(privateKey))
+    const { ipfsHash, fileHash, size, wrappedKey, recipientEnvelopes, locator } = await encryptAndStore(source, upload.id, ownerPublicKey, recipientKeys, options.publicLocator)
+
+    // Pin before registering, so a registered file is never left for garbage collection
+    const pin = await getPinManager().pin(fileHash, ipfsHash)
+    pinnedFileHash = fileHash
+    journal.record(upload.id, 'pinned')
+
+    // Set up account and configure web3 to use it for signing
+    const account = getSigningAccount(privateKey)
+
+    // Verify account has funds (debug log for local dev)
+    if (process.env.DECENTRAFILE_NETWORK === 'local' || !process.env.DECENTRAFILE_NETWORK) {
+      try {
+        const balance = await web3.eth.getBalance(account.address)
         const network = await web3.eth.getChainId()
         logger.info('UPLOAD_ACCOUNT_BALANCE_CHECK', {
           address: account.address,
@@ -386,232 +1225,349 @@ async function uploadFileToBlockchain(filePath, privateKey, contractAddress, rec
     // Convert Buffer to hex string for web3.js v4 (requires 0x prefix for bytes parameter)
     const wrappedKeyHex = '0x' + wrappedKey.toString('hex')
 
-    // Verify account is in wallet (web3.js v4 requires account to be in wallet for auto-signing)
-    const walletAccount = web3.eth.accounts.wallet.get(account.address)
-    if (!walletAccount || walletAccount.address.toLowerCase() !== account.address.toLowerCase()) {
-      throw new Error(`Account ${account.address} not found in web3 wallet. Cannot sign transaction.`)
-    }
+    const locatorHex = '0x' + locator.toString('hex')
+    const uploadMethod = previousFileHash
+      ? contract.methods.uploadNewVersion(formatFileHash(previousFileHash), fileHash, wrappedKeyHex, locatorHex, recipientKeys.map(({ address }) => address), recipientEnvelopes)
+      : contract.methods.uploadFileWithLocator(fileHash, wrappedKeyHex, locatorHex)
+    const signed = await signContractCall(uploadMethod, account, contractAddress)
+    journal.record(upload.id, 'signed', { sender: account.address, ...signed })
 
-    const tx = await contract.methods.uploadFile(fileHash, wrappedKeyHex).send({
-      from: account.address,
-      gas: 500000
-    })
+    awaitingReceipt = true
+    let receipt
+    try {
+      receipt = await broadcastSignedTransaction(signed.rawTransaction, signed.txHash)
+    } catch (sendError) {
+      // A transaction the node does not know was rejected outright and will never be mined
+      const known = await web3.eth.getTransaction(signed.txHash).then(Boolean, (lookupError) => lookupError.name !== 'TransactionNotFound')
+      awaitingReceipt = known
+      throw sendError
+    }
+    awaitingReceipt = false
+    if (BigInt(receipt.status) !== BigInt(1)) {
+      throw new Error(`Upload transaction reverted: ${signed.txHash}`)
+    }
+    registered = true
+    journal.record(upload.id, 'confirmed', { blockNumber: String(receipt.blockNumber) })
 
     // Store IPFS hash mapping (critical for file retrieval)
-    ipfsHashMapping.set(fileHash, ipfsHash)
-
-    // Save to persistent storage if configured
-    saveIPFSMapping(ipfsHashMapping)
+    writeUploadMapping({ fileHash, cid: ipfsHash, metadata: upload.metadata, size })
+    journal.record(upload.id, 'completed')
 
-    logger.info('Transaction confirmed', { txHash: tx.transactionHash })
+    logger.info('Transaction confirmed', { txHash: signed.txHash })
     logFileUpload(fileHash, ipfsHash, account.address)
 
+    // The file is registered at this point; a failed grant can be retried with shareFile.
+    // A new version was registered together with its grants.
+    const separateGrants = previousFileHash ? [] : recipientKeys
+    for (let i = 0; i < separateGrants.length; i++) {
+      const grantMethod = contract.methods.grantAccess(fileHash, separateGrants[i].address, recipientEnvelopes[i])
+      try {
+        await grantMethod.send({
+          from: account.address,
+          gas: await estimateGasWithMargin(grantMethod, account.address)
+        })
+      } catch (grantError) {
+        throw new Error(`File uploaded as ${fileHash} but granting access to ${separateGrants[i].address} failed: ${grantError.message}`)
+      }
+    }
+    if (recipientKeys.length > 0) {
+      logger.info('Access granted on upload', { recipients: recipientKeys.length })
+    }
+
     return {
       ipfsHash,
       fileHash,
-      txHash: tx.transactionHash
+      txHash: signed.txHash,
+      recipients: recipientKeys.map(({ address }) => address),
+      pin,
+      uploadId: upload.id
     }
   } catch (error) {
-    // Ensure symmetric key is zeroed even on error
-    if (symmetricKey) {
-      secureZero(symmetricKey)
+    if (awaitingReceipt) {
+      // The transaction may still be mined; resumeUploads settles it
+      logger.warn('Upload transaction sent but not confirmed, left for resume', { uploadId: upload.id })
+      error.message = `${error.message} (upload ${upload.id} will be resumed)`
+    } else if (upload && !registered) {
+      await abandonUpload(upload.id, pinnedFileHash, error)
     }
-    logError(error, { operation: 'upload', filePath: filePath ? path.basename(filePath) : 'unknown' })
+    logError(error, { operation: 'upload', filePath: sourceName })
     throw error
+  } finally {
+    if (upload) {
+      journal.release(upload.id)
+    }
   }
 }
 
 /**
- * Download file from blockchain and IPFS
+ * Prepare an upload for the owner's own wallet to register
  *
- * Process:
- * 1. Validate inputs
- * 2. Check if file exists on blockchain
- * 3. Retrieve encrypted key from blockchain
- * 4. Unwrap symmetric key
- * 5. Retrieve IPFS CID from mapping
- * 6. Download encrypted file from IPFS
- * 7. Decrypt file
- * 8. Save decrypted file
+ * The file is encrypted, stored and pinned here like any upload, with its key wrapped to the
+ * owner's public key, but the registration is returned as an unsigned uploadFileWithLocator
+ * transaction from the owner's account: the owner's wallet signs and pays for it, and the
+ * file is registered under that account. No server key is involved.
  *
- * @param {string} fileHash - File hash (bytes32)
- * @param {string} contractAddress - Contract address
- * @param {string} outputPath - Path to save downloaded file
- * @param {string} recipientPrivateKey - Optional RSA private key for key unwrapping (PEM format)
- * @returns {Promise<void>}
+ * Recipients' key envelopes are made now, while the file key exists, and kept in the
+ * journal; finalizeUpload returns the grantAccess transactions for them once the file is
+ * registered. Until then the upload waits in the journal as awaiting_signature and is
+ * rolled back if nothing is registered before it expires.
+ *
+ * With a relayer, the owner can instead sign EIP-712 requests for the registration and the
+ * grants (signatureRequests, in nonce order) and have the relayer send them, so the owner's
+ * account needs no funds. finalizeUpload confirms either way.
+ *
+ * @param {string|Buffer|Readable} source - Path to the file, its content, or a stream of it (consumed once)
+ * @param {string} ownerAddress - Account that will sign the transaction and own the file
+ * @param {string} ownerPublicKey - secp256k1 public key of that account (hex), e.g. recovered from its sign-in signature
+ * @param {string} contractAddress - FileRegistry contract address
+ * @param {Object} options - Upload options
+ * @param {Array<string|Object>} options.recipients - As for uploadFileToBlockchain; the owner is left out
+ * @param {string} options.keyRegistryAddress - PublicKeyRegistry contract address, required with recipient addresses
+ * @param {Object} options.metadata - { filename, mimeType, uploadedBy } to store once the file is registered
+ * @param {boolean} options.publicLocator - Store the CID on-chain unencrypted
+ * @param {number} options.ttlMs - How long the transaction may take to be mined (default 1 hour)
+ * @param {Relayer} options.relayer - Relayer (see relayer/) to also prepare signed requests for
+ * @returns {Promise<Object>} { uploadId, fileHash, ipfsHash, transaction: { from, to, data, gas, nonce, chainId }, expiresAt },
+ *   and signatureRequests (typed data for eth_signTypedData_v4) with a relayer
  */
-async function downloadFileFromBlockchain(fileHash, contractAddress, outputPath, recipientPrivateKey = null) {
-  let symmetricKey = null
+async function prepareUpload(source, ownerAddress, ownerPublicKey, contractAddress, options = {}) {
+  const { recipients = [], keyRegistryAddress = null, metadata = null, ttlMs = 60 * 60 * 1000, relayer = null } = options
+  const journal = getUploadJournal()
+  let upload = null
+  let pinnedFileHash = null
+  const sourceName = typeof source === 'string' ? path.basename(source) : Buffer.isBuffer(source) ? 'buffer' : 'stream'
 
   try {
-    // Validate inputs
-    const validation = validateDownloadParams({ fileHash, contractAddress, outputPath })
-    if (validation.error) {
-      logSecurityEvent('INVALID_INPUT', { operation: 'download', error: validation.error.message })
-      throw new Error(`Validation failed: ${validation.error.message}`)
+    if (validateAddress(ownerAddress).error || !contractAddress || validateAddress(contractAddress).error) {
+      logSecurityEvent('INVALID_INPUT', { operation: 'prepare_upload', error: 'invalid owner or contract address' })
+      throw new Error('Validation failed: invalid owner or contract address')
+    }
+    if (!ownerPublicKey || isPemKey(ownerPublicKey)) {
+      throw new Error('Validation failed: the owner\'s secp256k1 public key is required')
     }
+    assertKeyMatchesAddress(ownerPublicKey, ownerAddress)
+    const owner = web3.utils.toChecksumAddress(ownerAddress)
 
-    // Mask fileHash for logging
-    const maskedFileHash = fileHash ? `${fileHash.substring(0, 8)}...` : 'unknown'
-    logger.info('Starting file download', { fileHash: maskedFileHash, contractAddress })
+    const knownSize = checkUploadSource(source)
+    logger.info('Preparing wallet upload', { filePath: sourceName, owner, contractAddress })
+    upload = journal.begin({ contractAddress, size: knownSize, metadata: uploadMetadataFor(source, metadata) })
 
-    // Ensure fileHash is properly formatted (must be 0x + 64 hex chars)
-    let fileHashFormatted = fileHash
-    if (!fileHashFormatted.startsWith('0x')) {
-      fileHashFormatted = '0x' + fileHashFormatted
-    }
-    if (fileHashFormatted.length !== 66) {
-      throw new Error(`Invalid fileHash format: expected 66 characters (0x + 64 hex), got ${fileHashFormatted.length}`)
-    }
+    // The owner keeps its own envelope, and the registry refuses grants to the owner
+    const recipientKeys = (await resolveUploadRecipients(recipients, keyRegistryAddress))
+      .filter(({ address }) => address.toLowerCase() !== owner.toLowerCase())
+    const { ipfsHash, fileHash, wrappedKey, recipientEnvelopes, locator } = await encryptAndStore(source, upload.id, ownerPublicKey, recipientKeys, options.publicLocator)
 
-    // Use direct eth_call to bypass web3.js v4 validator issues with bytes32
-    // Manually encode bytes32 parameter (64 hex chars, no 0x prefix in encoding)
-    const hashHex = fileHashFormatted.startsWith('0x') ? fileHashFormatted.slice(2) : fileHashFormatted
-    if (hashHex.length !== 64) {
-      throw new Error(`Invalid fileHash hex length: expected 64, got ${hashHex.length}`)
+    // Estimating gas fails here if the file is already registered, before anything is pinned
+    const contract = new web3.eth.Contract(FileRegistryABI, contractAddress)
+    const uploadMethod = contract.methods.uploadFileWithLocator(fileHash, '0x' + wrappedKey.toString('hex'), '0x' + locator.toString('hex'))
+    const transaction = await prepareContractCall(uploadMethod, owner, contractAddress)
+
+    const expiresAt = new Date(Date.now() + ttlMs).toISOString()
+    let signatureRequests = null
+    if (relayer) {
+      // Signed in this order, each request takes the owner's next nonce
+      const deadline = Math.floor(Date.parse(expiresAt) / 1000)
+      signatureRequests = [await relayer.prepare('uploadFile', {
+        owner, fileHash, encryptedKey: '0x' + wrappedKey.toString('hex'), locator: '0x' + locator.toString('hex'), deadline
+      })]
+      for (const [i, { address }] of recipientKeys.entries()) {
+        signatureRequests.push(await relayer.prepare('grantAccess', { owner, fileHash, recipient: address, wrappedKey: recipientEnvelopes[i], deadline }, { nonceOffset: i + 1 }))
+      }
     }
 
-    // Encode function signature and parameter manually
-    const fileExistsSignature = web3.eth.abi.encodeFunctionSignature('fileExists(bytes32)')
-    const existsCallData = fileExistsSignature + hashHex
+    await getPinManager().pin(fileHash, ipfsHash)
+    pinnedFileHash = fileHash
+    journal.record(upload.id, 'pinned')
 
-    const existsResult = await web3.eth.call({
-      to: contractAddress,
-      data: existsCallData
+    journal.record(upload.id, 'awaiting_signature', {
+      sender: owner,
+      transaction,
+      grants: recipientKeys.map(({ address }, i) => ({ address, wrappedKey: recipientEnvelopes[i] })),
+      expiresAt
     })
+    logger.info('Wallet upload prepared', { uploadId: upload.id, fileHash, owner })
 
-    // Decode bool result (0x00 = false, 0x01 = true, padded to 32 bytes)
-    const fileExists = existsResult !== '0x' && existsResult !== '0x00' && !existsResult.match(/^0x0+$/)
-
-    if (!fileExists) {
-      logSecurityEvent('FILE_NOT_FOUND', { fileHash: maskedFileHash })
-      throw new Error('File not found on blockchain')
+    return signatureRequests
+      ? { uploadId: upload.id, fileHash, ipfsHash, transaction, signatureRequests, expiresAt }
+      : { uploadId: upload.id, fileHash, ipfsHash, transaction, expiresAt }
+  } catch (error) {
+    if (upload) {
+      await abandonUpload(upload.id, pinnedFileHash, error)
+    }
+    logError(error, { operation: 'prepare_upload', filePath: sourceName })
+    throw error
+  } finally {
+    if (upload) {
+      journal.release(upload.id)
     }
+  }
+}
 
-    // Use direct eth_call for downloadFile
-    const downloadSignature = web3.eth.abi.encodeFunctionSignature('downloadFile(bytes32)')
-    const downloadCallData = downloadSignature + hashHex
+// Wallet uploads being checked against the registry, by uploadId, so concurrent finalizeUpload calls settle each upload once
+const settlingUploads = new Map()
 
-    const rawResult = await web3.eth.call({
-      to: contractAddress,
-      data: downloadCallData
-    })
+/**
+ * Finish an upload prepared with prepareUpload once the wallet's transaction is mined
+ *
+ * Waits until the registry shows the file under the owner's account, then writes the local
+ * mappings. The transaction hash the client reports is only used to notice a revert early:
+ * the upload is confirmed by the registration, whichever transaction made it. Calling this
+ * again for a completed upload returns the grant transactions still outstanding.
+ *
+ * @param {string} uploadId - uploadId returned by prepareUpload
+ * @param {Object} options - Options
+ * @param {string} options.txHash - Hash of the transaction the wallet sent, if known
+ * @param {number} options.timeoutMs - How long to wait for the registration (default 2 minutes)
+ * @param {number} options.pollIntervalMs - How often to check the registry (default 2 seconds)
+ * @returns {Promise<Object>} { uploadId, status, fileHash, ipfsHash, owner, txHash, grantTransactions }; status is
+ *   'completed', or 'awaiting_signature' (with expiresAt instead of grantTransactions) if the transaction was not mined in time
+ * @throws {Error} If the upload is unknown, was not prepared for a wallet, or was rolled back
+ */
+async function finalizeUpload(uploadId, options = {}) {
+  const { txHash = null, timeoutMs = 2 * 60 * 1000, pollIntervalMs = 2000 } = options
+  const journal = getUploadJournal()
+  let entry = journal.get(uploadId)
+  if (!entry || !entry.transaction) {
+    throw new Error(`Unknown wallet upload: ${uploadId}`)
+  }
+  if (txHash !== null && !/^0x[a-fA-F0-9]{64}$/.test(String(txHash))) {
+    throw new Error('Validation failed: invalid transaction hash')
+  }
+  if (txHash && entry.status === 'awaiting_signature' && entry.txHash !== txHash) {
+    journal.record(uploadId, 'awaiting_signature', { txHash })
+  }
 
-    if (!rawResult || rawResult === '0x' || rawResult.length < 66) {
-      throw new Error('Invalid response from contract: empty or malformed bytes')
+  const deadline = Date.now() + timeoutMs
+  entry = await settleWalletUpload(uploadId)
+  while (entry.status === 'awaiting_signature') {
+    if (Date.now() >= deadline) {
+      return { uploadId, status: entry.status, fileHash: entry.fileHash, ipfsHash: entry.cid, owner: entry.sender, txHash: entry.txHash || null, expiresAt: entry.expiresAt }
     }
+    await new Promise(resolve => setTimeout(resolve, pollIntervalMs))
+    entry = await settleWalletUpload(uploadId)
+  }
+  if (entry.status !== 'completed') {
+    throw new Error(`Upload ${uploadId} was ${entry.status.replace('_', ' ')}: ${entry.error}`)
+  }
 
-    // Decode ABI-encoded bytes return value
-    // Format: 0x + offset (32 bytes) + length (32 bytes) + data (padded to 32-byte boundary)
-    let wrappedKeyHex
-    try {
-      const decoded = web3.eth.abi.decodeParameters(['bytes'], rawResult)
-      wrappedKeyHex = decoded[0]
-    } catch (decodeError) {
-      // Fallback: manual parsing for dynamic bytes
-      // Extract length from position 0x20 (bytes 32-63)
-      const lengthHex = rawResult.substring(66, 130)
-      const length = parseInt(lengthHex, 16)
-      if (length > 0 && length < 10000) {
-        // Extract data starting at 0x40 (byte 64+)
-        const dataStart = 130
-        const dataEnd = dataStart + (length * 2)
-        if (rawResult.length >= dataEnd) {
-          wrappedKeyHex = '0x' + rawResult.substring(dataStart, dataEnd)
-        } else {
-          throw new Error('Contract response truncated')
-        }
-      } else {
-        throw new Error('Invalid bytes length in contract response')
-      }
+  // Built now: grantAccess cannot be estimated before the file is registered
+  const contract = new web3.eth.Contract(FileRegistryABI, entry.contractAddress)
+  const grantTransactions = []
+  for (const grant of entry.grants || []) {
+    if (await hasFileAccess(entry.fileHash, grant.address, entry.contractAddress)) {
+      continue
     }
+    const grantMethod = contract.methods.grantAccess(entry.fileHash, grant.address, grant.wrappedKey)
+    grantTransactions.push(await prepareContractCall(grantMethod, entry.sender, entry.contractAddress, grantTransactions.length))
+  }
+  return { uploadId, status: entry.status, fileHash: entry.fileHash, ipfsHash: entry.cid, owner: entry.sender, txHash: entry.txHash || null, grantTransactions }
+}
 
-    // Convert hex string to Buffer
-    const wrappedKeyBuffer = Buffer.from(
-      wrappedKeyHex.startsWith('0x') ? wrappedKeyHex.slice(2) : wrappedKeyHex,
-      'hex'
-    )
+/**
+ * Check a wallet upload against the registry once, completing it if the file is registered
+ * @param {string} uploadId - Upload prepared for a wallet
+ * @returns {Promise<Object>} Updated journal entry
+ */
+function settleWalletUpload(uploadId) {
+  let settling = settlingUploads.get(uploadId)
+  if (!settling) {
+    settling = (async () => {
+      const deps = uploadRecoveryDeps()
+      let entry = deps.journal.get(uploadId)
+      if (entry.status === 'awaiting_signature') {
+        entry = await settlePreparedUpload(entry, deps)
+      }
+      if (entry.status === 'confirmed') {
+        writeUploadMapping(entry)
+        entry = deps.journal.record(uploadId, 'completed')
+        logFileUpload(entry.fileHash, entry.cid, entry.sender)
+      }
+      return entry
+    })().finally(() => settlingUploads.delete(uploadId))
+    settlingUploads.set(uploadId, settling)
+  }
+  return settling
+}
 
-    // Unwrap symmetric key
-    let iv, authTag
+/**
+ * Write the local mappings of a registered upload
+ * @param {Object} upload - { fileHash, cid, metadata: { filename, mimeType } | null, size }
+ */
+function writeUploadMapping({ fileHash, cid, metadata, size }) {
+  ipfsHashMapping.set(fileHash, cid)
+  // Save to persistent storage if configured
+  saveIPFSMapping(ipfsHashMapping)
+  if (metadata) {
+    setFilenameMetadata(fileHash, metadata.filename, metadata.mimeType, size, metadata.uploadedBy)
+  }
+}
 
-    try {
-      if (recipientPrivateKey) {
-        // Unwrap using recipient's private key
-        symmetricKey = unwrapKeyForRecipient(wrappedKeyBuffer, recipientPrivateKey)
-        // Security note: IV and authTag should be stored separately or retrieved from metadata
-        // This is a simplified implementation that requires IV/authTag storage
-        // Zero the symmetric key before throwing (it cannot be used without IV/authTag)
-        secureZero(symmetricKey)
-        symmetricKey = null
-        throw new Error('Key unwrapping with recipient private key requires IV/authTag storage - not yet implemented')
-      } else {
-        // Temporary: Parse key metadata (should be removed in production)
-        // Security note: This mode stores symmetric key in plaintext JSON - use recipientPublicKey parameter instead
-        let keyData
-        try {
-          const keyDataString = wrappedKeyBuffer.toString('utf8')
-          keyData = JSON.parse(keyDataString)
-        } catch (parseError) {
-          logSecurityEvent('INVALID_ENCRYPTED_KEY', { fileHash: maskedFileHash })
-          throw new Error('Invalid encrypted key format')
-        }
+/**
+ * Release the pins of an upload that never got registered and close its journal entry
+ * If the pins cannot be released, the entry stays pending so resumeUploads tries again.
+ * @param {string} uploadId - Journal upload id
+ * @param {string|null} pinnedFileHash - fileHash whose pins were taken, if any
+ * @param {Error} cause - Why the upload failed
+ */
+async function abandonUpload(uploadId, pinnedFileHash, cause) {
+  const journal = getUploadJournal()
+  try {
+    if (pinnedFileHash) {
+      await getPinManager().unpin(pinnedFileHash)
+      journal.record(uploadId, 'rolled_back', { error: cause.message })
+    } else {
+      journal.record(uploadId, 'failed', { error: cause.message })
+    }
+  } catch (cleanupError) {
+    logger.warn('Could not release pins of an unregistered upload', { uploadId, error: cleanupError.message })
+  }
+}
 
-        // Validate key data structure
-        if (!keyData.key || !keyData.iv || !keyData.tag) {
-          logSecurityEvent('INVALID_ENCRYPTED_KEY', { fileHash: maskedFileHash })
-          throw new Error('Invalid encrypted key format: missing required fields')
-        }
+/**
+ * Recover a registered file's key and locate its ciphertext
+ * @param {string} fileHash - File hash (bytes32, formatted)
+ * @param {string} contractAddress - Contract address
+ * @param {string} recipientPrivateKey - Optional private key for key unwrapping: RSA (PEM) or Ethereum account key (hex)
+ * @param {string} callerAddress - Optional address of the downloader; fetches the key granted to this address
+ * @param {string} maskedFileHash - Masked fileHash for logging
+ * @returns {Promise<Object>} { keyMaterial (see openKeyMaterial), ipfsHash }; the caller zeroes keyMaterial.symmetricKey
+ * @throws {Error} If the file is not registered, the key cannot be opened or the CID is unknown
+ */
+async function openFileKey(fileHash, contractAddress, recipientPrivateKey, callerAddress, maskedFileHash) {
+  const existsResult = await callRegistry(contractAddress, 'fileExists(bytes32)', ['bytes32'], [fileHash])
 
-        symmetricKey = Buffer.from(keyData.key, 'hex')
-        iv = keyData.iv
-        authTag = keyData.tag
+  // Decode bool result (0x00 = false, 0x01 = true, padded to 32 bytes)
+  const fileExists = existsResult !== '0x' && existsResult !== '0x00' && !existsResult.match(/^0x0+$/)
 
-        // Validate symmetric key length
-        if (symmetricKey.length !== 32) {
-          logSecurityEvent('INVALID_ENCRYPTED_KEY', { fileHash: maskedFileHash })
-          secureZero(symmetricKey)
-          symmetricKey = null
-          throw new Error('Invalid encrypted key format: incorrect key length')
-        }
-      }
-    } catch (error) {
-      // Ensure symmetric key is zeroed on error
-      if (symmetricKey) {
-        secureZero(symmetricKey)
-        symmetricKey = null
-      }
-      throw error
-    }
+  if (!fileExists) {
+    logSecurityEvent('FILE_NOT_FOUND', { fileHash: maskedFileHash })
+    throw new Error('File not found on blockchain')
+  }
 
-    // Retrieve IPFS CID from mapping
-    // Critical: Cannot reconstruct IPFS hash from fileHash (keccak256 is one-way hash)
-    // The mapping must be persisted or files become permanently inaccessible after restart
-    let ipfsHash = ipfsHashMapping.get(fileHash)
+  // Recipients fetch their own wrapped key; without a caller the owner's key is returned
+  let wrappedKeyBuffer
+  if (callerAddress) {
+    wrappedKeyBuffer = await fetchAccessKey(fileHash, contractAddress, callerAddress)
+  } else {
+    const rawResult = await callRegistry(contractAddress, 'downloadFile(bytes32)', ['bytes32'], [fileHash])
+    wrappedKeyBuffer = decodeBytesResult(rawResult)
+  }
 
-    if (!ipfsHash) {
-      // Try reloading from persistent storage in case it was updated externally
-      if (IPFS_MAPPING_FILE && fs.existsSync(IPFS_MAPPING_FILE)) {
-        const reloaded = loadIPFSMapping()
-        for (const [hash, ipfs] of reloaded.entries()) {
-          ipfsHashMapping.set(hash, ipfs)
-        }
-        ipfsHash = ipfsHashMapping.get(fileHash)
-      }
-    }
+  // Unwrap symmetric key
+  const keyMaterial = openKeyMaterial(wrappedKeyBuffer, recipientPrivateKey, maskedFileHash)
 
-    if (!ipfsHash) {
-      // Ensure symmetric key is zeroed before throwing
-      if (symmetricKey) {
-        secureZero(symmetricKey)
-        symmetricKey = null
-      }
+  try {
+    // Retrieve IPFS CID from the on-chain locator, or the mapping for older uploads
+    // Critical: Cannot reconstruct IPFS hash from fileHash (keccak256 is one-way hash)
+    const ipfsHash = await locateFile(fileHash, contractAddress, keyMaterial.symmetricKey)
 
-      // Critical error: IPFS hash mapping is lost
-      // This happens if:
+    if (!ipfsHash) {
+      // Critical error: no locator on-chain and the IPFS hash mapping is lost
+      // This happens if the file was uploaded without a locator and:
       // 1. Application was restarted and IPFS_MAPPING_FILE is not configured
       // 2. File was uploaded before mapping persistence was implemented
       // 3. Mapping file was deleted or corrupted
+      // publishFileLocator can backfill the locator while the mapping is still available
       logSecurityEvent('IPFS_HASH_NOT_FOUND', { fileHash: maskedFileHash })
       const errorMsg = IPFS_MAPPING_FILE
         ? 'IPFS hash not found in mapping. File may be permanently inaccessible if mapping was lost.'
@@ -622,36 +1578,81 @@ async function downloadFileFromBlockchain(fileHash, contractAddress, outputPath,
     // Validate IPFS hash
     const ipfsValidation = validateIPFSHash(ipfsHash)
     if (ipfsValidation.error) {
-      // Ensure symmetric key is zeroed before throwing
-      if (symmetricKey) {
-        secureZero(symmetricKey)
-        symmetricKey = null
-      }
       throw new Error(`Invalid IPFS hash format: ${ipfsValidation.error.message}`)
     }
 
-    // Download encrypted file from IPFS
-    const encryptedFile = await downloadFromIPFS(ipfsHash)
+    return { keyMaterial, ipfsHash }
+  } catch (error) {
+    secureZero(keyMaterial.symmetricKey)
+    throw error
+  }
+}
+
+/**
+ * Download file from blockchain and IPFS
+ *
+ * Process:
+ * 1. Validate inputs
+ * 2. Check if file exists on blockchain
+ * 3. Retrieve encrypted key from blockchain (the caller's own grant when callerAddress is set)
+ * 4. Unwrap symmetric key
+ * 5. Retrieve IPFS CID from mapping
+ * 6. Stream the ciphertext from IPFS through decryption into a temporary file
+ * 7. Rename it to outputPath once every chunk has been authenticated
+ *
+ * @param {string} fileHash - File hash (bytes32)
+ * @param {string} contractAddress - Contract address
+ * @param {string} outputPath - Path to save downloaded file
+ * @param {string} recipientPrivateKey - Optional private key for key unwrapping: RSA (PEM) or Ethereum account key (hex)
+ * @param {string} callerAddress - Optional address of the downloader; fetches the key granted to this address
+ * @returns {Promise<void>}
+ */
+async function downloadFileFromBlockchain(fileHash, contractAddress, outputPath, recipientPrivateKey = null, callerAddress = null) {
+  let symmetricKey = null
+
+  try {
+    // Validate inputs
+    const validation = validateDownloadParams({ fileHash, contractAddress, outputPath })
+    if (validation.error) {
+      logSecurityEvent('INVALID_INPUT', { operation: 'download', error: validation.error.message })
+      throw new Error(`Validation failed: ${validation.error.message}`)
+    }
+    if (callerAddress && validateAddress(callerAddress).error) {
+      logSecurityEvent('INVALID_INPUT', { operation: 'download', error: 'Invalid caller address' })
+      throw new Error('Validation failed: Invalid caller address')
+    }
+
+    // Mask fileHash for logging
+    const maskedFileHash = fileHash ? `${fileHash.substring(0, 8)}...` : 'unknown'
+    logger.info('Starting file download', { fileHash: maskedFileHash, contractAddress })
+
+    // Ensure fileHash is properly formatted (must be 0x + 64 hex chars)
+    const fileHashFormatted = formatFileHash(fileHash)
+
+    const { keyMaterial, ipfsHash } = await openFileKey(fileHashFormatted, contractAddress, recipientPrivateKey, callerAddress, maskedFileHash)
+    symmetricKey = keyMaterial.symmetricKey
 
-    // Decrypt file
-    let decryptedFile
+    // Decrypt into a temporary file: a truncated or tampered stream is only detected at
+    // the end, and outputPath must never hold unauthenticated partial plaintext
+    const partialPath = `${outputPath}.part`
     try {
-      decryptedFile = decryptFile(encryptedFile, symmetricKey, iv, authTag)
-    } catch (decryptError) {
-      logSecurityEvent('DECRYPTION_FAILED', { fileHash: maskedFileHash })
+      const plaintext = await openPlaintextStream(ipfsHash, keyMaterial)
+      // The decrypt stream holds its own copy of the key
       secureZero(symmetricKey)
       symmetricKey = null
-      throw new Error('Failed to decrypt file. Invalid key or corrupted data.')
+      await pipelineAsync(plaintext, fs.createWriteStream(partialPath))
+      fs.renameSync(partialPath, outputPath)
+    } catch (decryptError) {
+      fs.rmSync(partialPath, { force: true })
+      if (/decrypt|encrypted stream/i.test(decryptError.message)) {
+        logSecurityEvent('DECRYPTION_FAILED', { fileHash: maskedFileHash })
+        throw new Error('Failed to decrypt file. Invalid key or corrupted data.')
+      }
+      throw decryptError
     }
 
-    // Securely zero out symmetric key
-    secureZero(symmetricKey)
-    symmetricKey = null
-
-    // Save file
-    fs.writeFileSync(outputPath, decryptedFile)
     logger.info('File downloaded successfully', { outputPath: path.basename(outputPath) })
-    logFileDownload(fileHash, contractAddress)
+    logFileDownload(fileHash, callerAddress || contractAddress)
   } catch (error) {
     // Ensure symmetric key is zeroed even if error occurs outside try blocks
     if (symmetricKey) {
@@ -663,6 +1664,1456 @@ async function downloadFileFromBlockchain(fileHash, contractAddress, outputPath,
   }
 }
 
+/**
+ * Transform that passes on only `length` bytes after skipping the first `skip`
+ * @param {number} skip - Bytes to drop
+ * @param {number} length - Bytes to pass on
+ * @returns {Transform} Slicing stream
+ */
+function sliceStream(skip, length) {
+  let toSkip = skip
+  let remaining = length
+  return new Transform({
+    transform(chunk, encoding, callback) {
+      if (toSkip >= chunk.length || remaining === 0) {
+        toSkip = Math.max(0, toSkip - chunk.length)
+        return callback()
+      }
+      const part = chunk.subarray(toSkip, toSkip + remaining)
+      toSkip = 0
+      remaining -= part.length
+      callback(null, part)
+    }
+  })
+}
+
+/**
+ * Open a file for reading without writing it to disk
+ *
+ * The key and CID are resolved once; each read() then streams a byte range of the
+ * plaintext. For streamed ciphertext only the chunks holding the range are fetched from
+ * storage and decrypted, so reads can seek. Files encrypted as a single GCM message
+ * before streaming existed are decrypted in memory when the reader is opened.
+ *
+ * A read stream errors if a chunk fails authentication. Bytes it already emitted were
+ * authenticated, but a consumer of a truncated range only learns of it from the error.
+ *
+ * @param {string} fileHash - File hash (bytes32)
+ * @param {string} contractAddress - Contract address
+ * @param {string} recipientPrivateKey - Optional private key for key unwrapping: RSA (PEM) or Ethereum account key (hex)
+ * @param {string} callerAddress - Optional address of the reader; fetches the key granted to this address
+ * @returns {Promise<Object>} { fileHash, size, read({ start, end }) => Readable, close() }; end is inclusive
+ *   and both default to the whole file. close() zeroes the key and must be called once reading is done.
+ */
+async function openFileReader(fileHash, contractAddress, recipientPrivateKey = null, callerAddress = null) {
+  const validation = validateFileHash(fileHash)
+  if (validation.error || !contractAddress || validateAddress(contractAddress).error) {
+    logSecurityEvent('INVALID_INPUT', { operation: 'open_file_reader', error: validation.error ? validation.error.message : 'Invalid contract address' })
+    throw new Error(`Validation failed: ${validation.error ? validation.error.message : 'invalid contract address'}`)
+  }
+  if (callerAddress && validateAddress(callerAddress).error) {
+    logSecurityEvent('INVALID_INPUT', { operation: 'open_file_reader', error: 'Invalid caller address' })
+    throw new Error('Validation failed: Invalid caller address')
+  }
+
+  const maskedFileHash = `${fileHash.substring(0, 8)}...`
+  const fileHashFormatted = formatFileHash(fileHash)
+  const { keyMaterial, ipfsHash } = await openFileKey(fileHashFormatted, contractAddress, recipientPrivateKey, callerAddress, maskedFileHash)
+  const symmetricKey = keyMaterial.symmetricKey
+
+  let size
+  let layout = null
+  let plaintext = null
+  try {
+    if (keyMaterial.contentCipher === CONTENT_CIPHERS.AES_256_GCM_STREAM) {
+      const stat = await statIPFSFile(ipfsHash)
+      if (!stat) {
+        throw new Error('Encrypted file content not found in storage')
+      }
+      const chunks = []
+      for await (const chunk of downloadStreamFromIPFS(ipfsHash, { offset: 0, length: STREAM_HEADER_SIZE })) {
+        chunks.push(chunk)
+      }
+      layout = getStreamLayout(Buffer.concat(chunks), stat.size)
+      size = layout.plaintextSize
+    } else {
+      const encryptedFile = await downloadFromIPFS(ipfsHash)
+      try {
+        plaintext = decryptFile(encryptedFile, symmetricKey, keyMaterial.iv, keyMaterial.authTag)
+      } catch (decryptError) {
+        throw new Error('Failed to decrypt file. Invalid key or corrupted data.')
+      }
+      size = plaintext.length
+    }
+  } catch (error) {
+    secureZero(symmetricKey)
+    if (/decrypt|encrypted stream/i.test(error.message)) {
+      logSecurityEvent('DECRYPTION_FAILED', { fileHash: maskedFileHash })
+    }
+    logError(error, { operation: 'open_file_reader', fileHash })
+    throw error
+  }
+
+  const onStreamError = (error) => {
+    if (error && /decrypt|encrypted stream/i.test(error.message)) {
+      logSecurityEvent('DECRYPTION_FAILED', { fileHash: maskedFileHash })
+    }
+  }
+
+  logFileDownload(fileHash, callerAddress || contractAddress)
+  return {
+    fileHash: fileHashFormatted,
+    size,
+    read({ start = 0, end = size - 1 } = {}) {
+      if (!Number.isInteger(start) || !Number.isInteger(end) || start < 0 || end >= size || (end < start && size > 0)) {
+        throw new Error(`Validation failed: range ${start}-${end} is outside the file (${size} bytes)`)
+      }
+      if (plaintext) {
+        return Readable.from([plaintext.subarray(start, end + 1)])
+      }
+      if (size === 0 || (start === 0 && end === size - 1)) {
+        // The whole file is read as stored, header included
+        return pipeline(downloadStreamFromIPFS(ipfsHash), createDecryptStream(symmetricKey), onStreamError)
+      }
+      const range = getStreamRange(layout, start, end)
+      return pipeline(
+        downloadStreamFromIPFS(ipfsHash, { offset: range.offset, length: range.length }),
+        createDecryptStream(symmetricKey, { header: layout.header, firstChunk: range.firstChunk, final: range.final }),
+        sliceStream(range.skip, end - start + 1),
+        onStreamError
+      )
+    },
+    close() {
+      secureZero(symmetricKey)
+      if (plaintext) {
+        secureZero(plaintext)
+      }
+    }
+  }
+}
+
+/**
+ * Share a file with a recipient address
+ *
+ * The owner's key is unwrapped locally, re-wrapped with the recipient's public key
+ * (RSA, or the secp256k1 key of their Ethereum account) and stored on-chain with grantAccess. The recipient then downloads
+ * with downloadFileFromBlockchain(..., recipientPrivateKey, recipientAddress).
+ *
+ * @param {string} fileHash - File hash (bytes32)
+ * @param {string} recipientAddress - Address of the recipient
+ * @param {string} recipientPublicKey - Recipient RSA public key (PEM) or account public key (hex, see getPublicKeyFromTransaction)
+ * @param {string} privateKey - Owner private key for signing transactions
+ * @param {string} contractAddress - Contract address
+ * @param {string} ownerKeyPem - Optional owner RSA private key if the owner's own key is RSA-wrapped (PEM format);
+ *   ECIES-wrapped owner keys are opened with privateKey
+ * @returns {Promise<Object>} Share result with fileHash, recipient and transaction hash
+ */
+async function shareFile(fileHash, recipientAddress, recipientPublicKey, privateKey, contractAddress, ownerKeyPem = null) {
+  let symmetricKey = null
+
+  try {
+    const validation = validateShareParams({ fileHash, recipientAddress, privateKey, contractAddress })
+    if (validation.error) {
+      logSecurityEvent('INVALID_INPUT', { operation: 'share', error: validation.error.message })
+      throw new Error(`Validation failed: ${validation.error.message}`)
+    }
+    if (!recipientPublicKey) {
+      throw new Error('Recipient public key is required')
+    }
+    assertKeyMatchesAddress(recipientPublicKey, recipientAddress)
+
+    const maskedFileHash = `${fileHash.substring(0, 8)}...`
+    const fileHashFormatted = formatFileHash(fileHash)
+    const account = getSigningAccount(privateKey)
+
+    logger.info('Starting file share', { fileHash: maskedFileHash, contractAddress })
+
+    // Recover the owner's key material and re-wrap it for the recipient
+    const ownerKeyBlob = await fetchAccessKey(fileHashFormatted, contractAddress, account.address)
+    const keyMaterial = openKeyMaterial(ownerKeyBlob, ownerKeyPem || privateKey, maskedFileHash)
+    symmetricKey = keyMaterial.symmetricKey
+
+    const recipientKeyEnvelope = buildKeyEnvelope(symmetricKey, keyMaterial, recipientPublicKey)
+    secureZero(symmetricKey)
+    symmetricKey = null
+
+    const contract = new web3.eth.Contract(FileRegistryABI, contractAddress)
+    const grantMethod = contract.methods.grantAccess(
+      fileHashFormatted,
+      recipientAddress,
+      '0x' + recipientKeyEnvelope.toString('hex')
+    )
+    const tx = await grantMethod.send({
+      from: account.address,
+      gas: await estimateGasWithMargin(grantMethod, account.address)
+    })
+
+    logger.info('Access granted', { fileHash: maskedFileHash, txHash: tx.transactionHash })
+
+    return {
+      fileHash: fileHashFormatted,
+      recipient: recipientAddress,
+      txHash: tx.transactionHash
+    }
+  } catch (error) {
+    if (symmetricKey) {
+      secureZero(symmetricKey)
+    }
+    logError(error, { operation: 'share', fileHash })
+    throw error
+  }
+}
+
+/**
+ * Get the recipients a file has been shared with
+ * @param {string} fileHash - File hash (bytes32)
+ * @param {string} contractAddress - Contract address
+ * @returns {Promise<Array<string>>} Recipient addresses (excludes the owner)
+ */
+async function getFileRecipients(fileHash, contractAddress) {
+  const rawResult = await callRegistry(contractAddress, 'getRecipients(bytes32)', ['bytes32'], [formatFileHash(fileHash)])
+  return Array.from(web3.eth.abi.decodeParameter('address[]', rawResult))
+}
+
+/**
+ * Recover an account's public key from a transaction it sent
+ *
+ * Any account that has sent a transaction has revealed its secp256k1 public key,
+ * which can be used with shareFile to wrap a file key to that account.
+ *
+ * @param {string} txHash - Hash of a transaction sent by the account
+ * @returns {Promise<Object>} { address, publicKey } with publicKey as 0x-prefixed uncompressed hex
+ */
+async function getPublicKeyFromTransaction(txHash) {
+  try {
+    if (typeof txHash !== 'string' || !/^0x[a-fA-F0-9]{64}$/.test(txHash)) {
+      throw new Error('Validation failed: transaction hash must be 0x followed by 64 hex characters')
+    }
+
+    const tx = await web3.eth.getTransaction(txHash)
+    if (!tx) {
+      throw new Error('Transaction not found')
+    }
+
+    const type = Number(tx.type || 0)
+    const txData = {
+      type,
+      nonce: tx.nonce,
+      gasLimit: tx.gas,
+      to: tx.to || undefined,
+      value: tx.value,
+      data: tx.input,
+      v: tx.v,
+      r: tx.r,
+      s: tx.s
+    }
+    if (type === 2) {
+      txData.maxFeePerGas = tx.maxFeePerGas
+      txData.maxPriorityFeePerGas = tx.maxPriorityFeePerGas
+    } else {
+      txData.gasPrice = tx.gasPrice
+    }
+    if (type !== 0) {
+      txData.chainId = tx.chainId
+      txData.accessList = tx.accessList || []
+    }
+
+    const senderPublicKey = TransactionFactory.fromTxData(txData).getSenderPublicKey()
+    const publicKey = '0x04' + Buffer.from(senderPublicKey).toString('hex')
+
+    // The recovered key must hash to the sender, otherwise the fields were mapped wrong
+    if (publicKeyToAddress(publicKey) !== tx.from.toLowerCase()) {
+      throw new Error('Recovered public key does not match the transaction sender')
+    }
+
+    return { address: web3.utils.toChecksumAddress(tx.from), publicKey }
+  } catch (error) {
+    logError(error, { operation: 'recover_public_key' })
+    throw error
+  }
+}
+
+/**
+ * Publish an encryption public key for the signing account in PublicKeyRegistry
+ *
+ * Without rsaPublicKeyPem the account's own secp256k1 key is published, so senders
+ * can ECIES-wrap file keys to it. Publishing again rotates to a new version.
+ *
+ * @param {string} privateKey - Private key of the publishing account
+ * @param {string} keyRegistryAddress - PublicKeyRegistry contract address
+ * @param {string} rsaPublicKeyPem - Optional RSA public key (PEM) to publish instead of the account key
+ * @returns {Promise<Object>} { address, keyType, version, txHash }
+ */
+async function publishPublicKey(privateKey, keyRegistryAddress, rsaPublicKeyPem = null) {
+  try {
+    if (!keyRegistryAddress || validateAddress(keyRegistryAddress).error) {
+      throw new Error('Validation failed: invalid PublicKeyRegistry address')
+    }
+    if (rsaPublicKeyPem && !isPemKey(rsaPublicKeyPem)) {
+      throw new Error('Validation failed: RSA public key must be in PEM format')
+    }
+
+    const account = getSigningAccount(privateKey)
+    const keyType = rsaPublicKeyPem ? PUBLIC_KEY_TYPES.RSA_OAEP_SHA256 : PUBLIC_KEY_TYPES.SECP256K1
+    const keyBytes = rsaPublicKeyPem
+      ? Buffer.from(rsaPublicKeyPem, 'utf8')
+      : Buffer.from(getEthereumPublicKey(privateKey).slice(2), 'hex')
+
+    const contract = new web3.eth.Contract(PublicKeyRegistryABI, keyRegistryAddress)
+    const publishMethod = contract.methods.publishKey(keyType, '0x' + keyBytes.toString('hex'))
+    const tx = await publishMethod.send({
+      from: account.address,
+      gas: await estimateGasWithMargin(publishMethod, account.address)
+    })
+
+    const published = tx.events && tx.events.PublicKeyPublished
+    const version = published
+      ? Number(published.returnValues.version)
+      : Number(web3.eth.abi.decodeParameter('uint256', await callRegistry(keyRegistryAddress, 'getKeyCount(address)', ['address'], [account.address])))
+    logger.info('Public key published', { address: account.address, keyType, version, txHash: tx.transactionHash })
+
+    return { address: account.address, keyType, version, txHash: tx.transactionHash }
+  } catch (error) {
+    logError(error, { operation: 'publish_public_key' })
+    throw error
+  }
+}
+
+/**
+ * Mark one of the signing account's published keys as compromised
+ *
+ * Senders stop resolving a compromised current key until a new one is published.
+ * Files already wrapped to the key should be rotated with rotateFileKey.
+ *
+ * @param {number} version - Key version to flag
+ * @param {string} privateKey - Private key of the key owner
+ * @param {string} keyRegistryAddress - PublicKeyRegistry contract address
+ * @returns {Promise<Object>} { address, version, txHash }
+ */
+async function markPublicKeyCompromised(version, privateKey, keyRegistryAddress) {
+  try {
+    if (!keyRegistryAddress || validateAddress(keyRegistryAddress).error) {
+      throw new Error('Validation failed: invalid PublicKeyRegistry address')
+    }
+    if (!Number.isInteger(version) || version < 1) {
+      throw new Error('Validation failed: key version must be a positive integer')
+    }
+
+    const account = getSigningAccount(privateKey)
+    const contract = new web3.eth.Contract(PublicKeyRegistryABI, keyRegistryAddress)
+    const compromiseMethod = contract.methods.markCompromised(version)
+    const tx = await compromiseMethod.send({
+      from: account.address,
+      gas: await estimateGasWithMargin(compromiseMethod, account.address)
+    })
+
+    logSecurityEvent('PUBLIC_KEY_COMPROMISED', { address: account.address, version })
+
+    return { address: account.address, version, txHash: tx.transactionHash }
+  } catch (error) {
+    logError(error, { operation: 'mark_key_compromised' })
+    throw error
+  }
+}
+
+/**
+ * Revoke a recipient's access to a file
+ *
+ * Removes the recipient's wrapped key from the registry. A recipient that already
+ * downloaded the key can still decrypt the current ciphertext; use rotateFileKey
+ * to re-encrypt the file under a new key.
+ *
+ * @param {string} fileHash - File hash (bytes32)
+ * @param {string} recipientAddress - Address of the recipient to revoke
+ * @param {string} privateKey - Owner private key for signing transactions
+ * @param {string} contractAddress - Contract address
+ * @returns {Promise<Object>} Revocation result with fileHash, recipient and transaction hash
+ */
+async function revokeAccess(fileHash, recipientAddress, privateKey, contractAddress) {
+  try {
+    const validation = validateShareParams({ fileHash, recipientAddress, privateKey, contractAddress })
+    if (validation.error) {
+      logSecurityEvent('INVALID_INPUT', { operation: 'revoke', error: validation.error.message })
+      throw new Error(`Validation failed: ${validation.error.message}`)
+    }
+
+    const fileHashFormatted = formatFileHash(fileHash)
+    const account = getSigningAccount(privateKey)
+    const contract = new web3.eth.Contract(FileRegistryABI, contractAddress)
+
+    const revokeMethod = contract.methods.revokeAccess(fileHashFormatted, recipientAddress)
+    const tx = await revokeMethod.send({
+      from: account.address,
+      gas: await estimateGasWithMargin(revokeMethod, account.address)
+    })
+
+    logger.info('Access revoked', { fileHash: `${fileHash.substring(0, 8)}...`, txHash: tx.transactionHash })
+
+    return {
+      fileHash: fileHashFormatted,
+      recipient: recipientAddress,
+      txHash: tx.transactionHash
+    }
+  } catch (error) {
+    logError(error, { operation: 'revoke', fileHash })
+    throw error
+  }
+}
+
+/**
+ * Public keys of a file's current recipients, to wrap a new file key for them
+ * @param {Array<string>} addresses - Recipient addresses
+ * @param {Object} recipientPublicKeys - Map of address to public key (RSA PEM or secp256k1 hex) known to the caller
+ * @param {string|null} keyRegistryAddress - PublicKeyRegistry address used for recipients missing from recipientPublicKeys
+ * @returns {Promise<Array<Object>>} [{ address, publicKey }], in the order of addresses
+ * @throws {Error} If a key is missing or does not belong to its recipient
+ */
+async function resolveExistingRecipientKeys(addresses, recipientPublicKeys, keyRegistryAddress) {
+  const publicKeys = new Map(Object.entries(recipientPublicKeys).map(([address, key]) => [address.toLowerCase(), key]))
+  if (keyRegistryAddress) {
+    for (const address of addresses.filter(address => !publicKeys.has(address.toLowerCase()))) {
+      publicKeys.set(address.toLowerCase(), (await resolveRecipientPublicKey(address, keyRegistryAddress)).publicKey)
+    }
+  }
+  const missing = addresses.filter(address => !publicKeys.has(address.toLowerCase()))
+  if (missing.length > 0) {
+    throw new Error(`Missing public key for recipients: ${missing.join(', ')}`)
+  }
+  return addresses.map((address) => {
+    const publicKey = publicKeys.get(address.toLowerCase())
+    assertKeyMatchesAddress(publicKey, address)
+    return { address, publicKey }
+  })
+}
+
+/**
+ * Rotate the symmetric key of a shared file
+ *
+ * Process:
+ * 1. Unwrap the current key and decrypt the ciphertext from IPFS
+ * 2. Re-encrypt under a new AES key and upload the new ciphertext and its locator
+ * 3. Re-wrap the new key for every recipient that is not being revoked
+ * 4. Replace the old registration with rotateFile in a single transaction
+ * 5. Move the IPFS and filename mappings to the new fileHash
+ * 6. Pin the new ciphertext before the transaction and unpin the previous one after it
+ *
+ * @param {string} fileHash - File hash (bytes32) of the current version
+ * @param {string} privateKey - Owner private key for signing transactions
+ * @param {string} contractAddress - Contract address
+ * @param {Object} options - Rotation options
+ * @param {Object} options.recipientPublicKeys - Map of remaining recipient address to public key (RSA PEM or secp256k1 hex)
+ * @param {Array<string>} options.revoke - Recipient addresses that lose access
+ * @param {string} options.ownerKeyPem - Owner RSA private key if the current owner key is RSA-wrapped (PEM)
+ * @param {string} options.ownerPublicKey - Public key to wrap the new owner key; defaults to the owner's
+ *   account key when plaintext keys are disabled
+ * @param {boolean} options.publicLocator - Store the new CID on-chain unencrypted
+ * @param {string} options.keyRegistryAddress - PublicKeyRegistry address used for recipients missing from recipientPublicKeys
+ * @returns {Promise<Object>} Rotation result with previous and new fileHash, IPFS hash, recipients and transaction hash
+ */
+async function rotateFileKey(fileHash, privateKey, contractAddress, options = {}) {
+  const {
+    recipientPublicKeys = {},
+    revoke = [],
+    ownerKeyPem = null,
+    publicLocator = false,
+    keyRegistryAddress = null
+  } = options
+  let symmetricKey = null
+  let newSymmetricKey = null
+
+  try {
+    const validation = validateFileActionParams({ fileHash, privateKey, contractAddress })
+    if (validation.error) {
+      logSecurityEvent('INVALID_INPUT', { operation: 'rotate', error: validation.error.message })
+      throw new Error(`Validation failed: ${validation.error.message}`)
+    }
+    for (const address of revoke) {
+      if (validateAddress(address).error) {
+        throw new Error(`Validation failed: invalid revoke address ${address}`)
+      }
+    }
+
+    const maskedFileHash = `${fileHash.substring(0, 8)}...`
+    const fileHashFormatted = formatFileHash(fileHash)
+    const account = getSigningAccount(privateKey)
+
+    logger.info('Starting file key rotation', { fileHash: maskedFileHash, contractAddress })
+
+    // Resolve remaining recipients and their keys before touching IPFS
+    const revoked = new Set(revoke.map(address => address.toLowerCase()))
+    const remaining = (await getFileRecipients(fileHashFormatted, contractAddress))
+      .filter(address => !revoked.has(address.toLowerCase()))
+    const remainingKeys = await resolveExistingRecipientKeys(remaining, recipientPublicKeys, keyRegistryAddress)
+    const ownerPublicKey = options.ownerPublicKey || (runtimeConfig.allowPlaintextKeys ? null : getEthereumPublicKey(privateKey))
+
+    // Decrypt the current ciphertext
+    const ownerKeyBlob = await fetchAccessKey(fileHashFormatted, contractAddress, account.address)
+    const keyMaterial = openKeyMaterial(ownerKeyBlob, ownerKeyPem || privateKey, maskedFileHash)
+    symmetricKey = keyMaterial.symmetricKey
+
+    const ipfsHash = await locateFile(fileHashFormatted, contractAddress, symmetricKey)
+    if (!ipfsHash) {
+      logSecurityEvent('IPFS_HASH_NOT_FOUND', { fileHash: maskedFileHash })
+      throw new Error('IPFS hash not found on-chain or in mapping. Cannot re-encrypt file.')
+    }
+
+    // Wrap the fresh key first, then stream the old plaintext through re-encryption to IPFS
+    newSymmetricKey = generateSymmetricKey()
+    const cipherParams = { contentCipher: CONTENT_CIPHERS.AES_256_GCM_STREAM }
+    const ownerKeyBlobHex = '0x' + buildKeyEnvelope(newSymmetricKey, cipherParams, ownerPublicKey).toString('hex')
+    const wrappedKeys = remainingKeys.map(({ publicKey }) =>
+      '0x' + buildKeyEnvelope(newSymmetricKey, cipherParams, publicKey).toString('hex')
+    )
+
+    let newIpfsHash
+    try {
+      const plaintext = await openPlaintextStream(ipfsHash, keyMaterial)
+      secureZero(symmetricKey)
+      symmetricKey = null
+      newIpfsHash = await uploadEncryptedStream(plaintext, newSymmetricKey)
+    } catch (decryptError) {
+      if (/decrypt|encrypted stream/i.test(decryptError.message)) {
+        logSecurityEvent('DECRYPTION_FAILED', { fileHash: maskedFileHash })
+        throw new Error('Failed to decrypt file. Invalid key or corrupted data.')
+      }
+      throw decryptError
+    }
+
+    const ipfsValidation = validateIPFSHash(newIpfsHash)
+    if (ipfsValidation.error) {
+      throw new Error(`Invalid IPFS hash format: ${ipfsValidation.error.message}`)
+    }
+    const newFileHash = web3.utils.keccak256(newIpfsHash)
+    const newLocatorHex = '0x' + encodeLocator(newIpfsHash, publicLocator ? null : newSymmetricKey).toString('hex')
+    secureZero(newSymmetricKey)
+    newSymmetricKey = null
+
+    await getPinManager().pin(newFileHash, newIpfsHash)
+
+    const contract = new web3.eth.Contract(FileRegistryABI, contractAddress)
+    const rotateMethod = contract.methods.rotateFile(fileHashFormatted, newFileHash, ownerKeyBlobHex, newLocatorHex, remaining, wrappedKeys)
+    let tx
+    try {
+      tx = await rotateMethod.send({
+        from: account.address,
+        gas: await estimateGasWithMargin(rotateMethod, account.address)
+      })
+    } catch (txError) {
+      await getPinManager().unpin(newFileHash).catch((unpinError) => {
+        logger.warn('Could not release pins of an unregistered rotation', { error: unpinError.message })
+      })
+      throw txError
+    }
+
+    // The old ciphertext is readable with the revoked key, so stop keeping it
+    try {
+      await getPinManager().unpin(fileHashFormatted, ipfsHash)
+    } catch (unpinError) {
+      logger.warn('File rotated but unpinning the previous version failed', { fileHash: maskedFileHash, error: unpinError.message })
+    }
+
+    // Move mappings to the new fileHash
+    ipfsHashMapping.set(newFileHash, newIpfsHash)
+    saveIPFSMapping(ipfsHashMapping)
+    removeIPFSMappingEntry(fileHash)
+
+    const filenameMetadata = getFilenameMetadata(fileHash)
+    if (filenameMetadata) {
+      setFilenameMetadata(newFileHash, filenameMetadata.filename, filenameMetadata.mimeType, filenameMetadata.size, filenameMetadata.uploadedBy)
+      deleteFilenameMetadata(fileHash)
+    }
+
+    logger.info('File key rotated', { fileHash: maskedFileHash, txHash: tx.transactionHash, recipients: remaining.length })
+    logFileUpload(newFileHash, newIpfsHash, account.address)
+
+    return {
+      previousFileHash: fileHashFormatted,
+      fileHash: newFileHash,
+      ipfsHash: newIpfsHash,
+      recipients: remaining,
+      txHash: tx.transactionHash
+    }
+  } catch (error) {
+    if (symmetricKey) {
+      secureZero(symmetricKey)
+    }
+    if (newSymmetricKey) {
+      secureZero(newSymmetricKey)
+    }
+    logError(error, { operation: 'rotate', fileHash })
+    throw error
+  }
+}
+
+/**
+ * Upload a file as the next version of one of the signer's files
+ *
+ * The new version is an upload of its own (see uploadFileToBlockchain) under a new file key,
+ * registered with uploadNewVersion so the registry links it to the previous version and
+ * moves the lineage's latest pointer to it. The previous version's recipients keep access:
+ * the new key is wrapped for each of them and granted in the same transaction. Earlier
+ * versions stay readable until they are deleted.
+ *
+ * @param {string} previousFileHash - Latest version of the lineage
+ * @param {string|Buffer|Readable} source - Path to the new version, its content, or a stream of it (consumed once)
+ * @param {string} privateKey - Owner private key for signing transactions
+ * @param {string} contractAddress - Contract address
+ * @param {Object} options - Upload options, as for uploadFileToBlockchain, and:
+ * @param {Object} options.recipientPublicKeys - Map of inherited recipient address to public key (RSA PEM or secp256k1 hex)
+ * @param {string} options.keyRegistryAddress - PublicKeyRegistry address used for recipients missing from recipientPublicKeys
+ * @param {string} options.ownerPublicKey - Public key to wrap the owner's key to, as recipientPublicKey of uploadFileToBlockchain
+ * @param {Object} options.metadata - { filename, mimeType, uploadedBy }; defaults to the previous version's
+ * @returns {Promise<Object>} Upload result with previousFileHash, lineage and version added
+ */
+async function uploadNewVersion(previousFileHash, source, privateKey, contractAddress, options = {}) {
+  const { recipientPublicKeys = {}, keyRegistryAddress = null, ownerPublicKey = null, publicLocator = false } = options
+  const validation = validateFileActionParams({ fileHash: previousFileHash, privateKey, contractAddress })
+  if (validation.error) {
+    logSecurityEvent('INVALID_INPUT', { operation: 'upload_version', error: validation.error.message })
+    throw new Error(`Validation failed: ${validation.error.message}`)
+  }
+  const previous = formatFileHash(previousFileHash)
+  const account = getSigningAccount(privateKey)
+
+  // Check the lineage before anything is encrypted or stored
+  if ((await getFileInfo(previous, contractAddress)).status === 'not_found') {
+    throw new Error('File not found on blockchain')
+  }
+  const { lineage, latest } = await getVersionInfo(previous, contractAddress)
+  if (latest !== previous) {
+    throw new Error(`Validation failed: ${previous} is not the latest version of its file; upload on top of ${latest}`)
+  }
+  const owner = await createRegistryReader(contractAddress).getFileOwner(previous)
+  if (owner && owner.toLowerCase() !== account.address.toLowerCase()) {
+    logSecurityEvent('UNAUTHORIZED_VERSION', { fileHash: `${previous.substring(0, 8)}...` })
+    throw new Error('Access denied: only the owner can add versions of a file')
+  }
+
+  const inherited = await getFileRecipients(previous, contractAddress)
+  const recipients = await resolveExistingRecipientKeys(inherited, recipientPublicKeys, keyRegistryAddress)
+  const previousMetadata = getFilenameMetadata(previous)
+  const metadata = options.metadata || (previousMetadata
+    ? { filename: previousMetadata.filename, mimeType: previousMetadata.mimeType, uploadedBy: previousMetadata.uploadedBy }
+    : null)
+
+  const result = await uploadFileToBlockchain(source, privateKey, contractAddress, ownerPublicKey, {
+    recipients,
+    metadata,
+    publicLocator,
+    previousFileHash: previous
+  })
+  const { version } = await getVersionInfo(result.fileHash, contractAddress)
+  logger.info('File version uploaded', { lineage: `${lineage.substring(0, 8)}...`, version, recipients: recipients.length })
+  return { ...result, previousFileHash: previous, lineage, version }
+}
+
+/**
+ * Store the locator of a file that was uploaded without one
+ *
+ * Reads the CID from the local mapping and writes it to the registry so other
+ * clients can find the file. Run this for older uploads while the mapping exists.
+ *
+ * @param {string} fileHash - File hash (bytes32)
+ * @param {string} privateKey - Owner private key for signing transactions
+ * @param {string} contractAddress - Contract address
+ * @param {Object} options - Locator options
+ * @param {boolean} options.publicLocator - Store the CID unencrypted (default: encrypted with the file key)
+ * @param {string} options.ownerKeyPem - Owner RSA private key if the owner key is RSA-wrapped (PEM)
+ * @returns {Promise<Object>} Result with fileHash, IPFS hash and transaction hash
+ */
+async function publishFileLocator(fileHash, privateKey, contractAddress, options = {}) {
+  const { publicLocator = false, ownerKeyPem = null } = options
+  let symmetricKey = null
+
+  try {
+    const validation = validateFileActionParams({ fileHash, privateKey, contractAddress })
+    if (validation.error) {
+      logSecurityEvent('INVALID_INPUT', { operation: 'publish_locator', error: validation.error.message })
+      throw new Error(`Validation failed: ${validation.error.message}`)
+    }
+
+    const maskedFileHash = `${fileHash.substring(0, 8)}...`
+    const fileHashFormatted = formatFileHash(fileHash)
+    const account = getSigningAccount(privateKey)
+
+    const ipfsHash = resolveIPFSHash(fileHash)
+    if (!ipfsHash) {
+      logSecurityEvent('IPFS_HASH_NOT_FOUND', { fileHash: maskedFileHash })
+      throw new Error('IPFS hash not found in mapping. Cannot publish locator.')
+    }
+    if (web3.utils.keccak256(ipfsHash) !== fileHashFormatted.toLowerCase()) {
+      throw new Error('Mapped IPFS hash does not match the file hash')
+    }
+
+    if (!publicLocator) {
+      const ownerKeyBlob = await fetchAccessKey(fileHashFormatted, contractAddress, account.address)
+      symmetricKey = openKeyMaterial(ownerKeyBlob, ownerKeyPem || privateKey, maskedFileHash).symmetricKey
+    }
+    const locator = encodeLocator(ipfsHash, symmetricKey)
+    if (symmetricKey) {
+      secureZero(symmetricKey)
+      symmetricKey = null
+    }
+
+    const contract = new web3.eth.Contract(FileRegistryABI, contractAddress)
+    const setLocatorMethod = contract.methods.setLocator(fileHashFormatted, '0x' + locator.toString('hex'))
+    const tx = await setLocatorMethod.send({
+      from: account.address,
+      gas: await estimateGasWithMargin(setLocatorMethod, account.address)
+    })
+
+    logger.info('File locator published', { fileHash: maskedFileHash, txHash: tx.transactionHash })
+
+    return {
+      fileHash: fileHashFormatted,
+      ipfsHash,
+      txHash: tx.transactionHash
+    }
+  } catch (error) {
+    if (symmetricKey) {
+      secureZero(symmetricKey)
+    }
+    logError(error, { operation: 'publish_locator', fileHash })
+    throw error
+  }
+}
+
+/**
+ * Delete a file from the registry, IPFS and the local mappings
+ *
+ * Process:
+ * 1. Tombstone the file on-chain, clearing the owner key and every recipient grant
+ * 2. Remove the ciphertext's local and remote pins
+ * 3. Purge the fileHash from the IPFS and filename mappings
+ *
+ * Clearing the keys is what makes the file unreadable: copies of the ciphertext other
+ * IPFS nodes still hold cannot be decrypted through the registry. Keys stored in
+ * plaintext remain visible in past transaction data, so only wrapped keys are shredded.
+ * An unpin failure is logged and reported but does not fail the deletion.
+ *
+ * @param {string} fileHash - File hash (bytes32)
+ * @param {string} privateKey - Owner private key for signing transactions
+ * @param {string} contractAddress - Contract address
+ * @param {Object} options - Deletion options
+ * @param {string} options.ownerKeyPem - Owner RSA private key, needed to read an encrypted locator of an RSA-wrapped file (PEM)
+ * @returns {Promise<Object>} Deletion result with fileHash, IPFS hash, unpin status and transaction hash
+ */
+async function deleteFileFromBlockchain(fileHash, privateKey, contractAddress, options = {}) {
+  const { ownerKeyPem = null } = options
+  let symmetricKey = null
+
+  try {
+    const validation = validateFileActionParams({ fileHash, privateKey, contractAddress })
+    if (validation.error) {
+      logSecurityEvent('INVALID_INPUT', { operation: 'delete', error: validation.error.message })
+      throw new Error(`Validation failed: ${validation.error.message}`)
+    }
+
+    const maskedFileHash = `${fileHash.substring(0, 8)}...`
+    const fileHashFormatted = formatFileHash(fileHash)
+    const account = getSigningAccount(privateKey)
+    const contract = new web3.eth.Contract(FileRegistryABI, contractAddress)
+
+    logger.info('Starting file deletion', { fileHash: maskedFileHash, contractAddress })
+
+    // Resolve the CID first: deletion clears the on-chain locator
+    let ipfsHash = resolveIPFSHash(fileHash)
+    if (!ipfsHash) {
+      try {
+        const ownerKeyBlob = await fetchAccessKey(fileHashFormatted, contractAddress, account.address)
+        symmetricKey = openKeyMaterial(ownerKeyBlob, ownerKeyPem || privateKey, maskedFileHash).symmetricKey
+        ipfsHash = await locateFile(fileHashFormatted, contractAddress, symmetricKey)
+      } catch (locateError) {
+        logger.warn('Could not resolve IPFS hash before deletion', { fileHash: maskedFileHash, error: locateError.message })
+      } finally {
+        if (symmetricKey) {
+          secureZero(symmetricKey)
+          symmetricKey = null
+        }
+      }
+    }
+
+    const deleteMethod = contract.methods.deleteFile(fileHashFormatted)
+    const tx = await deleteMethod.send({
+      from: account.address,
+      gas: await estimateGasWithMargin(deleteMethod, account.address)
+    })
+
+    let unpinned = false
+    if (ipfsHash) {
+      try {
+        await getPinManager().unpin(fileHashFormatted, ipfsHash)
+        unpinned = true
+      } catch (unpinError) {
+        logger.warn('File deleted on-chain but IPFS unpin failed', { fileHash: maskedFileHash, error: unpinError.message })
+      }
+    } else {
+      logger.warn('No IPFS hash known for deleted file; nothing to unpin', { fileHash: maskedFileHash })
+    }
+
+    removeIPFSMappingEntry(fileHash)
+    deleteFilenameMetadata(fileHash)
+
+    logger.info('File deleted', { fileHash: maskedFileHash, txHash: tx.transactionHash, unpinned })
+
+    return {
+      fileHash: fileHashFormatted,
+      ipfsHash,
+      unpinned,
+      txHash: tx.transactionHash
+    }
+  } catch (error) {
+    logError(error, { operation: 'delete', fileHash })
+    throw error
+  }
+}
+
+/**
+ * Find the CID of a file for pin management: the pin record first, then the IPFS mapping
+ * @param {string} fileHash - File hash (bytes32)
+ * @param {string} ipfsHash - CID supplied by the caller, if known
+ * @returns {Promise<string>} CID whose keccak256 is the fileHash
+ */
+async function resolvePinnedCid(fileHash, ipfsHash) {
+  const record = await getPinManager().status(fileHash)
+  const cid = ipfsHash || (record && record.cid) || resolveIPFSHash(fileHash)
+  if (!cid) {
+    throw new Error('IPFS hash not found in pin records or mapping. Pass ipfsHash explicitly.')
+  }
+  if (web3.utils.keccak256(cid) !== fileHash.toLowerCase()) {
+    throw new Error('IPFS hash does not match the file hash')
+  }
+  return cid
+}
+
+/**
+ * Pin a stored file as DECENTRAFILE_PIN_POLICY requires
+ * Use it to retry a failed pin or to pin files uploaded before pinning was automatic.
+ * @param {string} fileHash - File hash (bytes32)
+ * @param {Object} options - Pin options
+ * @param {string} options.ipfsHash - CID of the file, when neither the pin records nor the mapping know it
+ * @returns {Promise<Object>} The file's pin record
+ */
+async function pinStoredFile(fileHash, options = {}) {
+  const validation = validateFileHash(fileHash)
+  if (validation.error) {
+    throw new Error(`Validation failed: ${validation.error.message}`)
+  }
+  const fileHashFormatted = formatFileHash(fileHash)
+  return getPinManager().pin(fileHashFormatted, await resolvePinnedCid(fileHashFormatted, options.ipfsHash))
+}
+
+/**
+ * Remove a stored file's local and remote pins, leaving it to garbage collection
+ * The on-chain registration is untouched; use deleteFileFromBlockchain to delete the file.
+ * @param {string} fileHash - File hash (bytes32)
+ * @param {Object} options - Unpin options
+ * @param {string} options.ipfsHash - CID of the file, when neither the pin records nor the mapping know it
+ * @returns {Promise<Object>} { local, remote } - whether each kind of pin was removed
+ */
+async function unpinStoredFile(fileHash, options = {}) {
+  const validation = validateFileHash(fileHash)
+  if (validation.error) {
+    throw new Error(`Validation failed: ${validation.error.message}`)
+  }
+  const fileHashFormatted = formatFileHash(fileHash)
+  return getPinManager().unpin(fileHashFormatted, await resolvePinnedCid(fileHashFormatted, options.ipfsHash))
+}
+
+/**
+ * Get the pin status of a file
+ * @param {string} fileHash - File hash (bytes32)
+ * @param {Object} options - { refresh: true } polls the remote pinning service for the current status
+ * @returns {Promise<Object|null>} Pin record, or null if the file has none
+ */
+async function getPinStatus(fileHash, options = {}) {
+  const validation = validateFileHash(fileHash)
+  if (validation.error) {
+    throw new Error(`Validation failed: ${validation.error.message}`)
+  }
+  return getPinManager().status(formatFileHash(fileHash), options)
+}
+
+/**
+ * List pin records
+ * @param {Object} filter - { status: 'pinned' | 'unpinned' | 'failed' | 'queued' | 'pinning' | 'removed', cid }
+ * @returns {Array<Object>} Pin records
+ */
+function listPins(filter = {}) {
+  return getPinManager().list(filter)
+}
+
+/**
+ * Get a file's registration and stored metadata
+ * @param {string} fileHash - File hash (bytes32, 0x-prefixed)
+ * @param {string} contractAddress - Contract address
+ * @returns {Promise<Object>} { fileHash, status: 'active' | 'deleted' | 'not_found' } and, for active files,
+ *   owner, timestamp (unix seconds) and the filename, mimeType, size and uploadedBy from the filename mapping (null if unknown)
+ */
+async function getFileInfo(fileHash, contractAddress) {
+  const validation = validateFileHash(fileHash)
+  if (validation.error || !contractAddress || validateAddress(contractAddress).error) {
+    throw new Error(`Validation failed: ${validation.error ? validation.error.message : 'invalid contract address'}`)
+  }
+  const fileHashFormatted = fileHash.toLowerCase()
+  const registry = createRegistryReader(contractAddress)
+
+  if (!(await registry.fileExists(fileHashFormatted))) {
+    return { fileHash: fileHashFormatted, status: (await registry.isDeleted(fileHashFormatted)) ? 'deleted' : 'not_found' }
+  }
+
+  const rawResult = await callRegistry(contractAddress, 'getFileMetadata(bytes32)', ['bytes32'], [fileHashFormatted])
+  const { 1: owner, 2: timestamp } = web3.eth.abi.decodeParameters(['bytes32', 'address', 'uint256'], rawResult)
+  const metadata = getFilenameMetadata(fileHashFormatted) || getFilenameMetadata(fileHash)
+  return {
+    fileHash: fileHashFormatted,
+    status: 'active',
+    owner,
+    timestamp: Number(timestamp),
+    filename: metadata ? metadata.filename : null,
+    mimeType: metadata ? metadata.mimeType : null,
+    size: metadata ? metadata.size : null,
+    uploadedBy: metadata ? metadata.uploadedBy : null
+  }
+}
+
+/**
+ * Read a file's place in its version lineage
+ * @param {string} fileHash - File hash (bytes32), deleted versions included
+ * @param {string} contractAddress - Contract address
+ * @returns {Promise<Object>} { lineage, parent (null for the first version), version, latest }
+ */
+async function getVersionInfo(fileHash, contractAddress) {
+  const rawResult = await callRegistry(contractAddress, 'getVersionInfo(bytes32)', ['bytes32'], [fileHash])
+  const { 0: lineage, 1: parent, 2: version, 3: latest } = web3.eth.abi.decodeParameters(['bytes32', 'bytes32', 'uint256', 'bytes32'], rawResult)
+  return {
+    lineage: lineage.toLowerCase(),
+    parent: /^0x0+$/.test(parent) ? null : parent.toLowerCase(),
+    version: Number(version),
+    latest: latest.toLowerCase()
+  }
+}
+
+/**
+ * List every version of a file, oldest first
+ * @param {string} fileHash - Any version of the file
+ * @param {string} contractAddress - Contract address
+ * @returns {Promise<Object|null>} { lineage, latest, versions: [{ version, ...getFileInfo }] }, null if the file is unknown
+ */
+async function getFileVersions(fileHash, contractAddress) {
+  const validation = validateFileHash(fileHash)
+  if (validation.error || !contractAddress || validateAddress(contractAddress).error) {
+    throw new Error(`Validation failed: ${validation.error ? validation.error.message : 'invalid contract address'}`)
+  }
+  const fileHashFormatted = fileHash.toLowerCase()
+  if ((await getFileInfo(fileHashFormatted, contractAddress)).status === 'not_found') {
+    return null
+  }
+  const { lineage, latest } = await getVersionInfo(fileHashFormatted, contractAddress)
+  const rawResult = await callRegistry(contractAddress, 'getVersions(bytes32)', ['bytes32'], [fileHashFormatted])
+  const versions = []
+  for (const [index, versionHash] of web3.eth.abi.decodeParameter('bytes32[]', rawResult).entries()) {
+    versions.push({ version: index + 1, ...(await getFileInfo(versionHash, contractAddress)) })
+  }
+  return { lineage, latest, versions }
+}
+
+/**
+ * Look up one version of a file
+ * @param {string} fileHash - Any version of the file
+ * @param {number|string} version - Version number, from 1, or 'latest'
+ * @param {string} contractAddress - Contract address
+ * @returns {Promise<Object|null>} { version, ...getFileInfo } of that version, null if the file or version does not exist
+ */
+async function getFileVersion(fileHash, version, contractAddress) {
+  const number = version === 'latest' ? null : Number(version)
+  if (number !== null && (!Number.isInteger(number) || number < 1)) {
+    throw new Error('Validation failed: version must be a positive integer or "latest"')
+  }
+  const history = await getFileVersions(fileHash, contractAddress)
+  if (!history) {
+    return null
+  }
+  return history.versions[(number || history.versions.length) - 1] || null
+}
+
+/**
+ * Check whether an address can obtain a file's key: it owns the file or was granted access
+ * @param {string} fileHash - File hash (bytes32)
+ * @param {string} address - Address to check
+ * @param {string} contractAddress - Contract address
+ * @returns {Promise<boolean>} False for unknown and deleted files too
+ */
+async function hasFileAccess(fileHash, address, contractAddress) {
+  if (validateFileHash(fileHash).error || validateAddress(address).error || !contractAddress || validateAddress(contractAddress).error) {
+    throw new Error('Validation failed: invalid fileHash, address or contract address')
+  }
+  const rawResult = await callRegistry(contractAddress, 'hasAccess(bytes32,address)', ['bytes32', 'address'], [fileHash.toLowerCase(), address])
+  return Boolean(web3.eth.abi.decodeParameter('bool', rawResult))
+}
+
+/**
+ * Iterate over the files an address owns, with their filename metadata
+ * Files are read from the registry a page at a time (getUserFilesPage), so owners with many
+ * files do not hit the node's eth_call gas limit. The registry keeps the list current:
+ * rotated files appear under their new fileHash and deleted ones are dropped. Deleting
+ * files while iterating can skip or repeat one, as the owner's last file takes a deleted one's place.
+ * @param {string} ownerAddress - Owner address
+ * @param {string} contractAddress - Contract address
+ * @param {Object} options - Iteration options
+ * @param {number} options.pageSize - Files read per registry call (default 100)
+ * @yields {Object} { fileHash, timestamp, filename, mimeType, size, uploadedBy }, metadata fields null if unknown
+ */
+async function * iterateOwnerFiles(ownerAddress, contractAddress, options = {}) {
+  const { pageSize = OWNER_FILES_PAGE_SIZE } = options
+  if (validateAddress(ownerAddress).error || !contractAddress || validateAddress(contractAddress).error) {
+    throw new Error('Validation failed: invalid owner or contract address')
+  }
+  if (!Number.isInteger(pageSize) || pageSize < 1) {
+    throw new Error('Validation failed: pageSize must be a positive integer')
+  }
+  const registry = createRegistryReader(contractAddress)
+  const filenames = loadFilenameMapping()
+  for (let offset = 0; ; offset += pageSize) {
+    const { files, total } = await registry.getUserFilesPage(ownerAddress, offset, pageSize)
+    for (const file of files) {
+      const metadata = filenames.get(file.fileHash)
+      yield {
+        fileHash: file.fileHash,
+        timestamp: file.timestamp,
+        filename: metadata ? metadata.filename : null,
+        mimeType: metadata ? metadata.mimeType : null,
+        size: metadata ? metadata.size : null,
+        uploadedBy: metadata ? metadata.uploadedBy : null
+      }
+    }
+    if (files.length < pageSize || offset + pageSize >= total) {
+      return
+    }
+  }
+}
+
+/**
+ * List the files an address owns, with their filename metadata
+ * @param {string} ownerAddress - Owner address
+ * @param {string} contractAddress - Contract address
+ * @returns {Promise<Array<Object>>} [{ fileHash, timestamp, filename, mimeType, size, uploadedBy }] (see iterateOwnerFiles)
+ */
+async function listOwnerFiles(ownerAddress, contractAddress) {
+  const files = []
+  for await (const file of iterateOwnerFiles(ownerAddress, contractAddress)) {
+    files.push(file)
+  }
+  return files
+}
+
+/**
+ * Check a collection id
+ * @param {number|string} collectionId - Collection id, from 1
+ * @returns {number} The id as a number
+ * @throws {Error} If it is not a positive integer
+ */
+function parseCollectionId(collectionId) {
+  const id = Number(collectionId)
+  if (!Number.isSafeInteger(id) || id < 1 || !/^\d+$/.test(String(collectionId))) {
+    throw new Error('Validation failed: collectionId must be a positive integer')
+  }
+  return id
+}
+
+/**
+ * Check the arguments shared by the collection calls that sign a transaction
+ * @returns {Object} { collectionId (number), account }
+ */
+function collectionCallParams(operation, collectionId, privateKey, contractAddress) {
+  const id = parseCollectionId(collectionId)
+  if (validatePrivateKey(privateKey).error || !contractAddress || validateAddress(contractAddress).error) {
+    logSecurityEvent('INVALID_INPUT', { operation, error: 'invalid private key or contract address' })
+    throw new Error('Validation failed: invalid private key or contract address')
+  }
+  return { collectionId: id, account: getSigningAccount(privateKey) }
+}
+
+/**
+ * @param {string} name - Collection name
+ * @throws {Error} If it is empty or longer than the registry allows (128 UTF-8 bytes)
+ */
+function validateCollectionName(name) {
+  if (typeof name !== 'string' || name.trim().length === 0 || Buffer.byteLength(name, 'utf8') > MAX_COLLECTION_NAME_LENGTH) {
+    throw new Error(`Validation failed: collection name must be 1 to ${MAX_COLLECTION_NAME_LENGTH} bytes`)
+  }
+}
+
+/**
+ * @param {Array<string>} fileHashes - File hashes
+ * @returns {Array<string>} Formatted file hashes
+ * @throws {Error} If the list is empty or a hash is malformed
+ */
+function validateFileHashList(fileHashes) {
+  if (!Array.isArray(fileHashes) || fileHashes.length === 0) {
+    throw new Error('Validation failed: fileHashes must be a non-empty array')
+  }
+  for (const fileHash of fileHashes) {
+    if (validateFileHash(fileHash).error) {
+      throw new Error(`Validation failed: invalid fileHash ${fileHash}`)
+    }
+  }
+  return fileHashes.map(formatFileHash)
+}
+
+/**
+ * Sign and send a FileRegistry call from an account
+ * @returns {Promise<Object>} Transaction receipt
+ */
+async function sendRegistryCall(method, account) {
+  return method.send({
+    from: account.address,
+    gas: await estimateGasWithMargin(method, account.address)
+  })
+}
+
+/**
+ * Create a collection owned by the signer
+ * @param {string} name - Display name (1 to 128 UTF-8 bytes)
+ * @param {string} privateKey - Private key for signing transactions
+ * @param {string} contractAddress - Contract address
+ * @param {Object} options - Collection options
+ * @param {string} options.createdFor - Account the collection is made for, when the signer creates it on its behalf
+ * @returns {Promise<Object>} { collectionId, name, owner, txHash }
+ */
+async function createCollection(name, privateKey, contractAddress, options = {}) {
+  const { createdFor = null } = options
+  validateCollectionName(name)
+  if (validatePrivateKey(privateKey).error || !contractAddress || validateAddress(contractAddress).error) {
+    logSecurityEvent('INVALID_INPUT', { operation: 'create_collection', error: 'invalid private key or contract address' })
+    throw new Error('Validation failed: invalid private key or contract address')
+  }
+  if (createdFor && validateAddress(createdFor).error) {
+    throw new Error('Validation failed: invalid createdFor address')
+  }
+  const account = getSigningAccount(privateKey)
+  const contract = new web3.eth.Contract(FileRegistryABI, contractAddress)
+  const tx = await sendRegistryCall(contract.methods.createCollection(name), account)
+  const collectionId = Number(tx.events.CollectionCreated.returnValues.collectionId)
+  if (createdFor) {
+    setCollectionCreatedFor(contractAddress, collectionId, createdFor)
+  }
+  logger.info('Collection created', { collectionId, txHash: tx.transactionHash })
+  return { collectionId, name, owner: account.address, txHash: tx.transactionHash }
+}
+
+/**
+ * Rename one of the signer's collections
+ * @param {number} collectionId - Collection id
+ * @param {string} name - New display name
+ * @param {string} privateKey - Owner private key for signing transactions
+ * @param {string} contractAddress - Contract address
+ * @returns {Promise<Object>} { collectionId, name, txHash }
+ */
+async function renameCollection(collectionId, name, privateKey, contractAddress) {
+  const params = collectionCallParams('rename_collection', collectionId, privateKey, contractAddress)
+  validateCollectionName(name)
+  const contract = new web3.eth.Contract(FileRegistryABI, contractAddress)
+  const tx = await sendRegistryCall(contract.methods.renameCollection(params.collectionId, name), params.account)
+  return { collectionId: params.collectionId, name, txHash: tx.transactionHash }
+}
+
+/**
+ * Add files to one of the signer's collections
+ * Only the collection owner's active files can be added. Adding grants no access by itself;
+ * share the collection again for its recipients to get the new files.
+ * @param {number} collectionId - Collection id
+ * @param {Array<string>} fileHashes - Files to add
+ * @param {string} privateKey - Owner private key for signing transactions
+ * @param {string} contractAddress - Contract address
+ * @returns {Promise<Object>} { collectionId, fileHashes, txHash }
+ */
+async function addToCollection(collectionId, fileHashes, privateKey, contractAddress) {
+  const params = collectionCallParams('add_to_collection', collectionId, privateKey, contractAddress)
+  const formatted = validateFileHashList(fileHashes)
+  const contract = new web3.eth.Contract(FileRegistryABI, contractAddress)
+  const tx = await sendRegistryCall(contract.methods.addToCollection(params.collectionId, formatted), params.account)
+  return { collectionId: params.collectionId, fileHashes: formatted, txHash: tx.transactionHash }
+}
+
+/**
+ * Remove files from one of the signer's collections
+ * Access granted by sharing the collection stays; revoke it per file with revokeAccess.
+ * @param {number} collectionId - Collection id
+ * @param {Array<string>} fileHashes - Files to remove
+ * @param {string} privateKey - Owner private key for signing transactions
+ * @param {string} contractAddress - Contract address
+ * @returns {Promise<Object>} { collectionId, fileHashes, txHash }
+ */
+async function removeFromCollection(collectionId, fileHashes, privateKey, contractAddress) {
+  const params = collectionCallParams('remove_from_collection', collectionId, privateKey, contractAddress)
+  const formatted = validateFileHashList(fileHashes)
+  const contract = new web3.eth.Contract(FileRegistryABI, contractAddress)
+  const tx = await sendRegistryCall(contract.methods.removeFromCollection(params.collectionId, formatted), params.account)
+  return { collectionId: params.collectionId, fileHashes: formatted, txHash: tx.transactionHash }
+}
+
+/**
+ * Share every current file of one of the signer's collections
+ *
+ * Each file's key is unwrapped with the owner's key and wrapped for the recipient, and all
+ * grants are stored in one transaction. The registry rejects it if the collection changed
+ * since its files were read; files added later are shared by calling this again.
+ *
+ * @param {number} collectionId - Collection id
+ * @param {string} recipientAddress - Recipient address
+ * @param {string} recipientPublicKey - Recipient public key (RSA PEM or secp256k1 hex)
+ * @param {string} privateKey - Owner private key for signing transactions
+ * @param {string} contractAddress - Contract address
+ * @param {string} ownerKeyPem - Owner RSA private key if the owner keys are RSA-wrapped (PEM)
+ * @returns {Promise<Object>} { collectionId, recipient, fileHashes, txHash }
+ */
+async function shareCollection(collectionId, recipientAddress, recipientPublicKey, privateKey, contractAddress, ownerKeyPem = null) {
+  const params = collectionCallParams('share_collection', collectionId, privateKey, contractAddress)
+  if (validateAddress(recipientAddress).error) {
+    throw new Error('Validation failed: invalid recipient address')
+  }
+  if (!recipientPublicKey) {
+    throw new Error('Recipient public key is required')
+  }
+  assertKeyMatchesAddress(recipientPublicKey, recipientAddress)
+
+  const collection = await getCollection(params.collectionId, contractAddress)
+  if (!collection) {
+    throw new Error(`Collection ${params.collectionId} not found`)
+  }
+  const wrappedKeys = []
+  for (const fileHash of collection.files) {
+    const maskedFileHash = `${fileHash.substring(0, 8)}...`
+    const ownerKeyBlob = await fetchAccessKey(fileHash, contractAddress, params.account.address)
+    const keyMaterial = openKeyMaterial(ownerKeyBlob, ownerKeyPem || privateKey, maskedFileHash)
+    try {
+      wrappedKeys.push('0x' + buildKeyEnvelope(keyMaterial.symmetricKey, keyMaterial, recipientPublicKey).toString('hex'))
+    } finally {
+      secureZero(keyMaterial.symmetricKey)
+    }
+  }
+
+  const contract = new web3.eth.Contract(FileRegistryABI, contractAddress)
+  const tx = await sendRegistryCall(contract.methods.shareCollection(params.collectionId, recipientAddress, collection.files, wrappedKeys), params.account)
+  logger.info('Collection shared', { collectionId: params.collectionId, files: collection.files.length, txHash: tx.transactionHash })
+  return { collectionId: params.collectionId, recipient: recipientAddress, fileHashes: collection.files, txHash: tx.transactionHash }
+}
+
+/**
+ * Read a collection and its files
+ * @param {number} collectionId - Collection id
+ * @param {string} contractAddress - Contract address
+ * @returns {Promise<Object|null>} { collectionId, owner, name, createdFor, files }, null if there is no such collection;
+ *   createdFor is the account the signer created it for, if this server recorded one
+ */
+async function getCollection(collectionId, contractAddress) {
+  const id = parseCollectionId(collectionId)
+  if (!contractAddress || validateAddress(contractAddress).error) {
+    throw new Error('Validation failed: invalid contract address')
+  }
+  const count = web3.eth.abi.decodeParameter('uint256', await callRegistry(contractAddress, 'collectionCount()', [], []))
+  if (BigInt(id) > BigInt(count)) {
+    return null
+  }
+  const rawResult = await callRegistry(contractAddress, 'getCollection(uint256)', ['uint256'], [id])
+  const { 0: owner, 1: name, 2: fileCount } = web3.eth.abi.decodeParameters(['address', 'string', 'uint256'], rawResult)
+  const files = []
+  for (let offset = 0; offset < Number(fileCount); offset += OWNER_FILES_PAGE_SIZE) {
+    const page = await callRegistry(contractAddress, 'getCollectionFiles(uint256,uint256,uint256)', ['uint256', 'uint256', 'uint256'], [id, offset, OWNER_FILES_PAGE_SIZE])
+    files.push(...web3.eth.abi.decodeParameters(['bytes32[]', 'uint256'], page)[0].map(fileHash => fileHash.toLowerCase()))
+  }
+  return { collectionId: id, owner, name, createdFor: getCollectionCreatedFor(contractAddress, id), files }
+}
+
+/**
+ * List the collections an address owns
+ * @param {string} ownerAddress - Owner address
+ * @param {string} contractAddress - Contract address
+ * @returns {Promise<Array<Object>>} [{ collectionId, owner, name, createdFor, fileCount }], oldest first
+ */
+async function listCollections(ownerAddress, contractAddress) {
+  if (validateAddress(ownerAddress).error || !contractAddress || validateAddress(contractAddress).error) {
+    throw new Error('Validation failed: invalid owner or contract address')
+  }
+  const rawIds = await callRegistry(contractAddress, 'getUserCollections(address)', ['address'], [ownerAddress])
+  const collections = []
+  for (const id of web3.eth.abi.decodeParameter('uint256[]', rawIds)) {
+    const rawResult = await callRegistry(contractAddress, 'getCollection(uint256)', ['uint256'], [id])
+    const { 0: owner, 1: name, 2: fileCount } = web3.eth.abi.decodeParameters(['address', 'string', 'uint256'], rawResult)
+    collections.push({ collectionId: Number(id), owner, name, createdFor: getCollectionCreatedFor(contractAddress, Number(id)), fileCount: Number(fileCount) })
+  }
+  return collections
+}
+
+/**
+ * Read-only view of the FileRegistry calls reconciliation needs
+ * @param {string} contractAddress - Contract address
+ * @returns {Object} { fileExists, isDeleted, getFileOwner, getUserFilesPage, getUserFiles, getLocator }
+ */
+function createRegistryReader(contractAddress) {
+  async function callBool(signature, fileHash) {
+    return web3.eth.abi.decodeParameter('bool', await callRegistry(contractAddress, signature, ['bytes32'], [fileHash]))
+  }
+  async function getUserFilesPage(owner, offset, limit) {
+    const rawResult = await callRegistry(contractAddress, 'getUserFilesPage(address,uint256,uint256)', ['address', 'uint256', 'uint256'], [owner, offset, limit])
+    const { 0: fileHashes, 1: timestamps, 2: locators, 3: total } = web3.eth.abi.decodeParameters(['bytes32[]', 'uint256[]', 'bytes[]', 'uint256'], rawResult)
+    return {
+      files: fileHashes.map((fileHash, i) => ({ fileHash: fileHash.toLowerCase(), timestamp: Number(timestamps[i]), locator: locators[i] })),
+      total: Number(total)
+    }
+  }
+  return {
+    fileExists: fileHash => callBool('fileExists(bytes32)', fileHash),
+    isDeleted: fileHash => callBool('isDeleted(bytes32)', fileHash),
+    getFileOwner: async (fileHash) => {
+      if (!(await callBool('fileExists(bytes32)', fileHash))) {
+        return null
+      }
+      const rawResult = await callRegistry(contractAddress, 'getFileMetadata(bytes32)', ['bytes32'], [fileHash])
+      return web3.eth.abi.decodeParameters(['bytes32', 'address', 'uint256'], rawResult)[1]
+    },
+    getUserFilesPage,
+    getUserFiles: async (owner) => {
+      // Paged, as one getUserFiles call can exceed the node's gas limit for large lists
+      const fileHashes = []
+      for (let offset = 0; ; offset += OWNER_FILES_PAGE_SIZE) {
+        const { files, total } = await getUserFilesPage(owner, offset, OWNER_FILES_PAGE_SIZE)
+        fileHashes.push(...files.map(file => file.fileHash))
+        if (files.length < OWNER_FILES_PAGE_SIZE || offset + OWNER_FILES_PAGE_SIZE >= total) {
+          return fileHashes
+        }
+      }
+    },
+    getLocator: async (fileHash) => {
+      return decodeBytesResult(await callRegistry(contractAddress, 'getLocator(bytes32)', ['bytes32'], [fileHash]))
+    }
+  }
+}
+
+/**
+ * Reconcile storage, pins and the local mappings with the registry ("fsck")
+ *
+ * Reports orphaned content (stored or pinned, but deleted or never registered),
+ * dangling registrations (no locator and no mapping entry), content that is
+ * missing or unpinned, wrong or stale mapping entries, and files without filename
+ * metadata. Registered files are found from the mappings, pin records and stored
+ * content; pass owners to also enumerate their files with getUserFiles.
+ * Content of uploads the upload journal still has pending is never repaired.
+ * See src/fsck.js for the repair applied to each kind of issue.
+ *
+ * @param {string} contractAddress - FileRegistry contract address
+ * @param {Object} options - Reconciliation options
+ * @param {Array<string>} options.owners - Addresses whose registered files are checked too
+ * @param {boolean} options.repair - Apply safe repairs (default: report only)
+ * @param {boolean} options.purge - Delete orphaned content instead of unpinning it
+ * @param {number} options.graceMs - Leave unregistered uploads younger than this alone (default 15 minutes)
+ * @returns {Promise<Object>} { checkedAt, summary, issues: [{ type, severity, fileHash, cid, message, repair, repaired, repairError }] }
+ */
+async function reconcileStorage(contractAddress, options = {}) {
+  const { owners = [], repair = false, purge = false, graceMs } = options
+  if (!contractAddress || validateAddress(contractAddress).error) {
+    throw new Error('Validation failed: invalid contract address')
+  }
+  for (const owner of owners) {
+    if (validateAddress(owner).error) {
+      throw new Error(`Validation failed: invalid owner address ${owner}`)
+    }
+  }
+
+  return runFsck({
+    registry: createRegistryReader(contractAddress),
+    storage,
+    pinManager: getPinManager(),
+    journal: getUploadJournal(),
+    mappings: {
+      ipfs: {
+        load: () => IPFS_MAPPING_FILE ? loadIPFSMapping() : new Map(ipfsHashMapping),
+        set: (fileHash, ipfsHash) => {
+          ipfsHashMapping.set(fileHash, ipfsHash)
+          saveIPFSMapping(ipfsHashMapping)
+        },
+        remove: removeIPFSMappingEntry
+      },
+      filenames: {
+        load: loadFilenameMapping,
+        remove: deleteFilenameMetadata
+      }
+    },
+    owners,
+    repair,
+    purge,
+    graceMs
+  })
+}
+
+/**
+ * Resume uploads that were interrupted by a crash or lost connection to the RPC node
+ *
+ * Uploads whose transaction was signed are settled from the chain: confirmed ones get
+ * their mappings written, ones that never got mined are broadcast again, and reverted
+ * or replaced ones have their pins released. Uploads that stopped before signing are
+ * rolled back. Uploads still running in this process are left alone.
+ *
+ * @returns {Promise<Array<Object>>} Journal entries of the resumed uploads
+ */
+async function resumeUploads() {
+  return resumeJournaledUploads(uploadRecoveryDeps())
+}
+
+/**
+ * Chain access and stores the journal recovery needs (see journal/recovery.js)
+ * @returns {Object} { journal, pinManager, chain, writeMapping }
+ */
+function uploadRecoveryDeps() {
+  return {
+    journal: getUploadJournal(),
+    pinManager: getPinManager(),
+    chain: {
+      getReceipt: getTransactionReceiptOrNull,
+      broadcast: (rawTransaction) => {
+        const txHash = web3.utils.keccak256(rawTransaction)
+        return broadcastSignedTransaction(rawTransaction, txHash)
+      },
+      getConfirmedNonce: address => web3.eth.getTransactionCount(address, 'latest'),
+      fileExists: (fileHash, contractAddress) => createRegistryReader(contractAddress).fileExists(fileHash),
+      getFileOwner: (fileHash, contractAddress) => createRegistryReader(contractAddress).getFileOwner(fileHash)
+    },
+    writeMapping: writeUploadMapping
+  }
+}
+
+/**
+ * Journal entry of an upload, without the signed transaction
+ * @param {Object} entry - Journal entry
+ * @returns {Object} Upload status
+ */
+function toUploadStatus(entry) {
+  const status = { ...entry }
+  delete status.rawTransaction
+  return status
+}
+
+/**
+ * Get the status of an upload from the journal
+ * @param {string} uploadId - uploadId returned by uploadFileToBlockchain
+ * @returns {Object|null} { id, status, steps, cid, fileHash, txHash, error, ... } or null if unknown
+ */
+function getUploadStatus(uploadId) {
+  const entry = getUploadJournal().get(uploadId)
+  return entry ? toUploadStatus(entry) : null
+}
+
+/**
+ * List journaled uploads, newest first
+ * @param {Object} filter - { status } or { pending: true } for uploads that have not finished, and optionally
+ *   { uploadedBy } for the uploads made for one account
+ * @returns {Array<Object>} Upload statuses
+ */
+function listUploads(filter = {}) {
+  return getUploadJournal().list(filter).map(toUploadStatus)
+}
+
 /**
  * Get IPFS hash mapping (for testing/debugging)
  * @param {string} fileHash - File hash (bytes32)
@@ -676,12 +3127,52 @@ function getIPFSHash(fileHash) {
 if (typeof window !== 'undefined') {
   window.DecentraFile = {
     uploadFileToBlockchain,
-    downloadFileFromBlockchain
+    downloadFileFromBlockchain,
+    shareFile,
+    revokeAccess,
+    rotateFileKey,
+    deleteFileFromBlockchain,
+    publishPublicKey
   }
 }
 
 module.exports = {
   uploadFileToBlockchain,
+  prepareUpload,
+  finalizeUpload,
   downloadFileFromBlockchain,
+  openFileReader,
+  shareFile,
+  revokeAccess,
+  rotateFileKey,
+  uploadNewVersion,
+  deleteFileFromBlockchain,
+  publishFileLocator,
+  getFileRecipients,
+  getFileInfo,
+  getFileVersions,
+  getFileVersion,
+  hasFileAccess,
+  listOwnerFiles,
+  iterateOwnerFiles,
+  createCollection,
+  renameCollection,
+  addToCollection,
+  removeFromCollection,
+  shareCollection,
+  getCollection,
+  listCollections,
+  getPublicKeyFromTransaction,
+  publishPublicKey,
+  markPublicKeyCompromised,
+  resolveRecipientPublicKey,
+  pinStoredFile,
+  unpinStoredFile,
+  getPinStatus,
+  listPins,
+  reconcileStorage,
+  resumeUploads,
+  getUploadStatus,
+  listUploads,
   getIPFSHash
 }
@@ -0,0 +1,220 @@
+/*
+ * Project: DecentraFile
+ * Author: Thor Thor
+ * Contact: codethor@gmail.com
+ * LinkedIn: https://www.linkedin.com/in/thor-thor0
+ */
+
+/**
+ * FileRegistry event indexer
+ *
+ * Reads FileUploaded, FileDownloaded and FileAccessDenied logs into an EventStore: first
+ * every block from the start block (backfill), then new blocks as they arrive. The hashes
+ * of the latest blocks read are kept; when the chain no longer has one of them, the blocks
+ * from the fork point on are dropped from the index and read again.
+ */
+
+const { Web3 } = require('web3')
+const { logger, logError } = require('../utils/logger')
+
+const EVENT_SIGNATURES = {
+  FileUploaded: 'FileUploaded(bytes32,address,uint256)',
+  FileDownloaded: 'FileDownloaded(bytes32,address)',
+  FileAccessDenied: 'FileAccessDenied(bytes32,address)'
+}
+const EVENT_NAMES = Object.fromEntries(Object.entries(EVENT_SIGNATURES).map(([name, signature]) => [Web3.utils.keccak256(signature), name]))
+
+/**
+ * Decode a FileRegistry log
+ * @param {Object} log - Log as returned by eth_getLogs
+ * @returns {Object|null} { event, fileHash, address, timestamp, blockNumber, blockHash, transactionHash, logIndex },
+ *   null for other events; timestamp is only set for FileUploaded, which carries it
+ */
+function decodeLog(log) {
+  const event = EVENT_NAMES[log.topics[0]]
+  if (!event || log.removed) {
+    return null
+  }
+  return {
+    event,
+    fileHash: log.topics[1].toLowerCase(),
+    // owner, recipient or requester
+    address: Web3.utils.toChecksumAddress('0x' + log.topics[2].slice(-40)),
+    timestamp: event === 'FileUploaded' ? Number(BigInt(log.data)) : null,
+    blockNumber: Number(log.blockNumber),
+    blockHash: log.blockHash,
+    transactionHash: log.transactionHash,
+    logIndex: Number(log.logIndex)
+  }
+}
+
+class EventIndexer {
+  /**
+   * @param {Object} options - Indexer settings
+   * @param {EventStore} options.store - Where the events are kept
+   * @param {Object} options.chain - { getBlockNumber(), getBlock(number) ({ number, hash, timestamp } or null), getLogs(filter) }
+   * @param {string} options.contractAddress - FileRegistry contract address
+   * @param {number} options.startBlock - First block to read, e.g. the deployment block
+   * @param {number} options.batchSize - Blocks per eth_getLogs request
+   * @param {number} options.reorgDepth - How many of the latest blocks are checked for reorganisations
+   */
+  constructor({ store, chain, contractAddress, startBlock = 0, batchSize = 2000, reorgDepth = 64 }) {
+    this.store = store
+    this.chain = chain
+    this.contractAddress = contractAddress
+    this.startBlock = startBlock
+    this.batchSize = batchSize
+    this.reorgDepth = reorgDepth
+    this.syncing = null
+    this.timer = null
+  }
+
+  /**
+   * Read the blocks up to the current head
+   * Concurrent calls share one run.
+   * @returns {Promise<Object>} { fromBlock, toBlock, events (number added), reorgedFrom (block number or null) }
+   */
+  sync() {
+    if (!this.syncing) {
+      this.syncing = this.runSync().finally(() => {
+        this.syncing = null
+      })
+    }
+    return this.syncing
+  }
+
+  async runSync() {
+    const { store, chain } = this
+    if (!store.contractAddress || store.contractAddress.toLowerCase() !== this.contractAddress.toLowerCase()) {
+      store.reset(this.contractAddress, this.startBlock)
+    }
+
+    const head = await chain.getBlockNumber()
+    const reorgedFrom = await this.findFork(head)
+    if (reorgedFrom !== null) {
+      const dropped = store.rewind(reorgedFrom)
+      logger.warn('Chain reorganisation, re-indexing events', { fromBlock: reorgedFrom, dropped })
+    }
+
+    const fromBlock = store.nextBlock
+    let added = 0
+    while (store.nextBlock <= head) {
+      added += await this.indexRange(store.nextBlock, Math.min(store.nextBlock + this.batchSize - 1, head), head)
+    }
+    if (added > 0) {
+      logger.info('Indexed registry events', { fromBlock, toBlock: head, events: added })
+    }
+    return { fromBlock, toBlock: head, events: added, reorgedFrom }
+  }
+
+  /**
+   * Find the first block the chain replaced since it was indexed
+   * @param {number} head - Current block number
+   * @returns {Promise<number|null>} Block to re-index from, or null if the latest indexed block is still canonical
+   */
+  async findFork(head) {
+    const recorded = [...this.store.blocks].reverse()
+    for (let i = 0; i < recorded.length; i++) {
+      const block = recorded[i].number <= head ? await this.chain.getBlock(recorded[i].number) : null
+      if (block && block.hash === recorded[i].hash) {
+        return i === 0 ? null : recorded[i].number + 1
+      }
+    }
+    if (recorded.length > 0) {
+      // Deeper than the blocks kept: re-read all of those at least
+      logger.warn('Chain reorganisation deeper than the blocks checked', { reorgDepth: this.reorgDepth })
+      return recorded[recorded.length - 1].number
+    }
+    return null
+  }
+
+  /**
+   * Index one range of blocks
+   * @param {number} fromBlock - First block
+   * @param {number} toBlock - Last block
+   * @param {number} head - Current block number; hashes are kept for blocks a reorganisation could still replace
+   * @returns {Promise<number>} Number of events added
+   * @throws {Error} If the chain reorganised while the range was read
+   */
+  async indexRange(fromBlock, toBlock, head) {
+    const logs = await this.chain.getLogs({
+      address: this.contractAddress,
+      fromBlock,
+      toBlock,
+      topics: [Object.keys(EVENT_NAMES)]
+    })
+
+    const headers = new Map()
+    const header = async (number) => {
+      if (!headers.has(number)) {
+        const block = await this.chain.getBlock(number)
+        if (!block) {
+          throw new Error(`Block ${number} not found while indexing; the chain reorganised`)
+        }
+        headers.set(number, block)
+      }
+      return headers.get(number)
+    }
+
+    const events = []
+    for (const log of logs) {
+      const event = decodeLog(log)
+      if (!event) {
+        continue
+      }
+      if (event.timestamp === null) {
+        event.timestamp = (await header(event.blockNumber)).timestamp
+      }
+      events.push(event)
+    }
+
+    const blocks = []
+    for (let number = Math.max(fromBlock, head - this.reorgDepth + 1); number <= toBlock; number++) {
+      const { hash } = await header(number)
+      blocks.push({ number, hash })
+    }
+    // Logs and headers must come from the same chain
+    const checked = new Map(blocks.map(block => [block.number, block.hash]))
+    if (events.some(event => checked.has(event.blockNumber) && checked.get(event.blockNumber) !== event.blockHash)) {
+      throw new Error(`The chain reorganised while blocks ${fromBlock} to ${toBlock} were indexed`)
+    }
+
+    this.store.append({ events, blocks, nextBlock: toBlock + 1 }, this.reorgDepth)
+    return events.length
+  }
+
+  /**
+   * Keep following the chain
+   * @param {number} pollIntervalMs - Time between syncs
+   */
+  start(pollIntervalMs = 5000) {
+    if (this.timer) {
+      return
+    }
+    const poll = async () => {
+      try {
+        await this.sync()
+      } catch (error) {
+        logError(error, { operation: 'index_events' })
+      }
+      if (this.timer) {
+        this.timer = setTimeout(poll, pollIntervalMs)
+        // Following the chain should not keep a script alive
+        this.timer.unref()
+      }
+    }
+    this.timer = setTimeout(poll, 0)
+    this.timer.unref()
+  }
+
+  stop() {
+    clearTimeout(this.timer)
+    this.timer = null
+  }
+}
+
+module.exports = {
+  EventIndexer,
+  EVENT_SIGNATURES,
+  decodeLog
+}
@@ -0,0 +1,190 @@
+/*
+ * Project: DecentraFile
+ * Author: Thor Thor
+ * Contact: codethor@gmail.com
+ * LinkedIn: https://www.linkedin.com/in/thor-thor0
+ */
+
+/**
+ * Local database of indexed FileRegistry events
+ *
+ * Holds the events, the next block to read and the hashes of the latest blocks read, which
+ * the indexer compares with the chain to notice reorganisations. Everything is one JSON
+ * file, rewritten atomically after each batch of blocks; without a file the index is kept
+ * in memory and rebuilt from the chain on the next start.
+ */
+
+const fs = require('fs')
+const path = require('path')
+const { logger, logError } = require('../utils/logger')
+
+const EVENT_INDEX_FILE = process.env.EVENT_INDEX_FILE || (process.env.IPFS_MAPPING_FILE ? path.join(path.dirname(process.env.IPFS_MAPPING_FILE), 'event-index.json') : null)
+
+const INDEXED_EVENTS = ['FileUploaded', 'FileDownloaded', 'FileAccessDenied']
+
+/**
+ * Order events as the chain emitted them
+ */
+function byChainOrder(a, b) {
+  return a.blockNumber - b.blockNumber || a.logIndex - b.logIndex
+}
+
+class EventStore {
+  /**
+   * @param {string|null} filePath - JSON file to persist to; null keeps the index in memory
+   */
+  constructor(filePath = EVENT_INDEX_FILE) {
+    this.filePath = filePath
+    this.contractAddress = null
+    this.nextBlock = 0
+    this.blocks = []
+    this.events = []
+    this.load()
+  }
+
+  /**
+   * Load the index from disk, keeping a backup of a corrupted file
+   */
+  load() {
+    if (!this.filePath || !fs.existsSync(this.filePath)) {
+      return
+    }
+    try {
+      const parsed = JSON.parse(fs.readFileSync(this.filePath, 'utf8') || '{}')
+      if (typeof parsed !== 'object' || parsed === null || !Array.isArray(parsed.events) || !Array.isArray(parsed.blocks)) {
+        throw new Error('Invalid event index format: expected { events, blocks }')
+      }
+      this.contractAddress = parsed.contractAddress || null
+      this.nextBlock = Number(parsed.nextBlock) || 0
+      this.blocks = parsed.blocks
+      this.events = parsed.events.filter(event => INDEXED_EVENTS.includes(event.event))
+      logger.debug('Loaded event index', { events: this.events.length, nextBlock: this.nextBlock })
+    } catch (error) {
+      logError(error, { operation: 'load_event_index' })
+      logger.warn('Failed to load event index, rebuilding it from the chain')
+      try {
+        fs.copyFileSync(this.filePath, `${this.filePath}.corrupted.${Date.now()}`)
+      } catch (backupError) {
+        // Ignore backup errors
+      }
+    }
+  }
+
+  /**
+   * Write the index to disk
+   * A failed write is logged and retried with the next batch; the chain still has every event.
+   */
+  save() {
+    if (!this.filePath) {
+      return
+    }
+    const tempFile = `${this.filePath}.tmp`
+    try {
+      fs.mkdirSync(path.dirname(this.filePath), { recursive: true })
+      fs.writeFileSync(tempFile, JSON.stringify({
+        contractAddress: this.contractAddress,
+        nextBlock: this.nextBlock,
+        blocks: this.blocks,
+        events: this.events
+      }))
+      fs.renameSync(tempFile, this.filePath)
+    } catch (error) {
+      fs.rmSync(tempFile, { force: true })
+      logError(error, { operation: 'save_event_index' })
+    }
+  }
+
+  /**
+   * Drop everything and start indexing a contract from a block
+   * @param {string} contractAddress - FileRegistry contract address
+   * @param {number} startBlock - First block to read
+   */
+  reset(contractAddress, startBlock) {
+    this.contractAddress = contractAddress
+    this.nextBlock = startBlock
+    this.blocks = []
+    this.events = []
+    this.save()
+  }
+
+  /**
+   * Add the events of a range of blocks and move past it
+   * @param {Object} batch - { events, blocks: [{ number, hash }] (latest blocks read, for reorg checks), nextBlock }
+   * @param {number} keepBlocks - How many of the latest block hashes to keep
+   */
+  append({ events, blocks, nextBlock }, keepBlocks) {
+    this.events.push(...events)
+    this.blocks = [...this.blocks, ...blocks].slice(-keepBlocks)
+    this.nextBlock = nextBlock
+    this.save()
+  }
+
+  /**
+   * Forget blocks from a block on, after the chain reorganised
+   * @param {number} blockNumber - First block that is no longer canonical
+   * @returns {number} Number of events dropped
+   */
+  rewind(blockNumber) {
+    const before = this.events.length
+    this.events = this.events.filter(event => event.blockNumber < blockNumber)
+    this.blocks = this.blocks.filter(block => block.number < blockNumber)
+    this.nextBlock = Math.min(this.nextBlock, blockNumber)
+    this.save()
+    return before - this.events.length
+  }
+
+  /**
+   * @param {Object} filter - { event, fileHash, address, fromTimestamp, toTimestamp } (unix seconds, inclusive)
+   * @returns {Array<Object>} Matching events, oldest first
+   */
+  find(filter = {}) {
+    const fileHash = filter.fileHash ? filter.fileHash.toLowerCase() : null
+    const address = filter.address ? filter.address.toLowerCase() : null
+    return this.events
+      .filter(event => !filter.event || event.event === filter.event)
+      .filter(event => !fileHash || event.fileHash === fileHash)
+      .filter(event => !address || event.address.toLowerCase() === address)
+      .filter(event => filter.fromTimestamp === undefined || event.timestamp >= filter.fromTimestamp)
+      .filter(event => filter.toTimestamp === undefined || event.timestamp <= filter.toTimestamp)
+      .sort(byChainOrder)
+      .map(event => ({ ...event }))
+  }
+
+  /**
+   * @param {string} owner - Owner address
+   * @returns {Array<Object>} FileUploaded events of the owner
+   */
+  uploadsByOwner(owner) {
+    return this.find({ event: 'FileUploaded', address: owner })
+  }
+
+  /**
+   * @param {string} fileHash - File hash (bytes32)
+   * @returns {Array<Object>} FileDownloaded events of the file
+   */
+  downloadsOfFile(fileHash) {
+    return this.find({ event: 'FileDownloaded', fileHash })
+  }
+
+  /**
+   * @param {Object} filter - Optional { fileHash, address } (the requester)
+   * @returns {Array<Object>} FileAccessDenied events
+   */
+  accessDenied(filter = {}) {
+    return this.find({ event: 'FileAccessDenied', fileHash: filter.fileHash, address: filter.address })
+  }
+
+  /**
+   * @param {number} fromTimestamp - Unix seconds, inclusive
+   * @param {number} toTimestamp - Unix seconds, inclusive
+   * @returns {Array<Object>} FileUploaded events registered in the range
+   */
+  uploadsBetween(fromTimestamp, toTimestamp) {
+    return this.find({ event: 'FileUploaded', fromTimestamp, toTimestamp })
+  }
+}
+
+module.exports = {
+  EventStore,
+  INDEXED_EVENTS
+}
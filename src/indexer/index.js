@@ -0,0 +1,79 @@
+/*
+ * Project: DecentraFile
+ * Author: Thor Thor
+ * Contact: codethor@gmail.com
+ * LinkedIn: https://www.linkedin.com/in/thor-thor0
+ */
+
+/**
+ * Event indexer for the current environment
+ * EVENT_INDEX_FILE chooses where the index is kept and INDEXER_START_BLOCK where reading
+ * starts; by default it starts at the block FileRegistry was deployed in, if the deployment
+ * artifact records it, or at block 0.
+ */
+
+const { Web3 } = require('web3')
+const { EventIndexer, EVENT_SIGNATURES, decodeLog } = require('./eventIndexer')
+const { EventStore, INDEXED_EVENTS } = require('./eventStore')
+const { getRuntimeConfig } = require('../config/runtimeConfig')
+const { getFileRegistryAddress, getDeploymentBlock } = require('../config/deploymentInfo')
+
+let eventIndexer = null
+
+/**
+ * Chain access for the indexer over a web3 instance
+ * @param {Web3} web3 - web3 instance
+ * @returns {Object} { getBlockNumber, getBlock, getLogs }
+ */
+function createWeb3Chain(web3) {
+  return {
+    getBlockNumber: async () => Number(await web3.eth.getBlockNumber()),
+    getBlock: async (number) => {
+      const block = await web3.eth.getBlock(number)
+      return block ? { number: Number(block.number), hash: block.hash, timestamp: Number(block.timestamp) } : null
+    },
+    getLogs: filter => web3.eth.getPastLogs(filter)
+  }
+}
+
+/**
+ * @returns {number} Block to start indexing from
+ * @throws {Error} If INDEXER_START_BLOCK is not a block number
+ */
+function getStartBlock() {
+  const setting = process.env.INDEXER_START_BLOCK
+  if (setting !== undefined && setting !== '') {
+    if (!/^\d+$/.test(setting)) {
+      throw new Error(`Invalid INDEXER_START_BLOCK: ${setting}. Expected a block number`)
+    }
+    return Number(setting)
+  }
+  return getDeploymentBlock() || 0
+}
+
+/**
+ * Get the event indexer, creating it on first use
+ * @returns {EventIndexer} Indexer (not started)
+ * @throws {Error} If FileRegistry is not deployed on the current network
+ */
+function getEventIndexer() {
+  if (!eventIndexer) {
+    eventIndexer = new EventIndexer({
+      store: new EventStore(),
+      chain: createWeb3Chain(new Web3(getRuntimeConfig().rpcUrl)),
+      contractAddress: getFileRegistryAddress(),
+      startBlock: getStartBlock()
+    })
+  }
+  return eventIndexer
+}
+
+module.exports = {
+  EventIndexer,
+  EventStore,
+  EVENT_SIGNATURES,
+  INDEXED_EVENTS,
+  decodeLog,
+  createWeb3Chain,
+  getEventIndexer
+}
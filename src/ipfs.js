@@ -5,83 +5,19 @@
  * LinkedIn: https://www.linkedin.com/in/thor-thor0
  */
 
+const { Readable } = require('stream')
 const { logger, logError } = require('./utils/logger')
-const { getRuntimeConfig } = require('./config/runtimeConfig')
-
-let ipfs = null
-
-try {
-  const runtimeConfig = getRuntimeConfig()
-
-  if (runtimeConfig.storageMode === 'mock') {
-    // Use mock IPFS for local testing
-    const MockIPFSClient = require('../test/utils/ipfs-mock')
-    const mockIPFS = new MockIPFSClient()
-    ipfs = {
-      add: async (file) => {
-        return await mockIPFS.add(file)
-      },
-      cat: async function * (hash) {
-        yield * mockIPFS.cat(hash)
-      },
-      pin: {
-        add: async (hash) => {
-          const pin = await mockIPFS.pin()
-          return await pin.add(hash)
-        }
-      }
-    }
-    logger.info('Using mock IPFS client', { service: 'ipfs' })
-  } else {
-    // Use real IPFS client
-    const { create } = require('ipfs-http-client')
-    if (!runtimeConfig.ipfsEndpoint) {
-      throw new Error('IPFS_ENDPOINT is required when DECENTRAFILE_STORAGE=ipfs')
-    }
-    ipfs = create({
-      url: runtimeConfig.ipfsEndpoint,
-      headers: {
-        authorization: process.env.IPFS_AUTH ? `Basic ${process.env.IPFS_AUTH}` : undefined
-      }
-    })
-    logger.info('Using real IPFS client', { service: 'ipfs', endpoint: runtimeConfig.ipfsEndpoint.substring(0, 30) + '...' })
-  }
-} catch (error) {
-  // Fallback to legacy USE_MOCK_IPFS for backward compatibility (deprecated)
-  if (process.env.USE_MOCK_IPFS === 'true') {
-    const MockIPFSClient = require('../test/utils/ipfs-mock')
-    const mockIPFS = new MockIPFSClient()
-    ipfs = {
-      add: async (file) => {
-        return await mockIPFS.add(file)
-      },
-      cat: async function * (hash) {
-        yield * mockIPFS.cat(hash)
-      },
-      pin: {
-        add: async (hash) => {
-          const pin = await mockIPFS.pin()
-          return await pin.add(hash)
-        }
-      }
-    }
-    logger.info('Using mock IPFS client (legacy mode)', { service: 'ipfs' })
-  } else {
-    const { create } = require('ipfs-http-client')
-    ipfs = create({
-      url: process.env.IPFS_URL || 'https://ipfs.infura.io:5001/api/v0',
-      headers: {
-        authorization: process.env.IPFS_AUTH ? `Basic ${process.env.IPFS_AUTH}` : undefined
-      }
-    })
-    logger.info('Using real IPFS client (legacy mode)', { service: 'ipfs' })
-  }
-}
+const { getStorageBackend, IpfsBackend } = require('./storage')
+
+const storage = getStorageBackend()
+
+// Raw IPFS client when the backend is IPFS (kept for callers that used it directly; a promise for the HTTP client)
+const ipfs = storage instanceof IpfsBackend ? storage.client : null
 
 /**
- * Upload a file to IPFS
+ * Upload a file to the storage backend
  * @param {Buffer|File} file - The file to upload
- * @returns {Promise<string>} IPFS hash (CID)
+ * @returns {Promise<string>} Content identifier (CID)
  */
 async function uploadFile(file, timeoutMs = 30000) {
   if (!Buffer.isBuffer(file) && !(file instanceof Uint8Array)) {
@@ -92,40 +28,30 @@ async function uploadFile(file, timeoutMs = 30000) {
   try {
     // Create a timeout promise with cleanup
     const timeoutPromise = new Promise((resolve, reject) => {
-      timeoutHandle = setTimeout(() => reject(new Error('IPFS upload timeout')), timeoutMs)
+      timeoutHandle = setTimeout(() => reject(new Error('Storage upload timeout')), timeoutMs)
     })
 
-    // Race between IPFS upload and timeout
-    const uploadPromise = ipfs.add(file)
+    // Race between the upload and timeout
+    const uploadPromise = storage.put(Readable.from([file]))
+    uploadPromise.catch(() => {})
     const result = await Promise.race([uploadPromise, timeoutPromise])
 
-    // Clear timeout if upload completed successfully
-    if (timeoutHandle) {
-      clearTimeout(timeoutHandle)
-      timeoutHandle = null
-    }
-
-    const cid = result.cid.toString()
-    logger.debug('File uploaded to IPFS', { cidLength: cid.length })
-    return cid
+    logger.debug(`File uploaded to ${storage.label}`, { cidLength: result.cid.length })
+    return result.cid
   } catch (error) {
-    // Clear timeout on error
-    if (timeoutHandle) {
-      clearTimeout(timeoutHandle)
-      timeoutHandle = null
-    }
-
-    logError(error, { operation: 'ipfs_upload' })
-    if (error.message === 'IPFS upload timeout') {
-      throw new Error('IPFS upload timed out. The IPFS node may be unresponsive.')
+    logError(error, { operation: 'ipfs_upload', backend: storage.name })
+    if (error.message === 'Storage upload timeout') {
+      throw new Error(`${storage.label} upload timed out. The storage service may be unresponsive.`)
     }
-    throw new Error(`IPFS upload failed: ${error.message}`)
+    throw new Error(`${storage.label} upload failed: ${error.message}`)
+  } finally {
+    clearTimeout(timeoutHandle)
   }
 }
 
 /**
- * Download a file from IPFS
- * @param {string} hash - IPFS hash (CID)
+ * Download a file from the storage backend
+ * @param {string} hash - Content identifier (CID)
  * @returns {Promise<Buffer>} File content
  */
 async function downloadFile(hash, timeoutMs = 60000) {
@@ -137,46 +63,114 @@ async function downloadFile(hash, timeoutMs = 60000) {
   try {
     // Create a timeout promise with cleanup
     const timeoutPromise = new Promise((resolve, reject) => {
-      timeoutHandle = setTimeout(() => reject(new Error('IPFS download timeout')), timeoutMs)
+      timeoutHandle = setTimeout(() => reject(new Error('Storage download timeout')), timeoutMs)
     })
 
-    // Race between IPFS download and timeout
+    // Race between the download and timeout
     const downloadPromise = (async () => {
       const chunks = []
-      for await (const chunk of ipfs.cat(hash)) {
+      for await (const chunk of await storage.get(hash)) {
         chunks.push(chunk)
       }
       return Buffer.concat(chunks)
     })()
+    downloadPromise.catch(() => {})
 
     const fileBuffer = await Promise.race([downloadPromise, timeoutPromise])
 
-    // Clear timeout if download completed successfully
-    if (timeoutHandle) {
-      clearTimeout(timeoutHandle)
-      timeoutHandle = null
-    }
-
-    logger.debug('File downloaded from IPFS', { hashLength: hash.length, fileSize: fileBuffer.length })
+    logger.debug(`File downloaded from ${storage.label}`, { hashLength: hash.length, fileSize: fileBuffer.length })
     return fileBuffer
   } catch (error) {
-    // Clear timeout on error
-    if (timeoutHandle) {
-      clearTimeout(timeoutHandle)
-      timeoutHandle = null
+    logError(error, { operation: 'ipfs_download', backend: storage.name, hashLength: hash ? hash.length : 0 })
+    if (error.message === 'Storage download timeout') {
+      throw new Error(`${storage.label} download timed out. The storage service may be unresponsive or the file may not be available.`)
     }
+    throw new Error(`${storage.label} download failed: ${error.message}`)
+  } finally {
+    clearTimeout(timeoutHandle)
+  }
+}
 
-    logError(error, { operation: 'ipfs_download', hashLength: hash ? hash.length : 0 })
-    if (error.message === 'IPFS download timeout') {
-      throw new Error('IPFS download timed out. The IPFS node may be unresponsive or the file may not be available.')
+/**
+ * Upload a stream to the storage backend without buffering it
+ *
+ * A whole-upload timeout would cap the file size, so the timeout applies to inactivity:
+ * the upload fails if no chunk arrives from the source within idleTimeoutMs.
+ *
+ * @param {Readable|AsyncIterable<Uint8Array>} source - Content to upload
+ * @param {number} idleTimeoutMs - Maximum time between chunks
+ * @returns {Promise<string>} Content identifier (CID)
+ */
+async function uploadStream(source, idleTimeoutMs = 30000) {
+  if (!source || typeof source[Symbol.asyncIterator] !== 'function') {
+    throw new Error('Source must be a readable stream or async iterable')
+  }
+
+  let timeoutHandle = null
+  let rejectIdle = null
+  const idlePromise = new Promise((resolve, reject) => {
+    rejectIdle = reject
+  })
+  const resetIdleTimer = () => {
+    clearTimeout(timeoutHandle)
+    timeoutHandle = setTimeout(() => rejectIdle(new Error('Storage upload timeout')), idleTimeoutMs)
+  }
+
+  async function * tracked() {
+    resetIdleTimer()
+    for await (const chunk of source) {
+      resetIdleTimer()
+      yield chunk
+    }
+    resetIdleTimer()
+  }
+
+  try {
+    const putPromise = storage.put(Readable.from(tracked(), { objectMode: false }))
+    // If the idle timer wins the race, a later rejection of the put must not go unhandled
+    putPromise.catch(() => {})
+    const result = await Promise.race([putPromise, idlePromise])
+    logger.debug(`Stream uploaded to ${storage.label}`, { cidLength: result.cid.length })
+    return result.cid
+  } catch (error) {
+    logError(error, { operation: 'ipfs_upload_stream', backend: storage.name })
+    if (typeof source.destroy === 'function') {
+      source.destroy()
     }
-    throw new Error(`IPFS download failed: ${error.message}`)
+    if (error.message === 'Storage upload timeout') {
+      throw new Error(`${storage.label} upload timed out. The storage service or the source stream stopped responding.`)
+    }
+    throw new Error(`${storage.label} upload failed: ${error.message}`)
+  } finally {
+    clearTimeout(timeoutHandle)
   }
 }
 
 /**
- * Pin a file to IPFS
- * @param {string} hash - IPFS hash (CID)
+ * Open a stored file, or a byte range of it, as a stream
+ * @param {string} hash - Content identifier (CID)
+ * @param {Object} range - Optional { offset, length } to read only part of the file
+ * @returns {Readable} Stream of the file content
+ */
+function downloadStream(hash, range = {}) {
+  if (!hash || typeof hash !== 'string') {
+    throw new Error('IPFS hash must be a non-empty string')
+  }
+
+  async function * content() {
+    yield * await storage.get(hash, range)
+  }
+
+  const stream = Readable.from(content(), { objectMode: false })
+  stream.on('error', (error) => {
+    logError(error, { operation: 'ipfs_download_stream', backend: storage.name, hashLength: hash.length })
+  })
+  return stream
+}
+
+/**
+ * Pin a stored file so it is kept
+ * @param {string} hash - Content identifier (CID)
  * @returns {Promise<void>}
  */
 async function pinFile(hash) {
@@ -185,18 +179,68 @@ async function pinFile(hash) {
   }
 
   try {
-    await ipfs.pin.add(hash)
-    logger.info('File pinned to IPFS', { hashLength: hash.length })
+    await storage.pin(hash)
+    logger.info(`File pinned to ${storage.label}`, { hashLength: hash.length })
+  } catch (error) {
+    logError(error, { operation: 'ipfs_pin', backend: storage.name, hashLength: hash.length })
+    throw new Error(`${storage.label} pin failed: ${error.message}`)
+  }
+}
+
+/**
+ * Unpin a stored file so the backend can garbage-collect it
+ * @param {string} hash - Content identifier (CID)
+ * @returns {Promise<void>}
+ */
+async function unpinFile(hash) {
+  if (!hash || typeof hash !== 'string') {
+    throw new Error('IPFS hash must be a non-empty string')
+  }
+
+  try {
+    await storage.unpin(hash)
+    logger.info(`File unpinned from ${storage.label}`, { hashLength: hash.length })
   } catch (error) {
-    logError(error, { operation: 'ipfs_pin', hashLength: hash.length })
-    throw new Error(`IPFS pin failed: ${error.message}`)
+    logError(error, { operation: 'ipfs_unpin', backend: storage.name, hashLength: hash.length })
+    throw new Error(`${storage.label} unpin failed: ${error.message}`)
+  }
+}
+
+/**
+ * Describe a stored file
+ * @param {string} hash - Content identifier (CID)
+ * @returns {Promise<Object|null>} { cid, size, pinned }, or null if the backend does not hold it
+ */
+async function statFile(hash) {
+  if (!hash || typeof hash !== 'string') {
+    throw new Error('IPFS hash must be a non-empty string')
+  }
+  return storage.stat(hash)
+}
+
+/**
+ * Report the health of the storage nodes
+ * Only the replicated IPFS backend tracks nodes; other backends report none.
+ * @returns {Object} { backend, healthy, nodes: [{ endpoint, healthy, successes, failures, latencyMs, lastError, ... }] }
+ */
+function getStorageHealth() {
+  const nodes = storage.health()
+  return {
+    backend: storage.name,
+    healthy: nodes.length === 0 || nodes.some(node => node.healthy),
+    nodes
   }
 }
 
 module.exports = {
   uploadFile,
   downloadFile,
+  uploadStream,
+  downloadStream,
   pinFile,
+  unpinFile,
+  statFile,
+  getStorageHealth,
+  storage,
   ipfs
 }
-
@@ -0,0 +1,37 @@
+/*
+ * Project: DecentraFile
+ * Author: Thor Thor
+ * Contact: codethor@gmail.com
+ * LinkedIn: https://www.linkedin.com/in/thor-thor0
+ */
+
+/**
+ * Upload journal for the current environment
+ * UPLOAD_JOURNAL_FILE sets where it is kept; by default it sits next to IPFS_MAPPING_FILE.
+ */
+
+const { UploadJournal, UPLOAD_JOURNAL_FILE, UPLOAD_STATES, TERMINAL_STATES } = require('./uploadJournal')
+const { settlePreparedUpload, resumeUpload, resumeUploads } = require('./recovery')
+
+let uploadJournal = null
+
+/**
+ * Get the upload journal, loading it on first use
+ * @returns {UploadJournal} Upload journal
+ */
+function getUploadJournal() {
+  if (!uploadJournal) {
+    uploadJournal = new UploadJournal(UPLOAD_JOURNAL_FILE)
+  }
+  return uploadJournal
+}
+
+module.exports = {
+  UploadJournal,
+  UPLOAD_STATES,
+  TERMINAL_STATES,
+  settlePreparedUpload,
+  resumeUpload,
+  resumeUploads,
+  getUploadJournal
+}
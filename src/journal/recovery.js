@@ -0,0 +1,176 @@
+/*
+ * Project: DecentraFile
+ * Author: Thor Thor
+ * Contact: codethor@gmail.com
+ * LinkedIn: https://www.linkedin.com/in/thor-thor0
+ */
+
+/**
+ * Resume uploads the journal shows as interrupted
+ *
+ * What happens depends on the last step recorded:
+ * - started: the CID was never recorded, so nothing can be resumed. Content that did
+ *   reach storage is left for fsck to find as orphaned.
+ * - stored / pinned: the transaction was never signed, so the file cannot be registered
+ *   by this upload. Its pins are released.
+ * - signed: the transaction may or may not have been broadcast. A receipt settles it;
+ *   without one the raw transaction is broadcast again, unless the sender's nonce was
+ *   already used by another transaction.
+ * - awaiting_signature: a wallet was given the unsigned transaction. The upload is confirmed
+ *   once the registry shows the file under the wallet's account, and rolled back if the
+ *   transaction reverted or nothing was registered before the upload expired.
+ * - confirmed: the file is registered; only the mappings remain to be written.
+ */
+
+const { logger } = require('../utils/logger')
+
+/**
+ * @param {Object} receipt - Transaction receipt
+ * @returns {boolean} True if the transaction succeeded
+ */
+function succeeded(receipt) {
+  return BigInt(receipt.status) === BigInt(1)
+}
+
+/**
+ * Roll back an upload that did not register its file
+ * Pins are kept if the same content is registered anyway, e.g. by an earlier upload of the same file.
+ * @returns {Promise<Object>} Updated entry
+ */
+async function rollBack(entry, reason, { journal, chain, pinManager }) {
+  if (await chain.fileExists(entry.fileHash, entry.contractAddress)) {
+    return journal.record(entry.id, 'rolled_back', { error: `${reason}; the file is registered by another upload, pins kept` })
+  }
+  if (entry.status === 'pinned' || entry.status === 'signed' || entry.status === 'awaiting_signature') {
+    await pinManager.unpin(entry.fileHash, entry.cid)
+  } else if (entry.status === 'stored') {
+    // The pin may have been requested before the crash without being journaled
+    await pinManager.unpin(entry.fileHash, entry.cid).catch(() => {})
+  }
+  return journal.record(entry.id, 'rolled_back', { error: reason })
+}
+
+/**
+ * Settle a signed upload transaction
+ * @returns {Promise<Object>} Updated entry; still 'signed' if the transaction is neither mined nor dropped
+ */
+async function settleTransaction(entry, deps) {
+  const { journal, chain } = deps
+  // Read the nonce first: a transaction mined in between then still shows up as a receipt
+  const confirmedNonce = BigInt(await chain.getConfirmedNonce(entry.sender))
+  let receipt = await chain.getReceipt(entry.txHash)
+
+  if (!receipt) {
+    if (confirmedNonce > BigInt(entry.nonce)) {
+      return rollBack(entry, 'Upload transaction was replaced before it was mined', deps)
+    }
+    try {
+      receipt = await chain.broadcast(entry.rawTransaction)
+    } catch (error) {
+      // Already-known or underpriced errors are expected when the node still holds the transaction
+      return journal.record(entry.id, 'signed', { lastError: error.message, attempts: (entry.attempts || 0) + 1 })
+    }
+    if (!receipt) {
+      return journal.record(entry.id, 'signed', { attempts: (entry.attempts || 0) + 1 })
+    }
+  }
+
+  if (!succeeded(receipt)) {
+    return rollBack(entry, 'Upload transaction reverted', deps)
+  }
+  return journal.record(entry.id, 'confirmed', { blockNumber: String(receipt.blockNumber) })
+}
+
+/**
+ * Settle an upload whose transaction a wallet signs
+ *
+ * The registry decides, not the transaction the client reports: any transaction that
+ * registers the file under the expected account confirms the upload.
+ *
+ * @param {Object} entry - Journal entry in awaiting_signature, with sender (the wallet's account),
+ *   expiresAt and, once the client reported it, txHash
+ * @param {Object} deps - See resumeUpload; chain.getFileOwner is used here
+ * @returns {Promise<Object>} Updated entry; still 'awaiting_signature' while nothing is registered and the upload has not expired
+ */
+async function settlePreparedUpload(entry, deps) {
+  const { journal, chain } = deps
+  const owner = await chain.getFileOwner(entry.fileHash, entry.contractAddress)
+  if (owner && owner.toLowerCase() === entry.sender.toLowerCase()) {
+    const receipt = entry.txHash ? await chain.getReceipt(entry.txHash) : null
+    return journal.record(entry.id, 'confirmed', receipt && succeeded(receipt) ? { blockNumber: String(receipt.blockNumber) } : {})
+  }
+  if (owner) {
+    return rollBack(entry, `File was registered by ${owner} instead of ${entry.sender}`, deps)
+  }
+
+  if (entry.txHash) {
+    const receipt = await chain.getReceipt(entry.txHash)
+    if (receipt && !succeeded(receipt)) {
+      return rollBack(entry, 'Upload transaction reverted', deps)
+    }
+  }
+  if (Date.parse(entry.expiresAt) <= Date.now()) {
+    return rollBack(entry, 'Upload transaction was not mined before the upload expired', deps)
+  }
+  return entry
+}
+
+/**
+ * Bring one interrupted upload as far as it can go
+ * @param {Object} entry - Journal entry
+ * @param {Object} deps - { journal, chain, pinManager, writeMapping }
+ * @param {UploadJournal} deps.journal - Upload journal
+ * @param {Object} deps.chain - { getReceipt(txHash), broadcast(rawTransaction), getConfirmedNonce(address), fileExists(fileHash, contractAddress),
+ *   getFileOwner(fileHash, contractAddress) (owner address, or null while the file is not registered) }
+ * @param {PinManager} deps.pinManager - Pin manager, to release pins of uploads that are rolled back
+ * @param {Function} deps.writeMapping - Writes the mappings of a registered upload: (entry) => void
+ * @returns {Promise<Object>} Updated entry
+ */
+async function resumeUpload(entry, deps) {
+  const { journal, writeMapping } = deps
+
+  if (entry.status === 'started') {
+    return journal.record(entry.id, 'failed', { error: 'Interrupted before the content was stored' })
+  }
+  if (entry.status === 'stored' || entry.status === 'pinned') {
+    return rollBack(entry, 'Interrupted before the upload transaction was signed', deps)
+  }
+  if (entry.status === 'signed') {
+    entry = await settleTransaction(entry, deps)
+  }
+  if (entry.status === 'awaiting_signature') {
+    entry = await settlePreparedUpload(entry, deps)
+  }
+  if (entry.status === 'confirmed') {
+    await writeMapping(entry)
+    entry = journal.record(entry.id, 'completed')
+  }
+  return entry
+}
+
+/**
+ * Resume every upload that has not finished
+ * A failure to resume one upload leaves it pending for the next attempt and does not stop the others.
+ * @param {Object} deps - See resumeUpload
+ * @returns {Promise<Array<Object>>} Entries after resuming, including ones still pending
+ */
+async function resumeUploads(deps) {
+  const results = []
+  for (const entry of deps.journal.interrupted()) {
+    try {
+      const resumed = await resumeUpload(entry, deps)
+      logger.info('Resumed interrupted upload', { uploadId: entry.id, from: entry.status, to: resumed.status })
+      results.push(resumed)
+    } catch (error) {
+      logger.warn('Could not resume interrupted upload', { uploadId: entry.id, status: entry.status, error: error.message })
+      results.push({ ...entry, lastError: error.message })
+    }
+  }
+  return results
+}
+
+module.exports = {
+  settlePreparedUpload,
+  resumeUpload,
+  resumeUploads
+}
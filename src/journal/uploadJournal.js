@@ -0,0 +1,218 @@
+/*
+ * Project: DecentraFile
+ * Author: Thor Thor
+ * Contact: codethor@gmail.com
+ * LinkedIn: https://www.linkedin.com/in/thor-thor0
+ */
+
+/**
+ * Write-ahead journal of uploads
+ *
+ * Each upload step is recorded before the next one starts, so a restarted
+ * process knows how far an interrupted upload got:
+ *   started   -> stored (CID known) -> pinned -> signed (raw transaction kept)
+ *             -> confirmed (registered on-chain) -> completed (mapping written)
+ * and the terminal failures rolled_back (pins released) and failed. Uploads whose
+ * transaction a wallet signs go from pinned to awaiting_signature (unsigned transaction
+ * handed out) and then straight to confirmed.
+ *
+ * The journal is one JSON file, rewritten atomically and fsynced on every step.
+ * Without a file it is kept in memory and does not survive a crash.
+ */
+
+const fs = require('fs')
+const path = require('path')
+const crypto = require('crypto')
+const { logger, logError } = require('../utils/logger')
+
+const UPLOAD_JOURNAL_FILE = process.env.UPLOAD_JOURNAL_FILE || (process.env.IPFS_MAPPING_FILE ? path.join(path.dirname(process.env.IPFS_MAPPING_FILE), 'upload-journal.json') : null)
+
+const UPLOAD_STATES = ['started', 'stored', 'pinned', 'awaiting_signature', 'signed', 'confirmed', 'completed', 'rolled_back', 'failed']
+const TERMINAL_STATES = ['completed', 'rolled_back', 'failed']
+const DEFAULT_RETENTION_MS = 7 * 24 * 60 * 60 * 1000
+
+class UploadJournal {
+  /**
+   * @param {string|null} filePath - JSON file to persist to; null keeps the journal in memory
+   */
+  constructor(filePath = UPLOAD_JOURNAL_FILE) {
+    this.filePath = filePath
+    this.entries = new Map()
+    // Uploads this process is running; everything else pending was interrupted
+    this.active = new Set()
+    this.load()
+  }
+
+  /**
+   * Load entries from disk, keeping a backup of a corrupted file
+   */
+  load() {
+    if (!this.filePath || !fs.existsSync(this.filePath)) {
+      return
+    }
+    try {
+      const parsed = JSON.parse(fs.readFileSync(this.filePath, 'utf8') || '{}')
+      if (typeof parsed !== 'object' || parsed === null || Array.isArray(parsed)) {
+        throw new Error('Invalid upload journal format: expected object')
+      }
+      for (const [id, entry] of Object.entries(parsed)) {
+        if (entry && UPLOAD_STATES.includes(entry.status)) {
+          this.entries.set(id, entry)
+        }
+      }
+      logger.debug('Loaded upload journal', { count: this.entries.size })
+    } catch (error) {
+      logError(error, { operation: 'load_upload_journal' })
+      logger.warn('Failed to load upload journal, starting empty')
+      try {
+        fs.copyFileSync(this.filePath, `${this.filePath}.corrupted.${Date.now()}`)
+      } catch (backupError) {
+        // Ignore backup errors
+      }
+    }
+  }
+
+  /**
+   * Write all entries to disk and flush them before the step they describe continues
+   * Unlike the mappings, a journal that cannot be written fails the upload.
+   */
+  save() {
+    if (!this.filePath) {
+      return
+    }
+    const tempFile = `${this.filePath}.tmp`
+    try {
+      fs.mkdirSync(path.dirname(this.filePath), { recursive: true })
+      const fd = fs.openSync(tempFile, 'w')
+      try {
+        fs.writeSync(fd, JSON.stringify(Object.fromEntries(this.entries), null, 2))
+        fs.fsyncSync(fd)
+      } finally {
+        fs.closeSync(fd)
+      }
+      fs.renameSync(tempFile, this.filePath)
+    } catch (error) {
+      fs.rmSync(tempFile, { force: true })
+      logError(error, { operation: 'save_upload_journal' })
+      throw new Error(`Failed to write upload journal: ${error.message}`)
+    }
+  }
+
+  /**
+   * Start a journal entry for a new upload
+   * Terminal entries older than the retention period are dropped first.
+   * @param {Object} details - { filename, size, contractAddress, sender }
+   * @returns {Object} The entry, with its id
+   */
+  begin(details = {}) {
+    this.prune()
+    const now = new Date().toISOString()
+    const entry = {
+      ...details,
+      id: crypto.randomUUID(),
+      status: 'started',
+      createdAt: now,
+      updatedAt: now,
+      steps: [{ status: 'started', at: now }]
+    }
+    this.entries.set(entry.id, entry)
+    this.active.add(entry.id)
+    this.save()
+    return { ...entry }
+  }
+
+  /**
+   * Mark an upload as no longer running in this process
+   * If it has not finished, it is resumed like an upload interrupted by a crash.
+   * @param {string} id - Upload id
+   */
+  release(id) {
+    this.active.delete(id)
+  }
+
+  /**
+   * Record that an upload reached a step
+   * Terminal steps drop the signed transaction, which may hold an unwrapped file key.
+   * @param {string} id - Upload id
+   * @param {string} status - One of UPLOAD_STATES
+   * @param {Object} details - Fields to store with the step (cid, fileHash, txHash, error, ...)
+   * @returns {Object} The updated entry
+   */
+  record(id, status, details = {}) {
+    const existing = this.entries.get(id)
+    if (!existing) {
+      throw new Error(`Unknown upload: ${id}`)
+    }
+    if (!UPLOAD_STATES.includes(status)) {
+      throw new Error(`Invalid upload status: ${status}`)
+    }
+    const now = new Date().toISOString()
+    const entry = { ...existing, ...details, status, updatedAt: now, steps: [...existing.steps, { status, at: now }] }
+    if (TERMINAL_STATES.includes(status)) {
+      delete entry.rawTransaction
+    }
+    this.entries.set(id, entry)
+    this.save()
+    return { ...entry }
+  }
+
+  /**
+   * @param {string} id - Upload id
+   * @returns {Object|null} Entry
+   */
+  get(id) {
+    const entry = this.entries.get(id)
+    return entry ? { ...entry } : null
+  }
+
+  /**
+   * List entries, newest first
+   * @param {Object} filter - { status }, or { pending: true } for uploads that have not finished; { uploadedBy } narrows to one account
+   * @returns {Array<Object>} Entries
+   */
+  list(filter = {}) {
+    return Array.from(this.entries.values())
+      .filter(entry => !filter.status || entry.status === filter.status)
+      .filter(entry => !filter.pending || !TERMINAL_STATES.includes(entry.status))
+      .filter(entry => !filter.uploadedBy || (entry.metadata && String(entry.metadata.uploadedBy).toLowerCase() === filter.uploadedBy.toLowerCase()))
+      .sort((a, b) => b.createdAt.localeCompare(a.createdAt))
+      .map(entry => ({ ...entry }))
+  }
+
+  /**
+   * Unfinished uploads that no running upload in this process owns
+   * @returns {Array<Object>} Entries, oldest first
+   */
+  interrupted() {
+    return Array.from(this.entries.values())
+      .filter(entry => !TERMINAL_STATES.includes(entry.status) && !this.active.has(entry.id))
+      .map(entry => ({ ...entry }))
+  }
+
+  /**
+   * Drop finished entries older than the retention period
+   * @param {number} retentionMs - Age after which terminal entries are dropped
+   * @returns {number} Number of entries dropped
+   */
+  prune(retentionMs = DEFAULT_RETENTION_MS) {
+    const cutoff = Date.now() - retentionMs
+    let dropped = 0
+    for (const [id, entry] of this.entries) {
+      if (TERMINAL_STATES.includes(entry.status) && Date.parse(entry.updatedAt) < cutoff) {
+        this.entries.delete(id)
+        dropped++
+      }
+    }
+    if (dropped > 0) {
+      this.save()
+    }
+    return dropped
+  }
+}
+
+module.exports = {
+  UploadJournal,
+  UPLOAD_JOURNAL_FILE,
+  UPLOAD_STATES,
+  TERMINAL_STATES
+}
@@ -0,0 +1,44 @@
+/*
+ * Project: DecentraFile
+ * Author: Thor Thor
+ * Contact: codethor@gmail.com
+ * LinkedIn: https://www.linkedin.com/in/thor-thor0
+ */
+
+/**
+ * Pin manager for the current environment
+ * DECENTRAFILE_PIN_POLICY chooses what is pinned on upload; PINNING_SERVICE_ENDPOINT
+ * and PINNING_SERVICE_TOKEN configure the remote pinning service.
+ */
+
+const { PinManager, PIN_POLICIES } = require('./pinManager')
+const { PinStore } = require('./pinStore')
+const { RemotePinningClient } = require('./remotePinningClient')
+const { getRuntimeConfig } = require('../config/runtimeConfig')
+const { pinFile, unpinFile } = require('../ipfs')
+
+let pinManager = null
+
+/**
+ * Get the pin manager, creating it on first use
+ * @returns {PinManager} Pin manager
+ */
+function getPinManager() {
+  if (!pinManager) {
+    const { pinPolicy, pinningService } = getRuntimeConfig()
+    pinManager = new PinManager({
+      storage: { pin: pinFile, unpin: unpinFile },
+      remote: pinningService.endpoint ? new RemotePinningClient(pinningService) : null,
+      policy: pinPolicy
+    })
+  }
+  return pinManager
+}
+
+module.exports = {
+  PinManager,
+  PinStore,
+  RemotePinningClient,
+  PIN_POLICIES,
+  getPinManager
+}
@@ -0,0 +1,190 @@
+/*
+ * Project: DecentraFile
+ * Author: Thor Thor
+ * Contact: codethor@gmail.com
+ * LinkedIn: https://www.linkedin.com/in/thor-thor0
+ */
+
+const { PinStore } = require('./pinStore')
+const { logger } = require('../utils/logger')
+const { ALLOWED_PIN_POLICIES: PIN_POLICIES } = require('../config/runtimeConfig')
+
+/**
+ * Pins uploaded files according to a policy and tracks their pin status per fileHash
+ *
+ * A record looks like:
+ *   { fileHash, cid, policy, createdAt, updatedAt,
+ *     local: { status: 'pinned' | 'unpinned' | 'failed', error },
+ *     remote: { requestId, status: 'queued' | 'pinning' | 'pinned' | 'failed' | 'removed', error } }
+ * local or remote is null when the policy never asked for that kind of pin.
+ */
+class PinManager {
+  /**
+   * @param {Object} options - Pin manager settings
+   * @param {Object} options.storage - Local pinning: { pin(cid), unpin(cid) }, normally src/ipfs.js pinFile / unpinFile
+   * @param {RemotePinningClient} options.remote - Remote pinning service client (required for remote and both)
+   * @param {string} options.policy - One of PIN_POLICIES (default 'local')
+   * @param {PinStore} options.store - Pin status records (default: PinStore on PIN_STATUS_FILE)
+   */
+  constructor(options = {}) {
+    const { storage, remote = null, policy = 'local', store = new PinStore() } = options
+    if (!PIN_POLICIES.includes(policy)) {
+      throw new Error(`Invalid pin policy: ${policy}. Allowed values: ${PIN_POLICIES.join(', ')}`)
+    }
+    if ((policy === 'remote' || policy === 'both') && !remote) {
+      throw new Error(`Pin policy ${policy} requires a remote pinning service`)
+    }
+    this.storage = storage
+    this.remote = remote
+    this.policy = policy
+    this.store = store
+  }
+
+  /**
+   * Pin a file as the policy requires
+   * Failures are recorded in the file's pin status before the error is thrown.
+   * @param {string} fileHash - File hash (bytes32)
+   * @param {string} cid - CID of the ciphertext
+   * @param {Object} options - { name } for the remote pin (default: the fileHash)
+   * @returns {Promise<Object>} The file's pin record
+   */
+  async pin(fileHash, cid, options = {}) {
+    const existing = this.store.get(fileHash)
+    const record = existing && existing.cid === cid
+      ? { ...existing }
+      : { cid, createdAt: new Date().toISOString(), local: null, remote: null }
+    record.policy = this.policy
+    const errors = []
+
+    if (this.policy === 'local' || this.policy === 'both') {
+      try {
+        await this.storage.pin(cid)
+        record.local = { status: 'pinned', pinnedAt: new Date().toISOString() }
+      } catch (error) {
+        record.local = { status: 'failed', error: error.message }
+        errors.push(`local: ${error.message}`)
+      }
+    }
+
+    const remoteActive = record.remote && !['failed', 'removed'].includes(record.remote.status)
+    if ((this.policy === 'remote' || this.policy === 'both') && !remoteActive) {
+      try {
+        const pinStatus = await this.remote.addPin({ cid, name: options.name || fileHash.toLowerCase(), meta: { fileHash: fileHash.toLowerCase() } })
+        record.remote = { requestId: pinStatus.requestid, status: pinStatus.status }
+      } catch (error) {
+        record.remote = { requestId: null, status: 'failed', error: error.message }
+        errors.push(`remote: ${error.message}`)
+      }
+    }
+
+    const stored = this.store.set(fileHash, record)
+    if (errors.length > 0) {
+      throw new Error(`Pinning failed for ${cid.substring(0, 8)}...: ${errors.join('; ')}`)
+    }
+    logger.info('File pinned', {
+      fileHash: `${fileHash.substring(0, 8)}...`,
+      policy: this.policy,
+      local: stored.local ? stored.local.status : null,
+      remote: stored.remote ? stored.remote.status : null
+    })
+    return stored
+  }
+
+  /**
+   * Remove a file's local and remote pins
+   *
+   * The local unpin is attempted even without a record, since IPFS pins content
+   * on add. Remote pins are found by request id, or by CID when the record has none.
+   *
+   * @param {string} fileHash - File hash (bytes32)
+   * @param {string} cid - CID of the ciphertext (default: the CID in the pin record)
+   * @returns {Promise<Object>} { local, remote } - whether each kind of pin was removed
+   */
+  async unpin(fileHash, cid = null) {
+    const existing = this.store.get(fileHash)
+    cid = cid || (existing && existing.cid)
+    if (!cid) {
+      throw new Error(`No pin record or CID for ${fileHash.substring(0, 8)}...`)
+    }
+    const record = existing ? { ...existing, cid } : { cid, createdAt: new Date().toISOString(), policy: this.policy, local: null, remote: null }
+    const removed = { local: false, remote: false }
+    const errors = []
+
+    try {
+      await this.storage.unpin(cid)
+      record.local = { status: 'unpinned' }
+      removed.local = true
+    } catch (error) {
+      errors.push(`local: ${error.message}`)
+    }
+
+    if (this.remote) {
+      try {
+        const requestIds = record.remote && record.remote.requestId
+          ? [record.remote.requestId]
+          : (await this.remote.listPins({ cid: [cid] })).results.map(pinStatus => pinStatus.requestid)
+        for (const requestId of requestIds) {
+          try {
+            await this.remote.removePin(requestId)
+          } catch (error) {
+            if (error.status !== 404) {
+              throw error
+            }
+          }
+        }
+        if (requestIds.length > 0 || record.remote) {
+          record.remote = { requestId: requestIds[0] || null, status: 'removed' }
+          removed.remote = true
+        }
+      } catch (error) {
+        errors.push(`remote: ${error.message}`)
+      }
+    }
+
+    this.store.set(fileHash, record)
+    if (errors.length > 0) {
+      throw new Error(`Unpinning failed for ${cid.substring(0, 8)}...: ${errors.join('; ')}`)
+    }
+    logger.info('File unpinned', { fileHash: `${fileHash.substring(0, 8)}...`, ...removed })
+    return removed
+  }
+
+  /**
+   * Get a file's pin record, optionally refreshing the remote status from the service
+   * @param {string} fileHash - File hash (bytes32)
+   * @param {Object} options - { refresh } to poll the pinning service
+   * @returns {Promise<Object|null>} Pin record, or null if the file was never pinned
+   */
+  async status(fileHash, options = {}) {
+    const record = this.store.get(fileHash)
+    if (!record || !options.refresh || !this.remote || !record.remote || !record.remote.requestId ||
+        record.remote.status === 'removed') {
+      return record
+    }
+    const pinStatus = await this.remote.getPin(record.remote.requestId)
+    return this.store.set(fileHash, { ...record, remote: { requestId: pinStatus.requestid, status: pinStatus.status } })
+  }
+
+  /**
+   * List pin records
+   * @param {Object} filter - { status } matches either the local or the remote status; { cid }
+   * @returns {Array<Object>} Pin records
+   */
+  list(filter = {}) {
+    return this.store.all().filter((record) => {
+      if (filter.cid && record.cid !== filter.cid) {
+        return false
+      }
+      if (filter.status) {
+        return (record.local && record.local.status === filter.status) ||
+          (record.remote && record.remote.status === filter.status)
+      }
+      return true
+    })
+  }
+}
+
+module.exports = {
+  PinManager,
+  PIN_POLICIES
+}
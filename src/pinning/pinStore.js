@@ -0,0 +1,110 @@
+/*
+ * Project: DecentraFile
+ * Author: Thor Thor
+ * Contact: codethor@gmail.com
+ * LinkedIn: https://www.linkedin.com/in/thor-thor0
+ */
+
+/**
+ * Pin status records keyed by fileHash
+ * Persisted like the IPFS and filename mappings: a JSON file written atomically,
+ * or memory only when no file is configured.
+ */
+
+const fs = require('fs')
+const path = require('path')
+const { logger, logError } = require('../utils/logger')
+
+const PIN_STATUS_FILE = process.env.PIN_STATUS_FILE || (process.env.IPFS_MAPPING_FILE ? path.join(path.dirname(process.env.IPFS_MAPPING_FILE), 'pin-status.json') : null)
+
+class PinStore {
+  /**
+   * @param {string|null} filePath - JSON file to persist to; null keeps records in memory
+   */
+  constructor(filePath = PIN_STATUS_FILE) {
+    this.filePath = filePath
+    this.records = new Map()
+    this.load()
+  }
+
+  /**
+   * Load records from disk, keeping a backup of a corrupted file
+   */
+  load() {
+    if (!this.filePath || !fs.existsSync(this.filePath)) {
+      return
+    }
+    try {
+      const parsed = JSON.parse(fs.readFileSync(this.filePath, 'utf8') || '{}')
+      if (typeof parsed !== 'object' || parsed === null || Array.isArray(parsed)) {
+        throw new Error('Invalid pin status file format: expected object')
+      }
+      for (const [fileHash, record] of Object.entries(parsed)) {
+        if (record && typeof record.cid === 'string') {
+          this.records.set(fileHash, record)
+        }
+      }
+      logger.debug('Loaded pin status records', { count: this.records.size })
+    } catch (error) {
+      logError(error, { operation: 'load_pin_status' })
+      logger.warn('Failed to load pin status file, starting empty')
+      try {
+        fs.copyFileSync(this.filePath, `${this.filePath}.corrupted.${Date.now()}`)
+      } catch (backupError) {
+        // Ignore backup errors
+      }
+    }
+  }
+
+  /**
+   * Write all records to disk (atomic: temp file, then rename)
+   */
+  save() {
+    if (!this.filePath) {
+      return
+    }
+    const tempFile = `${this.filePath}.tmp`
+    try {
+      fs.mkdirSync(path.dirname(this.filePath), { recursive: true })
+      fs.writeFileSync(tempFile, JSON.stringify(Object.fromEntries(this.records), null, 2), 'utf8')
+      fs.renameSync(tempFile, this.filePath)
+    } catch (error) {
+      logError(error, { operation: 'save_pin_status' })
+      logger.warn('Failed to save pin status file, continuing with in-memory only')
+      fs.rmSync(tempFile, { force: true })
+    }
+  }
+
+  /**
+   * @param {string} fileHash - File hash (bytes32)
+   * @returns {Object|null} Pin record
+   */
+  get(fileHash) {
+    return this.records.get(fileHash.toLowerCase()) || null
+  }
+
+  /**
+   * Create or replace a record and persist it
+   * @param {string} fileHash - File hash (bytes32)
+   * @param {Object} record - Pin record
+   * @returns {Object} The stored record
+   */
+  set(fileHash, record) {
+    const stored = { ...record, fileHash: fileHash.toLowerCase(), updatedAt: new Date().toISOString() }
+    this.records.set(stored.fileHash, stored)
+    this.save()
+    return stored
+  }
+
+  /**
+   * @returns {Array<Object>} All records
+   */
+  all() {
+    return Array.from(this.records.values())
+  }
+}
+
+module.exports = {
+  PinStore,
+  PIN_STATUS_FILE
+}
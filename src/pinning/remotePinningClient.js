@@ -0,0 +1,135 @@
+/*
+ * Project: DecentraFile
+ * Author: Thor Thor
+ * Contact: codethor@gmail.com
+ * LinkedIn: https://www.linkedin.com/in/thor-thor0
+ */
+
+/**
+ * Client for the IPFS Pinning Service API
+ * https://ipfs.github.io/pinning-services-api-spec/
+ *
+ * Works with any compliant service (Pinata, web3.storage, a self-hosted
+ * ipfs-cluster pinsvc, ...). Pin requests are asynchronous: the service answers
+ * with a request id and a status of queued, pinning, pinned or failed, and the
+ * status is polled with getPin.
+ */
+
+const PIN_STATUSES = ['queued', 'pinning', 'pinned', 'failed']
+const DEFAULT_TIMEOUT_MS = 30000
+
+class RemotePinningClient {
+  /**
+   * @param {Object} options - Service settings
+   * @param {string} options.endpoint - Service base URL, without the trailing /pins
+   * @param {string} options.accessToken - Bearer token issued by the service
+   * @param {number} options.timeoutMs - Request timeout (default 30000)
+   */
+  constructor(options = {}) {
+    if (!options.endpoint) {
+      throw new Error('Remote pinning service requires an endpoint')
+    }
+    if (!options.accessToken) {
+      throw new Error('Remote pinning service requires an access token')
+    }
+    this.endpoint = options.endpoint.replace(/\/+$/, '')
+    this.accessToken = options.accessToken
+    this.timeoutMs = options.timeoutMs || DEFAULT_TIMEOUT_MS
+  }
+
+  /**
+   * Send a request to the service
+   * @param {string} method - HTTP method
+   * @param {string} resource - Path below the endpoint, e.g. /pins
+   * @param {Object} body - JSON body (optional)
+   * @returns {Promise<Object|null>} Parsed response, or null for empty responses
+   */
+  async request(method, resource, body = null) {
+    let response
+    try {
+      response = await fetch(`${this.endpoint}${resource}`, {
+        method,
+        headers: {
+          authorization: `Bearer ${this.accessToken}`,
+          accept: 'application/json',
+          ...(body ? { 'content-type': 'application/json' } : {})
+        },
+        body: body ? JSON.stringify(body) : undefined,
+        signal: AbortSignal.timeout(this.timeoutMs)
+      })
+    } catch (error) {
+      throw new Error(`Pinning service request failed: ${error.message}`)
+    }
+
+    const text = await response.text()
+    if (!response.ok) {
+      let reason = response.statusText
+      try {
+        const failure = JSON.parse(text).error
+        reason = failure.details ? `${failure.reason}: ${failure.details}` : failure.reason
+      } catch (parseError) {
+        // Not a spec-shaped error body; keep the status text
+      }
+      const error = new Error(`Pinning service error (${response.status}): ${reason}`)
+      error.status = response.status
+      throw error
+    }
+    return text ? JSON.parse(text) : null
+  }
+
+  /**
+   * Ask the service to pin a CID
+   * @param {Object} pin - { cid, name, origins, meta }
+   * @returns {Promise<Object>} PinStatus: { requestid, status, created, pin, delegates, info }
+   */
+  async addPin(pin) {
+    if (!pin || !pin.cid) {
+      throw new Error('Pin requires a CID')
+    }
+    return this.request('POST', '/pins', pin)
+  }
+
+  /**
+   * Get the status of a pin request
+   * @param {string} requestId - Request id returned by addPin
+   * @returns {Promise<Object>} PinStatus
+   */
+  async getPin(requestId) {
+    return this.request('GET', `/pins/${encodeURIComponent(requestId)}`)
+  }
+
+  /**
+   * List pin requests
+   * The service returns only pinned requests unless statuses are given, so every status is requested by default.
+   * @param {Object} filter - { cid: string[], name, status: string[], limit }
+   * @returns {Promise<Object>} { count, results: PinStatus[] }
+   */
+  async listPins(filter = {}) {
+    const query = new URLSearchParams()
+    if (filter.cid && filter.cid.length > 0) {
+      query.set('cid', filter.cid.join(','))
+    }
+    if (filter.name) {
+      query.set('name', filter.name)
+    }
+    query.set('status', (filter.status || PIN_STATUSES).join(','))
+    if (filter.limit) {
+      query.set('limit', String(filter.limit))
+    }
+    return this.request('GET', `/pins?${query.toString()}`)
+  }
+
+  /**
+   * Remove a pin request
+   * @param {string} requestId - Request id returned by addPin
+   * @returns {Promise<void>}
+   */
+  async removePin(requestId) {
+    await this.request('DELETE', `/pins/${encodeURIComponent(requestId)}`)
+  }
+}
+
+module.exports = {
+  RemotePinningClient,
+  PIN_STATUSES
+}
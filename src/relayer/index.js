@@ -0,0 +1,96 @@
+/*
+ * Project: DecentraFile
+ * Author: Thor Thor
+ * Contact: codethor@gmail.com
+ * LinkedIn: https://www.linkedin.com/in/thor-thor0
+ */
+
+/**
+ * Relayer for the current environment
+ * RELAYER_SPEND_LIMIT_WEI is what each account may have relayed per RELAYER_SPEND_WINDOW_HOURS,
+ * and RELAYER_USER_SPEND_LIMITS ({ "0x...": "wei" }) sets other limits for particular accounts.
+ * RELAYER_GLOBAL_SPEND_LIMIT_WEI is what all accounts together may have relayed per window.
+ */
+
+const { Web3 } = require('web3')
+const { Relayer, DEFAULT_SPEND_LIMIT_WEI, DEFAULT_GLOBAL_SPEND_LIMIT_WEI } = require('./relayer')
+const { SpendLedger, RELAYER_SPEND_FILE } = require('./spendLedger')
+const { META_TRANSACTIONS, actionForType, buildTypedData, hashTypedData, recoverTypedDataSigner, signTypedData } = require('./typedData')
+const { getRuntimeConfig } = require('../config/runtimeConfig')
+const { getFileRegistryAddress } = require('../config/deploymentInfo')
+
+let relayer = null
+
+/**
+ * @returns {Object} { spendLimitWei, windowMs, userLimits, globalSpendLimitWei } from the environment
+ * @throws {Error} If a setting is malformed
+ */
+function getRelayerSettings() {
+  const {
+    RELAYER_SPEND_LIMIT_WEI: limit,
+    RELAYER_SPEND_WINDOW_HOURS: windowHours,
+    RELAYER_USER_SPEND_LIMITS: userLimits,
+    RELAYER_GLOBAL_SPEND_LIMIT_WEI: globalLimit
+  } = process.env
+  for (const [name, value] of [['RELAYER_SPEND_LIMIT_WEI', limit], ['RELAYER_GLOBAL_SPEND_LIMIT_WEI', globalLimit]]) {
+    if (value !== undefined && value !== '' && !/^\d+$/.test(value)) {
+      throw new Error(`Invalid ${name}: ${value}. Expected an amount in wei`)
+    }
+  }
+  if (windowHours !== undefined && windowHours !== '' && !(Number(windowHours) > 0)) {
+    throw new Error(`Invalid RELAYER_SPEND_WINDOW_HOURS: ${windowHours}. Expected a positive number of hours`)
+  }
+  let parsedUserLimits = {}
+  if (userLimits) {
+    try {
+      parsedUserLimits = JSON.parse(userLimits)
+    } catch (error) {
+      parsedUserLimits = null
+    }
+    const valid = parsedUserLimits && typeof parsedUserLimits === 'object' && !Array.isArray(parsedUserLimits) &&
+      Object.entries(parsedUserLimits).every(([address, wei]) => /^0x[a-fA-F0-9]{40}$/.test(address) && /^\d+$/.test(String(wei)))
+    if (!valid) {
+      throw new Error('Invalid RELAYER_USER_SPEND_LIMITS: expected a JSON object of addresses to amounts in wei')
+    }
+  }
+  return {
+    spendLimitWei: limit ? BigInt(limit) : DEFAULT_SPEND_LIMIT_WEI,
+    windowMs: (Number(windowHours) || 24) * 60 * 60 * 1000,
+    userLimits: parsedUserLimits,
+    globalSpendLimitWei: globalLimit ? BigInt(globalLimit) : DEFAULT_GLOBAL_SPEND_LIMIT_WEI
+  }
+}
+
+/**
+ * Get the relayer, creating it on first use
+ * @param {Object} account - { privateKey } of the account that pays for relayed requests
+ * @returns {Relayer} Relayer
+ * @throws {Error} If FileRegistry is not deployed on the current network or a setting is malformed
+ */
+function getRelayer(account) {
+  if (!relayer) {
+    const { spendLimitWei, windowMs, userLimits, globalSpendLimitWei } = getRelayerSettings()
+    relayer = new Relayer({
+      web3: new Web3(getRuntimeConfig().rpcUrl),
+      contractAddress: getFileRegistryAddress(),
+      account,
+      ledger: new SpendLedger(RELAYER_SPEND_FILE, windowMs),
+      spendLimitWei,
+      userLimits,
+      globalSpendLimitWei
+    })
+  }
+  return relayer
+}
+
+module.exports = {
+  Relayer,
+  SpendLedger,
+  META_TRANSACTIONS,
+  actionForType,
+  buildTypedData,
+  hashTypedData,
+  recoverTypedDataSigner,
+  signTypedData,
+  getRelayer
+}
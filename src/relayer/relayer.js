@@ -0,0 +1,273 @@
+/*
+ * Project: DecentraFile
+ * Author: Thor Thor
+ * Contact: codethor@gmail.com
+ * LinkedIn: https://www.linkedin.com/in/thor-thor0
+ */
+
+/**
+ * Relayer: sends requests owners signed (EIP-712) to FileRegistry and pays their gas
+ *
+ * The registry checks each signature and makes the signer the owner; the relayer only pays.
+ * Before sending, it checks the signature, deadline and nonce itself, so bad requests are
+ * refused without spending gas, and it refuses requests that would take an owner past their
+ * spend limit for the window, or all owners together past the relayer's budget (so many new
+ * accounts cannot drain it between them). Requests are sent one at a time, which keeps the relayer
+ * account's nonces in order and the spend checks exact.
+ */
+
+const { SpendLedger } = require('./spendLedger')
+const { buildTypedData, actionForType, recoverTypedDataSigner } = require('./typedData')
+const { logger, logSecurityEvent } = require('../utils/logger')
+
+// Default per-owner spend limit: 0.05 of the native token per window
+const DEFAULT_SPEND_LIMIT_WEI = BigInt('50000000000000000')
+// Default spend limit for all owners together: 1 native token per window
+const DEFAULT_GLOBAL_SPEND_LIMIT_WEI = BigInt('1000000000000000000')
+
+const RELAYER_ABI = [
+  {
+    inputs: [
+      { internalType: 'address', name: 'owner', type: 'address' },
+      { internalType: 'bytes32', name: 'fileHash', type: 'bytes32' },
+      { internalType: 'bytes', name: 'encryptedKey', type: 'bytes' },
+      { internalType: 'bytes', name: 'locator', type: 'bytes' },
+      { internalType: 'uint256', name: 'deadline', type: 'uint256' },
+      { internalType: 'bytes', name: 'signature', type: 'bytes' }
+    ],
+    name: 'uploadFileBySig',
+    outputs: [],
+    stateMutability: 'nonpayable',
+    type: 'function'
+  },
+  {
+    inputs: [
+      { internalType: 'address', name: 'owner', type: 'address' },
+      { internalType: 'bytes32', name: 'fileHash', type: 'bytes32' },
+      { internalType: 'address', name: 'recipient', type: 'address' },
+      { internalType: 'bytes', name: 'wrappedKey', type: 'bytes' },
+      { internalType: 'uint256', name: 'deadline', type: 'uint256' },
+      { internalType: 'bytes', name: 'signature', type: 'bytes' }
+    ],
+    name: 'grantAccessBySig',
+    outputs: [],
+    stateMutability: 'nonpayable',
+    type: 'function'
+  },
+  {
+    inputs: [
+      { internalType: 'address', name: 'owner', type: 'address' },
+      { internalType: 'bytes32', name: 'fileHash', type: 'bytes32' },
+      { internalType: 'uint256', name: 'deadline', type: 'uint256' },
+      { internalType: 'bytes', name: 'signature', type: 'bytes' }
+    ],
+    name: 'deleteFileBySig',
+    outputs: [],
+    stateMutability: 'nonpayable',
+    type: 'function'
+  }
+]
+
+class Relayer {
+  /**
+   * @param {Object} options - Relayer settings
+   * @param {Web3} options.web3 - web3 instance connected to the registry's chain
+   * @param {string} options.contractAddress - FileRegistry address
+   * @param {Object} options.account - { privateKey } of the account that pays
+   * @param {SpendLedger} options.ledger - Where spends are recorded
+   * @param {bigint} options.spendLimitWei - What each owner may spend per ledger window; 0 relays nothing
+   * @param {Object} options.userLimits - Limits of particular owners, by address
+   * @param {bigint} options.globalSpendLimitWei - What all owners together may spend per ledger window; 0 relays nothing
+   * @param {number} options.requestTtlMs - Deadline of prepared requests, from when they are prepared (default 1 hour)
+   */
+  constructor({ web3, contractAddress, account, ledger = new SpendLedger(), spendLimitWei = DEFAULT_SPEND_LIMIT_WEI, userLimits = {}, globalSpendLimitWei = DEFAULT_GLOBAL_SPEND_LIMIT_WEI, requestTtlMs = 60 * 60 * 1000 }) {
+    this.web3 = web3
+    this.contractAddress = contractAddress
+    this.account = web3.eth.accounts.privateKeyToAccount(account.privateKey)
+    if (!web3.eth.accounts.wallet.get(this.account.address)) {
+      web3.eth.accounts.wallet.add(this.account)
+    }
+    this.contract = new web3.eth.Contract(RELAYER_ABI, contractAddress)
+    this.ledger = ledger
+    this.spendLimitWei = BigInt(spendLimitWei)
+    this.userLimits = new Map(Object.entries(userLimits).map(([address, limit]) => [address.toLowerCase(), BigInt(limit)]))
+    this.globalSpendLimitWei = BigInt(globalSpendLimitWei)
+    this.requestTtlMs = requestTtlMs
+    this.queue = Promise.resolve()
+  }
+
+  /**
+   * Call a registry view function
+   * @returns {Promise<Object>} Decoded return values
+   */
+  async call(signature, paramTypes, params, returnTypes) {
+    const { abi } = this.web3.eth
+    const data = abi.encodeFunctionSignature(signature) + (paramTypes.length > 0 ? abi.encodeParameters(paramTypes, params).slice(2) : '')
+    return abi.decodeParameters(returnTypes, await this.web3.eth.call({ to: this.contractAddress, data }))
+  }
+
+  /**
+   * Read the signing domain from the registry
+   * Read on every request: the registry computes it from the chain it runs on and its own address.
+   * @returns {Promise<Object>} { name, version, chainId, verifyingContract }
+   */
+  async getDomain() {
+    const domain = await this.call('eip712Domain()', [], [], ['bytes1', 'string', 'string', 'uint256', 'address', 'bytes32', 'uint256[]'])
+    return { name: domain[1], version: domain[2], chainId: domain[3].toString(), verifyingContract: domain[4] }
+  }
+
+  /**
+   * @param {string} owner - Account address
+   * @returns {Promise<bigint>} Nonce the account's next signed request must carry
+   */
+  async getNonce(owner) {
+    return BigInt((await this.call('nonces(address)', ['address'], [owner], ['uint256']))[0])
+  }
+
+  /**
+   * @returns {Promise<bigint>} Timestamp of the latest block in seconds, which deadlines are checked against
+   */
+  async getChainTime() {
+    return BigInt((await this.web3.eth.getBlock('latest')).timestamp)
+  }
+
+  /**
+   * @param {number} now - Current time in ms
+   * @returns {Object} { limit, spent, remaining, windowMs } of all owners together, amounts in wei as decimal strings
+   */
+  getBudget(now = Date.now()) {
+    const limit = this.globalSpendLimitWei
+    const spent = this.ledger.totalSpent(now)
+    const remaining = spent >= limit ? BigInt(0) : limit - spent
+    return { limit: limit.toString(), spent: spent.toString(), remaining: remaining.toString(), windowMs: this.ledger.windowMs }
+  }
+
+  /**
+   * @param {string} owner - Account address
+   * @param {number} now - Current time in ms
+   * @returns {Object} { limit, spent, remaining, windowMs }, amounts in wei as decimal strings;
+   *   remaining is also capped by what is left of the relayer's budget
+   */
+  getAllowance(owner, now = Date.now()) {
+    const limit = this.userLimits.has(owner.toLowerCase()) ? this.userLimits.get(owner.toLowerCase()) : this.spendLimitWei
+    const spent = this.ledger.spentBy(owner, now)
+    const budgetLeft = BigInt(this.getBudget(now).remaining)
+    const remaining = spent >= limit ? BigInt(0) : limit - spent
+    return { limit: limit.toString(), spent: spent.toString(), remaining: (remaining < budgetLeft ? remaining : budgetLeft).toString(), windowMs: this.ledger.windowMs }
+  }
+
+  /**
+   * Build a request for an owner to sign
+   * @param {string} action - 'uploadFile', 'grantAccess' or 'deleteFile'
+   * @param {Object} fields - The action's fields, with owner; nonce defaults to the owner's next and deadline to requestTtlMs after the latest block
+   * @param {Object} options - Options
+   * @param {number} options.nonceOffset - Requests the owner will have relayed before this one
+   * @returns {Promise<Object>} Typed data for eth_signTypedData_v4
+   */
+  async prepare(action, fields, options = {}) {
+    const { nonceOffset = 0 } = options
+    const owner = fields && fields.owner
+    if (!/^0x[a-fA-F0-9]{40}$/.test(String(owner))) {
+      throw new Error('Validation failed: owner must be an address')
+    }
+    return buildTypedData(action, await this.getDomain(), {
+      ...fields,
+      nonce: fields.nonce === undefined ? (await this.getNonce(owner)) + BigInt(nonceOffset) : fields.nonce,
+      deadline: fields.deadline === undefined ? (await this.getChainTime()) + BigInt(Math.floor(this.requestTtlMs / 1000)) : fields.deadline
+    })
+  }
+
+  /**
+   * Send a signed request
+   * @param {Object} typedData - The typed data the owner signed; only primaryType and message are used
+   * @param {string} signature - Owner's 65-byte signature
+   * @returns {Promise<Object>} { action, owner, nonce, txHash, gasCost, allowance }
+   * @throws {Error} 'Validation failed: ...' for malformed, mis-signed or expired requests, 'Nonce ...' for
+   *   requests out of order, 'Spend limit reached ...' when the owner's allowance or the relayer's budget is used up, and
+   *   'Relayed request would revert: ...' when the registry refuses it
+   */
+  relay(typedData, signature) {
+    const relayed = this.queue.then(() => this.send(typedData, signature))
+    this.queue = relayed.catch(() => {})
+    return relayed
+  }
+
+  /**
+   * Check and send one request (see relay)
+   */
+  async send(typedData, signature) {
+    const action = actionForType(typedData && typedData.primaryType)
+    if (!action) {
+      throw new Error('Validation failed: primaryType must be UploadFile, GrantAccess or DeleteFile')
+    }
+    // The domain is the registry's own, whatever the client sent
+    const request = buildTypedData(action, await this.getDomain(), typedData.message)
+    const { owner, nonce, deadline } = request.message
+    if (recoverTypedDataSigner(request, signature) !== owner) {
+      logSecurityEvent('INVALID_SIGNATURE', { operation: 'relay', action })
+      throw new Error('Validation failed: the request is not signed by its owner for this registry')
+    }
+    if (BigInt(deadline) <= await this.getChainTime()) {
+      throw new Error('Validation failed: the request has expired')
+    }
+    const expectedNonce = await this.getNonce(owner)
+    if (BigInt(nonce) !== expectedNonce) {
+      throw new Error(`Nonce ${nonce} is not the next for ${owner}: expected ${expectedNonce}`)
+    }
+
+    const method = this.methodFor(action, request.message, '0x' + String(signature).replace(/^0x/, ''))
+    let gas
+    try {
+      gas = (BigInt(await method.estimateGas({ from: this.account.address })) * BigInt(120)) / BigInt(100)
+    } catch (error) {
+      throw new Error(`Relayed request would revert: ${error.message}`)
+    }
+    const gasPrice = BigInt(await this.web3.eth.getGasPrice())
+    const budget = this.getBudget()
+    if (gas * gasPrice > BigInt(budget.remaining)) {
+      logSecurityEvent('RELAY_GLOBAL_SPEND_LIMIT', { owner, action })
+      throw new Error(`Spend limit reached for all accounts: ${budget.remaining} wei left of ${budget.limit} in this window`)
+    }
+    const allowance = this.getAllowance(owner)
+    if (gas * gasPrice > BigInt(allowance.remaining)) {
+      logSecurityEvent('RELAY_SPEND_LIMIT', { owner, action })
+      throw new Error(`Spend limit reached for ${owner}: ${allowance.remaining} wei left of ${allowance.limit} in this window`)
+    }
+
+    let receipt
+    try {
+      receipt = await method.send({ from: this.account.address, gas, gasPrice })
+    } catch (error) {
+      // A transaction that reverted on-chain was still paid for
+      if (error.receipt) {
+        this.ledger.record(owner, BigInt(error.receipt.gasUsed) * gasPrice, error.receipt.transactionHash)
+      }
+      throw error
+    }
+    const gasCost = BigInt(receipt.gasUsed) * BigInt(receipt.effectiveGasPrice || gasPrice)
+    this.ledger.record(owner, gasCost, receipt.transactionHash)
+    logger.info('Relayed signed request', { action, owner, txHash: receipt.transactionHash, gasCost: gasCost.toString() })
+    return { action, owner, nonce, txHash: receipt.transactionHash, gasCost: gasCost.toString(), allowance: this.getAllowance(owner) }
+  }
+
+  /**
+   * @returns {Object} web3 method of the registry's *BySig function for the request
+   */
+  methodFor(action, message, signature) {
+    const { methods } = this.contract
+    switch (action) {
+      case 'uploadFile':
+        return methods.uploadFileBySig(message.owner, message.fileHash, message.encryptedKey, message.locator, message.deadline, signature)
+      case 'grantAccess':
+        return methods.grantAccessBySig(message.owner, message.fileHash, message.recipient, message.wrappedKey, message.deadline, signature)
+      default:
+        return methods.deleteFileBySig(message.owner, message.fileHash, message.deadline, signature)
+    }
+  }
+}
+
+module.exports = {
+  Relayer,
+  DEFAULT_SPEND_LIMIT_WEI,
+  DEFAULT_GLOBAL_SPEND_LIMIT_WEI
+}
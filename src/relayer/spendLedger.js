@@ -0,0 +1,135 @@
+/*
+ * Project: DecentraFile
+ * Author: Thor Thor
+ * Contact: codethor@gmail.com
+ * LinkedIn: https://www.linkedin.com/in/thor-thor0
+ */
+
+/**
+ * What the relayer has spent on gas for each account
+ *
+ * Every relayed transaction is recorded with its cost in wei, and spends older than the
+ * window are dropped. Persisted as one JSON file written atomically, or kept in memory, in
+ * which case a restart forgets what was spent.
+ */
+
+const fs = require('fs')
+const path = require('path')
+const { logger, logError } = require('../utils/logger')
+
+const RELAYER_SPEND_FILE = process.env.RELAYER_SPEND_FILE || (process.env.IPFS_MAPPING_FILE ? path.join(path.dirname(process.env.IPFS_MAPPING_FILE), 'relayer-spend.json') : null)
+
+class SpendLedger {
+  /**
+   * @param {string|null} filePath - JSON file to persist to; null keeps spends in memory
+   * @param {number} windowMs - How long a spend counts against its account
+   */
+  constructor(filePath = RELAYER_SPEND_FILE, windowMs = 24 * 60 * 60 * 1000) {
+    this.filePath = filePath
+    this.windowMs = windowMs
+    // Lowercase address => [{ at, wei, txHash }], oldest first
+    this.spends = new Map()
+    this.load()
+  }
+
+  /**
+   * Load spends from disk, keeping a backup of a corrupted file
+   */
+  load() {
+    if (!this.filePath || !fs.existsSync(this.filePath)) {
+      return
+    }
+    try {
+      const parsed = JSON.parse(fs.readFileSync(this.filePath, 'utf8') || '{}')
+      if (typeof parsed !== 'object' || parsed === null || Array.isArray(parsed)) {
+        throw new Error('Invalid relayer spend file format: expected object')
+      }
+      for (const [address, spends] of Object.entries(parsed)) {
+        if (Array.isArray(spends)) {
+          this.spends.set(address.toLowerCase(), spends.filter(spend => spend && /^\d+$/.test(spend.wei) && Number.isFinite(spend.at)))
+        }
+      }
+    } catch (error) {
+      logError(error, { operation: 'load_relayer_spend' })
+      logger.warn('Failed to load relayer spends, starting from none')
+      try {
+        fs.copyFileSync(this.filePath, `${this.filePath}.corrupted.${Date.now()}`)
+      } catch (backupError) {
+        // Ignore backup errors
+      }
+    }
+  }
+
+  /**
+   * Write spends to disk; a failed write is logged, and the spends stay counted in memory
+   */
+  save() {
+    if (!this.filePath) {
+      return
+    }
+    const tempFile = `${this.filePath}.tmp`
+    try {
+      fs.mkdirSync(path.dirname(this.filePath), { recursive: true })
+      fs.writeFileSync(tempFile, JSON.stringify(Object.fromEntries(this.spends), null, 2))
+      fs.renameSync(tempFile, this.filePath)
+    } catch (error) {
+      fs.rmSync(tempFile, { force: true })
+      logError(error, { operation: 'save_relayer_spend' })
+    }
+  }
+
+  /**
+   * Drop an account's spends that left the window
+   * @returns {Array<Object>} Spends still in the window
+   */
+  prune(address, now) {
+    const key = address.toLowerCase()
+    const kept = (this.spends.get(key) || []).filter(spend => spend.at > now - this.windowMs)
+    if (kept.length > 0) {
+      this.spends.set(key, kept)
+    } else {
+      this.spends.delete(key)
+    }
+    return kept
+  }
+
+  /**
+   * @param {string} address - Account the gas was spent for
+   * @param {number} now - Current time in ms
+   * @returns {bigint} Wei spent for the account within the window
+   */
+  spentBy(address, now = Date.now()) {
+    return this.prune(address, now).reduce((total, spend) => total + BigInt(spend.wei), BigInt(0))
+  }
+
+  /**
+   * @param {number} now - Current time in ms
+   * @returns {bigint} Wei spent for all accounts together within the window
+   */
+  totalSpent(now = Date.now()) {
+    let total = BigInt(0)
+    for (const address of [...this.spends.keys()]) {
+      total += this.spentBy(address, now)
+    }
+    return total
+  }
+
+  /**
+   * Record a relayed transaction
+   * @param {string} address - Account the gas was spent for
+   * @param {bigint|string} wei - Gas cost of the transaction
+   * @param {string} txHash - Transaction hash
+   * @param {number} now - Current time in ms
+   */
+  record(address, wei, txHash, now = Date.now()) {
+    const kept = this.prune(address, now)
+    kept.push({ at: now, wei: BigInt(wei).toString(), txHash })
+    this.spends.set(address.toLowerCase(), kept)
+    this.save()
+  }
+}
+
+module.exports = {
+  SpendLedger,
+  RELAYER_SPEND_FILE
+}
@@ -0,0 +1,167 @@
+/*
+ * Project: DecentraFile
+ * Author: Thor Thor
+ * Contact: codethor@gmail.com
+ * LinkedIn: https://www.linkedin.com/in/thor-thor0
+ */
+
+/**
+ * EIP-712 requests for FileRegistry's *BySig functions
+ *
+ * Requests are the JSON wallets sign with eth_signTypedData_v4. The domain is not built
+ * here: it is read from the registry (eip712Domain), so it always names the chain and
+ * address the signature will be checked against.
+ */
+
+const web3 = require('web3')
+const { secp256k1 } = require('ethereum-cryptography/secp256k1')
+const { publicKeyToAddress } = require('../crypto/crypto')
+
+const EIP712_DOMAIN_FIELDS = [
+  { name: 'name', type: 'string' },
+  { name: 'version', type: 'string' },
+  { name: 'chainId', type: 'uint256' },
+  { name: 'verifyingContract', type: 'address' }
+]
+
+// Request types by action, with the struct names and fields FileRegistry hashes
+const META_TRANSACTIONS = {
+  uploadFile: {
+    primaryType: 'UploadFile',
+    fields: [
+      { name: 'owner', type: 'address' },
+      { name: 'fileHash', type: 'bytes32' },
+      { name: 'encryptedKey', type: 'bytes' },
+      { name: 'locator', type: 'bytes' },
+      { name: 'nonce', type: 'uint256' },
+      { name: 'deadline', type: 'uint256' }
+    ]
+  },
+  grantAccess: {
+    primaryType: 'GrantAccess',
+    fields: [
+      { name: 'owner', type: 'address' },
+      { name: 'fileHash', type: 'bytes32' },
+      { name: 'recipient', type: 'address' },
+      { name: 'wrappedKey', type: 'bytes' },
+      { name: 'nonce', type: 'uint256' },
+      { name: 'deadline', type: 'uint256' }
+    ]
+  },
+  deleteFile: {
+    primaryType: 'DeleteFile',
+    fields: [
+      { name: 'owner', type: 'address' },
+      { name: 'fileHash', type: 'bytes32' },
+      { name: 'nonce', type: 'uint256' },
+      { name: 'deadline', type: 'uint256' }
+    ]
+  }
+}
+
+const FIELD_PATTERNS = {
+  address: /^0x[a-fA-F0-9]{40}$/,
+  bytes32: /^0x[a-fA-F0-9]{64}$/,
+  bytes: /^0x([a-fA-F0-9]{2})*$/,
+  uint256: /^\d{1,78}$/
+}
+
+/**
+ * @param {string} primaryType - Struct name of a signed request
+ * @returns {string|null} Action it is for (a META_TRANSACTIONS key), null if none
+ */
+function actionForType(primaryType) {
+  const entry = Object.entries(META_TRANSACTIONS).find(([, definition]) => definition.primaryType === primaryType)
+  return entry ? entry[0] : null
+}
+
+/**
+ * Build the typed data of a request
+ * Values are normalised to strings: lowercase hex, and decimal for numbers.
+ * @param {string} action - 'uploadFile', 'grantAccess' or 'deleteFile'
+ * @param {Object} domain - { name, version, chainId, verifyingContract } as the registry reports it
+ * @param {Object} message - Request fields; unknown fields are dropped
+ * @returns {Object} { types, primaryType, domain, message }
+ * @throws {Error} If the action is unknown or a field is missing or malformed
+ */
+function buildTypedData(action, domain, message) {
+  const definition = META_TRANSACTIONS[action]
+  if (!definition) {
+    throw new Error(`Validation failed: unknown action ${action}. Expected one of ${Object.keys(META_TRANSACTIONS).join(', ')}`)
+  }
+  const normalized = {}
+  for (const { name, type } of definition.fields) {
+    const value = message ? message[name] : undefined
+    const text = typeof value === 'bigint' || typeof value === 'number' ? value.toString() : value
+    if (typeof text !== 'string' || !FIELD_PATTERNS[type].test(text)) {
+      throw new Error(`Validation failed: ${action} request needs ${name} as ${type}`)
+    }
+    normalized[name] = type === 'uint256' ? BigInt(text).toString() : text.toLowerCase()
+  }
+  return {
+    types: { EIP712Domain: EIP712_DOMAIN_FIELDS, [definition.primaryType]: definition.fields },
+    primaryType: definition.primaryType,
+    domain: {
+      name: domain.name,
+      version: domain.version,
+      chainId: BigInt(domain.chainId).toString(),
+      verifyingContract: domain.verifyingContract
+    },
+    message: normalized
+  }
+}
+
+/**
+ * @param {Object} typedData - Typed data from buildTypedData
+ * @returns {Buffer} EIP-712 digest the owner signs
+ */
+function hashTypedData(typedData) {
+  return Buffer.from(web3.eth.abi.getEncodedEip712Data(typedData, true).slice(2), 'hex')
+}
+
+/**
+ * Recover the account that signed a request
+ * High-s signatures are refused, as the registry refuses them.
+ * @param {Object} typedData - Typed data from buildTypedData
+ * @param {string} signature - 65-byte hex signature (r || s || v)
+ * @returns {string} Lowercase 0x-prefixed address
+ * @throws {Error} If the signature is malformed
+ */
+function recoverTypedDataSigner(typedData, signature) {
+  if (!/^(0x)?[a-fA-F0-9]{130}$/.test(String(signature))) {
+    throw new Error('Validation failed: signature must be 65 bytes of hex')
+  }
+  const signatureBytes = Buffer.from(String(signature).replace(/^0x/, ''), 'hex')
+  const v = signatureBytes[64]
+  const parsed = secp256k1.Signature.fromCompact(signatureBytes.subarray(0, 64))
+  if (parsed.hasHighS() || ![27, 28].includes(v)) {
+    throw new Error('Validation failed: signature is not in canonical form')
+  }
+  try {
+    const publicKey = parsed.addRecoveryBit(v - 27).recoverPublicKey(hashTypedData(typedData))
+    return publicKeyToAddress(Buffer.from(publicKey.toRawBytes(false)))
+  } catch (error) {
+    throw new Error('Validation failed: signature does not recover to an account')
+  }
+}
+
+/**
+ * Sign a request with an account key, as a wallet would with eth_signTypedData_v4
+ * @param {Object} typedData - Typed data from buildTypedData
+ * @param {string} privateKey - Owner's Ethereum private key (hex)
+ * @returns {string} 0x-prefixed 65-byte signature
+ */
+function signTypedData(typedData, privateKey) {
+  const key = Buffer.from(String(privateKey).replace(/^0x/, ''), 'hex')
+  const signature = secp256k1.sign(hashTypedData(typedData), key)
+  return '0x' + Buffer.concat([Buffer.from(signature.toCompactRawBytes()), Buffer.from([27 + signature.recovery])]).toString('hex')
+}
+
+module.exports = {
+  META_TRANSACTIONS,
+  actionForType,
+  buildTypedData,
+  hashTypedData,
+  recoverTypedDataSigner,
+  signTypedData
+}
@@ -9,12 +9,24 @@ const express = require('express')
 const multer = require('multer')
 const path = require('path')
 const fs = require('fs')
+const { finished } = require('stream/promises')
 const { logger, logError, logSecurityEvent } = require('./utils/logger')
-const { uploadFileToBlockchain, downloadFileFromBlockchain } = require('./index')
-const { getFileRegistryAddress } = require('./config/deploymentInfo')
+const { privateKeyToAddress } = require('web3-eth-accounts')
+const { prepareUpload, finalizeUpload, resumeUploads, getUploadStatus, listUploads, getFileInfo, hasFileAccess } = require('./index')
+const { getEthereumPublicKey } = require('./crypto/crypto')
+const { getStorageHealth } = require('./ipfs')
+const { getFileRegistryAddress, getPublicKeyRegistryAddress } = require('./config/deploymentInfo')
 const { getRuntimeConfig } = require('./config/runtimeConfig')
-const { setFilenameMetadata, getFilenameMetadata } = require('./utils/fileMetadata')
-const { detectFileType, sanitizeFilename } = require('./utils/fileType')
+const { UPLOAD_STATES } = require('./journal')
+const { IdempotencyStore, idempotent, fingerprintOf } = require('./utils/idempotency')
+const { sendFileContent } = require('./api/fileContent')
+const { createUploadStorage } = require('./api/uploadStorage')
+const { createApiV1Router } = require('./api/v1')
+const { createAuthRouter, sessionAuth, requireSession } = require('./api/auth')
+const { SessionStore } = require('./auth/sessionStore')
+const { getEventIndexer } = require('./indexer')
+const { getRelayer } = require('./relayer')
+const { createRelayRouter } = require('./api/relay')
 
 const app = express()
 const PORT = process.env.PORT || 3000
@@ -36,14 +48,121 @@ function getContractAddress() {
   }
 }
 
-const upload = multer({
-  storage: multer.memoryStorage(),
-  limits: {
-    fileSize: 100 * 1024 * 1024
-  }
+/**
+ * Account the server reads files and relays signed requests with
+ * Uses Hardhat default account #0 for local testing (well-known, safe for local dev only);
+ * set PRIVATE_KEY in production. Portal uploads are granted to it so they can be downloaded
+ * through the portal; the v1 API also manages the files and collections it owns.
+ * @returns {Object} { address, privateKey }
+ */
+function getSenderAccount() {
+  const privateKey = process.env.PRIVATE_KEY || '0xac0974bec39a17e36ba4a6b4d238ff944bacb478cbed5efcae784d7bf4f2ff80'
+  return { address: privateKeyToAddress(privateKey), privateKey }
+}
+
+/**
+ * Prepare an upload for the signed-in account's wallet to register
+ * The account owns the file on-chain: the server encrypts and stores it, and only the
+ * wallet's transaction (or, with ?gasless=true, its signed requests the relayer sends)
+ * registers it. The server account is made a recipient, so the portal can serve the file
+ * once the wallet has also sent the grant transactions the confirmation returns.
+ */
+function prepareForSession(req, file, content) {
+  const sender = getSenderAccount()
+  const { address, publicKey } = req.session
+  return prepareUpload(content, address, publicKey, getContractAddress(), {
+    relayer: req.query.gasless === 'true' ? getRelayer(sender) : null,
+    recipients: [{ address: sender.address, publicKey: getEthereumPublicKey(sender.privateKey) }],
+    metadata: {
+      filename: file.originalname || 'uploaded-file',
+      mimeType: file.mimetype || 'application/octet-stream',
+      uploadedBy: address
+    }
+  })
+}
+
+/**
+ * Complete a wallet upload in the background, in case the page never confirms it
+ * (e.g. it was closed once the wallet had sent the transaction)
+ * @param {string} uploadId - Upload prepared for a wallet
+ * @param {string} expiresAt - When the upload expires
+ */
+function watchWalletUpload(uploadId, expiresAt) {
+  finalizeUpload(uploadId, { timeoutMs: Math.max(Date.parse(expiresAt) - Date.now(), 0) + 60 * 1000, pollIntervalMs: 15 * 1000 })
+    .catch((error) => logger.warn('Wallet upload not completed', { uploadId, error: error.message }))
+}
+
+// Files are encrypted and stored while the request is read; nothing is buffered or written to disk.
+// Filename and MIME type metadata for download are stored with the upload,
+// so an upload resumed after a crash keeps them too
+const uploadLimits = {
+  fileSize: getRuntimeConfig().maxFileSize,
+  files: 1
+}
+const upload = multer({ storage: createUploadStorage(prepareForSession), limits: uploadLimits })
+// Reads a retried upload only to hash its file, which is then discarded
+const digestUpload = multer({
+  storage: createUploadStorage(async (req, file, content) => {
+    content.resume()
+    await finished(content)
+    return null
+  }),
+  limits: uploadLimits
 })
 
+/**
+ * Read the multipart body, uploading its file on the way
+ * @param {Object} uploader - multer instance to read it with
+ * @returns {Promise<void>} Resolves once the request is read and the upload finished
+ */
+function receiveUpload(req, res, uploader = upload) {
+  return new Promise((resolve, reject) => {
+    uploader.single('file')(req, res, error => error ? reject(error) : resolve())
+  })
+}
+
+/**
+ * Journal entry of one of the signed-in account's uploads
+ * Other accounts' uploads are answered like unknown ones.
+ * @returns {Object|null} Upload status, or null once a 404 was sent
+ */
+function findSessionUpload(req, res) {
+  const upload = getUploadStatus(req.params.id)
+  const uploadedBy = upload && upload.metadata ? upload.metadata.uploadedBy : null
+  if (!uploadedBy || uploadedBy.toLowerCase() !== req.session.address.toLowerCase()) {
+    res.status(404).json({ error: 'Upload not found' })
+    return null
+  }
+  return upload
+}
+
+/**
+ * @param {Error} error - Upload error
+ * @returns {number} HTTP status
+ */
+function uploadErrorStatus(error) {
+  if (error.code === 'LIMIT_FILE_SIZE' || /File too large/.test(error.message)) {
+    return 413
+  }
+  if (error instanceof multer.MulterError || /Cannot upload empty file|^Validation failed/.test(error.message)) {
+    return 400
+  }
+  return 500
+}
+
+// Retries of an upload with the same Idempotency-Key replay the first response. Each account
+// has its own keys, and a retry is recognised by the SHA-256 of its file, so its file is read
+// (and hashed, not uploaded) before it is answered.
+const uploadIdempotency = idempotent(
+  new IdempotencyStore(),
+  req => fingerprintOf(req.method, req.path, req.session.address.toLowerCase(), req.file ? req.file.sha256 : ''),
+  { readBody: (req, res) => receiveUpload(req, res, digestUpload), scope: req => req.session.address.toLowerCase() }
+)
+
+const sessions = new SessionStore()
+
 app.use(express.json())
+app.use(sessionAuth(sessions))
 app.use(express.static(path.join(__dirname)))
 app.use('/assets', express.static(path.join(__dirname, '../assets')))
 
@@ -59,95 +178,44 @@ app.get('/download.html', (req, res) => {
   res.sendFile(path.join(__dirname, 'download.html'))
 })
 
-app.post('/api/upload', upload.single('file'), async (req, res) => {
+app.use('/api/auth', createAuthRouter({
+  store: sessions,
+  getChainId: () => getRuntimeConfig().chainId,
+  domain: process.env.SIWE_DOMAIN || null
+}))
+
+app.post('/api/upload', requireSession, uploadIdempotency, async (req, res) => {
   const startTime = Date.now()
   logger.info('PORTAL_UPLOAD_STARTED', {
     event: 'PORTAL_UPLOAD_STARTED',
     actor: 'sender',
+    account: req.session.address,
     timestamp: new Date().toISOString(),
-    fileSize: req.file ? req.file.size : 0
+    requestSize: Number(req.get('Content-Length')) || null
   })
 
   try {
+    await receiveUpload(req, res)
+
     if (!req.file) {
       logSecurityEvent('INVALID_INPUT', { operation: 'upload', error: 'No file provided' })
       return res.status(400).json({ error: 'No file provided' })
     }
-
-    if (req.file.size === 0) {
-      logSecurityEvent('INVALID_INPUT', { operation: 'upload', error: 'Empty file not allowed' })
-      return res.status(400).json({ error: 'Empty file not allowed' })
-    }
-
-    const contractAddress = getContractAddress()
-
-    const tempDir = path.join(__dirname, '../data/temp')
-    if (!fs.existsSync(tempDir)) {
-      fs.mkdirSync(tempDir, { recursive: true })
-    }
-
-    const tempFilePath = path.join(tempDir, `upload-${Date.now()}-${req.file.originalname}`)
-    fs.writeFileSync(tempFilePath, req.file.buffer)
-
-    // Use Hardhat default account #0 private key for local testing (well-known, safe for local dev only)
-    // In production, use environment variable: process.env.PRIVATE_KEY
-    const senderPrivateKey = process.env.PRIVATE_KEY || '0xac0974bec39a17e36ba4a6b4d238ff944bacb478cbed5efcae784d7bf4f2ff80'
-
-    // Verify account balance for local dev (one-time check per request)
-    const runtimeConfig = getRuntimeConfig()
-    if (runtimeConfig.networkName === 'local') {
-      try {
-        const { ethers: ethersLib } = require('hardhat')
-        const provider = new ethersLib.JsonRpcProvider(runtimeConfig.rpcUrl)
-        const wallet = new ethersLib.Wallet(senderPrivateKey, provider)
-        const balance = await provider.getBalance(wallet.address)
-        logger.info('PORTAL_UPLOAD_ACCOUNT_CHECK', {
-          address: wallet.address,
-          balance: ethersLib.formatEther(balance),
-          network: runtimeConfig.networkName,
-          chainId: runtimeConfig.chainId
-        })
-        // Fail fast if balance is zero
-        if (balance === BigInt(0)) {
-          throw new Error(`Account ${wallet.address} has zero balance. Cannot send transaction.`)
-        }
-      } catch (balanceError) {
-        logger.error('Account balance check failed', { error: balanceError.message })
-        throw balanceError
-      }
-    }
-
-    const result = await uploadFileToBlockchain(
-      tempFilePath,
-      senderPrivateKey,
-      contractAddress
-    )
-
-    // Store filename and MIME type metadata for download
-    if (result.fileHash) {
-      const originalFilename = req.file.originalname || 'uploaded-file'
-      const mimeType = req.file.mimetype || 'application/octet-stream'
-      setFilenameMetadata(result.fileHash, originalFilename, mimeType, req.file.size)
-    }
-
-    fs.unlinkSync(tempFilePath)
+    const prepared = req.file.upload
+    watchWalletUpload(prepared.uploadId, prepared.expiresAt)
 
     const duration = Date.now() - startTime
     logger.info('PORTAL_UPLOAD_SUCCESS', {
       event: 'PORTAL_UPLOAD_SUCCESS',
       actor: 'sender',
-      fileHash: result.fileHash ? `${result.fileHash.substring(0, 8)}...` : 'unknown',
-      cidMasked: result.ipfsHash ? `${result.ipfsHash.substring(0, 8)}...` : 'unknown',
+      fileHash: `${prepared.fileHash.substring(0, 8)}...`,
+      cidMasked: `${prepared.ipfsHash.substring(0, 8)}...`,
       timestamp: new Date().toISOString(),
       duration
     })
 
-    res.json({
-      success: true,
-      fileHash: result.fileHash,
-      ipfsHash: result.ipfsHash,
-      txHash: result.txHash
-    })
+    // The wallet registers the file, then confirms it through /api/uploads/:id/confirm
+    res.json({ success: true, ...prepared, uploadedBy: req.session.address })
   } catch (error) {
     const duration = Date.now() - startTime
     logger.error('PORTAL_UPLOAD_FAILURE', {
@@ -158,11 +226,36 @@ app.post('/api/upload', upload.single('file'), async (req, res) => {
       duration
     })
     logError(error, { operation: 'portal_upload' })
-    res.status(500).json({ error: error.message })
+    // estimateGas reverts when the file is already registered
+    const status = /already exists|FileAlreadyExists/.test(error.message) ? 409 : uploadErrorStatus(error)
+    if (status === 400 && /empty file/.test(error.message)) {
+      logSecurityEvent('INVALID_INPUT', { operation: 'upload', error: 'Empty file not allowed' })
+      return res.status(400).json({ error: 'Empty file not allowed' })
+    }
+    res.status(status).json({ error: error.message })
+  }
+})
+
+// /api/upload without Idempotency-Key replays, for clients that track their uploads themselves
+app.post('/api/upload/prepare', requireSession, async (req, res) => {
+  try {
+    await receiveUpload(req, res)
+    if (!req.file) {
+      logSecurityEvent('INVALID_INPUT', { operation: 'prepare_upload', error: 'No file provided' })
+      return res.status(400).json({ error: 'No file provided' })
+    }
+    const prepared = req.file.upload
+    watchWalletUpload(prepared.uploadId, prepared.expiresAt)
+    res.json({ ...prepared, uploadedBy: req.session.address })
+  } catch (error) {
+    logError(error, { operation: 'prepare_upload' })
+    // estimateGas reverts when the file is already registered
+    const status = /already exists|FileAlreadyExists/.test(error.message) ? 409 : uploadErrorStatus(error)
+    res.status(status).json({ error: error.message })
   }
 })
 
-app.post('/api/download', async (req, res) => {
+app.post('/api/download', requireSession, async (req, res) => {
   const startTime = Date.now()
   const { fileHash } = req.body
 
@@ -180,59 +273,31 @@ app.post('/api/download', async (req, res) => {
       return res.status(400).json({ error: 'No fileHash provided' })
     }
 
-    const tempDir = path.join(__dirname, '../data/temp')
-    if (!fs.existsSync(tempDir)) {
-      fs.mkdirSync(tempDir, { recursive: true })
-    }
-
     const contractAddress = getContractAddress()
-    const outputPath = path.join(tempDir, `download-${Date.now()}.bin`)
-
-    await downloadFileFromBlockchain(
-      trimmedHash,
-      contractAddress,
-      outputPath
-    )
-
-    const fileBuffer = fs.readFileSync(outputPath)
-    fs.unlinkSync(outputPath)
-
-    // Get filename and MIME type metadata
-    let filename = `downloaded-${trimmedHash.substring(0, 8)}.bin`
-    let mimeType = 'application/octet-stream'
-
-    const metadata = getFilenameMetadata(trimmedHash)
-    if (metadata && metadata.filename) {
-      filename = metadata.filename
-      mimeType = metadata.mimeType || 'application/octet-stream'
-    } else {
-      // Fallback: detect file type from buffer content
-      const detected = detectFileType(fileBuffer)
-      mimeType = detected.mimeType
-      // Only use detected extension if we don't have stored filename
-      if (!metadata) {
-        filename = `downloaded-${trimmedHash.substring(0, 8)}${detected.extension}`
-      }
+    const file = await getFileInfo(trimmedHash, contractAddress)
+    if (file.status !== 'active') {
+      logSecurityEvent('FILE_NOT_FOUND', { fileHash: `${trimmedHash.substring(0, 8)}...` })
+      return res.status(file.status === 'deleted' ? 410 : 404).json({ error: file.status === 'deleted' ? 'File has been deleted' : 'File not found' })
     }
-
-    // Sanitize filename for safe use in headers
-    const sanitizedFilename = sanitizeFilename(filename)
+    if (!(await hasFileAccess(file.fileHash, req.session.address, contractAddress))) {
+      logSecurityEvent('ACCESS_DENIED', { fileHash: `${trimmedHash.substring(0, 8)}...`, operation: 'download' })
+      return res.status(403).json({ error: 'This account has no access to the file' })
+    }
+    const sender = getSenderAccount()
+    const sent = await sendFileContent(req, res, file, contractAddress, { recipientPrivateKey: sender.privateKey, callerAddress: sender.address })
 
     const duration = Date.now() - startTime
     logger.info('PORTAL_DOWNLOAD_SUCCESS', {
       event: 'PORTAL_DOWNLOAD_SUCCESS',
       actor: 'receiver',
       fileHash: trimmedHash ? `${trimmedHash.substring(0, 8)}...` : 'unknown',
-      fileSize: fileBuffer.length,
-      filename: sanitizedFilename,
-      mimeType,
+      fileSize: sent.bytes,
+      filename: sent.filename,
+      mimeType: sent.mimeType,
+      aborted: Boolean(sent.aborted),
       timestamp: new Date().toISOString(),
       duration
     })
-
-    res.setHeader('Content-Type', mimeType)
-    res.setHeader('Content-Disposition', `attachment; filename="${sanitizedFilename}"`)
-    res.send(fileBuffer)
   } catch (error) {
     const duration = Date.now() - startTime
     logger.error('PORTAL_DOWNLOAD_FAILURE', {
@@ -244,10 +309,63 @@ app.post('/api/download', async (req, res) => {
       duration
     })
     logError(error, { operation: 'portal_download' })
-    res.status(500).json({ error: error.message })
+    if (res.headersSent) {
+      return res.destroy()
+    }
+    res.status(error.message.startsWith('Validation failed') ? 400 : 500).json({ error: error.message })
   }
 })
 
+// Registry events are indexed while the server runs; INDEXER_POLL_INTERVAL_MS=0 turns that off
+const INDEXER_POLL_INTERVAL_MS = Number(process.env.INDEXER_POLL_INTERVAL_MS || 5000)
+let eventIndexer = null
+
+app.use('/api/v1', createApiV1Router({
+  getContractAddress,
+  getSenderAccount,
+  getEventIndexer: () => eventIndexer,
+  getKeyRegistryAddress: getPublicKeyRegistryAddress
+}))
+
+app.use('/api/relay', createRelayRouter({ getRelayer: () => getRelayer(getSenderAccount()) }))
+
+app.get('/api/uploads', requireSession, (req, res) => {
+  const { status } = req.query
+  if (status && !UPLOAD_STATES.includes(status)) {
+    return res.status(400).json({ error: `Invalid status: expected one of ${UPLOAD_STATES.join(', ')}` })
+  }
+  const filter = status ? { status } : { pending: req.query.pending === 'true' }
+  res.json({ uploads: listUploads({ ...filter, uploadedBy: req.session.address }) })
+})
+
+app.get('/api/uploads/:id', requireSession, (req, res) => {
+  const upload = findSessionUpload(req, res)
+  if (upload) {
+    res.json(upload)
+  }
+})
+
+// Reports the transaction the wallet sent for a prepared upload and waits for it to be mined
+app.post('/api/uploads/:id/confirm', requireSession, async (req, res) => {
+  const upload = findSessionUpload(req, res)
+  if (!upload) {
+    return
+  }
+  try {
+    const result = await finalizeUpload(upload.id, { txHash: (req.body && req.body.txHash) || null, timeoutMs: 60 * 1000 })
+    res.status(result.status === 'completed' ? 200 : 202).json(result)
+  } catch (error) {
+    logError(error, { operation: 'confirm_upload' })
+    const status = /^Validation failed/.test(error.message) ? 400 : /^Upload .* was rolled back/.test(error.message) ? 409 : /^Unknown wallet upload/.test(error.message) ? 404 : 500
+    res.status(status).json({ error: error.message })
+  }
+})
+
+app.get('/api/storage/health', (req, res) => {
+  const health = getStorageHealth()
+  res.status(health.healthy ? 200 : 503).json(health)
+})
+
 app.listen(PORT, () => {
   try {
     const contractAddress = getContractAddress()
@@ -255,5 +373,25 @@ app.listen(PORT, () => {
   } catch (error) {
     logger.warn('HTTP server started but contract address not yet available', { port: PORT })
   }
+
+  if (INDEXER_POLL_INTERVAL_MS > 0) {
+    try {
+      eventIndexer = getEventIndexer()
+      eventIndexer.start(INDEXER_POLL_INTERVAL_MS)
+    } catch (error) {
+      logger.warn('Event indexer not started', { error: error.message })
+    }
+  }
+
+  resumeUploads()
+    .then(() => {
+      // Wallet uploads still waiting for their transaction are watched again
+      for (const pending of listUploads({ status: 'awaiting_signature' })) {
+        watchWalletUpload(pending.id, pending.expiresAt)
+      }
+    })
+    .catch((error) => {
+      logError(error, { operation: 'resume_uploads' })
+    })
 })
 
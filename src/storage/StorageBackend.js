@@ -0,0 +1,105 @@
+/*
+ * Project: DecentraFile
+ * Author: Thor Thor
+ * Contact: codethor@gmail.com
+ * LinkedIn: https://www.linkedin.com/in/thor-thor0
+ */
+
+/**
+ * Storage backend interface
+ *
+ * Ciphertext is stored by content and addressed by a CID string, whichever backend
+ * holds it; the registry only ever sees keccak256(CID). Drivers extend this class
+ * and implement every method. Callers go through src/ipfs.js, which adds timeouts
+ * and logging on top of the selected backend.
+ */
+class StorageBackend {
+  /**
+   * @param {string} name - Backend identifier, as used in DECENTRAFILE_STORAGE
+   * @param {string} label - Human-readable name for error messages
+   */
+  constructor(name, label) {
+    if (new.target === StorageBackend) {
+      throw new Error('StorageBackend is an interface; use a driver such as LocalBackend')
+    }
+    this.name = name
+    this.label = label
+  }
+
+  /**
+   * Store content
+   * @param {Readable|AsyncIterable<Uint8Array>} source - Content to store, consumed once
+   * @returns {Promise<Object>} { cid, size }
+   */
+  async put(_source) {
+    throw new Error(`${this.name} storage backend does not implement put`)
+  }
+
+  /**
+   * Read content, or a byte range of it
+   * @param {string} cid - Content identifier returned by put
+   * @param {Object} options - Range to read
+   * @param {number} options.offset - First byte to read (default 0)
+   * @param {number} options.length - Number of bytes to read (default: to the end)
+   * @returns {Promise<Readable>} Content stream
+   * @throws {Error} If the content does not exist
+   */
+  async get(_cid, _options = {}) {
+    throw new Error(`${this.name} storage backend does not implement get`)
+  }
+
+  /**
+   * Protect content from garbage collection
+   * @param {string} cid - Content identifier
+   * @returns {Promise<void>}
+   */
+  async pin(_cid) {
+    throw new Error(`${this.name} storage backend does not implement pin`)
+  }
+
+  /**
+   * Allow content to be garbage-collected
+   * @param {string} cid - Content identifier
+   * @returns {Promise<void>}
+   */
+  async unpin(_cid) {
+    throw new Error(`${this.name} storage backend does not implement unpin`)
+  }
+
+  /**
+   * Describe stored content
+   * @param {string} cid - Content identifier
+   * @returns {Promise<Object|null>} { cid, size, pinned }, or null if the content does not exist
+   */
+  async stat(_cid) {
+    throw new Error(`${this.name} storage backend does not implement stat`)
+  }
+
+  /**
+   * List stored content, for reconciliation against the registry
+   * @returns {Promise<Array<Object>>} [{ cid, pinned }]
+   */
+  async list() {
+    throw new Error(`${this.name} storage backend does not implement list`)
+  }
+
+  /**
+   * Remove content; removing content that does not exist is not an error
+   * @param {string} cid - Content identifier
+   * @returns {Promise<void>}
+   */
+  async delete(_cid) {
+    throw new Error(`${this.name} storage backend does not implement delete`)
+  }
+
+  /**
+   * Report the health of the nodes behind the backend
+   * Backends that talk to a single service have nothing to report.
+   * @returns {Array<Object>} Per-node health records
+   */
+  health() {
+    return []
+  }
+}
+
+module.exports = StorageBackend
@@ -0,0 +1,100 @@
+/*
+ * Project: DecentraFile
+ * Author: Thor Thor
+ * Contact: codethor@gmail.com
+ * LinkedIn: https://www.linkedin.com/in/thor-thor0
+ */
+
+/**
+ * Content identifiers for storage backends that are not IPFS
+ *
+ * The local and S3 backends name content by a CIDv1 with the raw codec and a
+ * SHA-256 multihash, rendered in base32 ("bafkrei..."). It passes the same CID
+ * validation as IPFS hashes, so the registry and locators work unchanged. For
+ * content larger than one IPFS block it differs from the CID `ipfs add` would
+ * produce, since IPFS chunks large files into a DAG.
+ */
+
+const crypto = require('crypto')
+
+const CID_VERSION = 0x01
+const RAW_CODEC = 0x55
+const SHA2_256 = 0x12
+const SHA2_256_LENGTH = 0x20
+const BASE32_ALPHABET = 'abcdefghijklmnopqrstuvwxyz234567'
+
+// CIDv1 raw sha2-256 in multibase base32: 'b' followed by 58 characters
+const RAW_CID_PATTERN = /^b[a-z2-7]{58}$/
+
+/**
+ * Encode bytes as lowercase RFC 4648 base32 without padding
+ * @param {Buffer} bytes - Bytes to encode
+ * @returns {string} Base32 string
+ */
+function base32Encode(bytes) {
+  let output = ''
+  let buffer = 0
+  let bits = 0
+  for (const byte of bytes) {
+    buffer = (buffer << 8) | byte
+    bits += 8
+    while (bits >= 5) {
+      output += BASE32_ALPHABET[(buffer >>> (bits - 5)) & 31]
+      bits -= 5
+    }
+  }
+  if (bits > 0) {
+    output += BASE32_ALPHABET[(buffer << (5 - bits)) & 31]
+  }
+  return output
+}
+
+/**
+ * Build the CID string for a SHA-256 digest
+ * @param {Buffer} digest - 32-byte SHA-256 digest
+ * @returns {string} CIDv1 (raw, sha2-256) in base32
+ */
+function cidFromDigest(digest) {
+  return 'b' + base32Encode(Buffer.concat([Buffer.from([CID_VERSION, RAW_CODEC, SHA2_256, SHA2_256_LENGTH]), digest]))
+}
+
+/**
+ * Create an incremental CID hasher for streamed content
+ * @returns {Object} { update(chunk), digest() } where digest returns the CID string
+ */
+function createCidHasher() {
+  const hash = crypto.createHash('sha256')
+  return {
+    update(chunk) {
+      hash.update(chunk)
+    },
+    digest() {
+      return cidFromDigest(hash.digest())
+    }
+  }
+}
+
+/**
+ * Compute the CID of a buffer
+ * @param {Buffer} content - Content
+ * @returns {string} CIDv1 (raw, sha2-256) in base32
+ */
+function computeCid(content) {
+  return cidFromDigest(crypto.createHash('sha256').update(content).digest())
+}
+
+/**
+ * Check whether a string is a CID produced by this module
+ * Backends use it before turning a CID into a path or object key
+ * @param {string} cid - Candidate CID
+ * @returns {boolean} True for raw sha2-256 CIDv1 strings
+ */
+function isRawCid(cid) {
+  return typeof cid === 'string' && RAW_CID_PATTERN.test(cid)
+}
+
+module.exports = {
+  createCidHasher,
+  computeCid,
+  isRawCid
+}
@@ -0,0 +1,90 @@
+/*
+ * Project: DecentraFile
+ * Author: Thor Thor
+ * Contact: codethor@gmail.com
+ * LinkedIn: https://www.linkedin.com/in/thor-thor0
+ */
+
+/**
+ * Storage backend selection
+ * DECENTRAFILE_STORAGE picks the driver: mock and ipfs use IpfsBackend, local uses
+ * LocalBackend and s3 uses S3Backend. Several IPFS endpoints select ReplicatedIpfsBackend.
+ */
+
+const StorageBackend = require('./StorageBackend')
+const LocalBackend = require('./localBackend')
+const S3Backend = require('./s3Backend')
+const ReplicatedIpfsBackend = require('./replicatedIpfsBackend')
+const { IpfsBackend, createIpfsClient, createHttpClient } = require('./ipfsBackend')
+const { getRuntimeConfig } = require('../config/runtimeConfig')
+const { logger } = require('../utils/logger')
+
+let storageBackend = null
+
+/**
+ * Create a storage backend for a runtime configuration
+ * @param {Object|null} runtimeConfig - Result of getRuntimeConfig, or null to use the legacy IPFS variables
+ * @returns {StorageBackend} Storage backend
+ */
+function createStorageBackend(runtimeConfig) {
+  const storageMode = runtimeConfig ? runtimeConfig.storageMode : null
+
+  switch (storageMode) {
+    case 'local':
+      logger.info('Using local storage backend', { service: 'storage', path: runtimeConfig.storagePath })
+      return new LocalBackend(runtimeConfig.storagePath)
+    case 's3':
+      logger.info('Using S3 storage backend', { service: 'storage', bucket: runtimeConfig.s3.bucket })
+      return new S3Backend(runtimeConfig.s3)
+    case 'mock':
+      return new IpfsBackend(createIpfsClient(runtimeConfig), 'mock')
+    case 'ipfs':
+      if (runtimeConfig.ipfsEndpoints.length > 1) {
+        logger.info('Using replicated IPFS backend', {
+          service: 'storage',
+          endpoints: runtimeConfig.ipfsEndpoints.length,
+          writeQuorum: runtimeConfig.ipfsReplication.writeQuorum
+        })
+        return new ReplicatedIpfsBackend(runtimeConfig.ipfsEndpoints.map(endpoint => ({
+          endpoint,
+          backend: new IpfsBackend(createHttpClient(endpoint))
+        })), runtimeConfig.ipfsReplication)
+      }
+      return new IpfsBackend(createIpfsClient(runtimeConfig))
+    default:
+      // Legacy USE_MOCK_IPFS / IPFS_URL configuration
+      return new IpfsBackend(createIpfsClient(null))
+  }
+}
+
+/**
+ * Get the storage backend for the current environment, creating it on first use
+ *
+ * If the runtime configuration is invalid, falls back to the deprecated
+ * USE_MOCK_IPFS / IPFS_URL variables.
+ *
+ * @returns {StorageBackend} Storage backend
+ */
+function getStorageBackend() {
+  if (!storageBackend) {
+    let runtimeConfig = null
+    try {
+      runtimeConfig = getRuntimeConfig()
+    } catch (error) {
+      // Legacy configuration (deprecated)
+      runtimeConfig = null
+    }
+    storageBackend = createStorageBackend(runtimeConfig)
+  }
+  return storageBackend
+}
+
+module.exports = {
+  StorageBackend,
+  IpfsBackend,
+  ReplicatedIpfsBackend,
+  LocalBackend,
+  S3Backend,
+  createStorageBackend,
+  getStorageBackend
+}
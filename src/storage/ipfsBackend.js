@@ -0,0 +1,247 @@
+/*
+ * Project: DecentraFile
+ * Author: Thor Thor
+ * Contact: codethor@gmail.com
+ * LinkedIn: https://www.linkedin.com/in/thor-thor0
+ */
+
+const { Readable } = require('stream')
+const StorageBackend = require('./StorageBackend')
+const { logger } = require('../utils/logger')
+
+/**
+ * Collect a Buffer, Uint8Array or async iterable of chunks into one Buffer
+ * Only used by the mock client, which hashes whole contents
+ * @param {Buffer|Uint8Array|AsyncIterable<Uint8Array>} file - Content
+ * @returns {Promise<Buffer>} Content as a Buffer
+ */
+async function collectContent(file) {
+  if (Buffer.isBuffer(file) || file instanceof Uint8Array) {
+    return file
+  }
+  const chunks = []
+  for await (const chunk of file) {
+    chunks.push(Buffer.from(chunk))
+  }
+  return Buffer.concat(chunks)
+}
+
+/**
+ * Wrap the test mock in the subset of the ipfs-http-client API the backend uses
+ * @param {Object} mockIPFS - MockIPFSClient instance (a new one by default)
+ * @returns {Object} IPFS client
+ */
+function createMockClient(mockIPFS = null) {
+  if (!mockIPFS) {
+    const MockIPFSClient = require('../../test/utils/ipfs-mock')
+    mockIPFS = new MockIPFSClient()
+  }
+  return {
+    add: async (file) => {
+      return await mockIPFS.add(await collectContent(file))
+    },
+    cat: async function * (hash, options = {}) {
+      // Same range semantics as the IPFS cat API: skip offset bytes, then stop after length
+      let skip = options.offset || 0
+      let remaining = options.length === undefined ? Infinity : options.length
+      for await (const chunk of mockIPFS.cat(hash)) {
+        if (remaining <= 0) {
+          return
+        }
+        const part = chunk.subarray(Math.min(skip, chunk.length), Math.min(chunk.length, skip + remaining))
+        skip = Math.max(0, skip - chunk.length)
+        remaining -= part.length
+        if (part.length > 0) {
+          yield part
+        }
+      }
+    },
+    files: {
+      stat: async (ipfsPath) => {
+        const file = mockIPFS.getFile(ipfsPath.replace(/^\/ipfs\//, ''))
+        if (!file) {
+          throw new Error('Mock IPFS: file does not exist')
+        }
+        return { size: file.length }
+      }
+    },
+    pin: {
+      add: async (hash) => {
+        const pin = await mockIPFS.pin()
+        return await pin.add(hash)
+      },
+      rm: async (hash) => {
+        const pin = await mockIPFS.pin()
+        return await pin.rm(hash)
+      },
+      ls: async function * ({ paths } = {}) {
+        if (!paths) {
+          const pin = await mockIPFS.pin()
+          yield * (await pin.ls()).map(({ cid }) => ({ cid, type: 'recursive' }))
+          return
+        }
+        for (const hash of paths) {
+          if (!mockIPFS.isPinned(hash)) {
+            throw new Error(`path '${hash}' is not pinned`)
+          }
+          yield { cid: hash, type: 'recursive' }
+        }
+      }
+    }
+  }
+}
+
+/**
+ * Create an ipfs-http-client for one node
+ *
+ * ipfs-http-client is an ES module, so it is loaded with import() and the client
+ * is returned as a promise; IpfsBackend resolves it on first use. IPFS_AUTH, if
+ * set, is sent as Basic credentials to the node.
+ *
+ * @param {string} url - IPFS HTTP API endpoint
+ * @returns {Promise<Object>} IPFS client
+ */
+function createHttpClient(url) {
+  const client = import('ipfs-http-client').then(({ create }) => create({
+    url,
+    headers: {
+      authorization: process.env.IPFS_AUTH ? `Basic ${process.env.IPFS_AUTH}` : undefined
+    }
+  }))
+  // A load failure is reported by the first operation that uses the client
+  client.catch(() => {})
+  return client
+}
+
+/**
+ * Create the IPFS client for the runtime configuration
+ *
+ * DECENTRAFILE_STORAGE=mock selects the in-memory test mock. When the runtime
+ * configuration cannot be loaded, the deprecated USE_MOCK_IPFS / IPFS_URL
+ * variables are honoured for backward compatibility.
+ *
+ * @param {Object|null} runtimeConfig - Result of getRuntimeConfig, or null if it failed to load
+ * @returns {Object|Promise<Object>} IPFS client (a promise for the HTTP client)
+ */
+function createIpfsClient(runtimeConfig) {
+  if (runtimeConfig) {
+    if (runtimeConfig.storageMode === 'mock') {
+      logger.info('Using mock IPFS client', { service: 'ipfs' })
+      return createMockClient()
+    }
+    if (!runtimeConfig.ipfsEndpoint) {
+      throw new Error('IPFS_ENDPOINT is required when DECENTRAFILE_STORAGE=ipfs')
+    }
+    logger.info('Using real IPFS client', { service: 'ipfs', endpoint: runtimeConfig.ipfsEndpoint.substring(0, 30) + '...' })
+    return createHttpClient(runtimeConfig.ipfsEndpoint)
+  }
+
+  // Legacy configuration (deprecated)
+  if (process.env.USE_MOCK_IPFS === 'true') {
+    logger.info('Using mock IPFS client (legacy mode)', { service: 'ipfs' })
+    return createMockClient()
+  }
+  logger.info('Using real IPFS client (legacy mode)', { service: 'ipfs' })
+  return createHttpClient(process.env.IPFS_URL || 'https://ipfs.infura.io:5001/api/v0')
+}
+
+/**
+ * Storage on an IPFS node through its HTTP API
+ *
+ * Content cannot be removed from IPFS; delete unpins it so the node may garbage-collect it.
+ */
+class IpfsBackend extends StorageBackend {
+  /**
+   * @param {Object|Promise<Object>} client - ipfs-http-client instance or promise for one (or the mock adapter)
+   * @param {string} name - Backend identifier (default 'ipfs')
+   */
+  constructor(client, name = 'ipfs') {
+    super(name, 'IPFS')
+    this.client = client
+  }
+
+  /**
+   * Get the IPFS client, waiting for it to load if needed
+   * @returns {Promise<Object>} IPFS client
+   */
+  async getClient() {
+    if (typeof this.client.then === 'function') {
+      this.client = await this.client
+    }
+    return this.client
+  }
+
+  async put(source) {
+    const result = await (await this.getClient()).add(source)
+    return { cid: result.cid.toString(), size: Number(result.size) }
+  }
+
+  /**
+   * @param {string} cid - Content identifier
+   * @param {Object} options - Passed to ipfs.cat, e.g. { offset, length, signal }
+   * @returns {Promise<Readable>} Content stream
+   */
+  async get(cid, options = {}) {
+    const client = await this.getClient()
+    return Readable.from(client.cat(cid, options), { objectMode: false })
+  }
+
+  async pin(cid) {
+    await (await this.getClient()).pin.add(cid)
+  }
+
+  async unpin(cid) {
+    try {
+      await (await this.getClient()).pin.rm(cid)
+    } catch (error) {
+      // Not pinned: nothing keeps the content on the node
+      if (!/not pinned/i.test(error.message)) {
+        throw error
+      }
+    }
+  }
+
+  async stat(cid) {
+    const client = await this.getClient()
+    let stats
+    try {
+      stats = await client.files.stat(`/ipfs/${cid}`)
+    } catch (error) {
+      return null
+    }
+
+    let pinned = false
+    try {
+      for await (const pin of client.pin.ls({ paths: [cid] })) {
+        pinned = Boolean(pin)
+      }
+    } catch (error) {
+      // pin.ls throws for content that is not pinned
+      pinned = false
+    }
+
+    return { cid, size: Number(stats.size), pinned }
+  }
+
+  /**
+   * Unpinned content is garbage-collected by the node, so only recursive pins are listed
+   */
+  async list() {
+    const entries = []
+    for await (const pin of (await this.getClient()).pin.ls({ type: 'recursive' })) {
+      entries.push({ cid: pin.cid.toString(), pinned: true })
+    }
+    return entries
+  }
+
+  async delete(cid) {
+    await this.unpin(cid)
+  }
+}
+
+module.exports = {
+  IpfsBackend,
+  createIpfsClient,
+  createHttpClient,
+  createMockClient
+}
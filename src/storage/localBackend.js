@@ -0,0 +1,151 @@
+/*
+ * Project: DecentraFile
+ * Author: Thor Thor
+ * Contact: codethor@gmail.com
+ * LinkedIn: https://www.linkedin.com/in/thor-thor0
+ */
+
+const fs = require('fs')
+const path = require('path')
+const crypto = require('crypto')
+const { Transform } = require('stream')
+const { pipeline } = require('stream/promises')
+const StorageBackend = require('./StorageBackend')
+const { createCidHasher, isRawCid } = require('./cid')
+
+/**
+ * Content-addressed storage in a local directory
+ *
+ * Layout under the root directory:
+ *   blobs/<cid>  stored content, written once and never modified
+ *   pins/<cid>   empty marker present while the content is pinned
+ *   tmp/         partial uploads, renamed into blobs/ once hashed
+ *
+ * Storing the same content twice keeps a single blob. Unpinning only records
+ * the state; nothing is removed until delete is called.
+ */
+class LocalBackend extends StorageBackend {
+  /**
+   * @param {string} rootDir - Directory holding the store (created if missing)
+   */
+  constructor(rootDir) {
+    super('local', 'Local storage')
+    if (!rootDir || typeof rootDir !== 'string') {
+      throw new Error('Local storage backend requires a root directory')
+    }
+    this.rootDir = path.resolve(rootDir)
+    this.blobDir = path.join(this.rootDir, 'blobs')
+    this.pinDir = path.join(this.rootDir, 'pins')
+    this.tmpDir = path.join(this.rootDir, 'tmp')
+    this.ready = null
+  }
+
+  /**
+   * Create the store directories on first use
+   * @returns {Promise<void>}
+   */
+  async ensureDirs() {
+    if (!this.ready) {
+      this.ready = Promise.all([this.blobDir, this.pinDir, this.tmpDir].map(dir => fs.promises.mkdir(dir, { recursive: true })))
+        .catch((error) => {
+          this.ready = null
+          throw error
+        })
+    }
+    await this.ready
+  }
+
+  /**
+   * Path of a stored blob, rejecting anything that is not a CID this backend issues
+   * @param {string} dir - blobs or pins directory
+   * @param {string} cid - Content identifier
+   * @returns {string} Absolute path
+   */
+  pathFor(dir, cid) {
+    if (!isRawCid(cid)) {
+      throw new Error(`Invalid content identifier for local storage: ${String(cid).substring(0, 64)}`)
+    }
+    return path.join(dir, cid)
+  }
+
+  async put(source) {
+    await this.ensureDirs()
+    const hasher = createCidHasher()
+    let size = 0
+    const hashing = new Transform({
+      transform(chunk, encoding, callback) {
+        hasher.update(chunk)
+        size += chunk.length
+        callback(null, chunk)
+      }
+    })
+
+    const tmpPath = path.join(this.tmpDir, `${crypto.randomBytes(16).toString('hex')}.part`)
+    try {
+      await pipeline(source, hashing, fs.createWriteStream(tmpPath, { flags: 'wx' }))
+      const cid = hasher.digest()
+      const blobPath = this.pathFor(this.blobDir, cid)
+      if (fs.existsSync(blobPath)) {
+        await fs.promises.rm(tmpPath, { force: true })
+      } else {
+        await fs.promises.rename(tmpPath, blobPath)
+      }
+      return { cid, size }
+    } catch (error) {
+      await fs.promises.rm(tmpPath, { force: true })
+      throw error
+    }
+  }
+
+  async get(cid, { offset = 0, length } = {}) {
+    const blobPath = this.pathFor(this.blobDir, cid)
+    try {
+      await fs.promises.access(blobPath, fs.constants.R_OK)
+    } catch (error) {
+      throw new Error(`Content not found: ${cid}`)
+    }
+    // createReadStream takes an inclusive end
+    return fs.createReadStream(blobPath, { start: offset, end: length === undefined ? undefined : offset + length - 1 })
+  }
+
+  async pin(cid) {
+    await this.ensureDirs()
+    if (!fs.existsSync(this.pathFor(this.blobDir, cid))) {
+      throw new Error(`Content not found: ${cid}`)
+    }
+    await fs.promises.writeFile(this.pathFor(this.pinDir, cid), '')
+  }
+
+  async unpin(cid) {
+    await fs.promises.rm(this.pathFor(this.pinDir, cid), { force: true })
+  }
+
+  async stat(cid) {
+    const blobPath = this.pathFor(this.blobDir, cid)
+    let stats
+    try {
+      stats = await fs.promises.stat(blobPath)
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return null
+      }
+      throw error
+    }
+    return { cid, size: stats.size, pinned: fs.existsSync(this.pathFor(this.pinDir, cid)) }
+  }
+
+  async list() {
+    await this.ensureDirs()
+    const pinned = new Set(await fs.promises.readdir(this.pinDir))
+    return (await fs.promises.readdir(this.blobDir))
+      .filter(isRawCid)
+      .map(cid => ({ cid, pinned: pinned.has(cid) }))
+  }
+
+  async delete(cid) {
+    await fs.promises.rm(this.pathFor(this.pinDir, cid), { force: true })
+    await fs.promises.rm(this.pathFor(this.blobDir, cid), { force: true })
+  }
+}
+
+module.exports = LocalBackend
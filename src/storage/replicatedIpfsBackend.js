@@ -0,0 +1,468 @@
+/*
+ * Project: DecentraFile
+ * Author: Thor Thor
+ * Contact: codethor@gmail.com
+ * LinkedIn: https://www.linkedin.com/in/thor-thor0
+ */
+
+const { PassThrough, Readable } = require('stream')
+const StorageBackend = require('./StorageBackend')
+const { logger } = require('../utils/logger')
+
+// A node is reported unhealthy, and tried last, after this many failures in a row
+const UNHEALTHY_AFTER_FAILURES = 3
+
+const DEFAULT_HEDGE_DELAY_MS = 500
+const DEFAULT_NODE_TIMEOUT_MS = 15000
+
+/**
+ * Describe an endpoint for logs and health reports without credentials
+ * @param {string} endpoint - Endpoint URL
+ * @returns {string} Endpoint without user info or query string
+ */
+function describeEndpoint(endpoint) {
+  try {
+    const url = new URL(endpoint)
+    return `${url.protocol}//${url.host}${url.pathname}`
+  } catch (error) {
+    return String(endpoint).substring(0, 30) + '...'
+  }
+}
+
+/**
+ * Reject if a promise does not settle in time
+ * @param {Promise} promise - Promise to wait for
+ * @param {number} ms - Time limit
+ * @param {string} message - Error message on timeout
+ * @returns {Promise} The promise's result
+ */
+function withTimeout(promise, ms, message) {
+  let timeoutHandle = null
+  const timeout = new Promise((resolve, reject) => {
+    timeoutHandle = setTimeout(() => reject(new Error(message)), ms)
+  })
+  return Promise.race([promise, timeout]).finally(() => clearTimeout(timeoutHandle))
+}
+
+/**
+ * Wait until a stream can take more data or is closed
+ * @param {Writable} stream - Stream that returned false from write
+ * @returns {Promise<void>}
+ */
+function waitForDrain(stream) {
+  return new Promise((resolve) => {
+    const done = () => {
+      stream.off('drain', done)
+      stream.off('close', done)
+      resolve()
+    }
+    stream.on('drain', done)
+    stream.on('close', done)
+  })
+}
+
+/**
+ * IPFS storage replicated across several nodes
+ *
+ * Uploads are streamed to `replicationFactor` nodes at once and succeed when
+ * `writeQuorum` of them return the same CID; slower replicas keep going in the
+ * background. Reads start on the best-ranked node and, if it has not produced a
+ * byte within `hedgeDelayMs`, on the next one as well; the first node to answer
+ * serves the read. A node that fails or stalls for `nodeTimeoutMs` mid-read is
+ * replaced by another node from the same byte offset. Every outcome updates the
+ * node's health, which decides the order nodes are tried in.
+ */
+class ReplicatedIpfsBackend extends StorageBackend {
+  /**
+   * @param {Array<Object>} nodes - [{ endpoint, backend }] where backend is an IpfsBackend
+   * @param {Object} options - Replication settings
+   * @param {number} options.replicationFactor - Nodes each upload is sent to (default: all)
+   * @param {number} options.writeQuorum - Replicas that must succeed (default: a majority of replicationFactor)
+   * @param {number} options.hedgeDelayMs - Wait before also reading from the next node
+   * @param {number} options.nodeTimeoutMs - Inactivity limit for a single node
+   */
+  constructor(nodes, options = {}) {
+    super('ipfs', 'IPFS')
+    if (!Array.isArray(nodes) || nodes.length === 0) {
+      throw new Error('Replicated IPFS backend requires at least one node')
+    }
+
+    this.replicationFactor = options.replicationFactor || nodes.length
+    this.writeQuorum = options.writeQuorum || Math.floor(this.replicationFactor / 2) + 1
+    this.hedgeDelayMs = options.hedgeDelayMs !== undefined ? options.hedgeDelayMs : DEFAULT_HEDGE_DELAY_MS
+    this.nodeTimeoutMs = options.nodeTimeoutMs || DEFAULT_NODE_TIMEOUT_MS
+
+    if (this.replicationFactor < 1 || this.replicationFactor > nodes.length) {
+      throw new Error(`Replication factor must be between 1 and the number of IPFS endpoints (${nodes.length})`)
+    }
+    if (this.writeQuorum < 1 || this.writeQuorum > this.replicationFactor) {
+      throw new Error(`Write quorum must be between 1 and the replication factor (${this.replicationFactor})`)
+    }
+
+    this.nodes = nodes.map(({ endpoint, backend }) => ({
+      endpoint: describeEndpoint(endpoint),
+      backend,
+      successes: 0,
+      failures: 0,
+      consecutiveFailures: 0,
+      latencyMs: null,
+      lastError: null,
+      lastSuccessAt: null,
+      lastFailureAt: null
+    }))
+  }
+
+  /**
+   * Record a successful operation on a node
+   * @param {Object} node - Node record
+   * @param {number} startedAt - Start time of the operation (Date.now())
+   */
+  recordSuccess(node, startedAt) {
+    const latency = Date.now() - startedAt
+    node.successes++
+    node.consecutiveFailures = 0
+    // Exponential moving average, so one slow request does not reorder the nodes
+    node.latencyMs = node.latencyMs === null ? latency : Math.round(node.latencyMs * 0.7 + latency * 0.3)
+    node.lastSuccessAt = new Date().toISOString()
+  }
+
+  /**
+   * Record a failed operation on a node
+   * @param {Object} node - Node record
+   * @param {Error} error - The failure
+   * @param {string} operation - Operation name for the log
+   */
+  recordFailure(node, error, operation) {
+    node.failures++
+    node.consecutiveFailures++
+    node.lastError = error.message
+    node.lastFailureAt = new Date().toISOString()
+    logger.warn('IPFS node failed', {
+      service: 'ipfs',
+      endpoint: node.endpoint,
+      operation,
+      consecutiveFailures: node.consecutiveFailures,
+      error: error.message
+    })
+  }
+
+  /**
+   * Nodes in the order they should be tried: healthy before unhealthy, then fastest first
+   * @returns {Array<Object>} Node records
+   */
+  rankedNodes() {
+    return [...this.nodes].sort((a, b) => {
+      const aHealthy = a.consecutiveFailures < UNHEALTHY_AFTER_FAILURES
+      const bHealthy = b.consecutiveFailures < UNHEALTHY_AFTER_FAILURES
+      if (aHealthy !== bHealthy) {
+        return aHealthy ? -1 : 1
+      }
+      return (a.latencyMs === null ? 0 : a.latencyMs) - (b.latencyMs === null ? 0 : b.latencyMs)
+    })
+  }
+
+  health() {
+    return this.nodes.map(node => ({
+      endpoint: node.endpoint,
+      healthy: node.consecutiveFailures < UNHEALTHY_AFTER_FAILURES,
+      successes: node.successes,
+      failures: node.failures,
+      consecutiveFailures: node.consecutiveFailures,
+      latencyMs: node.latencyMs,
+      lastError: node.lastError,
+      lastSuccessAt: node.lastSuccessAt,
+      lastFailureAt: node.lastFailureAt
+    }))
+  }
+
+  async put(source) {
+    const replicas = this.rankedNodes().slice(0, this.replicationFactor).map((node) => {
+      const replica = { node, input: new PassThrough(), failed: false }
+      const startedAt = Date.now()
+      replica.fail = (error) => {
+        if (!replica.failed) {
+          replica.failed = true
+          replica.input.destroy()
+          this.recordFailure(node, error, 'put')
+        }
+      }
+      // Settles with the replica's result, or null once the replica has failed
+      replica.result = node.backend.put(replica.input).then((result) => {
+        if (replica.failed) {
+          return null
+        }
+        this.recordSuccess(node, startedAt)
+        return result
+      }, (error) => {
+        replica.fail(error)
+        return null
+      })
+      return replica
+    })
+    const live = () => replicas.filter(replica => !replica.failed)
+    const quorumError = () => new Error(
+      `IPFS write quorum not reached: ${live().length} of ${replicas.length} nodes accepted the upload (quorum ${this.writeQuorum}). ` +
+      replicas.filter(replica => replica.failed).map(replica => `${replica.node.endpoint}: ${replica.node.lastError}`).join('; ')
+    )
+
+    try {
+      for await (const chunk of source) {
+        if (live().length < this.writeQuorum) {
+          throw quorumError()
+        }
+        await Promise.all(live().map(async (replica) => {
+          if (!replica.input.write(chunk)) {
+            await withTimeout(waitForDrain(replica.input), this.nodeTimeoutMs, 'IPFS node stopped accepting data')
+              .catch(error => replica.fail(error))
+          }
+        }))
+      }
+      live().forEach(replica => replica.input.end())
+    } catch (error) {
+      // The source or the quorum failed, not the nodes: abandon the replicas without recording failures
+      replicas.forEach((replica) => {
+        replica.failed = true
+        replica.input.destroy()
+      })
+      throw error
+    }
+
+    // Resolve as soon as a quorum agrees on the CID; the other replicas finish in the background
+    const acks = new Map()
+    const result = await new Promise((resolve) => {
+      let pending = replicas.length
+      for (const replica of replicas) {
+        withTimeout(replica.result, this.nodeTimeoutMs, 'IPFS node did not confirm the upload')
+          .catch((error) => {
+            replica.fail(error)
+            return null
+          })
+          .then((replicaResult) => {
+            pending--
+            if (replicaResult) {
+              const cid = replicaResult.cid
+              acks.set(cid, (acks.get(cid) || 0) + 1)
+              if (acks.get(cid) === this.writeQuorum) {
+                resolve(replicaResult)
+              }
+            }
+            if (pending === 0) {
+              resolve(null)
+            }
+          })
+      }
+    })
+
+    if (!result) {
+      if (acks.size > 1) {
+        throw new Error(`IPFS write quorum not reached: nodes returned different CIDs (${Array.from(acks.keys()).join(', ')})`)
+      }
+      throw quorumError()
+    }
+    if (acks.get(result.cid) < replicas.length) {
+      logger.debug('IPFS upload reached quorum before all replicas finished', {
+        service: 'ipfs',
+        acknowledged: acks.get(result.cid),
+        replicas: replicas.length
+      })
+    }
+    return result
+  }
+
+  /**
+   * Open a read on one node and wait for its first chunk
+   * @param {Object} node - Node record
+   * @param {string} cid - Content identifier
+   * @param {number} offset - Byte offset to read from
+   * @param {number} length - Bytes to read, or undefined to read to the end
+   * @returns {Promise<Object>} { node, iterator, first, cancel }
+   */
+  async openRead(node, cid, offset, length) {
+    const controller = new AbortController()
+    const startedAt = Date.now()
+    let stream = null
+    const cancel = () => {
+      controller.abort()
+      if (stream) {
+        stream.destroy()
+      }
+    }
+    try {
+      stream = await node.backend.get(cid, { offset, length, signal: controller.signal })
+      const iterator = stream[Symbol.asyncIterator]()
+      const first = await withTimeout(iterator.next(), this.nodeTimeoutMs, 'IPFS node timed out')
+      this.recordSuccess(node, startedAt)
+      return { node, iterator, first, cancel }
+    } catch (error) {
+      cancel()
+      this.recordFailure(node, error, 'get')
+      throw error
+    }
+  }
+
+  /**
+   * Read from the first node that answers, adding a node every hedgeDelayMs or on failure
+   * @param {Array<Object>} candidates - Node records in the order to try them
+   * @param {string} cid - Content identifier
+   * @param {number} offset - Byte offset to read from
+   * @param {number} length - Bytes to read, or undefined to read to the end
+   * @returns {Promise<Object>} The winning read (see openRead)
+   */
+  hedgedRead(candidates, cid, offset, length) {
+    return new Promise((resolve, reject) => {
+      const errors = []
+      let next = 0
+      let running = 0
+      let winner = null
+      let hedgeTimer = null
+
+      const launch = () => {
+        clearTimeout(hedgeTimer)
+        if (winner || next >= candidates.length) {
+          return
+        }
+        const node = candidates[next++]
+        running++
+        this.openRead(node, cid, offset, length).then((read) => {
+          running--
+          if (winner) {
+            read.cancel()
+            return
+          }
+          winner = read
+          clearTimeout(hedgeTimer)
+          resolve(read)
+        }, (error) => {
+          running--
+          errors.push(`${node.endpoint}: ${error.message}`)
+          if (winner) {
+            return
+          }
+          if (next < candidates.length) {
+            launch()
+          } else if (running === 0) {
+            reject(new Error(`All IPFS nodes failed: ${errors.join('; ')}`))
+          }
+        })
+        if (next < candidates.length) {
+          hedgeTimer = setTimeout(launch, this.hedgeDelayMs)
+        }
+      }
+
+      launch()
+    })
+  }
+
+  /**
+   * @param {string} cid - Content identifier
+   * @param {Object} options - { offset, length } range to read
+   * @returns {Promise<Readable>} Content stream, served by whichever nodes answer fastest
+   */
+  async get(cid, { offset: start = 0, length } = {}) {
+    let current = await this.hedgedRead(this.rankedNodes(), cid, start, length)
+    const backend = this
+
+    async function * content() {
+      let offset = start
+      let step = current.first
+      try {
+        while (!step.done) {
+          offset += step.value.length
+          yield step.value
+          try {
+            step = await withTimeout(current.iterator.next(), backend.nodeTimeoutMs, 'IPFS node timed out')
+          } catch (error) {
+            current.cancel()
+            backend.recordFailure(current.node, error, 'get')
+            const failedNode = current.node
+            const remaining = length === undefined ? undefined : length - (offset - start)
+            if (remaining === 0) {
+              // The node failed after sending the whole range
+              break
+            }
+            current = await backend.hedgedRead(backend.rankedNodes().filter(node => node !== failedNode), cid, offset, remaining)
+            step = current.first
+          }
+        }
+      } finally {
+        current.cancel()
+      }
+    }
+
+    return Readable.from(content(), { objectMode: false })
+  }
+
+  /**
+   * Run an operation on every node in parallel, each with the node timeout
+   * @param {string} operation - Operation name for health records
+   * @param {Function} fn - async (node) => result
+   * @returns {Promise<Array<Object>>} [{ node, ok, value, error }]
+   */
+  async onAllNodes(operation, fn) {
+    return Promise.all(this.nodes.map(async (node) => {
+      const startedAt = Date.now()
+      try {
+        const value = await withTimeout(fn(node), this.nodeTimeoutMs, 'IPFS node timed out')
+        this.recordSuccess(node, startedAt)
+        return { node, ok: true, value }
+      } catch (error) {
+        this.recordFailure(node, error, operation)
+        return { node, ok: false, error }
+      }
+    }))
+  }
+
+  async pin(cid) {
+    // Pinning on a node without the content makes it fetch the content from its peers
+    const results = await this.onAllNodes('pin', node => node.backend.pin(cid))
+    const pinned = results.filter(result => result.ok).length
+    if (pinned < this.writeQuorum) {
+      throw new Error(`IPFS pin quorum not reached: ${pinned} of ${results.length} nodes pinned the content (quorum ${this.writeQuorum})`)
+    }
+  }
+
+  async unpin(cid) {
+    const results = await this.onAllNodes('unpin', node => node.backend.delete(cid))
+    if (!results.some(result => result.ok)) {
+      throw new Error(`IPFS unpin failed on every node: ${results[0].error.message}`)
+    }
+  }
+
+  async stat(cid) {
+    const results = await this.onAllNodes('stat', node => node.backend.stat(cid))
+    const found = results.filter(result => result.ok && result.value)
+    if (found.length === 0) {
+      return null
+    }
+    return {
+      cid,
+      size: found[0].value.size,
+      pinned: found.some(result => result.value.pinned),
+      replicas: found.length
+    }
+  }
+
+  /**
+   * Union of the pins on every reachable node, with the number of nodes pinning each CID
+   */
+  async list() {
+    const results = await this.onAllNodes('list', node => node.backend.list())
+    const reachable = results.filter(result => result.ok)
+    if (reachable.length === 0) {
+      throw new Error(`IPFS pin listing failed on every node: ${results[0].error.message}`)
+    }
+    const replicas = new Map()
+    for (const result of reachable) {
+      for (const { cid } of result.value) {
+        replicas.set(cid, (replicas.get(cid) || 0) + 1)
+      }
+    }
+    return Array.from(replicas, ([cid, count]) => ({ cid, pinned: true, replicas: count }))
+  }
+
+  async delete(cid) {
+    await this.unpin(cid)
+  }
+}
+
+module.exports = ReplicatedIpfsBackend
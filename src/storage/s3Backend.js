@@ -0,0 +1,209 @@
+/*
+ * Project: DecentraFile
+ * Author: Thor Thor
+ * Contact: codethor@gmail.com
+ * LinkedIn: https://www.linkedin.com/in/thor-thor0
+ */
+
+const crypto = require('crypto')
+const { Transform, pipeline } = require('stream')
+const StorageBackend = require('./StorageBackend')
+const { createCidHasher, isRawCid } = require('./cid')
+
+/**
+ * Check whether an S3 error means the object does not exist
+ * @param {Error} error - Error thrown by the S3 client
+ * @returns {boolean} True for missing objects
+ */
+function isNotFound(error) {
+  return error.name === 'NoSuchKey' ||
+    error.name === 'NotFound' ||
+    (error.$metadata && error.$metadata.httpStatusCode === 404)
+}
+
+/**
+ * Content-addressed storage in an S3-compatible bucket (AWS S3, MinIO, ...)
+ *
+ * The CID is only known once the whole upload has been hashed, so content is
+ * streamed to objects/<random id> and then recorded under cids/<cid> as a small
+ * JSON index entry { key, size, pinned }. Storing content that is already
+ * indexed deletes the new copy. Credentials come from the AWS SDK default chain
+ * (AWS_ACCESS_KEY_ID / AWS_SECRET_ACCESS_KEY, shared config, instance roles).
+ */
+class S3Backend extends StorageBackend {
+  /**
+   * @param {Object} options - Bucket settings
+   * @param {string} options.bucket - Bucket name
+   * @param {string} options.endpoint - Endpoint URL for S3-compatible services (optional for AWS)
+   * @param {string} options.region - Region (default 'us-east-1')
+   * @param {string} options.prefix - Key prefix inside the bucket (optional)
+   * @param {Object} options.client - Preconfigured S3Client (optional)
+   */
+  constructor(options = {}) {
+    super('s3', 'S3')
+    if (!options.bucket) {
+      throw new Error('S3 storage backend requires a bucket')
+    }
+    this.bucket = options.bucket
+    this.prefix = options.prefix || ''
+    this.sdk = require('@aws-sdk/client-s3')
+    this.client = options.client || new this.sdk.S3Client({
+      endpoint: options.endpoint || undefined,
+      region: options.region || 'us-east-1',
+      // MinIO and most self-hosted services only support path-style bucket addressing
+      forcePathStyle: Boolean(options.endpoint),
+      requestChecksumCalculation: 'WHEN_REQUIRED',
+      responseChecksumValidation: 'WHEN_REQUIRED'
+    })
+  }
+
+  /**
+   * Key of the index entry for a CID, rejecting anything that is not a CID this backend issues
+   * @param {string} cid - Content identifier
+   * @returns {string} Object key
+   */
+  indexKey(cid) {
+    if (!isRawCid(cid)) {
+      throw new Error(`Invalid content identifier for S3 storage: ${String(cid).substring(0, 64)}`)
+    }
+    return `${this.prefix}cids/${cid}`
+  }
+
+  /**
+   * Read the index entry for a CID
+   * @param {string} cid - Content identifier
+   * @returns {Promise<Object|null>} { key, size, pinned }, or null if not stored
+   */
+  async readIndex(cid) {
+    try {
+      const response = await this.client.send(new this.sdk.GetObjectCommand({ Bucket: this.bucket, Key: this.indexKey(cid) }))
+      return JSON.parse(await response.Body.transformToString())
+    } catch (error) {
+      if (isNotFound(error)) {
+        return null
+      }
+      throw error
+    }
+  }
+
+  /**
+   * Write the index entry for a CID
+   * @param {string} cid - Content identifier
+   * @param {Object} entry - { key, size, pinned }
+   * @returns {Promise<void>}
+   */
+  async writeIndex(cid, entry) {
+    await this.client.send(new this.sdk.PutObjectCommand({
+      Bucket: this.bucket,
+      Key: this.indexKey(cid),
+      Body: JSON.stringify(entry),
+      ContentType: 'application/json'
+    }))
+  }
+
+  async put(source) {
+    const { Upload } = require('@aws-sdk/lib-storage')
+    const hasher = createCidHasher()
+    let size = 0
+    const hashing = new Transform({
+      transform(chunk, encoding, callback) {
+        hasher.update(chunk)
+        size += chunk.length
+        callback(null, chunk)
+      }
+    })
+    const objectKey = `${this.prefix}objects/${crypto.randomUUID()}`
+
+    // A source error destroys `hashing`, which makes the upload fail
+    const body = pipeline(source, hashing, () => {})
+    const upload = new Upload({
+      client: this.client,
+      params: { Bucket: this.bucket, Key: objectKey, Body: body, ContentType: 'application/octet-stream' }
+    })
+    try {
+      await upload.done()
+    } catch (error) {
+      await upload.abort().catch(() => {})
+      throw error
+    }
+
+    const cid = hasher.digest()
+    if (await this.readIndex(cid)) {
+      await this.client.send(new this.sdk.DeleteObjectCommand({ Bucket: this.bucket, Key: objectKey }))
+    } else {
+      await this.writeIndex(cid, { key: objectKey, size, pinned: false })
+    }
+    return { cid, size }
+  }
+
+  async get(cid, { offset = 0, length } = {}) {
+    const entry = await this.readIndex(cid)
+    if (!entry) {
+      throw new Error(`Content not found: ${cid}`)
+    }
+    const request = { Bucket: this.bucket, Key: entry.key }
+    if (offset > 0 || length !== undefined) {
+      request.Range = `bytes=${offset}-${length === undefined ? '' : offset + length - 1}`
+    }
+    const response = await this.client.send(new this.sdk.GetObjectCommand(request))
+    return response.Body
+  }
+
+  async pin(cid) {
+    const entry = await this.readIndex(cid)
+    if (!entry) {
+      throw new Error(`Content not found: ${cid}`)
+    }
+    if (!entry.pinned) {
+      await this.writeIndex(cid, { ...entry, pinned: true })
+    }
+  }
+
+  async unpin(cid) {
+    const entry = await this.readIndex(cid)
+    if (entry && entry.pinned) {
+      await this.writeIndex(cid, { ...entry, pinned: false })
+    }
+  }
+
+  async stat(cid) {
+    const entry = await this.readIndex(cid)
+    if (!entry) {
+      return null
+    }
+    return { cid, size: entry.size, pinned: Boolean(entry.pinned) }
+  }
+
+  async list() {
+    const entries = []
+    const indexPrefix = `${this.prefix}cids/`
+    let continuationToken
+    do {
+      const page = await this.client.send(new this.sdk.ListObjectsV2Command({
+        Bucket: this.bucket,
+        Prefix: indexPrefix,
+        ContinuationToken: continuationToken
+      }))
+      for (const object of page.Contents || []) {
+        const cid = object.Key.substring(indexPrefix.length)
+        const entry = isRawCid(cid) ? await this.readIndex(cid) : null
+        if (entry) {
+          entries.push({ cid, pinned: Boolean(entry.pinned) })
+        }
+      }
+      continuationToken = page.IsTruncated ? page.NextContinuationToken : undefined
+    } while (continuationToken)
+    return entries
+  }
+
+  async delete(cid) {
+    const entry = await this.readIndex(cid)
+    if (!entry) {
+      return
+    }
+    await this.client.send(new this.sdk.DeleteObjectCommand({ Bucket: this.bucket, Key: entry.key }))
+    await this.client.send(new this.sdk.DeleteObjectCommand({ Bucket: this.bucket, Key: this.indexKey(cid) }))
+  }
+}
+
+module.exports = S3Backend
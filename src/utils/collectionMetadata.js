@@ -0,0 +1,116 @@
+/*
+ * Project: DecentraFile
+ * Author: Thor Thor
+ * Contact: codethor@gmail.com
+ * LinkedIn: https://www.linkedin.com/in/thor-thor0
+ */
+
+/**
+ * Collection metadata storage utility
+ * Records the account a collection was created for when the server's account owns it
+ * on-chain, as uploadedBy does for files. Entries are keyed by contract and collection id,
+ * since every deployment numbers its collections from 1.
+ * Uses the same persistent storage pattern as the filename mapping, and memory without a file
+ */
+
+const fs = require('fs')
+const path = require('path')
+const { logger, logError } = require('./logger')
+
+const COLLECTION_MAPPING_FILE = process.env.COLLECTION_MAPPING_FILE || (process.env.IPFS_MAPPING_FILE ? path.join(path.dirname(process.env.IPFS_MAPPING_FILE), 'collection-mapping.json') : null)
+
+// Used when no mapping file is configured
+const memoryMapping = new Map()
+
+/**
+ * @returns {string} Mapping key of a collection
+ */
+function collectionKey(contractAddress, collectionId) {
+  return `${contractAddress.toLowerCase()}:${collectionId}`
+}
+
+/**
+ * Load collection metadata from persistent storage
+ * @returns {Map} Map of "contract:collectionId" to { createdFor }
+ */
+function loadCollectionMapping() {
+  if (!COLLECTION_MAPPING_FILE) {
+    return new Map(memoryMapping)
+  }
+  const mapping = new Map()
+  if (!fs.existsSync(COLLECTION_MAPPING_FILE)) {
+    return mapping
+  }
+  try {
+    const parsed = JSON.parse(fs.readFileSync(COLLECTION_MAPPING_FILE, 'utf8') || '{}')
+    if (typeof parsed !== 'object' || parsed === null || Array.isArray(parsed)) {
+      throw new Error('Invalid collection mapping file format: expected object')
+    }
+    for (const [key, metadata] of Object.entries(parsed)) {
+      if (metadata && typeof metadata.createdFor === 'string') {
+        mapping.set(key, { createdFor: metadata.createdFor })
+      }
+    }
+  } catch (error) {
+    logError(error, { operation: 'load_collection_mapping' })
+    logger.warn('Failed to load collection mapping, using empty mapping')
+    try {
+      fs.copyFileSync(COLLECTION_MAPPING_FILE, `${COLLECTION_MAPPING_FILE}.corrupted.${Date.now()}`)
+    } catch (backupError) {
+      // Ignore backup errors
+    }
+  }
+  return mapping
+}
+
+/**
+ * Save collection metadata, writing to a temp file and renaming it over the mapping
+ * @param {Map} mapping - Map of "contract:collectionId" to { createdFor }
+ */
+function saveCollectionMapping(mapping) {
+  if (!COLLECTION_MAPPING_FILE) {
+    memoryMapping.clear()
+    for (const [key, metadata] of mapping.entries()) {
+      memoryMapping.set(key, metadata)
+    }
+    return
+  }
+  const tempFile = `${COLLECTION_MAPPING_FILE}.tmp`
+  try {
+    fs.writeFileSync(tempFile, JSON.stringify(Object.fromEntries(mapping), null, 2), 'utf8')
+    fs.renameSync(tempFile, COLLECTION_MAPPING_FILE)
+  } catch (error) {
+    fs.rmSync(tempFile, { force: true })
+    logError(error, { operation: 'save_collection_mapping' })
+    throw new Error(`Failed to save collection mapping: ${error.message}`)
+  }
+}
+
+/**
+ * @param {string} contractAddress - FileRegistry address
+ * @param {number} collectionId - Collection id
+ * @returns {string|null} Account the collection was created for, null if none was recorded
+ */
+function getCollectionCreatedFor(contractAddress, collectionId) {
+  const metadata = loadCollectionMapping().get(collectionKey(contractAddress, collectionId))
+  return metadata ? metadata.createdFor : null
+}
+
+/**
+ * Record the account a collection was created for
+ * @param {string} contractAddress - FileRegistry address
+ * @param {number} collectionId - Collection id
+ * @param {string} createdFor - Account address
+ */
+function setCollectionCreatedFor(contractAddress, collectionId, createdFor) {
+  const mapping = loadCollectionMapping()
+  mapping.set(collectionKey(contractAddress, collectionId), { createdFor })
+  saveCollectionMapping(mapping)
+}
+
+module.exports = {
+  loadCollectionMapping,
+  getCollectionCreatedFor,
+  setCollectionCreatedFor,
+  COLLECTION_MAPPING_FILE
+}
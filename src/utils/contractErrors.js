@@ -0,0 +1,76 @@
+/*
+ * Project: DecentraFile
+ * Author: Thor Thor
+ * Contact: codethor@gmail.com
+ * LinkedIn: https://www.linkedin.com/in/thor-thor0
+ */
+
+/**
+ * FileRegistry custom errors in failed calls
+ *
+ * The library's ABI lists no errors, so web3 reports every revert with the same generic
+ * message. Development nodes name the custom error in the message of the inner error;
+ * other nodes only return its data, which starts with the error's 4-byte selector.
+ */
+
+const { keccak256 } = require('ethereum-cryptography/keccak')
+
+const CUSTOM_ERRORS = [
+  'FileAlreadyExists(bytes32)',
+  'FileNotFound(bytes32)',
+  'InvalidFileHash()',
+  'InvalidEncryptedKey()',
+  'EncryptedKeyTooLarge(uint256,uint256)',
+  'UnauthorizedAccess()',
+  'MaxFilesPerUserExceeded(uint256,uint256)',
+  'InvalidRecipient()',
+  'RecipientNotFound(address)',
+  'ArrayLengthMismatch()',
+  'FileTombstoned(bytes32)',
+  'LocatorTooLarge(uint256,uint256)',
+  'LocatorMismatch(bytes32)',
+  'NotAdmin()',
+  'NotLatestVersion(bytes32,bytes32)',
+  'CollectionNotFound(uint256)',
+  'InvalidCollectionName()',
+  'FileAlreadyInCollection(uint256,bytes32)',
+  'FileNotInCollection(uint256,bytes32)',
+  'CollectionChanged(uint256)',
+  'SignatureExpired(uint256)',
+  'InvalidSignature()'
+]
+
+// 0x-prefixed selector -> error name
+const ERRORS_BY_SELECTOR = new Map(CUSTOM_ERRORS.map(signature => [
+  '0x' + Buffer.from(keccak256(Buffer.from(signature, 'utf8'))).subarray(0, 4).toString('hex'),
+  signature.slice(0, signature.indexOf('('))
+]))
+
+const ERROR_NAMES = new Set(ERRORS_BY_SELECTOR.values())
+
+const NAMED_ERROR = /custom error '?(\w+)\(/
+
+/**
+ * Name the FileRegistry custom error a call reverted with
+ * @param {Error} error - Error thrown by a web3 call, estimate or transaction
+ * @returns {string|null} Error name, e.g. 'FileAlreadyExists', or null if the error is not such a revert
+ */
+function contractErrorName(error) {
+  // web3 wraps the node's error, sometimes twice
+  for (let cause = error, depth = 0; cause && depth < 5; depth++) {
+    const named = NAMED_ERROR.exec(cause.message || '')
+    if (named && ERROR_NAMES.has(named[1])) {
+      return named[1]
+    }
+    const selector = typeof cause.data === 'string' ? cause.data.slice(0, 10).toLowerCase() : null
+    if (ERRORS_BY_SELECTOR.has(selector)) {
+      return ERRORS_BY_SELECTOR.get(selector)
+    }
+    cause = Array.isArray(cause.innerError) ? cause.innerError[0] : (cause.innerError || cause.cause)
+  }
+  return null
+}
+
+module.exports = {
+  contractErrorName
+}
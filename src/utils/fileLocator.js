@@ -0,0 +1,100 @@
+/*
+ * Project: DecentraFile
+ * Author: Thor Thor
+ * Contact: codethor@gmail.com
+ * LinkedIn: https://www.linkedin.com/in/thor-thor0
+ */
+
+/**
+ * On-chain file locators
+ *
+ * A locator tells a client where the ciphertext of a registered file lives, so the
+ * file can be fetched without the uploading server's ipfs-mapping.json.
+ *
+ * Layout: version byte followed by the payload
+ * - 0x00 (LOCATOR_PLAINTEXT): UTF-8 CID. The registry checks keccak256(CID) == fileHash.
+ * - 0x01 (LOCATOR_ENCRYPTED): iv || authTag || AES-256-GCM(CID) under the file's own key,
+ *   so only the owner and recipients holding the key can resolve the CID.
+ */
+
+const { encryptFile, decryptFile, AES_IV_SIZE, AES_AUTH_TAG_SIZE } = require('../crypto/crypto')
+
+const LOCATOR_PLAINTEXT = 0x00
+const LOCATOR_ENCRYPTED = 0x01
+const MAX_LOCATOR_SIZE = 256 // Must match FileRegistry.MAX_LOCATOR_SIZE
+
+/**
+ * Encode an IPFS CID as a locator
+ * @param {string} cid - IPFS CID
+ * @param {Buffer} symmetricKey - File key; when given the CID is encrypted with it
+ * @returns {Buffer} Locator bytes
+ * @throws {Error} If the CID is empty or the locator exceeds MAX_LOCATOR_SIZE
+ */
+function encodeLocator(cid, symmetricKey = null) {
+  if (!cid || typeof cid !== 'string') {
+    throw new Error('CID must be a non-empty string')
+  }
+
+  let locator
+  if (symmetricKey) {
+    const { ciphertext, iv, authTag } = encryptFile(Buffer.from(cid, 'utf8'), symmetricKey)
+    locator = Buffer.concat([
+      Buffer.from([LOCATOR_ENCRYPTED]),
+      Buffer.from(iv, 'hex'),
+      Buffer.from(authTag, 'hex'),
+      ciphertext
+    ])
+  } else {
+    locator = Buffer.concat([Buffer.from([LOCATOR_PLAINTEXT]), Buffer.from(cid, 'utf8')])
+  }
+
+  if (locator.length > MAX_LOCATOR_SIZE) {
+    throw new Error(`Locator exceeds maximum size: ${locator.length} bytes`)
+  }
+  return locator
+}
+
+/**
+ * Decode a locator back to its IPFS CID
+ * @param {Buffer} locator - Locator bytes as stored on-chain
+ * @param {Buffer} symmetricKey - File key, required for encrypted locators
+ * @returns {string} IPFS CID
+ * @throws {Error} If the locator is malformed, the key is missing, or decryption fails
+ */
+function decodeLocator(locator, symmetricKey = null) {
+  if (!Buffer.isBuffer(locator) || locator.length < 2) {
+    throw new Error('Locator is empty or malformed')
+  }
+
+  const version = locator[0]
+  if (version === LOCATOR_PLAINTEXT) {
+    return locator.subarray(1).toString('utf8')
+  }
+
+  if (version === LOCATOR_ENCRYPTED) {
+    if (!symmetricKey) {
+      throw new Error('File key required to decrypt locator')
+    }
+    const headerSize = 1 + AES_IV_SIZE + AES_AUTH_TAG_SIZE
+    if (locator.length <= headerSize) {
+      throw new Error('Encrypted locator is truncated')
+    }
+    const iv = locator.subarray(1, 1 + AES_IV_SIZE).toString('hex')
+    const authTag = locator.subarray(1 + AES_IV_SIZE, headerSize).toString('hex')
+    try {
+      return decryptFile(locator.subarray(headerSize), symmetricKey, iv, authTag).toString('utf8')
+    } catch (error) {
+      throw new Error('Failed to decrypt locator. Invalid key or corrupted data.')
+    }
+  }
+
+  throw new Error(`Unsupported locator version: ${version}`)
+}
+
+module.exports = {
+  encodeLocator,
+  decodeLocator,
+  LOCATOR_PLAINTEXT,
+  LOCATOR_ENCRYPTED,
+  MAX_LOCATOR_SIZE
+}
@@ -7,7 +7,7 @@
 
 /**
  * File metadata storage utility
- * Stores filename and MIME type mappings for fileHash
+ * Stores filename and MIME type mappings for fileHash, and the account an upload was made for
  * Uses same persistent storage pattern as IPFS mapping
  */
 
@@ -19,7 +19,7 @@ const FILENAME_MAPPING_FILE = process.env.FILENAME_MAPPING_FILE || (process.env.
 
 /**
  * Load filename metadata mapping from persistent storage
- * @returns {Map} Map of fileHash to {filename, mimeType, size}
+ * @returns {Map} Map of fileHash to {filename, mimeType, size, uploadedBy}
  */
 function loadFilenameMapping() {
   const mapping = new Map()
@@ -47,7 +47,8 @@ function loadFilenameMapping() {
           mapping.set(fileHash, {
             filename: metadata.filename,
             mimeType: metadata.mimeType || 'application/octet-stream',
-            size: metadata.size || 0
+            size: metadata.size || 0,
+            uploadedBy: typeof metadata.uploadedBy === 'string' ? metadata.uploadedBy : null
           })
           validEntries++
         } else {
@@ -85,7 +86,7 @@ function loadFilenameMapping() {
 /**
  * Save filename metadata mapping to persistent storage
  * Uses atomic write pattern: write to temp file, then rename
- * @param {Map} mapping - Map of fileHash to {filename, mimeType, size}
+ * @param {Map} mapping - Map of fileHash to {filename, mimeType, size, uploadedBy}
  */
 function saveFilenameMapping(mapping) {
   if (FILENAME_MAPPING_FILE) {
@@ -103,6 +104,9 @@ function saveFilenameMapping(mapping) {
           mimeType: metadata.mimeType || 'application/octet-stream',
           size: metadata.size || 0
         }
+        if (metadata.uploadedBy) {
+          data[fileHash].uploadedBy = metadata.uploadedBy
+        }
       }
 
       const jsonData = JSON.stringify(data, null, 2)
@@ -132,7 +136,7 @@ function saveFilenameMapping(mapping) {
 /**
  * Get filename metadata for a fileHash
  * @param {string} fileHash - File hash (bytes32)
- * @returns {Object|null} {filename, mimeType, size} or null if not found
+ * @returns {Object|null} {filename, mimeType, size, uploadedBy} or null if not found
  */
 function getFilenameMetadata(fileHash) {
   const mapping = loadFilenameMapping()
@@ -145,22 +149,58 @@ function getFilenameMetadata(fileHash) {
  * @param {string} filename - Original filename
  * @param {string} mimeType - MIME type
  * @param {number} size - File size in bytes
+ * @param {string} uploadedBy - Optional account the upload was made for
  */
-function setFilenameMetadata(fileHash, filename, mimeType, size) {
+function setFilenameMetadata(fileHash, filename, mimeType, size, uploadedBy = null) {
   const mapping = loadFilenameMapping()
   mapping.set(fileHash, {
     filename,
     mimeType: mimeType || 'application/octet-stream',
-    size: size || 0
+    size: size || 0,
+    uploadedBy
   })
   saveFilenameMapping(mapping)
 }
 
+/**
+ * Remove filename metadata for a fileHash
+ * Writes the mapping directly (no merge with disk) so the entry is not restored
+ * @param {string} fileHash - File hash (bytes32)
+ * @returns {boolean} True if an entry was removed
+ */
+function deleteFilenameMetadata(fileHash) {
+  const mapping = loadFilenameMapping()
+  if (!mapping.delete(fileHash)) {
+    return false
+  }
+
+  if (FILENAME_MAPPING_FILE) {
+    const tempFile = FILENAME_MAPPING_FILE + '.tmp'
+    try {
+      fs.writeFileSync(tempFile, JSON.stringify(Object.fromEntries(mapping), null, 2), 'utf8')
+      fs.renameSync(tempFile, FILENAME_MAPPING_FILE)
+      logger.debug('Removed filename mapping entry', { count: mapping.size })
+    } catch (error) {
+      logError(error, { operation: 'delete_filename_mapping' })
+      if (fs.existsSync(tempFile)) {
+        try {
+          fs.unlinkSync(tempFile)
+        } catch (cleanupError) {
+          // Ignore cleanup errors
+        }
+      }
+      throw new Error(`Failed to remove filename mapping entry: ${error.message}`)
+    }
+  }
+  return true
+}
+
 module.exports = {
   loadFilenameMapping,
   saveFilenameMapping,
   getFilenameMetadata,
   setFilenameMetadata,
+  deleteFilenameMetadata,
   FILENAME_MAPPING_FILE
 }
 
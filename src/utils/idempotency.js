@@ -0,0 +1,263 @@
+/*
+ * Project: DecentraFile
+ * Author: Thor Thor
+ * Contact: codethor@gmail.com
+ * LinkedIn: https://www.linkedin.com/in/thor-thor0
+ */
+
+/**
+ * Idempotency-Key support for HTTP endpoints
+ *
+ * The first request with a key runs; its response is stored and replayed to every
+ * retry with the same key, and a retry that arrives while the first request is still
+ * running waits for its response. Reusing a key for a different request is rejected.
+ *
+ * Responses are persisted like the other mappings (a JSON file written atomically,
+ * or memory only) and kept for IDEMPOTENCY_TTL_HOURS. Requests still running are only
+ * known to this process: a retry after a restart runs again.
+ */
+
+const fs = require('fs')
+const path = require('path')
+const crypto = require('crypto')
+const { logger, logError, logSecurityEvent } = require('./logger')
+
+const IDEMPOTENCY_FILE = process.env.IDEMPOTENCY_FILE || (process.env.IPFS_MAPPING_FILE ? path.join(path.dirname(process.env.IPFS_MAPPING_FILE), 'idempotency-keys.json') : null)
+const IDEMPOTENCY_HEADER = 'Idempotency-Key'
+const DEFAULT_TTL_MS = (Number(process.env.IDEMPOTENCY_TTL_HOURS) || 24) * 60 * 60 * 1000
+
+// Visible ASCII only, so keys are safe to log and store
+const IDEMPOTENCY_KEY_PATTERN = /^[\x21-\x7e]{1,255}$/
+
+class IdempotencyStore {
+  /**
+   * @param {string|null} filePath - JSON file to persist responses to; null keeps them in memory
+   * @param {number} ttlMs - How long a response is replayed
+   */
+  constructor(filePath = IDEMPOTENCY_FILE, ttlMs = DEFAULT_TTL_MS) {
+    this.filePath = filePath
+    this.ttlMs = ttlMs
+    this.records = new Map()
+    this.inFlight = new Map()
+    this.load()
+  }
+
+  /**
+   * Load stored responses from disk, keeping a backup of a corrupted file
+   */
+  load() {
+    if (!this.filePath || !fs.existsSync(this.filePath)) {
+      return
+    }
+    try {
+      const parsed = JSON.parse(fs.readFileSync(this.filePath, 'utf8') || '{}')
+      if (typeof parsed !== 'object' || parsed === null || Array.isArray(parsed)) {
+        throw new Error('Invalid idempotency file format: expected object')
+      }
+      for (const [key, record] of Object.entries(parsed)) {
+        if (record && record.response && typeof record.fingerprint === 'string') {
+          this.records.set(key, record)
+        }
+      }
+      logger.debug('Loaded idempotency keys', { count: this.records.size })
+    } catch (error) {
+      logError(error, { operation: 'load_idempotency_keys' })
+      logger.warn('Failed to load idempotency file, starting empty')
+      try {
+        fs.copyFileSync(this.filePath, `${this.filePath}.corrupted.${Date.now()}`)
+      } catch (backupError) {
+        // Ignore backup errors
+      }
+    }
+  }
+
+  /**
+   * Write all stored responses to disk (atomic: temp file, then rename)
+   */
+  save() {
+    if (!this.filePath) {
+      return
+    }
+    const tempFile = `${this.filePath}.tmp`
+    try {
+      fs.mkdirSync(path.dirname(this.filePath), { recursive: true })
+      fs.writeFileSync(tempFile, JSON.stringify(Object.fromEntries(this.records), null, 2), 'utf8')
+      fs.renameSync(tempFile, this.filePath)
+    } catch (error) {
+      logError(error, { operation: 'save_idempotency_keys' })
+      logger.warn('Failed to save idempotency file, continuing with in-memory only')
+      fs.rmSync(tempFile, { force: true })
+    }
+  }
+
+  /**
+   * Drop responses older than the TTL
+   */
+  prune() {
+    const cutoff = Date.now() - this.ttlMs
+    let dropped = 0
+    for (const [key, record] of this.records) {
+      if (Date.parse(record.createdAt) < cutoff) {
+        this.records.delete(key)
+        dropped++
+      }
+    }
+    if (dropped > 0) {
+      this.save()
+    }
+  }
+
+  /**
+   * Claim a key for a request
+   *
+   * Returns one of:
+   * - { response, fingerprint }: the key was used before; replay the stored response
+   * - { pending }: a request with the key is running; the promise resolves with its
+   *   { response, fingerprint }, or null if it ended without one
+   * - { complete(response, fingerprint), abandon() }: the key is new; run the request and
+   *   report its outcome. An abandoned key is released, so a retry runs again.
+   *
+   * A request identified by its body can be claimed with a null fingerprint and completed
+   * with the fingerprint once its body is read; it is then compared by the caller.
+   *
+   * @param {string} key - Idempotency key
+   * @param {string|null} fingerprint - Hash identifying the request, or null if not known yet
+   * @returns {Object} Claim
+   * @throws {Error} If the key was used for a different request
+   */
+  claim(key, fingerprint) {
+    this.prune()
+    const existing = this.inFlight.get(key) || this.records.get(key)
+    if (existing && fingerprint && existing.fingerprint && existing.fingerprint !== fingerprint) {
+      throw new Error(`${IDEMPOTENCY_HEADER} was already used for a different request`)
+    }
+    if (this.inFlight.has(key)) {
+      return { pending: existing.promise }
+    }
+    if (existing) {
+      return { response: existing.response, fingerprint: existing.fingerprint }
+    }
+
+    let resolvePending
+    const promise = new Promise(resolve => { resolvePending = resolve })
+    this.inFlight.set(key, { fingerprint, promise })
+    let settled = false
+    const settle = (response, finalFingerprint = fingerprint) => {
+      if (settled) {
+        return
+      }
+      settled = true
+      this.inFlight.delete(key)
+      let record = null
+      if (response) {
+        record = { fingerprint: finalFingerprint, response, createdAt: new Date().toISOString() }
+        this.records.set(key, record)
+        this.save()
+      }
+      resolvePending(record)
+    }
+    return {
+      complete: settle,
+      abandon: () => settle(null)
+    }
+  }
+}
+
+/**
+ * @param {...(string|Buffer)} parts - Request parts to identify the request by
+ * @returns {string} SHA-256 fingerprint
+ */
+function fingerprintOf(...parts) {
+  const hash = crypto.createHash('sha256')
+  for (const part of parts) {
+    const bytes = Buffer.isBuffer(part) ? part : Buffer.from(String(part), 'utf8')
+    // Length-prefix each part so ('ab', 'c') and ('a', 'bc') differ
+    hash.update(`${bytes.length}:`)
+    hash.update(bytes)
+  }
+  return hash.digest('hex')
+}
+
+/**
+ * Express middleware making a JSON endpoint idempotent for requests with an Idempotency-Key header
+ *
+ * Requests without the header pass through unchanged. Replayed responses carry an
+ * Idempotent-Replayed: true header. The outcome stored is what the handler sends with
+ * res.json, client errors included. Server errors (5xx) and requests the client did not
+ * send in full are not stored: the key is released and a retry with it runs again.
+ *
+ * Endpoints that read their body themselves (e.g. streamed uploads) pass options.readBody.
+ * The request is then fingerprinted once its body is read: the first request's by the
+ * handler, a retry's by readBody, which must read it without acting on it.
+ *
+ * Endpoints for signed-in accounts pass options.scope, so each account has its own keys
+ * and one account's key never replays or blocks another's request.
+ *
+ * @param {IdempotencyStore} store - Where responses are kept
+ * @param {Function} fingerprint - (req) => string identifying the request; defaults to method, path and JSON body
+ * @param {Object} options - Optional settings
+ * @param {Function} options.readBody - async (req, res) => void reading a retry's body for the fingerprint
+ * @param {Function} options.scope - (req) => string keys are stored under, e.g. the signed-in account
+ * @returns {Function} Express middleware
+ */
+function idempotent(store, fingerprint = req => fingerprintOf(req.method, req.path, JSON.stringify(req.body || {})), options = {}) {
+  const { readBody = null, scope = null } = options
+  const rejectReuse = (req, res, message) => {
+    logSecurityEvent('IDEMPOTENCY_KEY_REUSED', { path: req.path })
+    return res.status(422).json({ error: message })
+  }
+
+  return async (req, res, next) => {
+    const key = req.get(IDEMPOTENCY_HEADER)
+    if (key === undefined) {
+      return next()
+    }
+    if (!IDEMPOTENCY_KEY_PATTERN.test(key)) {
+      logSecurityEvent('INVALID_INPUT', { operation: 'idempotency', error: 'Invalid Idempotency-Key' })
+      return res.status(400).json({ error: `Invalid ${IDEMPOTENCY_HEADER}: expected 1 to 255 visible ASCII characters` })
+    }
+
+    let claim
+    try {
+      claim = store.claim(scope ? `${scope(req)}:${key}` : key, readBody ? null : fingerprint(req))
+    } catch (error) {
+      return rejectReuse(req, res, error.message)
+    }
+
+    if (claim.response || claim.pending) {
+      if (readBody) {
+        // A body that cannot be read is fingerprinted as far as it got, like the first request's failure
+        await readBody(req, res).catch(error => logger.debug('Idempotent retry body not read', { error: error.message }))
+      }
+      const record = claim.pending ? await claim.pending : claim
+      if (!record) {
+        return res.status(409).json({ error: 'The original request with this Idempotency-Key did not complete; send it again' })
+      }
+      if (readBody && record.fingerprint !== fingerprint(req)) {
+        return rejectReuse(req, res, `${IDEMPOTENCY_HEADER} was already used for a different request`)
+      }
+      return res.set('Idempotent-Replayed', 'true').status(record.response.status).json(record.response.body)
+    }
+
+    const sendJson = res.json.bind(res)
+    res.json = (body) => {
+      if (res.statusCode >= 500 || !req.complete) {
+        claim.abandon()
+      } else {
+        claim.complete({ status: res.statusCode, body }, readBody ? fingerprint(req) : undefined)
+      }
+      return sendJson(body)
+    }
+    // A client that disconnects once its request was read does not abandon the claim: the
+    // handler's response is still stored for its retry. Responses sent without res.json are not stored.
+    res.on('finish', claim.abandon)
+    next()
+  }
+}
+
+module.exports = {
+  IdempotencyStore,
+  idempotent,
+  fingerprintOf,
+  IDEMPOTENCY_HEADER
+}
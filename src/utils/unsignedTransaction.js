@@ -0,0 +1,51 @@
+/*
+ * Project: DecentraFile
+ * Author: Thor Thor
+ * Contact: codethor@gmail.com
+ * LinkedIn: https://www.linkedin.com/in/thor-thor0
+ */
+
+/**
+ * Unsigned transactions for a user's wallet to sign
+ *
+ * Quantities are 0x hex strings, the form eth_sendTransaction takes over EIP-1193. No fee
+ * fields are set: the wallet prices the transaction when the user confirms it.
+ */
+
+/**
+ * @param {bigint|number|string} value - Quantity
+ * @returns {string} 0x hex quantity
+ */
+function toQuantity(value) {
+  return '0x' + BigInt(value).toString(16)
+}
+
+/**
+ * Build an unsigned contract call
+ * @param {Object} call - { from, to, data }
+ * @param {Object} chain - { estimateGas({ from, to, data }), getPendingNonce(address), getChainId() }
+ * @param {number} nonceOffset - Transactions the same account will send before this one
+ * @returns {Promise<Object>} { from, to, data, gas, nonce, chainId }
+ * @throws {Error} If the call would revert (gas estimation fails)
+ */
+async function buildUnsignedTransaction(call, chain, nonceOffset = 0) {
+  const [estimate, nonce, chainId] = await Promise.all([
+    chain.estimateGas(call),
+    chain.getPendingNonce(call.from),
+    chain.getChainId()
+  ])
+  // Same 20% margin as transactions the server signs
+  const gas = (BigInt(estimate) * BigInt(120)) / BigInt(100)
+  return {
+    from: call.from,
+    to: call.to,
+    data: call.data,
+    gas: toQuantity(gas),
+    nonce: toQuantity(BigInt(nonce) + BigInt(nonceOffset)),
+    chainId: toQuantity(chainId)
+  }
+}
+
+module.exports = {
+  buildUnsignedTransaction
+}
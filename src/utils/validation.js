@@ -6,6 +6,7 @@
  */
 
 const Joi = require('joi')
+const { Readable } = require('stream')
 
 /**
  * Validation schemas for file operations
@@ -59,6 +60,15 @@ const filePathSchema = Joi.string()
     'any.required': 'File path is required'
   })
 
+// Uploads read a file path, or take the content directly as a Buffer or a stream
+const uploadSourceSchema = Joi.alternatives()
+  .try(filePathSchema, Joi.binary().strict(), Joi.object().instance(Readable))
+  .required()
+  .messages({
+    'alternatives.types': 'File must be a path, a Buffer or a readable stream',
+    'any.required': 'File path is required'
+  })
+
 /**
  * Validate file hash
  * @param {string} fileHash - File hash to validate
@@ -115,12 +125,12 @@ function validateFilePath(filePath) {
 
 /**
  * Validate upload parameters
- * @param {Object} params - Upload parameters
+ * @param {Object} params - Upload parameters; filePath may also be a Buffer or readable stream of the content
  * @returns {Object} Validation result
  */
 function validateUploadParams(params) {
   const schema = Joi.object({
-    filePath: filePathSchema,
+    filePath: uploadSourceSchema,
     privateKey: privateKeySchema,
     contractAddress: addressSchema
   }).required()
@@ -143,6 +153,37 @@ function validateDownloadParams(params) {
   return schema.validate(params)
 }
 
+/**
+ * Validate share parameters
+ * @param {Object} params - Share parameters
+ * @returns {Object} Validation result
+ */
+function validateShareParams(params) {
+  const schema = Joi.object({
+    fileHash: fileHashSchema,
+    recipientAddress: addressSchema,
+    privateKey: privateKeySchema,
+    contractAddress: addressSchema
+  }).required()
+
+  return schema.validate(params)
+}
+
+/**
+ * Validate parameters for owner-only file operations (rotate, delete)
+ * @param {Object} params - Operation parameters
+ * @returns {Object} Validation result
+ */
+function validateFileActionParams(params) {
+  const schema = Joi.object({
+    fileHash: fileHashSchema,
+    privateKey: privateKeySchema,
+    contractAddress: addressSchema
+  }).required()
+
+  return schema.validate(params)
+}
+
 module.exports = {
   validateFileHash,
   validateIPFSHash,
@@ -151,6 +192,8 @@ module.exports = {
   validateEncryptedKey,
   validateFilePath,
   validateUploadParams,
-  validateDownloadParams
+  validateDownloadParams,
+  validateShareParams,
+  validateFileActionParams
 }
 
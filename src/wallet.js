@@ -0,0 +1,57 @@
+/*
+ * Project: DecentraFile
+ * Author: Thor Thor
+ * Contact: codethor@gmail.com
+ * LinkedIn: https://www.linkedin.com/in/thor-thor0
+ */
+
+/**
+ * Send transactions the server prepared with the user's wallet
+ *
+ * Loaded by the portal pages, where `ethereum` is the injected EIP-1193 provider
+ * (window.ethereum), and by tests with a scripted provider.
+ */
+
+/**
+ * Sign and send a prepared transaction
+ * The wallet is switched to the transaction's chain first if needed.
+ * @param {Object} ethereum - EIP-1193 provider
+ * @param {Object} transaction - { from, to, data, gas, nonce, chainId } as returned by the server
+ * @returns {Promise<string>} Transaction hash
+ * @throws {Error} If the wallet's account is not the one the transaction is for, or the user rejects it
+ */
+async function sendPreparedTransaction(ethereum, transaction) {
+  const chainId = await ethereum.request({ method: 'eth_chainId' })
+  if (BigInt(chainId) !== BigInt(transaction.chainId)) {
+    await ethereum.request({ method: 'wallet_switchEthereumChain', params: [{ chainId: transaction.chainId }] })
+  }
+  const accounts = await ethereum.request({ method: 'eth_requestAccounts' })
+  if (!accounts.some(account => account.toLowerCase() === transaction.from.toLowerCase())) {
+    throw new Error(`Switch the wallet to account ${transaction.from} to sign this transaction`)
+  }
+  const { from, to, data, gas, nonce } = transaction
+  return ethereum.request({ method: 'eth_sendTransaction', params: [{ from, to, data, gas, nonce, chainId: transaction.chainId }] })
+}
+
+/**
+ * Sign a request for the server's relayer (EIP-712), which sends it and pays the gas
+ * @param {Object} ethereum - EIP-1193 provider
+ * @param {Object} typedData - Typed data as returned by the server; message.owner must be the wallet's account
+ * @returns {Promise<string>} Signature
+ * @throws {Error} If the wallet's account is not the request's owner, or the user rejects it
+ */
+async function signRelayRequest(ethereum, typedData) {
+  const accounts = await ethereum.request({ method: 'eth_requestAccounts' })
+  const owner = typedData.message.owner
+  if (!accounts.some(account => account.toLowerCase() === owner.toLowerCase())) {
+    throw new Error(`Switch the wallet to account ${owner} to sign this request`)
+  }
+  return ethereum.request({ method: 'eth_signTypedData_v4', params: [owner, JSON.stringify(typedData)] })
+}
+
+if (typeof module !== 'undefined') {
+  module.exports = {
+    sendPreparedTransaction,
+    signRelayRequest
+  }
+}
@@ -271,6 +271,901 @@ describe("FileRegistry", function () {
         });
     });
 
+    describe("Access Grants", function () {
+        const encryptedKey = ethers.toUtf8Bytes("owner-key-data");
+        const wrappedKey = ethers.toUtf8Bytes("recipient-wrapped-key");
+        let fileHash;
+
+        beforeEach(async function () {
+            fileHash = ethers.keccak256(ethers.toUtf8Bytes("shared-file"));
+            await fileRegistry.connect(addr1).uploadFile(fileHash, encryptedKey);
+        });
+
+        it("Should allow owner to grant access and emit AccessGranted", async function () {
+            await expect(fileRegistry.connect(addr1).grantAccess(fileHash, addr2.address, wrappedKey))
+                .to.emit(fileRegistry, "AccessGranted")
+                .withArgs(fileHash, addr2.address);
+
+            expect(await fileRegistry.hasAccess(fileHash, addr2.address)).to.be.true;
+            expect(await fileRegistry.getRecipients(fileHash)).to.deep.equal([addr2.address]);
+        });
+
+        it("Should return the caller's own key from getAccessKey", async function () {
+            await fileRegistry.connect(addr1).grantAccess(fileHash, addr2.address, wrappedKey);
+
+            expect(await fileRegistry.connect(addr1).getAccessKey(fileHash)).to.equal(ethers.hexlify(encryptedKey));
+            expect(await fileRegistry.connect(addr2).getAccessKey(fileHash)).to.equal(ethers.hexlify(wrappedKey));
+        });
+
+        it("Should deny getAccessKey to addresses without a grant", async function () {
+            await expect(
+                fileRegistry.connect(addr2).getAccessKey(fileHash)
+            ).to.be.revertedWithCustomError(fileRegistry, "UnauthorizedAccess");
+            expect(await fileRegistry.hasAccess(fileHash, addr2.address)).to.be.false;
+        });
+
+        it("Should allow granted recipient to retrieveFile and emit download event", async function () {
+            await fileRegistry.connect(addr1).grantAccess(fileHash, addr2.address, wrappedKey);
+
+            await expect(fileRegistry.connect(addr2).retrieveFile(fileHash))
+                .to.emit(fileRegistry, "FileDownloaded")
+                .withArgs(fileHash, addr2.address);
+            expect(await fileRegistry.connect(addr2).retrieveFile.staticCall(fileHash)).to.equal(ethers.hexlify(wrappedKey));
+        });
+
+        it("Should replace a recipient's key without duplicating the recipient", async function () {
+            const newWrappedKey = ethers.toUtf8Bytes("recipient-wrapped-key-2");
+            await fileRegistry.connect(addr1).grantAccess(fileHash, addr2.address, wrappedKey);
+            await fileRegistry.connect(addr1).grantAccess(fileHash, addr2.address, newWrappedKey);
+
+            expect(await fileRegistry.getRecipients(fileHash)).to.deep.equal([addr2.address]);
+            expect(await fileRegistry.connect(addr2).getAccessKey(fileHash)).to.equal(ethers.hexlify(newWrappedKey));
+        });
+
+        it("Should prevent non-owner from granting access", async function () {
+            await expect(
+                fileRegistry.connect(addr2).grantAccess(fileHash, addr2.address, wrappedKey)
+            ).to.be.revertedWithCustomError(fileRegistry, "UnauthorizedAccess");
+        });
+
+        it("Should reject zero address and owner as recipient", async function () {
+            await expect(
+                fileRegistry.connect(addr1).grantAccess(fileHash, ethers.ZeroAddress, wrappedKey)
+            ).to.be.revertedWithCustomError(fileRegistry, "InvalidRecipient");
+            await expect(
+                fileRegistry.connect(addr1).grantAccess(fileHash, addr1.address, wrappedKey)
+            ).to.be.revertedWithCustomError(fileRegistry, "InvalidRecipient");
+        });
+
+        it("Should validate wrapped key size", async function () {
+            await expect(
+                fileRegistry.connect(addr1).grantAccess(fileHash, addr2.address, "0x")
+            ).to.be.revertedWithCustomError(fileRegistry, "InvalidEncryptedKey");
+            await expect(
+                fileRegistry.connect(addr1).grantAccess(fileHash, addr2.address, ethers.toUtf8Bytes("x".repeat(1025)))
+            ).to.be.revertedWithCustomError(fileRegistry, "EncryptedKeyTooLarge");
+        });
+
+        it("Should revert when granting access to a non-existent file", async function () {
+            const missingHash = ethers.keccak256(ethers.toUtf8Bytes("missing-file"));
+            await expect(
+                fileRegistry.connect(addr1).grantAccess(missingHash, addr2.address, wrappedKey)
+            ).to.be.revertedWithCustomError(fileRegistry, "FileNotFound");
+        });
+    });
+
+    describe("Access Revocation and Key Rotation", function () {
+        const encryptedKey = ethers.toUtf8Bytes("owner-key-data");
+        const wrappedKey = ethers.toUtf8Bytes("recipient-wrapped-key");
+        let fileHash;
+        let addr3;
+
+        beforeEach(async function () {
+            [, , , addr3] = await ethers.getSigners();
+            fileHash = ethers.keccak256(ethers.toUtf8Bytes("rotating-file"));
+            await fileRegistry.connect(addr1).uploadFile(fileHash, encryptedKey);
+            await fileRegistry.connect(addr1).grantAccess(fileHash, addr2.address, wrappedKey);
+            await fileRegistry.connect(addr1).grantAccess(fileHash, addr3.address, wrappedKey);
+        });
+
+        it("Should revoke a recipient and emit AccessRevoked", async function () {
+            await expect(fileRegistry.connect(addr1).revokeAccess(fileHash, addr2.address))
+                .to.emit(fileRegistry, "AccessRevoked")
+                .withArgs(fileHash, addr2.address);
+
+            expect(await fileRegistry.hasAccess(fileHash, addr2.address)).to.be.false;
+            expect(await fileRegistry.getRecipients(fileHash)).to.deep.equal([addr3.address]);
+            await expect(
+                fileRegistry.connect(addr2).getAccessKey(fileHash)
+            ).to.be.revertedWithCustomError(fileRegistry, "UnauthorizedAccess");
+        });
+
+        it("Should allow re-granting after revocation", async function () {
+            await fileRegistry.connect(addr1).revokeAccess(fileHash, addr2.address);
+            await fileRegistry.connect(addr1).grantAccess(fileHash, addr2.address, wrappedKey);
+
+            expect(await fileRegistry.getRecipients(fileHash)).to.deep.equal([addr3.address, addr2.address]);
+        });
+
+        it("Should reject revoking an address without a grant", async function () {
+            await expect(
+                fileRegistry.connect(addr1).revokeAccess(fileHash, owner.address)
+            ).to.be.revertedWithCustomError(fileRegistry, "RecipientNotFound")
+                .withArgs(owner.address);
+        });
+
+        it("Should prevent non-owner from revoking access", async function () {
+            await expect(
+                fileRegistry.connect(addr2).revokeAccess(fileHash, addr3.address)
+            ).to.be.revertedWithCustomError(fileRegistry, "UnauthorizedAccess");
+        });
+
+        it("Should rotate a file to a new hash and keep only listed recipients", async function () {
+            const newFileHash = ethers.keccak256(ethers.toUtf8Bytes("rotated-file"));
+            const newKey = ethers.toUtf8Bytes("new-owner-key");
+            const newWrappedKey = ethers.toUtf8Bytes("new-wrapped-key");
+
+            await expect(fileRegistry.connect(addr1).rotateFile(fileHash, newFileHash, newKey, "0x", [addr3.address], [newWrappedKey]))
+                .to.emit(fileRegistry, "FileRotated")
+                .withArgs(fileHash, newFileHash, addr1.address);
+
+            expect(await fileRegistry.fileExists(fileHash)).to.be.false;
+            expect(await fileRegistry.fileExists(newFileHash)).to.be.true;
+            expect(await fileRegistry.getUserFiles(addr1.address)).to.deep.equal([newFileHash]);
+            expect(await fileRegistry.getRecipients(newFileHash)).to.deep.equal([addr3.address]);
+            expect(await fileRegistry.getRecipients(fileHash)).to.deep.equal([]);
+            expect(await fileRegistry.hasAccess(fileHash, addr2.address)).to.be.false;
+            expect(await fileRegistry.connect(addr3).getAccessKey(newFileHash)).to.equal(ethers.hexlify(newWrappedKey));
+            await expect(
+                fileRegistry.connect(addr2).getAccessKey(newFileHash)
+            ).to.be.revertedWithCustomError(fileRegistry, "UnauthorizedAccess");
+        });
+
+        it("Should revert rotation when recipients and keys differ in length", async function () {
+            const newFileHash = ethers.keccak256(ethers.toUtf8Bytes("rotated-file"));
+            await expect(
+                fileRegistry.connect(addr1).rotateFile(fileHash, newFileHash, encryptedKey, "0x", [addr2.address], [])
+            ).to.be.revertedWithCustomError(fileRegistry, "ArrayLengthMismatch");
+        });
+
+        it("Should revert rotation onto an existing file", async function () {
+            const otherHash = ethers.keccak256(ethers.toUtf8Bytes("other-file"));
+            await fileRegistry.connect(addr2).uploadFile(otherHash, encryptedKey);
+
+            await expect(
+                fileRegistry.connect(addr1).rotateFile(fileHash, otherHash, encryptedKey, "0x", [], [])
+            ).to.be.revertedWithCustomError(fileRegistry, "FileAlreadyExists");
+        });
+
+        it("Should prevent non-owner from rotating a file", async function () {
+            const newFileHash = ethers.keccak256(ethers.toUtf8Bytes("rotated-file"));
+            await expect(
+                fileRegistry.connect(addr2).rotateFile(fileHash, newFileHash, encryptedKey, "0x", [], [])
+            ).to.be.revertedWithCustomError(fileRegistry, "UnauthorizedAccess");
+        });
+
+        it("Should keep the old hash reserved after rotation", async function () {
+            const newFileHash = ethers.keccak256(ethers.toUtf8Bytes("rotated-file"));
+            await fileRegistry.connect(addr1).rotateFile(fileHash, newFileHash, encryptedKey, "0x", [], []);
+
+            const stored = await fileRegistry.files(fileHash);
+            expect(stored.owner).to.equal(addr1.address);
+            expect(stored.encryptedKey).to.equal("0x");
+            expect(await fileRegistry.isDeleted(fileHash)).to.be.true;
+            await expect(
+                fileRegistry.connect(addr2).uploadFile(fileHash, encryptedKey)
+            ).to.be.revertedWithCustomError(fileRegistry, "FileAlreadyExists")
+                .withArgs(fileHash);
+            await expect(
+                fileRegistry.connect(addr1).rotateFile(newFileHash, fileHash, encryptedKey, "0x", [], [])
+            ).to.be.revertedWithCustomError(fileRegistry, "FileAlreadyExists");
+            await expect(
+                fileRegistry.connect(addr1).getAccessKey(fileHash)
+            ).to.be.revertedWithCustomError(fileRegistry, "FileTombstoned");
+        });
+    });
+
+    describe("File Locators", function () {
+        const encryptedKey = ethers.toUtf8Bytes("owner-key-data");
+        const cid = "QmYwAPJzv5CZsnA625s3Xf2nemtYgPpHdWEz79ojWnPbdG";
+        const fileHash = ethers.keccak256(ethers.toUtf8Bytes(cid));
+        const plaintextLocator = ethers.concat(["0x00", ethers.toUtf8Bytes(cid)]);
+
+        it("Should store and return a plaintext locator", async function () {
+            await expect(fileRegistry.connect(addr1).uploadFileWithLocator(fileHash, encryptedKey, plaintextLocator))
+                .to.emit(fileRegistry, "FileUploaded");
+
+            expect(await fileRegistry.getLocator(fileHash)).to.equal(ethers.hexlify(plaintextLocator));
+        });
+
+        it("Should reject a plaintext locator that does not hash to the fileHash", async function () {
+            const otherLocator = ethers.concat(["0x00", ethers.toUtf8Bytes("QmOtherCid")]);
+            await expect(
+                fileRegistry.connect(addr1).uploadFileWithLocator(fileHash, encryptedKey, otherLocator)
+            ).to.be.revertedWithCustomError(fileRegistry, "LocatorMismatch")
+                .withArgs(fileHash);
+        });
+
+        it("Should accept an encrypted locator without checking its contents", async function () {
+            const encryptedLocator = ethers.concat(["0x01", ethers.randomBytes(80)]);
+            await fileRegistry.connect(addr1).uploadFileWithLocator(fileHash, encryptedKey, encryptedLocator);
+
+            expect(await fileRegistry.getLocator(fileHash)).to.equal(ethers.hexlify(encryptedLocator));
+        });
+
+        it("Should reject oversized locators", async function () {
+            const oversized = ethers.concat(["0x01", ethers.randomBytes(256)]);
+            await expect(
+                fileRegistry.connect(addr1).uploadFileWithLocator(fileHash, encryptedKey, oversized)
+            ).to.be.revertedWithCustomError(fileRegistry, "LocatorTooLarge")
+                .withArgs(257, 256);
+        });
+
+        it("Should return an empty locator for files uploaded without one", async function () {
+            await fileRegistry.connect(addr1).uploadFile(fileHash, encryptedKey);
+            expect(await fileRegistry.getLocator(fileHash)).to.equal("0x");
+        });
+
+        it("Should let only the owner set a locator later", async function () {
+            await fileRegistry.connect(addr1).uploadFile(fileHash, encryptedKey);
+
+            await expect(
+                fileRegistry.connect(addr2).setLocator(fileHash, plaintextLocator)
+            ).to.be.revertedWithCustomError(fileRegistry, "UnauthorizedAccess");
+
+            await expect(fileRegistry.connect(addr1).setLocator(fileHash, plaintextLocator))
+                .to.emit(fileRegistry, "LocatorSet")
+                .withArgs(fileHash);
+            expect(await fileRegistry.getLocator(fileHash)).to.equal(ethers.hexlify(plaintextLocator));
+        });
+
+        it("Should store the new locator on rotation and clear it on deletion", async function () {
+            await fileRegistry.connect(addr1).uploadFileWithLocator(fileHash, encryptedKey, plaintextLocator);
+            const newFileHash = ethers.keccak256(ethers.toUtf8Bytes("rotated-file"));
+            const newLocator = ethers.concat(["0x01", ethers.randomBytes(80)]);
+
+            await fileRegistry.connect(addr1).rotateFile(fileHash, newFileHash, encryptedKey, newLocator, [], []);
+            expect(await fileRegistry.getLocator(newFileHash)).to.equal(ethers.hexlify(newLocator));
+
+            await fileRegistry.connect(addr1).deleteFile(newFileHash);
+            expect((await fileRegistry.files(newFileHash)).locator).to.equal("0x");
+        });
+    });
+
+    describe("File Deletion", function () {
+        const encryptedKey = ethers.toUtf8Bytes("owner-key-data");
+        const wrappedKey = ethers.toUtf8Bytes("recipient-wrapped-key");
+        let fileHash;
+
+        beforeEach(async function () {
+            fileHash = ethers.keccak256(ethers.toUtf8Bytes("deleted-file"));
+            await fileRegistry.connect(addr1).uploadFile(fileHash, encryptedKey);
+            await fileRegistry.connect(addr1).grantAccess(fileHash, addr2.address, wrappedKey);
+        });
+
+        it("Should delete a file and emit FileDeleted", async function () {
+            await expect(fileRegistry.connect(addr1).deleteFile(fileHash))
+                .to.emit(fileRegistry, "FileDeleted")
+                .withArgs(fileHash, addr1.address);
+
+            expect(await fileRegistry.fileExists(fileHash)).to.be.false;
+            expect(await fileRegistry.isDeleted(fileHash)).to.be.true;
+            expect(await fileRegistry.getUserFiles(addr1.address)).to.deep.equal([]);
+            expect(await fileRegistry.getUserFileCount(addr1.address)).to.equal(0);
+        });
+
+        it("Should clear the owner key and all grants", async function () {
+            await fileRegistry.connect(addr1).deleteFile(fileHash);
+
+            const stored = await fileRegistry.files(fileHash);
+            expect(stored.encryptedKey).to.equal("0x");
+            expect(stored.deleted).to.be.true;
+            expect(await fileRegistry.getRecipients(fileHash)).to.deep.equal([]);
+            expect(await fileRegistry.hasAccess(fileHash, addr2.address)).to.be.false;
+            await expect(
+                fileRegistry.connect(addr2).getAccessKey(fileHash)
+            ).to.be.revertedWithCustomError(fileRegistry, "FileTombstoned")
+                .withArgs(fileHash);
+            await expect(
+                fileRegistry.downloadFile(fileHash)
+            ).to.be.revertedWithCustomError(fileRegistry, "FileTombstoned");
+            await expect(
+                fileRegistry.getFileMetadata(fileHash)
+            ).to.be.revertedWithCustomError(fileRegistry, "FileTombstoned");
+        });
+
+        it("Should keep the hash reserved after deletion", async function () {
+            await fileRegistry.connect(addr1).deleteFile(fileHash);
+
+            await expect(
+                fileRegistry.connect(addr2).uploadFile(fileHash, encryptedKey)
+            ).to.be.revertedWithCustomError(fileRegistry, "FileAlreadyExists");
+            await expect(
+                fileRegistry.connect(addr1).grantAccess(fileHash, addr2.address, wrappedKey)
+            ).to.be.revertedWithCustomError(fileRegistry, "FileTombstoned");
+            await expect(
+                fileRegistry.connect(addr1).deleteFile(fileHash)
+            ).to.be.revertedWithCustomError(fileRegistry, "FileTombstoned");
+        });
+
+        it("Should keep the owner's other files indexed after deletion", async function () {
+            const secondHash = ethers.keccak256(ethers.toUtf8Bytes("second-file"));
+            const thirdHash = ethers.keccak256(ethers.toUtf8Bytes("third-file"));
+            await fileRegistry.connect(addr1).uploadFile(secondHash, encryptedKey);
+            await fileRegistry.connect(addr1).uploadFile(thirdHash, encryptedKey);
+
+            await fileRegistry.connect(addr1).deleteFile(fileHash);
+            expect(await fileRegistry.getUserFiles(addr1.address)).to.deep.equal([thirdHash, secondHash]);
+
+            await fileRegistry.connect(addr1).deleteFile(secondHash);
+            expect(await fileRegistry.getUserFiles(addr1.address)).to.deep.equal([thirdHash]);
+        });
+
+        it("Should prevent non-owner from deleting a file", async function () {
+            await expect(
+                fileRegistry.connect(addr2).deleteFile(fileHash)
+            ).to.be.revertedWithCustomError(fileRegistry, "UnauthorizedAccess");
+        });
+
+        it("Should revert when deleting a non-existent file", async function () {
+            const missingHash = ethers.keccak256(ethers.toUtf8Bytes("missing-file"));
+            await expect(
+                fileRegistry.connect(addr1).deleteFile(missingHash)
+            ).to.be.revertedWithCustomError(fileRegistry, "FileNotFound");
+        });
+    });
+
+    describe("Version Lineages", function () {
+        const encryptedKey = ethers.toUtf8Bytes("encrypted-key-data");
+        const wrappedKey = ethers.toUtf8Bytes("wrapped-key-data");
+        let firstHash;
+
+        function hashOf(name) {
+            return ethers.keccak256(ethers.toUtf8Bytes(name));
+        }
+
+        async function addVersion(previousFileHash, name, recipients = [], signer = addr1) {
+            const fileHash = hashOf(name);
+            await fileRegistry.connect(signer).uploadNewVersion(previousFileHash, fileHash, encryptedKey, "0x", recipients, recipients.map(() => wrappedKey));
+            return fileHash;
+        }
+
+        beforeEach(async function () {
+            firstHash = hashOf("report-v1");
+            await fileRegistry.connect(addr1).uploadFile(firstHash, encryptedKey);
+        });
+
+        it("Should treat a file that was never versioned as version 1 of its own lineage", async function () {
+            expect(await fileRegistry.getVersionInfo(firstHash)).to.deep.equal([firstHash, ethers.ZeroHash, 1n, firstHash]);
+            expect(await fileRegistry.getVersions(firstHash)).to.deep.equal([firstHash]);
+            await expect(
+                fileRegistry.getVersionInfo(hashOf("unknown"))
+            ).to.be.revertedWithCustomError(fileRegistry, "FileNotFound");
+        });
+
+        it("Should chain new versions and move the latest pointer", async function () {
+            const secondHash = hashOf("report-v2");
+            await expect(fileRegistry.connect(addr1).uploadNewVersion(firstHash, secondHash, encryptedKey, "0x", [], []))
+                .to.emit(fileRegistry, "FileVersionAdded")
+                .withArgs(firstHash, firstHash, secondHash, 2)
+                .and.to.emit(fileRegistry, "FileUploaded");
+            const thirdHash = await addVersion(secondHash, "report-v3");
+
+            expect(await fileRegistry.getVersions(secondHash)).to.deep.equal([firstHash, secondHash, thirdHash]);
+            expect(await fileRegistry.getVersionInfo(thirdHash)).to.deep.equal([firstHash, secondHash, 3n, thirdHash]);
+            expect(await fileRegistry.getVersionInfo(firstHash)).to.deep.equal([firstHash, ethers.ZeroHash, 1n, thirdHash]);
+            // Every version stays a file of its own
+            expect(await fileRegistry.getUserFiles(addr1.address)).to.deep.equal([firstHash, secondHash, thirdHash]);
+            expect(await fileRegistry.downloadFile.staticCall(firstHash)).to.equal(ethers.hexlify(encryptedKey));
+        });
+
+        it("Should grant the listed recipients access to the new version only", async function () {
+            await fileRegistry.connect(addr1).grantAccess(firstHash, addr2.address, wrappedKey);
+            const secondHash = await addVersion(firstHash, "report-v2", [addr2.address]);
+
+            expect(await fileRegistry.getRecipients(secondHash)).to.deep.equal([addr2.address]);
+            expect(await fileRegistry.connect(addr2).getAccessKey(secondHash)).to.equal(ethers.hexlify(wrappedKey));
+            expect(await fileRegistry.hasAccess(firstHash, addr2.address)).to.equal(true);
+
+            await expect(
+                fileRegistry.connect(addr1).uploadNewVersion(secondHash, hashOf("report-v3"), encryptedKey, "0x", [addr2.address], [])
+            ).to.be.revertedWithCustomError(fileRegistry, "ArrayLengthMismatch");
+        });
+
+        it("Should only add versions on top of the latest, by the owner", async function () {
+            const secondHash = await addVersion(firstHash, "report-v2");
+            await expect(
+                fileRegistry.connect(addr1).uploadNewVersion(firstHash, hashOf("fork"), encryptedKey, "0x", [], [])
+            ).to.be.revertedWithCustomError(fileRegistry, "NotLatestVersion").withArgs(firstHash, secondHash);
+            await expect(
+                fileRegistry.connect(addr2).uploadNewVersion(secondHash, hashOf("stolen"), encryptedKey, "0x", [], [])
+            ).to.be.revertedWithCustomError(fileRegistry, "UnauthorizedAccess");
+            await expect(
+                fileRegistry.connect(addr1).uploadNewVersion(hashOf("unknown"), hashOf("orphan"), encryptedKey, "0x", [], [])
+            ).to.be.revertedWithCustomError(fileRegistry, "FileNotFound");
+            await expect(
+                fileRegistry.connect(addr1).uploadNewVersion(secondHash, firstHash, encryptedKey, "0x", [], [])
+            ).to.be.revertedWithCustomError(fileRegistry, "FileAlreadyExists");
+        });
+
+        it("Should keep deleted versions in the history and continue past a deleted latest", async function () {
+            const secondHash = await addVersion(firstHash, "report-v2");
+            await fileRegistry.connect(addr1).deleteFile(secondHash);
+
+            expect(await fileRegistry.getVersions(firstHash)).to.deep.equal([firstHash, secondHash]);
+            expect(await fileRegistry.getVersionInfo(secondHash)).to.deep.equal([firstHash, firstHash, 2n, secondHash]);
+
+            const thirdHash = await addVersion(secondHash, "report-v3");
+            expect(await fileRegistry.getVersionInfo(firstHash)).to.deep.equal([firstHash, ethers.ZeroHash, 1n, thirdHash]);
+        });
+
+        it("Should keep a rotated version's place in the lineage", async function () {
+            const secondHash = await addVersion(firstHash, "report-v2");
+            const thirdHash = await addVersion(secondHash, "report-v3");
+            const rotatedHash = hashOf("report-v2-rotated");
+            await fileRegistry.connect(addr1).rotateFile(secondHash, rotatedHash, encryptedKey, "0x", [], []);
+
+            expect(await fileRegistry.getVersions(firstHash)).to.deep.equal([firstHash, rotatedHash, thirdHash]);
+            expect(await fileRegistry.getVersionInfo(rotatedHash)).to.deep.equal([firstHash, firstHash, 2n, thirdHash]);
+            expect(await fileRegistry.getVersionInfo(thirdHash)).to.deep.equal([firstHash, rotatedHash, 3n, thirdHash]);
+
+            // Rotating the latest version moves the latest pointer with it
+            const rotatedLatest = hashOf("report-v3-rotated");
+            await fileRegistry.connect(addr1).rotateFile(thirdHash, rotatedLatest, encryptedKey, "0x", [], []);
+            expect((await fileRegistry.getVersionInfo(firstHash))[3]).to.equal(rotatedLatest);
+            await addVersion(rotatedLatest, "report-v4");
+        });
+
+        it("Should not start a lineage under a rotated first version's hash", async function () {
+            const secondHash = await addVersion(firstHash, "report-v2");
+            const rotatedHash = hashOf("report-v1-rotated");
+            await fileRegistry.connect(addr1).rotateFile(firstHash, rotatedHash, encryptedKey, "0x", [], []);
+
+            // firstHash still names the lineage, so it cannot start a second one there
+            await expect(
+                fileRegistry.connect(addr1).uploadNewVersion(firstHash, hashOf("report-v1-branch"), encryptedKey, "0x", [], [])
+            ).to.be.revertedWithCustomError(fileRegistry, "NotLatestVersion")
+                .withArgs(firstHash, secondHash);
+            expect(await fileRegistry.getVersions(secondHash)).to.deep.equal([rotatedHash, secondHash]);
+
+            await addVersion(secondHash, "report-v3");
+        });
+
+        it("Should not start a lineage from a tombstone that was never versioned", async function () {
+            const rotatedHash = hashOf("report-v1-rotated");
+            await fileRegistry.connect(addr1).rotateFile(firstHash, rotatedHash, encryptedKey, "0x", [], []);
+            await expect(
+                fileRegistry.connect(addr1).uploadNewVersion(firstHash, hashOf("report-v1-branch"), encryptedKey, "0x", [], [])
+            ).to.be.revertedWithCustomError(fileRegistry, "FileTombstoned").withArgs(firstHash);
+
+            const deletedHash = hashOf("notes-v1");
+            await fileRegistry.connect(addr1).uploadFile(deletedHash, encryptedKey);
+            await fileRegistry.connect(addr1).deleteFile(deletedHash);
+            await expect(
+                fileRegistry.connect(addr1).uploadNewVersion(deletedHash, hashOf("notes-v2"), encryptedKey, "0x", [], [])
+            ).to.be.revertedWithCustomError(fileRegistry, "FileTombstoned").withArgs(deletedHash);
+
+            // The rotated copy is the file now, and versions continue from it
+            await addVersion(rotatedHash, "report-v2");
+            expect(await fileRegistry.getVersions(rotatedHash)).to.deep.equal([rotatedHash, hashOf("report-v2")]);
+        });
+    });
+
+    describe("Collections", function () {
+        const encryptedKey = ethers.toUtf8Bytes("encrypted-key-data");
+        const wrappedKey = ethers.toUtf8Bytes("wrapped-key-data");
+        let fileHashes;
+
+        beforeEach(async function () {
+            fileHashes = [];
+            for (const name of ["spec", "design", "budget"]) {
+                const fileHash = ethers.keccak256(ethers.toUtf8Bytes(`deliverable-${name}`));
+                await fileRegistry.connect(addr1).uploadFile(fileHash, encryptedKey);
+                fileHashes.push(fileHash);
+            }
+        });
+
+        async function createCollection(name = "Project X", signer = addr1) {
+            await fileRegistry.connect(signer).createCollection(name);
+            return fileRegistry.collectionCount();
+        }
+
+        async function members(collectionId) {
+            return [...(await fileRegistry.getCollectionFiles(collectionId, 0, 100))[0]];
+        }
+
+        it("Should create and rename collections owned by the caller", async function () {
+            await expect(fileRegistry.connect(addr1).createCollection("Project X"))
+                .to.emit(fileRegistry, "CollectionCreated")
+                .withArgs(1, addr1.address, "Project X");
+            const second = await createCollection("Archive");
+            expect(second).to.equal(2);
+            expect(await fileRegistry.getUserCollections(addr1.address)).to.deep.equal([1n, 2n]);
+            expect(await fileRegistry.getCollection(1)).to.deep.equal([addr1.address, "Project X", 0n]);
+
+            await expect(fileRegistry.connect(addr1).renameCollection(1, "Project X (final)"))
+                .to.emit(fileRegistry, "CollectionRenamed")
+                .withArgs(1, "Project X (final)");
+            expect((await fileRegistry.getCollection(1))[1]).to.equal("Project X (final)");
+
+            await expect(fileRegistry.connect(addr2).renameCollection(1, "Mine")).to.be.revertedWithCustomError(fileRegistry, "UnauthorizedAccess");
+            await expect(fileRegistry.connect(addr1).renameCollection(3, "Missing")).to.be.revertedWithCustomError(fileRegistry, "CollectionNotFound");
+            await expect(fileRegistry.getCollection(0)).to.be.revertedWithCustomError(fileRegistry, "CollectionNotFound");
+            await expect(fileRegistry.connect(addr1).createCollection("")).to.be.revertedWithCustomError(fileRegistry, "InvalidCollectionName");
+            await expect(fileRegistry.connect(addr1).createCollection("x".repeat(129))).to.be.revertedWithCustomError(fileRegistry, "InvalidCollectionName");
+        });
+
+        it("Should add and remove the owner's files", async function () {
+            const collectionId = await createCollection();
+            await expect(fileRegistry.connect(addr1).addToCollection(collectionId, fileHashes))
+                .to.emit(fileRegistry, "CollectionFileAdded")
+                .withArgs(collectionId, fileHashes[0]);
+            expect(await members(collectionId)).to.deep.equal(fileHashes);
+            expect(await fileRegistry.getFileCollections(fileHashes[1])).to.deep.equal([collectionId]);
+            const [page, total] = await fileRegistry.getCollectionFiles(collectionId, 1, 1);
+            expect(page).to.deep.equal([fileHashes[1]]);
+            expect(total).to.equal(3);
+
+            await expect(fileRegistry.connect(addr1).removeFromCollection(collectionId, [fileHashes[0]]))
+                .to.emit(fileRegistry, "CollectionFileRemoved")
+                .withArgs(collectionId, fileHashes[0]);
+            expect(await members(collectionId)).to.deep.equal([fileHashes[2], fileHashes[1]]);
+            expect(await fileRegistry.getFileCollections(fileHashes[0])).to.deep.equal([]);
+            // Files stay registered
+            expect(await fileRegistry.fileExists(fileHashes[0])).to.equal(true);
+
+            await expect(
+                fileRegistry.connect(addr1).removeFromCollection(collectionId, [fileHashes[0]])
+            ).to.be.revertedWithCustomError(fileRegistry, "FileNotInCollection").withArgs(collectionId, fileHashes[0]);
+            await expect(
+                fileRegistry.connect(addr1).addToCollection(collectionId, [fileHashes[1]])
+            ).to.be.revertedWithCustomError(fileRegistry, "FileAlreadyInCollection").withArgs(collectionId, fileHashes[1]);
+        });
+
+        it("Should only take the collection owner's active files", async function () {
+            const collectionId = await createCollection();
+            const othersFile = ethers.keccak256(ethers.toUtf8Bytes("someone-else"));
+            await fileRegistry.connect(addr2).uploadFile(othersFile, encryptedKey);
+            await expect(
+                fileRegistry.connect(addr1).addToCollection(collectionId, [othersFile])
+            ).to.be.revertedWithCustomError(fileRegistry, "UnauthorizedAccess");
+            await expect(
+                fileRegistry.connect(addr2).addToCollection(collectionId, [othersFile])
+            ).to.be.revertedWithCustomError(fileRegistry, "UnauthorizedAccess");
+
+            await fileRegistry.connect(addr1).deleteFile(fileHashes[0]);
+            await expect(
+                fileRegistry.connect(addr1).addToCollection(collectionId, [fileHashes[0]])
+            ).to.be.revertedWithCustomError(fileRegistry, "FileTombstoned");
+        });
+
+        it("Should drop deleted files and follow rotated ones in every collection", async function () {
+            const first = await createCollection("First");
+            const second = await createCollection("Second");
+            await fileRegistry.connect(addr1).addToCollection(first, fileHashes);
+            await fileRegistry.connect(addr1).addToCollection(second, [fileHashes[1]]);
+
+            const rotatedHash = ethers.keccak256(ethers.toUtf8Bytes("deliverable-design-rotated"));
+            await fileRegistry.connect(addr1).rotateFile(fileHashes[1], rotatedHash, encryptedKey, "0x", [], []);
+            expect(await members(first)).to.deep.equal([fileHashes[0], rotatedHash, fileHashes[2]]);
+            expect(await members(second)).to.deep.equal([rotatedHash]);
+            expect(await fileRegistry.getFileCollections(rotatedHash)).to.deep.equal([first, second]);
+            expect(await fileRegistry.getFileCollections(fileHashes[1])).to.deep.equal([]);
+
+            await expect(fileRegistry.connect(addr1).deleteFile(rotatedHash))
+                .to.emit(fileRegistry, "CollectionFileRemoved")
+                .withArgs(second, rotatedHash);
+            expect(await members(first)).to.deep.equal([fileHashes[0], fileHashes[2]]);
+            expect(await members(second)).to.deep.equal([]);
+            expect(await fileRegistry.getFileCollections(rotatedHash)).to.deep.equal([]);
+        });
+
+        it("Should share every current file of a collection", async function () {
+            const collectionId = await createCollection();
+            await fileRegistry.connect(addr1).addToCollection(collectionId, fileHashes.slice(0, 2));
+            const current = await members(collectionId);
+
+            await expect(fileRegistry.connect(addr1).shareCollection(collectionId, addr2.address, current, current.map(() => wrappedKey)))
+                .to.emit(fileRegistry, "CollectionShared")
+                .withArgs(collectionId, addr2.address);
+            expect(await fileRegistry.hasAccess(fileHashes[0], addr2.address)).to.equal(true);
+            expect(await fileRegistry.hasAccess(fileHashes[1], addr2.address)).to.equal(true);
+            // Files added later are not shared until the collection is shared again
+            await fileRegistry.connect(addr1).addToCollection(collectionId, [fileHashes[2]]);
+            expect(await fileRegistry.hasAccess(fileHashes[2], addr2.address)).to.equal(false);
+        });
+
+        it("Should refuse to share a stale or partial member list", async function () {
+            const collectionId = await createCollection();
+            await fileRegistry.connect(addr1).addToCollection(collectionId, fileHashes);
+
+            await expect(
+                fileRegistry.connect(addr1).shareCollection(collectionId, addr2.address, fileHashes.slice(0, 2), [wrappedKey, wrappedKey])
+            ).to.be.revertedWithCustomError(fileRegistry, "CollectionChanged").withArgs(collectionId);
+            await expect(
+                fileRegistry.connect(addr1).shareCollection(collectionId, addr2.address, [fileHashes[0], fileHashes[0], fileHashes[2]], fileHashes.map(() => wrappedKey))
+            ).to.be.revertedWithCustomError(fileRegistry, "CollectionChanged");
+            await expect(
+                fileRegistry.connect(addr1).shareCollection(collectionId, addr2.address, fileHashes, [wrappedKey])
+            ).to.be.revertedWithCustomError(fileRegistry, "ArrayLengthMismatch");
+            await expect(
+                fileRegistry.connect(addr2).shareCollection(collectionId, addr2.address, fileHashes, fileHashes.map(() => wrappedKey))
+            ).to.be.revertedWithCustomError(fileRegistry, "UnauthorizedAccess");
+            expect(await fileRegistry.hasAccess(fileHashes[0], addr2.address)).to.equal(false);
+        });
+    });
+
+    describe("Signed Requests", function () {
+        const encryptedKey = ethers.toUtf8Bytes("encrypted-key-data");
+        const wrappedKey = ethers.toUtf8Bytes("wrapped-key-data");
+        const fileHash = ethers.keccak256(ethers.toUtf8Bytes("gasless-file"));
+        const types = {
+            UploadFile: [
+                { name: "owner", type: "address" },
+                { name: "fileHash", type: "bytes32" },
+                { name: "encryptedKey", type: "bytes" },
+                { name: "locator", type: "bytes" },
+                { name: "nonce", type: "uint256" },
+                { name: "deadline", type: "uint256" }
+            ],
+            GrantAccess: [
+                { name: "owner", type: "address" },
+                { name: "fileHash", type: "bytes32" },
+                { name: "recipient", type: "address" },
+                { name: "wrappedKey", type: "bytes" },
+                { name: "nonce", type: "uint256" },
+                { name: "deadline", type: "uint256" }
+            ],
+            DeleteFile: [
+                { name: "owner", type: "address" },
+                { name: "fileHash", type: "bytes32" },
+                { name: "nonce", type: "uint256" },
+                { name: "deadline", type: "uint256" }
+            ]
+        };
+
+        async function domain(registry = fileRegistry) {
+            const { chainId } = await ethers.provider.getNetwork();
+            return { name: "DecentraFile", version: "1", chainId, verifyingContract: await registry.getAddress() };
+        }
+
+        async function deadlineIn(seconds) {
+            return (await ethers.provider.getBlock("latest")).timestamp + seconds;
+        }
+
+        // addr1 signs; owner (the deployer) relays and pays
+        async function signUpload(signer = addr1, overrides = {}) {
+            const request = {
+                owner: signer.address,
+                fileHash,
+                encryptedKey,
+                locator: "0x",
+                nonce: await fileRegistry.nonces(signer.address),
+                deadline: await deadlineIn(3600),
+                ...overrides
+            };
+            const signature = await signer.signTypedData(await domain(), { UploadFile: types.UploadFile }, request);
+            return { request, signature };
+        }
+
+        function relayUpload({ request, signature }) {
+            return fileRegistry.connect(owner).uploadFileBySig(
+                request.owner, request.fileHash, request.encryptedKey, request.locator, request.deadline, signature
+            );
+        }
+
+        it("Should register a relayed upload to the account that signed it", async function () {
+            const signed = await signUpload();
+            await expect(relayUpload(signed))
+                .to.emit(fileRegistry, "FileUploaded")
+                .withArgs(fileHash, addr1.address, (timestamp) => timestamp > 0);
+
+            expect((await fileRegistry.getFileMetadata(fileHash)).owner).to.equal(addr1.address);
+            expect(await fileRegistry.getUserFiles(addr1.address)).to.deep.equal([fileHash]);
+            expect(await fileRegistry.getUserFileCount(owner.address)).to.equal(0);
+            expect(await fileRegistry.nonces(addr1.address)).to.equal(1);
+            expect(await fileRegistry.connect(addr1).downloadFile(fileHash)).to.equal(ethers.hexlify(encryptedKey));
+
+            // A signature is used once
+            await expect(relayUpload(signed)).to.be.revertedWithCustomError(fileRegistry, "InvalidSignature");
+        });
+
+        it("Should grant and delete for the signing owner only", async function () {
+            await relayUpload(await signUpload());
+            const deadline = await deadlineIn(3600);
+
+            const grant = { owner: addr1.address, fileHash, recipient: addr2.address, wrappedKey, nonce: 1n, deadline };
+            const grantSignature = await addr1.signTypedData(await domain(), { GrantAccess: types.GrantAccess }, grant);
+            await expect(fileRegistry.grantAccessBySig(addr1.address, fileHash, addr2.address, wrappedKey, deadline, grantSignature))
+                .to.emit(fileRegistry, "AccessGranted")
+                .withArgs(fileHash, addr2.address);
+            expect(await fileRegistry.hasAccess(fileHash, addr2.address)).to.equal(true);
+
+            // Someone else's signature does not act for the owner
+            const forged = { owner: addr1.address, fileHash, nonce: 2n, deadline };
+            const forgedSignature = await addr2.signTypedData(await domain(), { DeleteFile: types.DeleteFile }, forged);
+            await expect(fileRegistry.deleteFileBySig(addr1.address, fileHash, deadline, forgedSignature))
+                .to.be.revertedWithCustomError(fileRegistry, "InvalidSignature");
+
+            // Nor does the signer's own signature for a file it does not own
+            const notOwned = { owner: addr2.address, fileHash, nonce: 0n, deadline };
+            const notOwnedSignature = await addr2.signTypedData(await domain(), { DeleteFile: types.DeleteFile }, notOwned);
+            await expect(fileRegistry.deleteFileBySig(addr2.address, fileHash, deadline, notOwnedSignature))
+                .to.be.revertedWithCustomError(fileRegistry, "UnauthorizedAccess");
+
+            const deleteSignature = await addr1.signTypedData(await domain(), { DeleteFile: types.DeleteFile }, forged);
+            await expect(fileRegistry.deleteFileBySig(addr1.address, fileHash, deadline, deleteSignature))
+                .to.emit(fileRegistry, "FileDeleted")
+                .withArgs(fileHash, addr1.address);
+            expect(await fileRegistry.isDeleted(fileHash)).to.equal(true);
+            expect(await fileRegistry.nonces(addr1.address)).to.equal(3);
+        });
+
+        it("Should refuse expired, out-of-order and tampered requests", async function () {
+            const expired = await signUpload(addr1, { deadline: await deadlineIn(-1) });
+            await expect(relayUpload(expired))
+                .to.be.revertedWithCustomError(fileRegistry, "SignatureExpired")
+                .withArgs(expired.request.deadline);
+
+            const ahead = await signUpload(addr1, { nonce: 1n });
+            await expect(relayUpload(ahead)).to.be.revertedWithCustomError(fileRegistry, "InvalidSignature");
+
+            const signed = await signUpload();
+            const otherKey = ethers.toUtf8Bytes("other-key");
+            await expect(relayUpload({ ...signed, request: { ...signed.request, encryptedKey: otherKey } }))
+                .to.be.revertedWithCustomError(fileRegistry, "InvalidSignature");
+
+            // The same signature with s flipped to the upper half of the curve order
+            const { r, s, v } = ethers.Signature.from(signed.signature);
+            const n = 0xFFFFFFFFFFFFFFFFFFFFFFFFFFFFFFFEBAAEDCE6AF48A03BBFD25E8CD0364141n;
+            const malleable = ethers.concat([r, ethers.toBeHex(n - BigInt(s), 32), ethers.toBeHex(v === 27 ? 28 : 27, 1)]);
+            await expect(relayUpload({ ...signed, signature: malleable }))
+                .to.be.revertedWithCustomError(fileRegistry, "InvalidSignature");
+            await expect(relayUpload({ ...signed, signature: ethers.dataSlice(signed.signature, 0, 64) }))
+                .to.be.revertedWithCustomError(fileRegistry, "InvalidSignature");
+
+            await relayUpload(signed);
+            expect((await fileRegistry.getFileMetadata(fileHash)).owner).to.equal(addr1.address);
+        });
+
+        it("Should bind signatures to this registry's chain and address", async function () {
+            const [fields, name, version, chainId, verifyingContract] = await fileRegistry.eip712Domain();
+            expect(fields).to.equal("0x0f");
+            expect({ name, version, chainId, verifyingContract }).to.deep.equal(await domain());
+            expect(await fileRegistry.domainSeparator()).to.equal(ethers.TypedDataEncoder.hashDomain(await domain()));
+
+            const FileRegistry = await ethers.getContractFactory("FileRegistry");
+            const other = await FileRegistry.deploy();
+            await other.waitForDeployment();
+            const { request } = await signUpload();
+            const signature = await addr1.signTypedData(await domain(other), { UploadFile: types.UploadFile }, request);
+            await expect(relayUpload({ request, signature })).to.be.revertedWithCustomError(fileRegistry, "InvalidSignature");
+            await other.uploadFileBySig(request.owner, request.fileHash, request.encryptedKey, request.locator, request.deadline, signature);
+            expect((await other.getFileMetadata(fileHash)).owner).to.equal(addr1.address);
+        });
+    });
+
+    describe("Paged Owner Listings", function () {
+        const encryptedKey = ethers.toUtf8Bytes("encrypted-key-data");
+        let fileHashes;
+
+        beforeEach(async function () {
+            fileHashes = [];
+            for (let i = 0; i < 5; i++) {
+                const cid = `bafkreipage${i}`;
+                const fileHash = ethers.keccak256(ethers.toUtf8Bytes(cid));
+                if (i === 2) {
+                    const locator = ethers.concat(["0x00", ethers.toUtf8Bytes(cid)]);
+                    await fileRegistry.connect(addr1).uploadFileWithLocator(fileHash, encryptedKey, locator);
+                } else {
+                    await fileRegistry.connect(addr1).uploadFile(fileHash, encryptedKey);
+                }
+                fileHashes.push(fileHash);
+            }
+        });
+
+        it("Should return pages of files with their metadata and the total", async function () {
+            const [firstPage, timestamps, locators, total] = await fileRegistry.getUserFilesPage(addr1.address, 0, 2);
+            expect(firstPage).to.deep.equal(fileHashes.slice(0, 2));
+            expect(total).to.equal(5);
+            const [, , uploadedAt] = await fileRegistry.getFileMetadata(fileHashes[0]);
+            expect(timestamps[0]).to.equal(uploadedAt);
+            expect(locators).to.deep.equal(["0x", "0x"]);
+
+            const [secondPage, , secondLocators] = await fileRegistry.getUserFilesPage(addr1.address, 2, 2);
+            expect(secondPage).to.deep.equal(fileHashes.slice(2, 4));
+            expect(secondLocators[0]).to.equal(await fileRegistry.getLocator(fileHashes[2]));
+
+            const [lastPage] = await fileRegistry.getUserFilesPage(addr1.address, 4, 2);
+            expect(lastPage).to.deep.equal(fileHashes.slice(4));
+        });
+
+        it("Should return empty pages past the end and for unknown owners", async function () {
+            const [pastEnd, , , total] = await fileRegistry.getUserFilesPage(addr1.address, 5, 10);
+            expect(pastEnd).to.deep.equal([]);
+            expect(total).to.equal(5);
+            expect((await fileRegistry.getUserFilesPage(addr1.address, 0, 0))[0]).to.deep.equal([]);
+            const [none, , , noneTotal] = await fileRegistry.getUserFilesPage(addr2.address, 0, 10);
+            expect(none).to.deep.equal([]);
+            expect(noneTotal).to.equal(0);
+        });
+
+        it("Should page the current list after deletion and rotation", async function () {
+            await fileRegistry.connect(addr1).deleteFile(fileHashes[0]);
+            const rotatedHash = ethers.keccak256(ethers.toUtf8Bytes("bafkreipage-rotated"));
+            await fileRegistry.connect(addr1).rotateFile(fileHashes[1], rotatedHash, encryptedKey, "0x", [], []);
+
+            const [page, , , total] = await fileRegistry.getUserFilesPage(addr1.address, 0, 10);
+            expect(total).to.equal(4);
+            expect(page).to.deep.equal(await fileRegistry.getUserFiles(addr1.address));
+            expect(page).to.deep.equal([fileHashes[4], rotatedHash, fileHashes[2], fileHashes[3]]);
+        });
+    });
+
+    describe("Per-User File Cap", function () {
+        const encryptedKey = ethers.toUtf8Bytes("encrypted-key-data");
+
+        async function uploadMany(signer, count, prefix) {
+            for (let i = 0; i < count; i++) {
+                await fileRegistry.connect(signer).uploadFile(ethers.keccak256(ethers.toUtf8Bytes(`${prefix}-${i}`)), encryptedKey);
+            }
+        }
+
+        it("Should start with the deployer as admin and the default cap", async function () {
+            expect(await fileRegistry.admin()).to.equal(owner.address);
+            expect(await fileRegistry.maxFilesPerUser()).to.equal(await fileRegistry.MAX_FILES_PER_USER());
+        });
+
+        it("Should let the admin lower, raise and remove the cap", async function () {
+            await expect(fileRegistry.connect(owner).setMaxFilesPerUser(2))
+                .to.emit(fileRegistry, "MaxFilesPerUserChanged")
+                .withArgs(2);
+            await uploadMany(addr1, 2, "capped");
+            await expect(
+                fileRegistry.connect(addr1).uploadFile(ethers.keccak256(ethers.toUtf8Bytes("capped-over")), encryptedKey)
+            ).to.be.revertedWithCustomError(fileRegistry, "MaxFilesPerUserExceeded").withArgs(2, 2);
+
+            await fileRegistry.connect(owner).setMaxFilesPerUser(3);
+            await uploadMany(addr1, 1, "raised");
+            await fileRegistry.connect(owner).setMaxFilesPerUser(0);
+            await uploadMany(addr1, 3, "uncapped");
+            expect(await fileRegistry.getUserFileCount(addr1.address)).to.equal(6);
+        });
+
+        it("Should keep files over a lowered cap and block uploads until under it", async function () {
+            await uploadMany(addr1, 3, "kept");
+            await fileRegistry.connect(owner).setMaxFilesPerUser(2);
+            expect(await fileRegistry.getUserFileCount(addr1.address)).to.equal(3);
+
+            const extraHash = ethers.keccak256(ethers.toUtf8Bytes("kept-extra"));
+            await expect(
+                fileRegistry.connect(addr1).uploadFile(extraHash, encryptedKey)
+            ).to.be.revertedWithCustomError(fileRegistry, "MaxFilesPerUserExceeded").withArgs(3, 2);
+
+            const [files] = await fileRegistry.getUserFilesPage(addr1.address, 0, 10);
+            await fileRegistry.connect(addr1).deleteFile(files[0]);
+            await fileRegistry.connect(addr1).deleteFile(files[1]);
+            await fileRegistry.connect(addr1).uploadFile(extraHash, encryptedKey);
+        });
+
+        it("Should only let the admin change settings and hand over the role", async function () {
+            await expect(
+                fileRegistry.connect(addr1).setMaxFilesPerUser(0)
+            ).to.be.revertedWithCustomError(fileRegistry, "NotAdmin");
+            await expect(
+                fileRegistry.connect(addr1).transferAdmin(addr1.address)
+            ).to.be.revertedWithCustomError(fileRegistry, "NotAdmin");
+
+            await expect(fileRegistry.connect(owner).transferAdmin(addr1.address))
+                .to.emit(fileRegistry, "AdminTransferred")
+                .withArgs(owner.address, addr1.address);
+            await fileRegistry.connect(addr1).setMaxFilesPerUser(5);
+            await expect(
+                fileRegistry.connect(owner).setMaxFilesPerUser(0)
+            ).to.be.revertedWithCustomError(fileRegistry, "NotAdmin");
+        });
+    });
+
     describe("Edge Cases", function () {
         it("Should handle maximum size encrypted key (exactly at limit)", async function () {
             const fileHash = ethers.keccak256(ethers.toUtf8Bytes("test-file-max"));
@@ -0,0 +1,148 @@
+/*
+ * Project: DecentraFile
+ * Author: Thor Thor
+ * Contact: codethor@gmail.com
+ * LinkedIn: https://www.linkedin.com/in/thor-thor0
+ */
+
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+
+describe("PublicKeyRegistry", function () {
+    const RSA = 1;
+    const SECP256K1 = 2;
+    const rsaPem = ethers.toUtf8Bytes("-----BEGIN PUBLIC KEY-----\nMIIBIjANBgkqhkiG9w0BAQEFAAOCAQ8AMIIBCgKCAQEA\n-----END PUBLIC KEY-----\n");
+
+    let keyRegistry;
+    let addr1;
+    let addr2;
+
+    // Hardhat signers do not expose their private keys; recover the public key from a signature
+    async function accountPublicKey(signer) {
+        const message = "DecentraFile encryption key";
+        const signature = await signer.signMessage(message);
+        return ethers.SigningKey.recoverPublicKey(ethers.hashMessage(message), signature);
+    }
+
+    beforeEach(async function () {
+        [, addr1, addr2] = await ethers.getSigners();
+
+        const PublicKeyRegistry = await ethers.getContractFactory("PublicKeyRegistry");
+        keyRegistry = await PublicKeyRegistry.deploy();
+        await keyRegistry.waitForDeployment();
+    });
+
+    describe("Publishing", function () {
+        it("Should publish an RSA key as version 1", async function () {
+            await expect(keyRegistry.connect(addr1).publishKey(RSA, rsaPem))
+                .to.emit(keyRegistry, "PublicKeyPublished")
+                .withArgs(addr1.address, 1, RSA);
+
+            const [keyType, publicKey, version] = await keyRegistry.getActiveKey(addr1.address);
+            expect(keyType).to.equal(RSA);
+            expect(publicKey).to.equal(ethers.hexlify(rsaPem));
+            expect(version).to.equal(1);
+            expect(await keyRegistry.hasActiveKey(addr1.address)).to.be.true;
+        });
+
+        it("Should publish the caller's own secp256k1 account key", async function () {
+            const publicKey = await accountPublicKey(addr1);
+            await keyRegistry.connect(addr1).publishKey(SECP256K1, publicKey);
+
+            const active = await keyRegistry.getActiveKey(addr1.address);
+            expect(active.keyType).to.equal(SECP256K1);
+            expect(active.publicKey).to.equal(publicKey);
+        });
+
+        it("Should reject a secp256k1 key belonging to another address", async function () {
+            const otherKey = await accountPublicKey(addr2);
+            await expect(keyRegistry.connect(addr1).publishKey(SECP256K1, otherKey))
+                .to.be.revertedWithCustomError(keyRegistry, "KeyAddressMismatch");
+        });
+
+        it("Should reject malformed secp256k1 keys", async function () {
+            const compressed = ethers.SigningKey.computePublicKey(await accountPublicKey(addr1), true);
+            await expect(keyRegistry.connect(addr1).publishKey(SECP256K1, compressed))
+                .to.be.revertedWithCustomError(keyRegistry, "InvalidPublicKey");
+        });
+
+        it("Should reject unknown key types, empty keys and oversized keys", async function () {
+            await expect(keyRegistry.connect(addr1).publishKey(7, rsaPem))
+                .to.be.revertedWithCustomError(keyRegistry, "InvalidKeyType")
+                .withArgs(7);
+            await expect(keyRegistry.connect(addr1).publishKey(RSA, "0x"))
+                .to.be.revertedWithCustomError(keyRegistry, "InvalidPublicKey");
+            await expect(keyRegistry.connect(addr1).publishKey(RSA, new Uint8Array(1025)))
+                .to.be.revertedWithCustomError(keyRegistry, "PublicKeyTooLarge")
+                .withArgs(1025, 1024);
+        });
+
+        it("Should revert lookups for addresses without a key", async function () {
+            await expect(keyRegistry.getActiveKey(addr2.address))
+                .to.be.revertedWithCustomError(keyRegistry, "KeyNotFound")
+                .withArgs(addr2.address);
+            expect(await keyRegistry.hasActiveKey(addr2.address)).to.be.false;
+            expect(await keyRegistry.getKeyCount(addr2.address)).to.equal(0);
+        });
+    });
+
+    describe("Rotation and Compromise", function () {
+        it("Should rotate to a new version and keep the history", async function () {
+            const accountKey = await accountPublicKey(addr1);
+            await keyRegistry.connect(addr1).publishKey(RSA, rsaPem);
+            await keyRegistry.connect(addr1).publishKey(SECP256K1, accountKey);
+
+            expect(await keyRegistry.getKeyCount(addr1.address)).to.equal(2);
+            const active = await keyRegistry.getActiveKey(addr1.address);
+            expect(active.version).to.equal(2);
+            expect(active.keyType).to.equal(SECP256K1);
+
+            const first = await keyRegistry.getKey(addr1.address, 1);
+            expect(first.keyType).to.equal(RSA);
+            expect(first.publishedAt).to.be.gt(0);
+            expect(first.compromised).to.be.false;
+        });
+
+        it("Should stop serving a compromised current key until a new one is published", async function () {
+            await keyRegistry.connect(addr1).publishKey(RSA, rsaPem);
+            await expect(keyRegistry.connect(addr1).markCompromised(1))
+                .to.emit(keyRegistry, "PublicKeyCompromised")
+                .withArgs(addr1.address, 1);
+
+            await expect(keyRegistry.getActiveKey(addr1.address))
+                .to.be.revertedWithCustomError(keyRegistry, "KeyCompromised")
+                .withArgs(addr1.address, 1);
+            expect(await keyRegistry.hasActiveKey(addr1.address)).to.be.false;
+            expect((await keyRegistry.getKey(addr1.address, 1)).compromised).to.be.true;
+
+            await keyRegistry.connect(addr1).publishKey(RSA, rsaPem);
+            expect((await keyRegistry.getActiveKey(addr1.address)).version).to.equal(2);
+        });
+
+        it("Should keep the current key active when an older version is compromised", async function () {
+            await keyRegistry.connect(addr1).publishKey(RSA, rsaPem);
+            await keyRegistry.connect(addr1).publishKey(RSA, rsaPem);
+            await keyRegistry.connect(addr1).markCompromised(1);
+
+            expect((await keyRegistry.getActiveKey(addr1.address)).version).to.equal(2);
+        });
+
+        it("Should only let an address flag its own versions", async function () {
+            await keyRegistry.connect(addr1).publishKey(RSA, rsaPem);
+
+            await expect(keyRegistry.connect(addr2).markCompromised(1))
+                .to.be.revertedWithCustomError(keyRegistry, "KeyVersionNotFound")
+                .withArgs(addr2.address, 1);
+            await expect(keyRegistry.connect(addr1).markCompromised(0))
+                .to.be.revertedWithCustomError(keyRegistry, "KeyVersionNotFound");
+        });
+
+        it("Should reject flagging a version twice", async function () {
+            await keyRegistry.connect(addr1).publishKey(RSA, rsaPem);
+            await keyRegistry.connect(addr1).markCompromised(1);
+
+            await expect(keyRegistry.connect(addr1).markCompromised(1))
+                .to.be.revertedWithCustomError(keyRegistry, "KeyCompromised");
+        });
+    });
+});
@@ -0,0 +1,314 @@
+/*
+ * Project: DecentraFile
+ * Author: Thor Thor
+ * Contact: codethor@gmail.com
+ * LinkedIn: https://www.linkedin.com/in/thor-thor0
+ */
+
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const express = require("express");
+const crypto = require("crypto");
+const { loadLibrary } = require("./utils/rpc-bridge");
+const { SessionStore } = require("../src/auth/sessionStore");
+const { sessionAuth, SESSION_COOKIE } = require("../src/api/auth");
+const { getEthereumPublicKey } = require("../src/crypto/crypto");
+const { HARDHAT_KEYS, generateFileHash, deployFileRegistry, createSessionCookie } = require("./utils/test-helpers");
+
+// Hardhat default accounts: #0 is the server's, the others sign in
+const [SERVER_KEY, ALICE_KEY, BOB_KEY] = HARDHAT_KEYS;
+
+describe("REST API v1", function () {
+    const server = new ethers.Wallet(SERVER_KEY);
+    const alice = new ethers.Wallet(ALICE_KEY);
+    const bob = new ethers.Wallet(BOB_KEY);
+    let library;
+    let statusForError;
+    let contractAddress;
+    let httpServer;
+    let baseUrl;
+    let cookies;
+
+    before(async function () {
+        library = await loadLibrary();
+        const v1 = require("../src/api/v1");
+        statusForError = v1.statusForError;
+
+        contractAddress = await (await deployFileRegistry()).getAddress();
+
+        const store = new SessionStore(null);
+        cookies = {};
+        for (const [name, wallet, key] of [["alice", alice, ALICE_KEY], ["bob", bob, BOB_KEY]]) {
+            cookies[name] = createSessionCookie(store, wallet.address, getEthereumPublicKey(key));
+        }
+
+        const app = express();
+        app.use(express.json());
+        app.use(sessionAuth(store));
+        app.use("/api/v1", v1.createApiV1Router({
+            getContractAddress: () => contractAddress,
+            getSenderAccount: () => ({ address: server.address, privateKey: SERVER_KEY })
+        }));
+        httpServer = app.listen(0, "127.0.0.1");
+        await new Promise(resolve => httpServer.once("listening", resolve));
+        baseUrl = `http://127.0.0.1:${httpServer.address().port}/api/v1`;
+    });
+
+    after(async function () {
+        await new Promise(resolve => httpServer.close(resolve));
+    });
+
+    /**
+     * Upload a file for an account from code: the server signs and records the account it uploaded for
+     * @param {Array<Object>} sharedWith - Other wallets granted the file
+     */
+    async function uploadFor(wallet, key, name, sharedWith = []) {
+        const recipients = [{ address: wallet.address, publicKey: getEthereumPublicKey(key) }, ...sharedWith];
+        const result = await library.uploadFileToBlockchain(Buffer.from(`${name} ${crypto.randomUUID()}`), SERVER_KEY, contractAddress, null, {
+            recipients,
+            metadata: { filename: name, mimeType: "text/plain", uploadedBy: wallet.address }
+        });
+        return result.fileHash;
+    }
+
+    function request(path, account, options = {}) {
+        const headers = { ...options.headers };
+        if (account) {
+            headers.Cookie = cookies[account];
+        }
+        return fetch(`${baseUrl}${path}`, { ...options, headers });
+    }
+
+    it("Should answer 401 without a session", async function () {
+        const fileHash = generateFileHash("anything");
+        const anonymous = await request(`/files/${fileHash}`);
+        expect(anonymous.status).to.equal(401);
+        expect((await anonymous.json()).error).to.equal("Sign in with your Ethereum account first");
+
+        const unknownSession = await fetch(`${baseUrl}/owners/${alice.address}/files`, { headers: { Cookie: `${SESSION_COOKIE}=not-a-session` } });
+        expect(unknownSession.status).to.equal(401);
+    });
+
+    it("Should answer 400, 404 and 403 for malformed, unknown and other accounts' files", async function () {
+        const fileHash = await uploadFor(alice, ALICE_KEY, "notes.txt");
+
+        expect((await request("/files/0x1234", "alice")).status).to.equal(400);
+        const unknownHash = generateFileHash("unknown");
+        expect((await request(`/files/${unknownHash}`, "alice")).status).to.equal(404);
+        expect((await request(`/files/${unknownHash}`, "alice", { method: "DELETE" })).status).to.equal(404);
+        const denied = await request(`/files/${fileHash}`, "bob");
+        expect(denied.status).to.equal(403);
+        expect((await denied.json()).error).to.equal("This account has no access to the file");
+
+        const found = await request(`/files/${fileHash}`, "alice");
+        expect(found.status).to.equal(200);
+        expect(await found.json()).to.include({ fileHash, owner: server.address, filename: "notes.txt", mimeType: "text/plain", uploadedBy: alice.address });
+    });
+
+    it("Should only let the account a file was uploaded for delete it", async function () {
+        const bobRecipient = { address: bob.address, publicKey: getEthereumPublicKey(BOB_KEY) };
+        const fileHash = await uploadFor(alice, ALICE_KEY, "shared.txt", [bobRecipient]);
+
+        // Bob can read the file, but it was not uploaded for him
+        expect((await request(`/files/${fileHash}`, "bob")).status).to.equal(200);
+        const refused = await request(`/files/${fileHash}`, "bob", { method: "DELETE" });
+        expect(refused.status).to.equal(403);
+        expect((await refused.json()).error).to.equal("Only the account the file was uploaded for can delete it");
+        expect((await library.getFileInfo(fileHash, contractAddress)).status).to.equal("active");
+
+        const deleted = await request(`/files/${fileHash}`, "alice", { method: "DELETE" });
+        expect(deleted.status).to.equal(200);
+        const body = await deleted.json();
+        expect(body.fileHash).to.equal(fileHash);
+        expect(body.txHash).to.match(/^0x[0-9a-f]{64}$/);
+
+        expect((await request(`/files/${fileHash}`, "alice")).status).to.equal(410);
+        expect((await request(`/files/${fileHash}`, "alice", { method: "DELETE" })).status).to.equal(410);
+    });
+
+    it("Should decide deletes by the recorded uploadedBy, not by on-chain access", async function () {
+        // Granted to Alice on-chain, but with no record of whom it was uploaded for
+        const recipients = [{ address: alice.address, publicKey: getEthereumPublicKey(ALICE_KEY) }];
+        const unrecorded = (await library.uploadFileToBlockchain(Buffer.from(`unrecorded ${crypto.randomUUID()}`), SERVER_KEY, contractAddress, null, {
+            recipients,
+            metadata: { filename: "unrecorded.txt", mimeType: "text/plain" }
+        })).fileHash;
+        expect((await request(`/files/${unrecorded}`, "alice")).status).to.equal(200);
+        expect((await request(`/files/${unrecorded}`, "alice", { method: "DELETE" })).status).to.equal(403);
+
+        // Owned by Alice herself, as after a portal upload: the server cannot sign for her
+        const own = (await library.uploadFileToBlockchain(Buffer.from(`own ${crypto.randomUUID()}`), ALICE_KEY, contractAddress, null, {
+            metadata: { filename: "own.txt", mimeType: "text/plain", uploadedBy: alice.address }
+        })).fileHash;
+        const ownDelete = await request(`/files/${own}`, "alice", { method: "DELETE" });
+        expect(ownDelete.status).to.equal(403);
+        expect((await ownDelete.json()).error).to.match(/owned by this account.*deleteFile request/);
+
+        for (const fileHash of [unrecorded, own]) {
+            expect((await library.getFileInfo(fileHash, contractAddress)).status).to.equal("active");
+        }
+    });
+
+    it("Should keep a rotated upload listed and deletable for the account it was uploaded for", async function () {
+        const fileHash = await uploadFor(alice, ALICE_KEY, "rotated.txt");
+        const rotated = await library.rotateFileKey(fileHash, SERVER_KEY, contractAddress, {
+            recipientPublicKeys: { [alice.address]: getEthereumPublicKey(ALICE_KEY) }
+        });
+
+        const { files } = await (await request(`/owners/${alice.address}/files`, "alice")).json();
+        const listed = files.find(file => file.fileHash === rotated.fileHash);
+        expect(listed).to.include({ filename: "rotated.txt", uploadedBy: alice.address });
+        expect(files.map(file => file.fileHash)).to.not.include(fileHash);
+
+        expect((await request(`/files/${rotated.fileHash}`, "bob", { method: "DELETE" })).status).to.equal(403);
+        expect((await request(`/files/${rotated.fileHash}`, "alice", { method: "DELETE" })).status).to.equal(200);
+    });
+
+    it("Should describe only the versions the account can access", async function () {
+        const first = await uploadFor(alice, ALICE_KEY, "draft.txt");
+        const second = (await library.uploadNewVersion(first, Buffer.from(`draft v2 ${crypto.randomUUID()}`), SERVER_KEY, contractAddress, {
+            recipientPublicKeys: { [alice.address]: getEthereumPublicKey(ALICE_KEY) }
+        })).fileHash;
+        // Bob is given the second version only
+        await library.shareFile(second, bob.address, getEthereumPublicKey(BOB_KEY), SERVER_KEY, contractAddress);
+
+        const forAlice = await (await request(`/files/${second}/versions`, "alice")).json();
+        expect(forAlice.versions.map(entry => entry.filename)).to.deep.equal(["draft.txt", "draft.txt"]);
+
+        const forBob = await request(`/files/${second}/versions`, "bob");
+        expect(forBob.status).to.equal(200);
+        const { versions } = await forBob.json();
+        expect(versions[0]).to.deep.equal({ version: 1, status: "active", fileHash: first });
+        expect(versions[1]).to.include({ version: 2, status: "active", fileHash: second, filename: "draft.txt", uploadedBy: alice.address });
+        expect((await request(`/files/${first}/versions`, "bob")).status).to.equal(403);
+    });
+
+    it("Should list only the signed-in account's files", async function () {
+        const aliceFiles = [await uploadFor(alice, ALICE_KEY, "a.txt"), await uploadFor(alice, ALICE_KEY, "b.txt")];
+        const bobFile = await uploadFor(bob, BOB_KEY, "c.txt");
+
+        const listed = await request(`/owners/${alice.address}/files`, "alice");
+        expect(listed.status).to.equal(200);
+        const { owner, files } = await listed.json();
+        expect(owner).to.equal(alice.address);
+        const fileHashes = files.map(file => file.fileHash);
+        expect(fileHashes).to.include.members(aliceFiles);
+        expect(fileHashes).to.not.include(bobFile);
+        expect(files.every(file => file.uploadedBy === alice.address)).to.equal(true);
+
+        expect((await request(`/owners/${bob.address}/files`, "alice")).status).to.equal(403);
+        expect((await request("/owners/not-an-address/files", "alice")).status).to.equal(400);
+    });
+
+    it("Should read an owner's files a page at a time", async function () {
+        for (const name of ["p1.txt", "p2.txt", "p3.txt"]) {
+            await uploadFor(alice, ALICE_KEY, name);
+        }
+        const all = await library.listOwnerFiles(server.address, contractAddress);
+        expect(all.length).to.be.above(4);
+
+        const paged = [];
+        for await (const file of library.iterateOwnerFiles(server.address, contractAddress, { pageSize: 2 })) {
+            paged.push(file);
+        }
+        expect(paged).to.deep.equal(all);
+
+        const iterator = library.iterateOwnerFiles(server.address, contractAddress, { pageSize: 0 });
+        await expect(iterator.next()).to.be.rejectedWith("Validation failed: pageSize must be a positive integer");
+    });
+
+    function send(path, account, method, body) {
+        return request(path, account, { method, headers: { "Content-Type": "application/json" }, body: JSON.stringify(body) });
+    }
+
+    it("Should create, fill and list collections for the signed-in account", async function () {
+        const created = await send("/collections", "alice", "POST", { name: "Reports" });
+        expect(created.status).to.equal(201);
+        const collection = await created.json();
+        expect(collection).to.include({ name: "Reports", owner: server.address, createdFor: alice.address });
+        expect(collection.txHash).to.match(/^0x[0-9a-f]{64}$/);
+        const collectionPath = `/collections/${collection.collectionId}`;
+
+        const fileHashes = [await uploadFor(alice, ALICE_KEY, "q1.txt"), await uploadFor(alice, ALICE_KEY, "q2.txt")];
+        expect((await send(`${collectionPath}/files`, "alice", "POST", { fileHashes })).status).to.equal(200);
+        expect((await send(`${collectionPath}/files`, "alice", "POST", { fileHashes: [fileHashes[0]] })).status).to.equal(409);
+        expect((await send(`${collectionPath}/files`, "alice", "POST", { fileHashes: [] })).status).to.equal(400);
+        const bobFile = await uploadFor(bob, BOB_KEY, "bob.txt");
+        const foreign = await send(`${collectionPath}/files`, "alice", "POST", { fileHashes: [bobFile] });
+        expect(foreign.status).to.equal(403);
+        expect((await foreign.json()).error).to.equal(`File ${bobFile} was not uploaded for this account`);
+
+        expect((await send(collectionPath, "alice", "PATCH", { name: "Quarterly reports" })).status).to.equal(200);
+        const read = await (await request(collectionPath, "alice")).json();
+        expect(read).to.include({ name: "Quarterly reports", createdFor: alice.address });
+        expect(read.files).to.have.members(fileHashes);
+
+        const removed = await request(`${collectionPath}/files/${fileHashes[1]}`, "alice", { method: "DELETE" });
+        expect(removed.status).to.equal(200);
+        expect((await request(`${collectionPath}/files/${fileHashes[1]}`, "alice", { method: "DELETE" })).status).to.equal(404);
+
+        const listed = await (await request(`/owners/${alice.address}/collections`, "alice")).json();
+        expect(listed.collections.find(entry => entry.collectionId === collection.collectionId))
+            .to.include({ name: "Quarterly reports", createdFor: alice.address, fileCount: 1 });
+        const bobsList = await (await request(`/owners/${bob.address}/collections`, "bob")).json();
+        expect(bobsList.collections.map(entry => entry.collectionId)).to.not.include(collection.collectionId);
+        expect((await request(`/owners/${bob.address}/collections`, "alice")).status).to.equal(403);
+
+        expect((await request("/collections/abc", "alice")).status).to.equal(400);
+        expect((await request("/collections/999999", "alice")).status).to.equal(404);
+    });
+
+    it("Should share a collection's files, and let only the account it was created for use it", async function () {
+        const collection = await (await send("/collections", "alice", "POST", { name: "Shared" })).json();
+        const collectionPath = `/collections/${collection.collectionId}`;
+        const fileHash = await uploadFor(alice, ALICE_KEY, "shared-in-collection.txt");
+        await send(`${collectionPath}/files`, "alice", "POST", { fileHashes: [fileHash] });
+        const bobRecipient = { recipient: bob.address, publicKey: getEthereumPublicKey(BOB_KEY) };
+
+        // Bob is not the account the server created the collection for
+        const read = await request(collectionPath, "bob");
+        expect(read.status).to.equal(403);
+        expect((await read.json()).error).to.equal("This account cannot use the collection");
+        for (const [method, path, body] of [
+            ["PATCH", collectionPath, { name: "Taken" }],
+            ["POST", `${collectionPath}/files`, { fileHashes: [fileHash] }],
+            ["POST", `${collectionPath}/shares`, bobRecipient]
+        ]) {
+            const refused = await send(path, "bob", method, body);
+            expect(refused.status).to.equal(403);
+            expect((await refused.json()).error).to.equal("Only the account the collection was created for can change it");
+        }
+        expect((await request(`${collectionPath}/files/${fileHash}`, "bob", { method: "DELETE" })).status).to.equal(403);
+        expect((await request(`/files/${fileHash}`, "bob")).status).to.equal(403);
+
+        expect((await send(`${collectionPath}/shares`, "alice", "POST", { recipient: "nope" })).status).to.equal(400);
+        const shared = await send(`${collectionPath}/shares`, "alice", "POST", bobRecipient);
+        expect(shared.status).to.equal(200);
+        const result = await shared.json();
+        expect(result.recipient).to.equal(bob.address);
+        expect(result.fileHashes).to.deep.equal([fileHash]);
+
+        // The share grants the files, not the collection
+        expect((await request(`/files/${fileHash}`, "bob")).status).to.equal(200);
+        expect((await request(collectionPath, "bob")).status).to.equal(403);
+        expect((await request(collectionPath, "alice")).status).to.equal(200);
+    });
+
+    it("Should map registry reverts to 403, 404 and 409", async function () {
+        const fileHash = await uploadFor(alice, ALICE_KEY, "reverts.txt");
+
+        const notOwner = await library.deleteFileFromBlockchain(fileHash, BOB_KEY, contractAddress).catch(error => error);
+        expect(statusForError(notOwner)).to.equal(403);
+        const unknown = await library.deleteFileFromBlockchain(ethers.keccak256(ethers.toUtf8Bytes("missing")), SERVER_KEY, contractAddress).catch(error => error);
+        expect(statusForError(unknown)).to.equal(404);
+
+        await library.deleteFileFromBlockchain(fileHash, SERVER_KEY, contractAddress);
+        const deleted = await library.deleteFileFromBlockchain(fileHash, SERVER_KEY, contractAddress).catch(error => error);
+        expect(statusForError(deleted)).to.equal(409);
+
+        // The registry refuses, rather than the library
+        expect(notOwner.message).to.not.match(/^Validation failed/);
+        expect(statusForError(new Error("Validation failed: invalid fileHash"))).to.equal(400);
+        expect(statusForError(new Error("IPFS gateway unreachable"))).to.equal(500);
+    });
+});
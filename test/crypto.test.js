@@ -12,12 +12,28 @@ const {
     decryptFile,
     wrapKeyForRecipient,
     unwrapKeyForRecipient,
+    wrapKeyForEthereumRecipient,
+    unwrapKeyForEthereumRecipient,
+    getEthereumPublicKey,
+    publicKeyToAddress,
+    recoverPublicKeyFromSignature,
+    openKeyEnvelope,
+    createEncryptStream,
+    createDecryptStream,
+    getStreamLayout,
+    getStreamRange,
     secureZero,
     AES_KEY_SIZE,
     AES_IV_SIZE,
-    MAX_ENCRYPTED_KEY_SIZE
+    AES_AUTH_TAG_SIZE,
+    MAX_ENCRYPTED_KEY_SIZE,
+    STREAM_HEADER_SIZE
 } = require("../src/crypto/crypto");
+const { isKeyEnvelope, encodeKeyEnvelope, KEY_ALGORITHMS, CONTENT_CIPHERS } = require("../src/crypto/keyEnvelope");
 const crypto = require("crypto");
+const { Readable, Writable } = require("stream");
+const { pipeline } = require("stream/promises");
+const { ethers } = require("ethers");
 
 describe("Crypto Module", function () {
     describe("generateSymmetricKey", function () {
@@ -260,6 +276,364 @@ describe("Crypto Module", function () {
         });
     });
 
+    describe("openKeyEnvelope", function () {
+        let publicKey;
+        let privateKey;
+
+        before(function () {
+            ({ publicKey, privateKey } = crypto.generateKeyPairSync("rsa", {
+                modulusLength: 2048,
+                publicKeyEncoding: { type: "spki", format: "pem" },
+                privateKeyEncoding: { type: "pkcs8", format: "pem" }
+            }));
+        });
+
+        it("Should carry IV and auth tag so a recipient can decrypt the file", function () {
+            const symmetricKey = generateSymmetricKey();
+            const plaintext = Buffer.from("shared file contents");
+            const { ciphertext, iv, authTag } = encryptFile(plaintext, symmetricKey);
+
+            const envelope = wrapKeyForRecipient(symmetricKey, publicKey, { iv, authTag });
+            expect(isKeyEnvelope(envelope)).to.be.true;
+            expect(envelope.length).to.be.lessThanOrEqual(MAX_ENCRYPTED_KEY_SIZE);
+
+            const opened = openKeyEnvelope(envelope, privateKey);
+            expect(opened.algorithm).to.equal(KEY_ALGORITHMS.RSA_OAEP_SHA256);
+            expect(decryptFile(ciphertext, opened.symmetricKey, opened.iv, opened.authTag)).to.deep.equal(plaintext);
+        });
+
+        it("Should require a private key for RSA envelopes", function () {
+            const symmetricKey = generateSymmetricKey();
+            const { iv, authTag } = encryptFile(Buffer.from("data"), symmetricKey);
+            const envelope = wrapKeyForRecipient(symmetricKey, publicKey, { iv, authTag });
+
+            expect(() => openKeyEnvelope(envelope)).to.throw("Recipient private key is required");
+        });
+
+        it("Should open unwrapped envelopes without a private key", function () {
+            const symmetricKey = generateSymmetricKey();
+            const { iv, authTag } = encryptFile(Buffer.from("data"), symmetricKey);
+            const envelope = encodeKeyEnvelope({ algorithm: KEY_ALGORITHMS.NONE, wrappedKey: symmetricKey, iv, authTag });
+
+            expect(openKeyEnvelope(envelope).symmetricKey).to.deep.equal(symmetricKey);
+        });
+
+        it("Should reject envelopes without IV or auth tag", function () {
+            const envelope = wrapKeyForRecipient(generateSymmetricKey(), publicKey);
+            expect(() => openKeyEnvelope(envelope, privateKey)).to.throw("missing IV or auth tag");
+        });
+
+        it("Should still unwrap legacy raw RSA-OAEP keys", function () {
+            const symmetricKey = generateSymmetricKey();
+            const legacyWrappedKey = crypto.publicEncrypt(
+                { key: publicKey, padding: crypto.constants.RSA_PKCS1_OAEP_PADDING, oaepHash: "sha256" },
+                symmetricKey
+            );
+
+            expect(unwrapKeyForRecipient(legacyWrappedKey, privateKey)).to.deep.equal(symmetricKey);
+        });
+
+        it("Should refuse to RSA-unwrap an unwrapped envelope", function () {
+            const symmetricKey = generateSymmetricKey();
+            const envelope = encodeKeyEnvelope({ algorithm: KEY_ALGORITHMS.NONE, wrappedKey: symmetricKey, iv: "00", authTag: "00" });
+
+            expect(() => unwrapKeyForRecipient(envelope, privateKey)).to.throw("Envelope is not RSA-OAEP wrapped");
+        });
+    });
+
+    describe("ECIES key wrapping for Ethereum accounts", function () {
+        let wallet;
+
+        before(function () {
+            wallet = ethers.Wallet.createRandom();
+        });
+
+        it("Should derive the account public key and address", function () {
+            const publicKey = getEthereumPublicKey(wallet.privateKey);
+            expect(publicKey).to.equal(wallet.signingKey.publicKey);
+            expect(publicKeyToAddress(publicKey)).to.equal(wallet.address.toLowerCase());
+        });
+
+        it("Should wrap to an account key and unwrap with the account's private key", function () {
+            const symmetricKey = generateSymmetricKey();
+            const plaintext = Buffer.from("wallet-native sharing");
+            const { ciphertext, iv, authTag } = encryptFile(plaintext, symmetricKey);
+
+            const envelope = wrapKeyForEthereumRecipient(symmetricKey, wallet.signingKey.publicKey, { iv, authTag });
+            expect(envelope.length).to.be.lessThanOrEqual(MAX_ENCRYPTED_KEY_SIZE);
+
+            const opened = openKeyEnvelope(envelope, wallet.privateKey);
+            expect(opened.algorithm).to.equal(KEY_ALGORITHMS.ECIES_SECP256K1);
+            expect(decryptFile(ciphertext, opened.symmetricKey, opened.iv, opened.authTag)).to.deep.equal(plaintext);
+        });
+
+        it("Should accept compressed and unprefixed public keys", function () {
+            const symmetricKey = generateSymmetricKey();
+            const compressed = wrapKeyForEthereumRecipient(symmetricKey, wallet.signingKey.compressedPublicKey);
+            const unprefixed = wrapKeyForEthereumRecipient(symmetricKey, "0x" + wallet.signingKey.publicKey.slice(4));
+
+            expect(unwrapKeyForEthereumRecipient(compressed, wallet.privateKey)).to.deep.equal(symmetricKey);
+            expect(unwrapKeyForEthereumRecipient(unprefixed, wallet.privateKey)).to.deep.equal(symmetricKey);
+        });
+
+        it("Should use a fresh ephemeral key for every wrap", function () {
+            const symmetricKey = generateSymmetricKey();
+            const first = wrapKeyForEthereumRecipient(symmetricKey, wallet.signingKey.publicKey);
+            const second = wrapKeyForEthereumRecipient(symmetricKey, wallet.signingKey.publicKey);
+            expect(first.equals(second)).to.be.false;
+        });
+
+        it("Should fail unwrapping with another account's key", function () {
+            const envelope = wrapKeyForEthereumRecipient(generateSymmetricKey(), wallet.signingKey.publicKey);
+            const other = ethers.Wallet.createRandom();
+
+            expect(() => unwrapKeyForEthereumRecipient(envelope, other.privateKey)).to.throw("Key unwrapping failed");
+        });
+
+        it("Should reject invalid public and private keys", function () {
+            const symmetricKey = generateSymmetricKey();
+            expect(() => wrapKeyForEthereumRecipient(symmetricKey, "0x1234")).to.throw("secp256k1 public key");
+
+            const envelope = wrapKeyForEthereumRecipient(symmetricKey, wallet.signingKey.publicKey);
+            expect(() => unwrapKeyForEthereumRecipient(envelope, "not a key")).to.throw("32-byte hex Ethereum private key");
+        });
+
+        it("Should recover the signer's public key from a personal_sign signature", async function () {
+            const signature = await wallet.signMessage("DecentraFile encryption key");
+            expect(recoverPublicKeyFromSignature("DecentraFile encryption key", signature))
+                .to.equal(wallet.signingKey.publicKey);
+        });
+
+        it("Should reject malformed signatures", function () {
+            expect(() => recoverPublicKeyFromSignature("message", "0x1234")).to.throw("Signature must be 65 bytes");
+        });
+    });
+
+    describe("Streaming encryption", function () {
+        const CHUNK = 16;
+
+        async function runThrough(transform, input, pieceSize = 7) {
+            const pieces = [];
+            for (let i = 0; i < input.length; i += pieceSize) {
+                pieces.push(input.subarray(i, i + pieceSize));
+            }
+            const output = [];
+            await pipeline(
+                Readable.from(pieces),
+                transform,
+                new Writable({
+                    write(chunk, encoding, callback) {
+                        output.push(chunk);
+                        callback();
+                    }
+                })
+            );
+            return Buffer.concat(output);
+        }
+
+        function sealedChunk(ciphertext, index) {
+            const start = STREAM_HEADER_SIZE + index * (CHUNK + AES_AUTH_TAG_SIZE);
+            return ciphertext.subarray(start, start + CHUNK + AES_AUTH_TAG_SIZE);
+        }
+
+        for (const size of [0, 1, CHUNK - 1, CHUNK, CHUNK + 1, CHUNK * 5]) {
+            it(`Should round-trip ${size} bytes`, async function () {
+                const key = generateSymmetricKey();
+                const plaintext = crypto.randomBytes(size);
+
+                const ciphertext = await runThrough(createEncryptStream(key, { chunkSize: CHUNK }), plaintext);
+                const chunks = Math.max(1, Math.ceil(size / CHUNK));
+                expect(ciphertext.length).to.equal(STREAM_HEADER_SIZE + size + chunks * AES_AUTH_TAG_SIZE);
+
+                expect(await runThrough(createDecryptStream(key), ciphertext, 5)).to.deep.equal(plaintext);
+            });
+        }
+
+        it("Should round-trip with the default chunk size", async function () {
+            const key = generateSymmetricKey();
+            const plaintext = crypto.randomBytes(200 * 1024);
+            const ciphertext = await runThrough(createEncryptStream(key), plaintext, 10000);
+            expect(await runThrough(createDecryptStream(key), ciphertext, 10000)).to.deep.equal(plaintext);
+        });
+
+        it("Should not depend on the caller keeping the key", async function () {
+            const key = generateSymmetricKey();
+            const keyCopy = Buffer.from(key);
+            const plaintext = crypto.randomBytes(CHUNK * 3);
+            const encryptStream = createEncryptStream(key, { chunkSize: CHUNK });
+            secureZero(key);
+
+            const ciphertext = await runThrough(encryptStream, plaintext);
+            expect(await runThrough(createDecryptStream(keyCopy), ciphertext)).to.deep.equal(plaintext);
+        });
+
+        it("Should detect truncation at a chunk boundary", async function () {
+            const key = generateSymmetricKey();
+            const ciphertext = await runThrough(createEncryptStream(key, { chunkSize: CHUNK }), crypto.randomBytes(CHUNK * 4));
+            const truncated = ciphertext.subarray(0, STREAM_HEADER_SIZE + 2 * (CHUNK + AES_AUTH_TAG_SIZE));
+
+            let error;
+            try {
+                await runThrough(createDecryptStream(key), truncated);
+            } catch (e) {
+                error = e;
+            }
+            expect(error).to.exist;
+            expect(error.message).to.include("Decryption failed");
+        });
+
+        it("Should detect a stream cut inside the header", async function () {
+            const key = generateSymmetricKey();
+            const ciphertext = await runThrough(createEncryptStream(key, { chunkSize: CHUNK }), crypto.randomBytes(CHUNK));
+
+            let error;
+            try {
+                await runThrough(createDecryptStream(key), ciphertext.subarray(0, STREAM_HEADER_SIZE - 1));
+            } catch (e) {
+                error = e;
+            }
+            expect(error.message).to.include("truncated");
+        });
+
+        it("Should detect reordered chunks and appended data", async function () {
+            const key = generateSymmetricKey();
+            const ciphertext = await runThrough(createEncryptStream(key, { chunkSize: CHUNK }), crypto.randomBytes(CHUNK * 3));
+            const header = ciphertext.subarray(0, STREAM_HEADER_SIZE);
+            const rest = ciphertext.subarray(STREAM_HEADER_SIZE + 2 * (CHUNK + AES_AUTH_TAG_SIZE));
+
+            const swapped = Buffer.concat([header, sealedChunk(ciphertext, 1), sealedChunk(ciphertext, 0), rest]);
+            const extended = Buffer.concat([ciphertext, sealedChunk(ciphertext, 0)]);
+
+            for (const tampered of [swapped, extended]) {
+                let error;
+                try {
+                    await runThrough(createDecryptStream(key), tampered);
+                } catch (e) {
+                    error = e;
+                }
+                expect(error).to.exist;
+            }
+        });
+
+        it("Should detect a modified byte and a tampered header", async function () {
+            const key = generateSymmetricKey();
+            const ciphertext = await runThrough(createEncryptStream(key, { chunkSize: CHUNK }), crypto.randomBytes(CHUNK * 2));
+
+            const flipped = Buffer.from(ciphertext);
+            flipped[STREAM_HEADER_SIZE + 3] ^= 0x01;
+            const prefixChanged = Buffer.from(ciphertext);
+            prefixChanged[STREAM_HEADER_SIZE - 1] ^= 0x01;
+
+            for (const tampered of [flipped, prefixChanged]) {
+                let error;
+                try {
+                    await runThrough(createDecryptStream(key), tampered);
+                } catch (e) {
+                    error = e;
+                }
+                expect(error.message).to.include("Decryption failed");
+            }
+        });
+
+        it("Should fail with the wrong key", async function () {
+            const ciphertext = await runThrough(createEncryptStream(generateSymmetricKey()), Buffer.from("data"));
+
+            let error;
+            try {
+                await runThrough(createDecryptStream(generateSymmetricKey()), ciphertext);
+            } catch (e) {
+                error = e;
+            }
+            expect(error.message).to.include("Decryption failed");
+        });
+
+        it("Should reject input that is not a stream ciphertext", async function () {
+            let error;
+            try {
+                await runThrough(createDecryptStream(generateSymmetricKey()), crypto.randomBytes(64));
+            } catch (e) {
+                error = e;
+            }
+            expect(error.message).to.include("Not a DecentraFile encrypted stream");
+        });
+
+        it("Should validate key and chunk size", function () {
+            expect(() => createEncryptStream(Buffer.alloc(16))).to.throw("Symmetric key must be");
+            expect(() => createDecryptStream("key")).to.throw("Symmetric key must be");
+            expect(() => createEncryptStream(generateSymmetricKey(), { chunkSize: -1 })).to.throw("Chunk size");
+        });
+
+        it("Should compute the plaintext size from the header and ciphertext size", async function () {
+            const key = generateSymmetricKey();
+            for (const size of [0, 1, CHUNK, CHUNK * 5 + 3]) {
+                const ciphertext = await runThrough(createEncryptStream(key, { chunkSize: CHUNK }), crypto.randomBytes(size));
+                const layout = getStreamLayout(ciphertext.subarray(0, STREAM_HEADER_SIZE), ciphertext.length);
+                expect(layout).to.include({ chunkSize: CHUNK, chunks: Math.max(1, Math.ceil(size / CHUNK)), plaintextSize: size });
+            }
+        });
+
+        it("Should decrypt a byte range from only the chunks that hold it", async function () {
+            const key = generateSymmetricKey();
+            const plaintext = crypto.randomBytes(CHUNK * 5 + 3);
+            const ciphertext = await runThrough(createEncryptStream(key, { chunkSize: CHUNK }), plaintext);
+            const layout = getStreamLayout(ciphertext.subarray(0, STREAM_HEADER_SIZE), ciphertext.length);
+
+            for (const [start, end] of [[0, 0], [3, CHUNK + 2], [CHUNK, 2 * CHUNK - 1], [CHUNK * 5, CHUNK * 5 + 2], [7, CHUNK * 5 + 2]]) {
+                const range = getStreamRange(layout, start, end);
+                const decrypted = await runThrough(
+                    createDecryptStream(key, { header: layout.header, firstChunk: range.firstChunk, final: range.final }),
+                    ciphertext.subarray(range.offset, range.offset + range.length)
+                );
+                expect(decrypted.subarray(range.skip, range.skip + end - start + 1)).to.deep.equal(plaintext.subarray(start, end + 1));
+            }
+        });
+
+        it("Should not decrypt chunks of a range read at the wrong position", async function () {
+            const key = generateSymmetricKey();
+            const ciphertext = await runThrough(createEncryptStream(key, { chunkSize: CHUNK }), crypto.randomBytes(CHUNK * 4));
+            const layout = getStreamLayout(ciphertext.subarray(0, STREAM_HEADER_SIZE), ciphertext.length);
+            const range = getStreamRange(layout, CHUNK, 2 * CHUNK - 1);
+            const chunk = ciphertext.subarray(range.offset, range.offset + range.length);
+
+            for (const options of [{ firstChunk: 2, final: false }, { firstChunk: 1, final: true }]) {
+                let error;
+                try {
+                    await runThrough(createDecryptStream(key, { header: layout.header, ...options }), chunk);
+                } catch (e) {
+                    error = e;
+                }
+                expect(error.message).to.include("Decryption failed");
+            }
+        });
+
+        it("Should reject ciphertext sizes and ranges that do not fit the stream", async function () {
+            const key = generateSymmetricKey();
+            const ciphertext = await runThrough(createEncryptStream(key, { chunkSize: CHUNK }), crypto.randomBytes(CHUNK * 2));
+            const header = ciphertext.subarray(0, STREAM_HEADER_SIZE);
+            const layout = getStreamLayout(header, ciphertext.length);
+
+            expect(() => getStreamLayout(header, STREAM_HEADER_SIZE + AES_AUTH_TAG_SIZE - 1)).to.throw("truncated");
+            expect(() => getStreamLayout(header, ciphertext.length + 3)).to.throw("truncated");
+            expect(() => getStreamLayout(crypto.randomBytes(STREAM_HEADER_SIZE), ciphertext.length)).to.throw("Not a DecentraFile encrypted stream");
+            expect(() => getStreamRange(layout, 0, CHUNK * 2)).to.throw("Range is outside the plaintext");
+            expect(() => getStreamRange(layout, 5, 4)).to.throw("Range is outside the plaintext");
+        });
+
+        it("Should open envelopes for streamed content without an IV or auth tag", function () {
+            const key = generateSymmetricKey();
+            const envelope = encodeKeyEnvelope({
+                algorithm: KEY_ALGORITHMS.NONE,
+                wrappedKey: key,
+                contentCipher: CONTENT_CIPHERS.AES_256_GCM_STREAM
+            });
+
+            const opened = openKeyEnvelope(envelope);
+            expect(opened.contentCipher).to.equal(CONTENT_CIPHERS.AES_256_GCM_STREAM);
+            expect(opened.symmetricKey).to.deep.equal(key);
+            expect(opened.iv).to.equal("");
+        });
+    });
+
     describe("secureZero", function () {
         it("Should zero out buffer", function () {
             const buffer = Buffer.from("sensitive data");
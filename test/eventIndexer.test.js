@@ -0,0 +1,137 @@
+/*
+ * Project: DecentraFile
+ * Author: Thor Thor
+ * Contact: codethor@gmail.com
+ * LinkedIn: https://www.linkedin.com/in/thor-thor0
+ */
+
+const { expect } = require("chai");
+const { ethers, network } = require("hardhat");
+const { Web3 } = require("web3");
+const path = require("path");
+const { EventIndexer, EventStore, createWeb3Chain, decodeLog } = require("../src/indexer");
+const { ENCRYPTED_KEY, generateFileHash, deployFileRegistry, createTempDir, removeTempDir } = require("./utils/test-helpers");
+
+describe("Event indexer", function () {
+    let registry;
+    let owner;
+    let recipient;
+    let tempDir;
+    let chain;
+
+    beforeEach(async function () {
+        [owner, recipient] = await ethers.getSigners();
+        registry = await deployFileRegistry();
+        tempDir = createTempDir("indexer");
+        chain = createWeb3Chain(new Web3(network.provider));
+    });
+
+    afterEach(function () {
+        removeTempDir(tempDir);
+    });
+
+    async function upload(name, signer = owner) {
+        const receipt = await (await registry.connect(signer).uploadFile(generateFileHash(name), ENCRYPTED_KEY)).wait();
+        return { fileHash: generateFileHash(name), blockNumber: receipt.blockNumber };
+    }
+
+    async function createIndexer(options = {}) {
+        return new EventIndexer({
+            store: new EventStore(path.join(tempDir, "event-index.json")),
+            chain,
+            contractAddress: await registry.getAddress(),
+            batchSize: 2,
+            ...options
+        });
+    }
+
+    it("Should backfill uploads and downloads and answer queries", async function () {
+        const first = await upload("first");
+        const second = await upload("second");
+        await registry.connect(owner).grantAccess(first.fileHash, recipient.address, ENCRYPTED_KEY);
+        await registry.connect(recipient).retrieveFile(first.fileHash);
+        await registry.connect(owner).retrieveFile(first.fileHash);
+        await upload("third", recipient);
+
+        const indexer = await createIndexer();
+        const result = await indexer.sync();
+        expect(result).to.include({ events: 5, reorgedFrom: null, toBlock: await ethers.provider.getBlockNumber() });
+
+        const uploads = indexer.store.uploadsByOwner(owner.address.toLowerCase());
+        expect(uploads.map(event => event.fileHash)).to.deep.equal([first.fileHash, second.fileHash]);
+        const { timestamp } = await ethers.provider.getBlock(first.blockNumber);
+        expect(uploads[0]).to.include({ event: "FileUploaded", address: owner.address, timestamp, blockNumber: first.blockNumber });
+
+        const downloads = indexer.store.downloadsOfFile(first.fileHash);
+        expect(downloads.map(event => event.address)).to.deep.equal([recipient.address, owner.address]);
+        expect(downloads[0].timestamp).to.be.a("number");
+        expect(indexer.store.downloadsOfFile(second.fileHash)).to.deep.equal([]);
+
+        const { timestamp: secondTime } = await ethers.provider.getBlock(second.blockNumber);
+        expect(indexer.store.uploadsBetween(timestamp, secondTime).map(event => event.fileHash)).to.deep.equal([first.fileHash, second.fileHash]);
+        expect(indexer.store.uploadsBetween(secondTime + 1000, secondTime + 2000)).to.deep.equal([]);
+
+        // Persisted: a restarted indexer carries on from where it stopped
+        const restarted = await createIndexer();
+        expect(restarted.store.uploadsByOwner(recipient.address)).to.have.length(1);
+        expect((await restarted.sync()).events).to.equal(0);
+        await upload("fourth");
+        expect((await restarted.sync()).events).to.equal(1);
+    });
+
+    it("Should start at the start block and re-index a new contract from scratch", async function () {
+        await upload("before");
+        const startBlock = (await ethers.provider.getBlockNumber()) + 1;
+        const after = await upload("after");
+
+        const indexer = await createIndexer({ startBlock });
+        await indexer.sync();
+        expect(indexer.store.uploadsByOwner(owner.address).map(event => event.fileHash)).to.deep.equal([after.fileHash]);
+
+        const redeployed = await deployFileRegistry();
+        const moved = await createIndexer({ contractAddress: await redeployed.getAddress(), startBlock });
+        await moved.sync();
+        expect(moved.store.events).to.deep.equal([]);
+        expect(moved.store.contractAddress).to.equal(await redeployed.getAddress());
+    });
+
+    it("Should drop events of blocks a reorganisation replaced", async function () {
+        const kept = await upload("kept");
+        const indexer = await createIndexer();
+        await indexer.sync();
+
+        const snapshot = await network.provider.send("evm_snapshot");
+        const orphaned = await upload("orphaned");
+        await indexer.sync();
+        expect(indexer.store.uploadsByOwner(owner.address)).to.have.length(2);
+
+        // Replace the block holding "orphaned" with one holding another upload
+        await network.provider.send("evm_revert", [snapshot]);
+        const replacement = await upload("replacement");
+        expect(replacement.blockNumber).to.equal(orphaned.blockNumber);
+
+        const result = await indexer.sync();
+        expect(result.reorgedFrom).to.equal(orphaned.blockNumber);
+        expect(indexer.store.uploadsByOwner(owner.address).map(event => event.fileHash)).to.deep.equal([kept.fileHash, replacement.fileHash]);
+        const { hash } = await ethers.provider.getBlock(replacement.blockNumber);
+        expect(indexer.store.blocks[indexer.store.blocks.length - 1]).to.deep.equal({ number: replacement.blockNumber, hash });
+    });
+
+    it("Should decode access-denied events and skip the registry's other events", async function () {
+        // retrieveFile reverts after emitting FileAccessDenied, so the log is built here
+        const fileHash = generateFileHash("denied");
+        const { data, topics } = registry.interface.encodeEventLog("FileAccessDenied", [fileHash, recipient.address]);
+        const log = { topics, data, blockNumber: 7n, blockHash: ethers.ZeroHash, transactionHash: ethers.ZeroHash, logIndex: 0n };
+        const event = decodeLog(log);
+        expect(event).to.include({ event: "FileAccessDenied", fileHash, address: recipient.address, timestamp: null, blockNumber: 7 });
+
+        const granted = registry.interface.encodeEventLog("AccessGranted", [fileHash, recipient.address]);
+        expect(decodeLog({ ...log, ...granted })).to.equal(null);
+        expect(decodeLog({ ...log, removed: true })).to.equal(null);
+
+        const store = new EventStore(null);
+        store.append({ events: [{ ...event, timestamp: 1 }], blocks: [], nextBlock: 8 }, 64);
+        expect(store.accessDenied({ address: recipient.address })).to.have.length(1);
+        expect(store.accessDenied({ fileHash: generateFileHash("other") })).to.deep.equal([]);
+    });
+});
@@ -0,0 +1,133 @@
+/*
+ * Project: DecentraFile
+ * Author: Thor Thor
+ * Contact: codethor@gmail.com
+ * LinkedIn: https://www.linkedin.com/in/thor-thor0
+ */
+
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const express = require("express");
+const http = require("http");
+const crypto = require("crypto");
+const { loadLibrary } = require("./utils/rpc-bridge");
+
+// Hardhat default account #0, owning the file
+const OWNER_KEY = "0xac0974bec39a17e36ba4a6b4d238ff944bacb478cbed5efcae784d7bf4f2ff80";
+
+describe("File content responses", function () {
+    const owner = new ethers.Wallet(OWNER_KEY);
+    // Spans three 64 KiB encryption chunks
+    const content = crypto.randomBytes(150 * 1024);
+    let fileHash;
+    let etag;
+    let lastModified;
+    let httpServer;
+    let url;
+
+    before(async function () {
+        const library = await loadLibrary();
+        const { sendFileContent } = require("../src/api/fileContent");
+
+        const FileRegistry = await ethers.getContractFactory("FileRegistry");
+        const registry = await FileRegistry.deploy();
+        await registry.waitForDeployment();
+        const contractAddress = await registry.getAddress();
+
+        ({ fileHash } = await library.uploadFileToBlockchain(content, OWNER_KEY, contractAddress, null, {
+            metadata: { filename: "dataset.bin", mimeType: "application/octet-stream" }
+        }));
+        const file = await library.getFileInfo(fileHash, contractAddress);
+        etag = `"${fileHash}"`;
+        lastModified = new Date(file.timestamp * 1000).toUTCString();
+
+        const app = express();
+        app.all("/content", async (req, res) => {
+            await sendFileContent(req, res, file, contractAddress, { recipientPrivateKey: OWNER_KEY, callerAddress: owner.address });
+        });
+        httpServer = app.listen(0, "127.0.0.1");
+        await new Promise(resolve => httpServer.once("listening", resolve));
+        url = `http://127.0.0.1:${httpServer.address().port}/content`;
+    });
+
+    after(async function () {
+        await new Promise(resolve => httpServer.close(resolve));
+    });
+
+    // fetch would add Cache-Control: no-cache to conditional requests, which disables them
+    function get(headers = {}, method = "GET") {
+        return new Promise((resolve, reject) => {
+            http.request(url, { method, headers }, (response) => {
+                const chunks = [];
+                response.on("data", chunk => chunks.push(chunk));
+                response.on("end", () => resolve({ response, body: Buffer.concat(chunks) }));
+            }).on("error", reject).end();
+        });
+    }
+
+    it("Should send the whole file with its validators", async function () {
+        const { response, body } = await get();
+        expect(response.statusCode).to.equal(200);
+        expect(response.headers.etag).to.equal(etag);
+        expect(response.headers["last-modified"]).to.equal(lastModified);
+        expect(response.headers["accept-ranges"]).to.equal("bytes");
+        expect(response.headers["content-length"]).to.equal(String(content.length));
+        expect(response.headers["content-disposition"]).to.equal("attachment; filename=\"dataset.bin\"");
+        expect(body.equals(content)).to.equal(true);
+    });
+
+    it("Should send a single range across encryption chunks", async function () {
+        const start = 64 * 1024 - 10;
+        const end = 128 * 1024 + 9;
+        const { response, body } = await get({ Range: `bytes=${start}-${end}` });
+        expect(response.statusCode).to.equal(206);
+        expect(response.headers["content-range"]).to.equal(`bytes ${start}-${end}/${content.length}`);
+        expect(response.headers["content-length"]).to.equal(String(end - start + 1));
+        expect(body.equals(content.subarray(start, end + 1))).to.equal(true);
+    });
+
+    it("Should send open-ended and suffix ranges to the end of the file", async function () {
+        const openEnded = await get({ Range: "bytes=100000-" });
+        expect(openEnded.response.statusCode).to.equal(206);
+        expect(openEnded.response.headers["content-range"]).to.equal(`bytes 100000-${content.length - 1}/${content.length}`);
+        expect(openEnded.body.equals(content.subarray(100000))).to.equal(true);
+
+        const suffix = await get({ Range: "bytes=-5" });
+        expect(suffix.response.statusCode).to.equal(206);
+        expect(suffix.body.equals(content.subarray(content.length - 5))).to.equal(true);
+    });
+
+    it("Should answer 416 to a range outside the file", async function () {
+        const { response, body } = await get({ Range: `bytes=${content.length}-${content.length + 100}` });
+        expect(response.statusCode).to.equal(416);
+        expect(response.headers["content-range"]).to.equal(`bytes */${content.length}`);
+        expect(body.length).to.equal(0);
+    });
+
+    it("Should send the whole file when If-Range no longer matches", async function () {
+        const stale = await get({ Range: "bytes=0-99", "If-Range": `"${ethers.ZeroHash}"` });
+        expect(stale.response.statusCode).to.equal(200);
+        expect(stale.body.equals(content)).to.equal(true);
+
+        const staleDate = await get({ Range: "bytes=0-99", "If-Range": new Date(0).toUTCString() });
+        expect(staleDate.response.statusCode).to.equal(200);
+
+        const current = await get({ Range: "bytes=0-99", "If-Range": etag });
+        expect(current.response.statusCode).to.equal(206);
+        expect(current.body.equals(content.subarray(0, 100))).to.equal(true);
+    });
+
+    it("Should answer 304 to a matching If-None-Match", async function () {
+        const notModified = await get({ "If-None-Match": etag });
+        expect(notModified.response.statusCode).to.equal(304);
+        expect(notModified.body.length).to.equal(0);
+        expect(notModified.response.headers.etag).to.equal(etag);
+
+        const changed = await get({ "If-None-Match": `"${ethers.ZeroHash}"` });
+        expect(changed.response.statusCode).to.equal(200);
+        expect(changed.body.equals(content)).to.equal(true);
+
+        // POST is never conditional
+        expect((await get({ "If-None-Match": etag }, "POST")).response.statusCode).to.equal(200);
+    });
+});
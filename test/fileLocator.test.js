@@ -0,0 +1,69 @@
+/*
+ * Project: DecentraFile
+ * Author: Thor Thor
+ * Contact: codethor@gmail.com
+ * LinkedIn: https://www.linkedin.com/in/thor-thor0
+ */
+
+const { expect } = require("chai");
+const {
+    encodeLocator,
+    decodeLocator,
+    LOCATOR_PLAINTEXT,
+    LOCATOR_ENCRYPTED,
+    MAX_LOCATOR_SIZE
+} = require("../src/utils/fileLocator");
+const { generateSymmetricKey } = require("../src/crypto/crypto");
+
+describe("File Locator Module", function () {
+    const cid = "QmYwAPJzv5CZsnA625s3Xf2nemtYgPpHdWEz79ojWnPbdG";
+
+    describe("encodeLocator", function () {
+        it("Should prefix a plaintext CID with the plaintext version byte", function () {
+            const locator = encodeLocator(cid);
+            expect(locator[0]).to.equal(LOCATOR_PLAINTEXT);
+            expect(locator.subarray(1).toString("utf8")).to.equal(cid);
+        });
+
+        it("Should encrypt the CID when a key is given", function () {
+            const locator = encodeLocator(cid, generateSymmetricKey());
+            expect(locator[0]).to.equal(LOCATOR_ENCRYPTED);
+            expect(locator.toString("utf8")).to.not.include(cid);
+            expect(locator.length).to.be.at.most(MAX_LOCATOR_SIZE);
+        });
+
+        it("Should reject an empty CID", function () {
+            expect(() => encodeLocator("")).to.throw("CID must be a non-empty string");
+        });
+
+        it("Should reject locators above the maximum size", function () {
+            expect(() => encodeLocator("Q".repeat(MAX_LOCATOR_SIZE))).to.throw("Locator exceeds maximum size");
+        });
+    });
+
+    describe("decodeLocator", function () {
+        it("Should round-trip a plaintext locator", function () {
+            expect(decodeLocator(encodeLocator(cid))).to.equal(cid);
+        });
+
+        it("Should round-trip an encrypted locator with the file key", function () {
+            const key = generateSymmetricKey();
+            expect(decodeLocator(encodeLocator(cid, key), key)).to.equal(cid);
+        });
+
+        it("Should require the file key for encrypted locators", function () {
+            const locator = encodeLocator(cid, generateSymmetricKey());
+            expect(() => decodeLocator(locator)).to.throw("File key required");
+        });
+
+        it("Should reject the wrong key", function () {
+            const locator = encodeLocator(cid, generateSymmetricKey());
+            expect(() => decodeLocator(locator, generateSymmetricKey())).to.throw("Failed to decrypt locator");
+        });
+
+        it("Should reject empty and unknown locators", function () {
+            expect(() => decodeLocator(Buffer.alloc(0))).to.throw("empty or malformed");
+            expect(() => decodeLocator(Buffer.from([0x7f, 0x01]))).to.throw("Unsupported locator version");
+        });
+    });
+});
@@ -0,0 +1,285 @@
+/*
+ * Project: DecentraFile
+ * Author: Thor Thor
+ * Contact: codethor@gmail.com
+ * LinkedIn: https://www.linkedin.com/in/thor-thor0
+ */
+
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const crypto = require("crypto");
+const { Readable } = require("stream");
+const { runFsck, fileHashOf, ISSUE_TYPES } = require("../src/fsck");
+const { LocalBackend } = require("../src/storage");
+const { PinManager, PinStore, RemotePinningClient } = require("../src/pinning");
+const { UploadJournal } = require("../src/journal");
+const { encodeLocator } = require("../src/utils/fileLocator");
+const MockPinningService = require("./utils/pinning-service-mock");
+
+const ENCRYPTED_KEY = "0x" + "11".repeat(64);
+
+/**
+ * In-memory stand-ins for ipfs-mapping.json and filename-mapping.json
+ */
+function createMappings() {
+    const state = { ipfs: new Map(), filenames: new Map() };
+    return {
+        state,
+        ipfs: {
+            load: () => new Map(state.ipfs),
+            set: (fileHash, cid) => state.ipfs.set(fileHash, cid),
+            remove: fileHash => state.ipfs.delete(fileHash)
+        },
+        filenames: {
+            load: () => new Map(state.filenames),
+            remove: fileHash => state.filenames.delete(fileHash)
+        }
+    };
+}
+
+describe("Reconciliation (fsck)", function () {
+    let registry;
+    let owner;
+    let backend;
+    let tempDir;
+    let pinManager;
+    let mappings;
+
+    beforeEach(async function () {
+        [owner] = await ethers.getSigners();
+        const FileRegistry = await ethers.getContractFactory("FileRegistry");
+        registry = await FileRegistry.deploy();
+        await registry.waitForDeployment();
+
+        tempDir = fs.mkdtempSync(path.join(os.tmpdir(), "decentrafile-fsck-"));
+        backend = new LocalBackend(tempDir);
+        pinManager = new PinManager({
+            storage: { pin: cid => backend.pin(cid), unpin: cid => backend.unpin(cid) },
+            policy: "local",
+            store: new PinStore(null)
+        });
+        mappings = createMappings();
+    });
+
+    afterEach(function () {
+        fs.rmSync(tempDir, { recursive: true, force: true });
+    });
+
+    async function store(label) {
+        const { cid } = await backend.put(Readable.from([Buffer.from(`fsck ${label} ${crypto.randomUUID()}`)]));
+        return { cid, fileHash: fileHashOf(cid) };
+    }
+
+    async function uploadConsistently(label) {
+        const file = await store(label);
+        await backend.pin(file.cid);
+        await registry.uploadFile(file.fileHash, ENCRYPTED_KEY);
+        mappings.state.ipfs.set(file.fileHash, file.cid);
+        mappings.state.filenames.set(file.fileHash, { filename: `${label}.txt` });
+        return file;
+    }
+
+    function fsck(options = {}) {
+        return runFsck({ registry, storage: backend, pinManager, mappings, owners: [owner.address], ...options });
+    }
+
+    function issuesOf(report, type) {
+        return report.issues.filter(issue => issue.type === type);
+    }
+
+    it("Should report nothing for consistent files", async function () {
+        await uploadConsistently("first");
+        await uploadConsistently("second");
+
+        const report = await fsck();
+        expect(report.issues).to.deep.equal([]);
+        expect(report.summary).to.include({ files: 2, active: 2, stored: 2, issues: 0 });
+    });
+
+    it("Should find and unpin content of an upload that was never registered", async function () {
+        const orphan = await store("orphan");
+        await backend.pin(orphan.cid);
+
+        const dryRun = await fsck();
+        expect(issuesOf(dryRun, ISSUE_TYPES.ORPHANED_CONTENT)).to.have.length(1);
+        expect(dryRun.issues[0]).to.include({ fileHash: orphan.fileHash, cid: orphan.cid, state: "unregistered", repair: "unpin", severity: "warning" });
+        expect((await backend.stat(orphan.cid)).pinned).to.equal(true);
+
+        const repaired = await fsck({ repair: true });
+        expect(repaired.issues[0].repaired).to.equal(true);
+        expect(repaired.summary.repaired).to.equal(1);
+        expect((await backend.stat(orphan.cid)).pinned).to.equal(false);
+    });
+
+    it("Should leave recent unregistered uploads alone", async function () {
+        const pending = await store("pending");
+        await pinManager.pin(pending.fileHash, pending.cid);
+
+        const report = await fsck({ repair: true });
+        expect(report.issues[0]).to.include({ type: ISSUE_TYPES.ORPHANED_CONTENT, repair: null });
+        expect(report.issues[0].message).to.include("may still be registering");
+        expect((await backend.stat(pending.cid)).pinned).to.equal(true);
+
+        const expired = await fsck({ repair: true, graceMs: 0 });
+        expect(expired.issues[0]).to.include({ repair: "unpin", repaired: true });
+        expect((await pinManager.status(pending.fileHash)).local.status).to.equal("unpinned");
+    });
+
+    it("Should leave uploads still pending in the upload journal alone after the grace period", async function () {
+        const awaiting = await store("awaiting");
+        await pinManager.pin(awaiting.fileHash, awaiting.cid);
+        const journal = new UploadJournal(null);
+        const upload = journal.begin({ contractAddress: await registry.getAddress() });
+        journal.record(upload.id, "stored", { cid: awaiting.cid, fileHash: awaiting.fileHash });
+        journal.record(upload.id, "awaiting_signature", { expiresAt: new Date(Date.now() + 60 * 60 * 1000).toISOString() });
+
+        const report = await fsck({ repair: true, graceMs: 0, journal });
+        expect(report.issues[0]).to.include({ type: ISSUE_TYPES.ORPHANED_CONTENT, repair: null });
+        expect(report.issues[0].message).to.include("still pending in the upload journal");
+        expect((await backend.stat(awaiting.cid)).pinned).to.equal(true);
+
+        journal.record(upload.id, "failed", { error: "Upload expired" });
+        const expired = await fsck({ repair: true, graceMs: 0, journal });
+        expect(expired.issues[0]).to.include({ repair: "unpin", repaired: true });
+    });
+
+    it("Should clean up mappings and content of deleted files", async function () {
+        const deleted = await uploadConsistently("deleted");
+        await registry.deleteFile(deleted.fileHash);
+
+        const report = await fsck({ repair: true, purge: true });
+        const stale = issuesOf(report, ISSUE_TYPES.STALE_MAPPING);
+        expect(stale.map(issue => issue.mapping)).to.have.members(["ipfs", "filenames"]);
+        expect(stale.every(issue => issue.repaired)).to.equal(true);
+        expect(issuesOf(report, ISSUE_TYPES.ORPHANED_CONTENT)[0]).to.include({ state: "deleted", repair: "delete", repaired: true });
+
+        expect(mappings.state.ipfs.size).to.equal(0);
+        expect(mappings.state.filenames.size).to.equal(0);
+        expect(await backend.stat(deleted.cid)).to.equal(null);
+    });
+
+    it("Should restore the mapping of a dangling registration from stored content", async function () {
+        const lost = await uploadConsistently("lost mapping");
+        mappings.state.ipfs.delete(lost.fileHash);
+
+        const report = await fsck({ repair: true });
+        expect(report.issues).to.have.length(1);
+        expect(report.issues[0]).to.include({ type: ISSUE_TYPES.DANGLING_REGISTRATION, severity: "error", cid: lost.cid, repair: "restore_mapping", repaired: true });
+        expect(mappings.state.ipfs.get(lost.fileHash)).to.equal(lost.cid);
+    });
+
+    it("Should find registrations with no CID anywhere through the owner's files", async function () {
+        const unknown = fileHashOf("bafkreiunknowncontent");
+        await registry.uploadFile(unknown, ENCRYPTED_KEY);
+
+        const report = await fsck({ repair: true });
+        const dangling = issuesOf(report, ISSUE_TYPES.DANGLING_REGISTRATION);
+        expect(dangling).to.have.length(1);
+        expect(dangling[0]).to.include({ fileHash: unknown, cid: null, repair: null });
+
+        const withoutOwners = await fsck({ owners: [] });
+        expect(withoutOwners.summary.files).to.equal(0);
+    });
+
+    it("Should resolve CIDs from plaintext locators and count encrypted ones as unverified", async function () {
+        const located = await store("public locator");
+        await backend.pin(located.cid);
+        await registry.uploadFileWithLocator(located.fileHash, ENCRYPTED_KEY, encodeLocator(located.cid));
+        mappings.state.filenames.set(located.fileHash, { filename: "public.txt" });
+
+        const hidden = fileHashOf("bafkreihiddencontent");
+        await registry.uploadFileWithLocator(hidden, ENCRYPTED_KEY, encodeLocator("bafkreihiddencontent", crypto.randomBytes(32)));
+        mappings.state.filenames.set(hidden, { filename: "hidden.txt" });
+
+        const report = await fsck();
+        expect(report.issues).to.deep.equal([]);
+        expect(report.summary).to.include({ active: 2, unverified: 1 });
+    });
+
+    it("Should pin unpinned content and report content the backend does not hold", async function () {
+        const unpinned = await uploadConsistently("unpinned");
+        await backend.unpin(unpinned.cid);
+        const missing = await uploadConsistently("missing");
+        await backend.delete(missing.cid);
+
+        const report = await fsck({ repair: true });
+        expect(issuesOf(report, ISSUE_TYPES.UNPINNED_CONTENT)[0]).to.include({ fileHash: unpinned.fileHash, repair: "pin", repaired: true });
+        const [lost] = issuesOf(report, ISSUE_TYPES.MISSING_CONTENT);
+        expect(lost).to.include({ fileHash: missing.fileHash, severity: "error", repaired: false });
+        expect(lost.repairError).to.include("Content not found");
+        expect(report.summary).to.include({ repaired: 1, repairFailed: 1 });
+        expect((await backend.stat(unpinned.cid)).pinned).to.equal(true);
+    });
+
+    it("Should not expect local pins when the pin policy does not ask for them", async function () {
+        const unpinned = await uploadConsistently("unpinned");
+        await backend.unpin(unpinned.cid);
+        pinManager = new PinManager({ storage: backend, policy: "none", store: new PinStore(null) });
+
+        expect((await fsck()).issues).to.deep.equal([]);
+    });
+
+    it("Should replace a mapping entry that points to other content", async function () {
+        const file = await uploadConsistently("right");
+        const other = await store("wrong");
+        mappings.state.ipfs.set(file.fileHash, other.cid);
+
+        const report = await fsck({ repair: true });
+        expect(issuesOf(report, ISSUE_TYPES.MAPPING_MISMATCH)[0]).to.include({ cid: other.cid, repair: "restore_mapping", repaired: true });
+        expect(issuesOf(report, ISSUE_TYPES.DANGLING_REGISTRATION)).to.have.length(0);
+        expect(mappings.state.ipfs.get(file.fileHash)).to.equal(file.cid);
+    });
+
+    it("Should only report mapping entries of files that were never registered", async function () {
+        const foreign = fileHashOf("bafkreiforeigncontent");
+        mappings.state.ipfs.set(foreign, "bafkreiforeigncontent");
+
+        const report = await fsck({ repair: true });
+        expect(report.issues[0]).to.include({ type: ISSUE_TYPES.STALE_MAPPING, state: "unregistered", repair: null });
+        expect(mappings.state.ipfs.has(foreign)).to.equal(true);
+    });
+
+    it("Should report registered files without filename metadata", async function () {
+        const file = await uploadConsistently("nameless");
+        mappings.state.filenames.delete(file.fileHash);
+
+        const report = await fsck({ repair: true });
+        expect(report.issues).to.have.length(1);
+        expect(report.issues[0]).to.include({ type: ISSUE_TYPES.MISSING_METADATA, severity: "info", repair: null });
+    });
+
+    describe("with a remote pinning service", function () {
+        let service;
+        let remote;
+
+        before(async function () {
+            service = new MockPinningService("fsck-token");
+            remote = new RemotePinningClient({ endpoint: await service.start(), accessToken: "fsck-token" });
+        });
+
+        after(async function () {
+            await service.stop();
+        });
+
+        it("Should re-request failed remote pins and unpin remote pins of deleted files", async function () {
+            pinManager = new PinManager({ storage: backend, remote, policy: "remote", store: new PinStore(null) });
+            const failed = await uploadConsistently("remote failed");
+            const record = await pinManager.pin(failed.fileHash, failed.cid);
+            service.setStatus(record.remote.requestId, "failed");
+            await pinManager.status(failed.fileHash, { refresh: true });
+
+            const deleted = await uploadConsistently("remote deleted");
+            await pinManager.pin(deleted.fileHash, deleted.cid);
+            await registry.deleteFile(deleted.fileHash);
+
+            const report = await fsck({ repair: true });
+            expect(issuesOf(report, ISSUE_TYPES.UNPINNED_CONTENT)[0]).to.deep.include({ fileHash: failed.fileHash, missing: ["remote"], repaired: true });
+            expect(issuesOf(report, ISSUE_TYPES.ORPHANED_CONTENT)[0]).to.include({ fileHash: deleted.fileHash, repair: "unpin", repaired: true });
+            expect(service.pinsFor(failed.cid).map(pinStatus => pinStatus.status)).to.include("queued");
+            expect(service.pinsFor(deleted.cid)).to.have.length(0);
+        });
+    });
+});
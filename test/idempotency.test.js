@@ -0,0 +1,237 @@
+/*
+ * Project: DecentraFile
+ * Author: Thor Thor
+ * Contact: codethor@gmail.com
+ * LinkedIn: https://www.linkedin.com/in/thor-thor0
+ */
+
+const { expect } = require("chai");
+const express = require("express");
+const crypto = require("crypto");
+const fs = require("fs");
+const http = require("http");
+const os = require("os");
+const path = require("path");
+const { IdempotencyStore, idempotent, fingerprintOf } = require("../src/utils/idempotency");
+
+describe("Idempotency keys", function () {
+    let server;
+    let baseUrl;
+    let store;
+    let calls;
+    let release;
+    let waiting;
+
+    /**
+     * App with an endpoint that counts its calls and, when asked to, resolves `waiting` and waits for release()
+     */
+    async function startApp(idempotencyStore) {
+        store = idempotencyStore;
+        calls = 0;
+        let markWaiting;
+        waiting = new Promise(resolve => { markWaiting = resolve; });
+        const app = express();
+        app.use(express.json());
+        app.post("/api/items", idempotent(store), async (req, res) => {
+            calls++;
+            if (req.body.wait) {
+                await new Promise(resolve => {
+                    release = resolve;
+                    markWaiting();
+                });
+            }
+            if (req.body.fail) {
+                return res.status(500).json({ error: "transaction reverted" });
+            }
+            if (req.body.raw) {
+                return res.status(204).end();
+            }
+            res.json({ id: calls, name: req.body.name });
+        });
+        // Reads its body itself, like the streamed upload
+        app.post("/api/blobs", idempotent(store, req => fingerprintOf(req.method, req.path, req.digest || ""), { readBody: readDigest }), async (req, res) => {
+            calls++;
+            try {
+                await readDigest(req);
+            } catch (error) {
+                return res.status(400).json({ error: "Body not read" });
+            }
+            res.json({ id: calls, digest: req.digest });
+        });
+        // Keys per account, like the upload's per signed-in account
+        app.post("/api/notes", idempotent(store, undefined, { scope: req => req.get("X-Account") }), (req, res) => {
+            calls++;
+            res.json({ id: calls, account: req.get("X-Account") });
+        });
+        server = app.listen(0, "127.0.0.1");
+        await new Promise(resolve => server.once("listening", resolve));
+        baseUrl = `http://127.0.0.1:${server.address().port}`;
+    }
+
+    async function readDigest(req) {
+        const hash = crypto.createHash("sha256");
+        for await (const chunk of req) {
+            hash.update(chunk);
+        }
+        req.digest = hash.digest("hex");
+    }
+
+    afterEach(async function () {
+        await new Promise(resolve => server.close(resolve));
+    });
+
+    async function post(body, key) {
+        const headers = { "Content-Type": "application/json" };
+        if (key !== undefined) {
+            headers["Idempotency-Key"] = key;
+        }
+        const response = await fetch(`${baseUrl}/api/items`, { method: "POST", headers, body: JSON.stringify(body) });
+        return { status: response.status, replayed: response.headers.get("idempotent-replayed"), body: response.status === 204 ? null : await response.json() };
+    }
+
+    it("Should replay the first response to retries with the same key", async function () {
+        await startApp(new IdempotencyStore(null));
+        const first = await post({ name: "report" }, "key-1");
+        const retry = await post({ name: "report" }, "key-1");
+
+        expect(first).to.deep.include({ status: 200, replayed: null, body: { id: 1, name: "report" } });
+        expect(retry).to.deep.include({ status: 200, replayed: "true", body: { id: 1, name: "report" } });
+        expect(calls).to.equal(1);
+
+        await post({ name: "report" }, "key-2");
+        await post({ name: "report" });
+        expect(calls).to.equal(3);
+    });
+
+    it("Should make a retry wait for the request still running", async function () {
+        await startApp(new IdempotencyStore(null));
+        const first = post({ name: "slow", wait: true }, "key-slow");
+        await waiting;
+        const retry = post({ name: "slow", wait: true }, "key-slow");
+        await new Promise(resolve => setTimeout(resolve, 50));
+        release();
+
+        const [original, replayed] = await Promise.all([first, retry]);
+        expect(replayed.body).to.deep.equal(original.body);
+        expect(replayed.replayed).to.equal("true");
+        expect(calls).to.equal(1);
+    });
+
+    it("Should run a request again after a server error", async function () {
+        await startApp(new IdempotencyStore(null));
+        await post({ fail: true }, "key-fail");
+        const retry = await post({ fail: true }, "key-fail");
+
+        expect(retry).to.deep.include({ status: 500, replayed: null, body: { error: "transaction reverted" } });
+        expect(calls).to.equal(2);
+        expect(store.records.has("key-fail")).to.equal(false);
+    });
+
+    it("Should recognise retries of an endpoint reading its own body by that body", async function () {
+        await startApp(new IdempotencyStore(null));
+        const postBlob = async (content, key) => {
+            const response = await fetch(`${baseUrl}/api/blobs`, {
+                method: "POST",
+                headers: { "Content-Type": "application/octet-stream", "Idempotency-Key": key },
+                body: content
+            });
+            return { status: response.status, replayed: response.headers.get("idempotent-replayed"), body: await response.json() };
+        };
+        const digest = crypto.createHash("sha256").update("first file").digest("hex");
+
+        expect(await postBlob("first file", "key-blob")).to.deep.include({ status: 200, body: { id: 1, digest } });
+        expect(await postBlob("first file", "key-blob")).to.deep.include({ status: 200, replayed: "true", body: { id: 1, digest } });
+
+        // Same length, different content
+        const reused = await postBlob("other file", "key-blob");
+        expect(reused.status).to.equal(422);
+        expect(reused.body.error).to.include("different request");
+        expect(calls).to.equal(1);
+    });
+
+    it("Should release the key of a request the client did not send in full", async function () {
+        await startApp(new IdempotencyStore(null));
+        const aborted = http.request(`${baseUrl}/api/blobs`, {
+            method: "POST",
+            headers: { "Content-Type": "application/octet-stream", "Content-Length": 1000, "Idempotency-Key": "key-aborted" }
+        });
+        aborted.on("error", () => {});
+        aborted.write("partial");
+        await new Promise(resolve => setTimeout(resolve, 50));
+        aborted.destroy();
+        while (store.inFlight.size > 0) {
+            await new Promise(resolve => setTimeout(resolve, 10));
+        }
+        expect(store.records.has("key-aborted")).to.equal(false);
+
+        const retry = await fetch(`${baseUrl}/api/blobs`, {
+            method: "POST",
+            headers: { "Content-Type": "application/octet-stream", "Idempotency-Key": "key-aborted" },
+            body: "complete"
+        });
+        expect(retry.status).to.equal(200);
+        expect(retry.headers.get("idempotent-replayed")).to.equal(null);
+        expect(calls).to.equal(2);
+    });
+
+    it("Should keep each account's keys apart", async function () {
+        await startApp(new IdempotencyStore(null));
+        const postNote = async (account, name) => {
+            const response = await fetch(`${baseUrl}/api/notes`, {
+                method: "POST",
+                headers: { "Content-Type": "application/json", "Idempotency-Key": "key-shared", "X-Account": account },
+                body: JSON.stringify({ name })
+            });
+            return { status: response.status, replayed: response.headers.get("idempotent-replayed"), body: await response.json() };
+        };
+
+        expect(await postNote("alice", "draft")).to.deep.include({ status: 200, replayed: null, body: { id: 1, account: "alice" } });
+        // Another account's request with the same key runs, even though it differs
+        expect(await postNote("bob", "other draft")).to.deep.include({ status: 200, replayed: null, body: { id: 2, account: "bob" } });
+        expect(await postNote("alice", "draft")).to.deep.include({ status: 200, replayed: "true", body: { id: 1, account: "alice" } });
+        expect(await postNote("bob", "other draft")).to.deep.include({ status: 200, replayed: "true", body: { id: 2, account: "bob" } });
+        expect(calls).to.equal(2);
+        expect([...store.records.keys()]).to.have.members(["alice:key-shared", "bob:key-shared"]);
+    });
+
+    it("Should reject a key reused for a different request and malformed keys", async function () {
+        await startApp(new IdempotencyStore(null));
+        await post({ name: "first" }, "key-reused");
+
+        const reused = await post({ name: "second" }, "key-reused");
+        expect(reused.status).to.equal(422);
+        expect(reused.body.error).to.include("different request");
+
+        expect((await post({ name: "first" }, "")).status).to.equal(400);
+        expect((await post({ name: "first" }, "x".repeat(256))).status).to.equal(400);
+        expect(calls).to.equal(1);
+    });
+
+    it("Should not store responses sent without res.json", async function () {
+        await startApp(new IdempotencyStore(null));
+        await post({ raw: true }, "key-raw");
+        await post({ raw: true }, "key-raw");
+
+        expect(calls).to.equal(2);
+        expect(store.inFlight.size).to.equal(0);
+    });
+
+    it("Should keep responses across restarts until they expire", async function () {
+        const tempDir = fs.mkdtempSync(path.join(os.tmpdir(), "decentrafile-idempotency-"));
+        const file = path.join(tempDir, "idempotency-keys.json");
+        try {
+            await startApp(new IdempotencyStore(file));
+            await post({ name: "kept" }, "key-kept");
+
+            const restarted = new IdempotencyStore(file);
+            expect(restarted.claim("key-kept", fingerprintOf("POST", "/api/items", JSON.stringify({ name: "kept" }))).response)
+                .to.deep.equal({ status: 200, body: { id: 1, name: "kept" } });
+
+            await new Promise(resolve => setTimeout(resolve, 5));
+            const expired = new IdempotencyStore(file, 1);
+            expect(expired.claim("key-kept", "other")).to.have.property("complete");
+        } finally {
+            fs.rmSync(tempDir, { recursive: true, force: true });
+        }
+    });
+});
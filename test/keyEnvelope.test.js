@@ -0,0 +1,69 @@
+/*
+ * Project: DecentraFile
+ * Author: Thor Thor
+ * Contact: codethor@gmail.com
+ * LinkedIn: https://www.linkedin.com/in/thor-thor0
+ */
+
+const { expect } = require("chai");
+const {
+    isKeyEnvelope,
+    encodeKeyEnvelope,
+    decodeKeyEnvelope,
+    ENVELOPE_VERSION,
+    KEY_ALGORITHMS,
+    CONTENT_CIPHERS
+} = require("../src/crypto/keyEnvelope");
+const crypto = require("crypto");
+
+describe("Key Envelope Module", function () {
+    const iv = crypto.randomBytes(16).toString("hex");
+    const authTag = crypto.randomBytes(16).toString("hex");
+    const wrappedKey = crypto.randomBytes(256);
+
+    it("Should round-trip all envelope fields", function () {
+        const envelope = encodeKeyEnvelope({ algorithm: KEY_ALGORITHMS.RSA_OAEP_SHA256, wrappedKey, iv, authTag });
+        const decoded = decodeKeyEnvelope(envelope);
+
+        expect(decoded.version).to.equal(ENVELOPE_VERSION);
+        expect(decoded.algorithm).to.equal(KEY_ALGORITHMS.RSA_OAEP_SHA256);
+        expect(decoded.contentCipher).to.equal(CONTENT_CIPHERS.AES_256_GCM);
+        expect(decoded.iv).to.equal(iv);
+        expect(decoded.authTag).to.equal(authTag);
+        expect(decoded.wrappedKey).to.deep.equal(wrappedKey);
+    });
+
+    it("Should start with the magic bytes and version", function () {
+        const envelope = encodeKeyEnvelope({ algorithm: KEY_ALGORITHMS.NONE, wrappedKey: crypto.randomBytes(32), iv, authTag });
+
+        expect(envelope.subarray(0, 3).toString("ascii")).to.equal("DFK");
+        expect(envelope[3]).to.equal(ENVELOPE_VERSION);
+        expect(isKeyEnvelope(envelope)).to.be.true;
+    });
+
+    it("Should not detect legacy key blobs as envelopes", function () {
+        expect(isKeyEnvelope(Buffer.from(JSON.stringify({ iv, tag: authTag, key: "00" })))).to.be.false;
+        expect(isKeyEnvelope(wrappedKey.fill(0, 0, 1))).to.be.false;
+        expect(isKeyEnvelope("DFK")).to.be.false;
+    });
+
+    it("Should reject unknown algorithms and versions", function () {
+        expect(() => encodeKeyEnvelope({ algorithm: 0x7f, wrappedKey, iv, authTag })).to.throw("Unsupported key algorithm");
+
+        const envelope = encodeKeyEnvelope({ algorithm: KEY_ALGORITHMS.RSA_OAEP_SHA256, wrappedKey, iv, authTag });
+        envelope[3] = 99;
+        expect(() => decodeKeyEnvelope(envelope)).to.throw("Unsupported key envelope version");
+    });
+
+    it("Should reject truncated envelopes and trailing data", function () {
+        const envelope = encodeKeyEnvelope({ algorithm: KEY_ALGORITHMS.RSA_OAEP_SHA256, wrappedKey, iv, authTag });
+
+        expect(() => decodeKeyEnvelope(envelope.subarray(0, envelope.length - 1))).to.throw("truncated");
+        expect(() => decodeKeyEnvelope(Buffer.concat([envelope, Buffer.from([0])]))).to.throw("trailing data");
+    });
+
+    it("Should reject an empty wrapped key", function () {
+        expect(() => encodeKeyEnvelope({ algorithm: KEY_ALGORITHMS.NONE, wrappedKey: Buffer.alloc(0), iv, authTag }))
+            .to.throw("Wrapped key must be a non-empty Buffer");
+    });
+});
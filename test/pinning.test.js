@@ -0,0 +1,337 @@
+/*
+ * Project: DecentraFile
+ * Author: Thor Thor
+ * Contact: codethor@gmail.com
+ * LinkedIn: https://www.linkedin.com/in/thor-thor0
+ */
+
+const { expect } = require("chai");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { PinManager, PinStore, RemotePinningClient } = require("../src/pinning");
+const { getRuntimeConfig } = require("../src/config/runtimeConfig");
+const MockPinningService = require("./utils/pinning-service-mock");
+
+const FILE_HASH = "0x" + "ab".repeat(32);
+const OTHER_FILE_HASH = "0x" + "cd".repeat(32);
+const CID = "bafkreigh2akiscaildcqabsyg3dfr6chu3fgpregiymsck7e7aqa4s52zy";
+const OTHER_CID = "bafkreidvbhs33ighmljlvr7zbv2ywwzcmp5adtf4kqvlly67cy56bdtmve";
+
+/**
+ * Local pinning stand-in that records calls and can be made to fail
+ */
+function createFakeStorage() {
+    const storage = {
+        pinned: new Set(),
+        failWith: null,
+        async pin(cid) {
+            if (storage.failWith) {
+                throw new Error(storage.failWith);
+            }
+            storage.pinned.add(cid);
+        },
+        async unpin(cid) {
+            if (storage.failWith) {
+                throw new Error(storage.failWith);
+            }
+            storage.pinned.delete(cid);
+        }
+    };
+    return storage;
+}
+
+describe("Pinning", function () {
+    let service;
+    let endpoint;
+
+    before(async function () {
+        service = new MockPinningService("secret-token");
+        endpoint = await service.start();
+    });
+
+    after(async function () {
+        await service.stop();
+    });
+
+    describe("RemotePinningClient", function () {
+        it("Should add, get, list and remove pins", async function () {
+            const client = new RemotePinningClient({ endpoint, accessToken: "secret-token" });
+            const added = await client.addPin({ cid: CID, name: "report" });
+            expect(added.status).to.equal("queued");
+            expect(added.requestid).to.be.a("string");
+
+            service.setStatus(added.requestid, "pinned");
+            expect((await client.getPin(added.requestid)).status).to.equal("pinned");
+
+            const listed = await client.listPins({ cid: [CID] });
+            expect(listed.results.map(pinStatus => pinStatus.requestid)).to.include(added.requestid);
+
+            await client.removePin(added.requestid);
+            expect(service.pinsFor(CID)).to.have.length(0);
+        });
+
+        it("Should list queued pins by default", async function () {
+            const client = new RemotePinningClient({ endpoint, accessToken: "secret-token" });
+            const added = await client.addPin({ cid: OTHER_CID });
+            const listed = await client.listPins({ cid: [OTHER_CID] });
+            expect(listed.count).to.equal(1);
+            await client.removePin(added.requestid);
+        });
+
+        it("Should surface the service's error reason and status", async function () {
+            const client = new RemotePinningClient({ endpoint, accessToken: "wrong-token" });
+            try {
+                await client.addPin({ cid: CID });
+                expect.fail("Should have thrown");
+            } catch (error) {
+                expect(error.message).to.equal("Pinning service error (401): UNAUTHORIZED: Access token is missing or invalid");
+                expect(error.status).to.equal(401);
+            }
+        });
+
+        it("Should report an unreachable service", async function () {
+            const client = new RemotePinningClient({ endpoint: "http://127.0.0.1:1", accessToken: "secret-token", timeoutMs: 2000 });
+            try {
+                await client.getPin("missing");
+                expect.fail("Should have thrown");
+            } catch (error) {
+                expect(error.message).to.include("Pinning service request failed");
+            }
+        });
+
+        it("Should require an endpoint and an access token", function () {
+            expect(() => new RemotePinningClient({ accessToken: "secret-token" })).to.throw("requires an endpoint");
+            expect(() => new RemotePinningClient({ endpoint })).to.throw("requires an access token");
+        });
+    });
+
+    describe("PinManager", function () {
+        let storage;
+        let remote;
+
+        beforeEach(function () {
+            storage = createFakeStorage();
+            remote = new RemotePinningClient({ endpoint, accessToken: "secret-token" });
+            service.pins.clear();
+        });
+
+        it("Should pin locally with the local policy", async function () {
+            const manager = new PinManager({ storage, policy: "local", store: new PinStore(null) });
+            const record = await manager.pin(FILE_HASH, CID);
+
+            expect(storage.pinned.has(CID)).to.equal(true);
+            expect(record.local.status).to.equal("pinned");
+            expect(record.remote).to.equal(null);
+            expect(record.fileHash).to.equal(FILE_HASH);
+            expect(service.pins.size).to.equal(0);
+        });
+
+        it("Should not pin with the none policy", async function () {
+            const manager = new PinManager({ storage, policy: "none", store: new PinStore(null) });
+            const record = await manager.pin(FILE_HASH, CID);
+
+            expect(storage.pinned.size).to.equal(0);
+            expect(record.local).to.equal(null);
+            expect(record.remote).to.equal(null);
+        });
+
+        it("Should request a remote pin with the remote policy and track its status", async function () {
+            const manager = new PinManager({ storage, remote, policy: "remote", store: new PinStore(null) });
+            const record = await manager.pin(FILE_HASH, CID);
+
+            expect(storage.pinned.size).to.equal(0);
+            expect(record.remote.status).to.equal("queued");
+            const [pinStatus] = service.pinsFor(CID);
+            expect(pinStatus.pin.name).to.equal(FILE_HASH);
+            expect(pinStatus.pin.meta.fileHash).to.equal(FILE_HASH);
+
+            service.setStatus(record.remote.requestId, "pinned");
+            expect((await manager.status(FILE_HASH)).remote.status).to.equal("queued");
+            expect((await manager.status(FILE_HASH, { refresh: true })).remote.status).to.equal("pinned");
+            expect((await manager.status(FILE_HASH)).remote.status).to.equal("pinned");
+        });
+
+        it("Should pin locally and remotely with the both policy", async function () {
+            const manager = new PinManager({ storage, remote, policy: "both", store: new PinStore(null) });
+            const record = await manager.pin(FILE_HASH, CID);
+
+            expect(record.local.status).to.equal("pinned");
+            expect(record.remote.status).to.equal("queued");
+            expect(storage.pinned.has(CID)).to.equal(true);
+            expect(service.pinsFor(CID)).to.have.length(1);
+        });
+
+        it("Should not request a second remote pin for an active one", async function () {
+            const manager = new PinManager({ storage, remote, policy: "remote", store: new PinStore(null) });
+            const first = await manager.pin(FILE_HASH, CID);
+            const second = await manager.pin(FILE_HASH, CID);
+
+            expect(second.remote.requestId).to.equal(first.remote.requestId);
+            expect(service.pinsFor(CID)).to.have.length(1);
+        });
+
+        it("Should record failures before throwing", async function () {
+            storage.failWith = "node offline";
+            const manager = new PinManager({ storage, policy: "local", store: new PinStore(null) });
+            try {
+                await manager.pin(FILE_HASH, CID);
+                expect.fail("Should have thrown");
+            } catch (error) {
+                expect(error.message).to.include("Pinning failed");
+                expect(error.message).to.include("local: node offline");
+            }
+            const record = await manager.status(FILE_HASH);
+            expect(record.local.status).to.equal("failed");
+            expect(record.local.error).to.equal("node offline");
+        });
+
+        it("Should unpin locally and remotely", async function () {
+            const manager = new PinManager({ storage, remote, policy: "both", store: new PinStore(null) });
+            await manager.pin(FILE_HASH, CID);
+            const removed = await manager.unpin(FILE_HASH);
+
+            expect(removed).to.deep.equal({ local: true, remote: true });
+            expect(storage.pinned.has(CID)).to.equal(false);
+            expect(service.pinsFor(CID)).to.have.length(0);
+            const record = await manager.status(FILE_HASH);
+            expect(record.local.status).to.equal("unpinned");
+            expect(record.remote.status).to.equal("removed");
+        });
+
+        it("Should find remote pins by CID when there is no pin record", async function () {
+            await remote.addPin({ cid: CID });
+            const manager = new PinManager({ storage, remote, policy: "remote", store: new PinStore(null) });
+            const removed = await manager.unpin(FILE_HASH, CID);
+
+            expect(removed.remote).to.equal(true);
+            expect(service.pinsFor(CID)).to.have.length(0);
+        });
+
+        it("Should tolerate remote pins already removed from the service", async function () {
+            const manager = new PinManager({ storage, remote, policy: "remote", store: new PinStore(null) });
+            const record = await manager.pin(FILE_HASH, CID);
+            service.pins.delete(record.remote.requestId);
+
+            const removed = await manager.unpin(FILE_HASH);
+            expect(removed.remote).to.equal(true);
+        });
+
+        it("Should require a CID to unpin a file without a pin record", async function () {
+            const manager = new PinManager({ storage, policy: "local", store: new PinStore(null) });
+            try {
+                await manager.unpin(FILE_HASH);
+                expect.fail("Should have thrown");
+            } catch (error) {
+                expect(error.message).to.include("No pin record or CID");
+            }
+        });
+
+        it("Should list pin records by status and CID", async function () {
+            const manager = new PinManager({ storage, remote, policy: "both", store: new PinStore(null) });
+            await manager.pin(FILE_HASH, CID);
+            await manager.pin(OTHER_FILE_HASH, OTHER_CID);
+            await manager.unpin(OTHER_FILE_HASH);
+
+            expect(manager.list()).to.have.length(2);
+            expect(manager.list({ status: "queued" }).map(record => record.fileHash)).to.deep.equal([FILE_HASH]);
+            expect(manager.list({ status: "removed" }).map(record => record.fileHash)).to.deep.equal([OTHER_FILE_HASH]);
+            expect(manager.list({ cid: OTHER_CID })).to.have.length(1);
+        });
+
+        it("Should reject unknown policies and remote policies without a service", function () {
+            expect(() => new PinManager({ storage, policy: "sometimes" })).to.throw("Invalid pin policy");
+            expect(() => new PinManager({ storage, policy: "remote" })).to.throw("requires a remote pinning service");
+        });
+    });
+
+    describe("PinStore", function () {
+        let tempDir;
+
+        beforeEach(function () {
+            tempDir = fs.mkdtempSync(path.join(os.tmpdir(), "decentrafile-pins-"));
+        });
+
+        afterEach(function () {
+            fs.rmSync(tempDir, { recursive: true, force: true });
+        });
+
+        it("Should persist records across instances", function () {
+            const filePath = path.join(tempDir, "pin-status.json");
+            new PinStore(filePath).set("0x" + "AB".repeat(32), { cid: CID, local: { status: "pinned" } });
+
+            const reloaded = new PinStore(filePath);
+            expect(reloaded.get(FILE_HASH).cid).to.equal(CID);
+            expect(reloaded.all()).to.have.length(1);
+        });
+
+        it("Should back up a corrupted file and start empty", function () {
+            const filePath = path.join(tempDir, "pin-status.json");
+            fs.writeFileSync(filePath, "{not json");
+
+            const store = new PinStore(filePath);
+            expect(store.all()).to.have.length(0);
+            expect(fs.readdirSync(tempDir).some(name => name.startsWith("pin-status.json.corrupted."))).to.equal(true);
+        });
+    });
+
+    describe("Configuration", function () {
+        const variables = ["DECENTRAFILE_STORAGE", "DECENTRAFILE_PIN_POLICY", "PINNING_SERVICE_ENDPOINT", "PINNING_SERVICE_TOKEN"];
+        const savedEnv = {};
+
+        beforeEach(function () {
+            for (const name of variables) {
+                savedEnv[name] = process.env[name];
+                delete process.env[name];
+            }
+        });
+
+        afterEach(function () {
+            for (const name of variables) {
+                if (savedEnv[name] === undefined) {
+                    delete process.env[name];
+                } else {
+                    process.env[name] = savedEnv[name];
+                }
+            }
+        });
+
+        it("Should default to the local pin policy", function () {
+            const config = getRuntimeConfig();
+            expect(config.pinPolicy).to.equal("local");
+            expect(config.pinningService).to.deep.equal({ endpoint: null, accessToken: null });
+        });
+
+        it("Should read the pinning service settings", function () {
+            process.env.DECENTRAFILE_PIN_POLICY = "both";
+            process.env.PINNING_SERVICE_ENDPOINT = endpoint;
+            process.env.PINNING_SERVICE_TOKEN = "secret-token";
+            const config = getRuntimeConfig();
+            expect(config.pinPolicy).to.equal("both");
+            expect(config.pinningService).to.deep.equal({ endpoint, accessToken: "secret-token" });
+        });
+
+        it("Should reject an unknown pin policy", function () {
+            process.env.DECENTRAFILE_PIN_POLICY = "always";
+            expect(() => getRuntimeConfig()).to.throw("Invalid DECENTRAFILE_PIN_POLICY");
+        });
+
+        it("Should require a pinning service for the remote policy", function () {
+            process.env.DECENTRAFILE_PIN_POLICY = "remote";
+            expect(() => getRuntimeConfig()).to.throw("PINNING_SERVICE_ENDPOINT environment variable is required");
+        });
+
+        it("Should require a token with a pinning service endpoint", function () {
+            process.env.PINNING_SERVICE_ENDPOINT = endpoint;
+            expect(() => getRuntimeConfig()).to.throw("PINNING_SERVICE_TOKEN environment variable is required");
+        });
+
+        it("Should reject remote pinning for non-IPFS storage", function () {
+            process.env.DECENTRAFILE_STORAGE = "local";
+            process.env.DECENTRAFILE_PIN_POLICY = "remote";
+            process.env.PINNING_SERVICE_ENDPOINT = endpoint;
+            process.env.PINNING_SERVICE_TOKEN = "secret-token";
+            expect(() => getRuntimeConfig()).to.throw("requires IPFS storage");
+        });
+    });
+});
@@ -0,0 +1,243 @@
+/*
+ * Project: DecentraFile
+ * Author: Thor Thor
+ * Contact: codethor@gmail.com
+ * LinkedIn: https://www.linkedin.com/in/thor-thor0
+ */
+
+const { expect } = require("chai");
+const { ethers, network } = require("hardhat");
+const { Web3 } = require("web3");
+const express = require("express");
+const path = require("path");
+const { Relayer, SpendLedger, buildTypedData, signTypedData, recoverTypedDataSigner } = require("../src/relayer");
+const { signRelayRequest } = require("../src/wallet");
+const { createRelayRouter } = require("../src/api/relay");
+const { sessionAuth } = require("../src/api/auth");
+const { SessionStore } = require("../src/auth/sessionStore");
+const { HARDHAT_KEYS, ENCRYPTED_KEY, generateFileHash, deployFileRegistry, createTempDir, removeTempDir, createSessionCookie } = require("./utils/test-helpers");
+
+// Hardhat default account #0 pays for relayed requests
+const RELAYER_KEY = HARDHAT_KEYS[0];
+const WRAPPED_KEY = "0x" + "22".repeat(64);
+
+describe("Relayer", function () {
+    let registry;
+    let web3;
+    let tempDir;
+    let user;
+    let recipient;
+
+    before(function () {
+        web3 = new Web3(network.provider);
+    });
+
+    beforeEach(async function () {
+        registry = await deployFileRegistry();
+        tempDir = createTempDir("relayer");
+        // Accounts without funds: the relayer pays
+        user = ethers.Wallet.createRandom();
+        recipient = ethers.Wallet.createRandom();
+    });
+
+    afterEach(function () {
+        removeTempDir(tempDir);
+    });
+
+    async function createRelayer(options = {}) {
+        return new Relayer({
+            web3,
+            contractAddress: await registry.getAddress(),
+            account: { privateKey: RELAYER_KEY },
+            ledger: new SpendLedger(path.join(tempDir, "relayer-spend.json")),
+            ...options
+        });
+    }
+
+    async function uploadRequest(relayer, name, wallet = user) {
+        return relayer.prepare("uploadFile", { owner: wallet.address, fileHash: generateFileHash(name), encryptedKey: ENCRYPTED_KEY, locator: "0x" });
+    }
+
+    it("Should relay signed requests as their signer and record what they cost", async function () {
+        const relayer = await createRelayer();
+        const fileHash = generateFileHash("gasless");
+
+        const upload = await uploadRequest(relayer, "gasless");
+        expect(upload.domain).to.deep.equal({ name: "DecentraFile", version: "1", chainId: "31337", verifyingContract: await registry.getAddress() });
+        expect(upload.message).to.include({ owner: user.address.toLowerCase(), nonce: "0" });
+
+        // What a wallet's eth_signTypedData_v4 returns
+        const { EIP712Domain, ...types } = upload.types;
+        expect(EIP712Domain).to.have.length(4);
+        const signature = await user.signTypedData(upload.domain, types, upload.message);
+        expect(signTypedData(upload, user.privateKey)).to.equal(signature);
+
+        const relayed = await relayer.relay(upload, signature);
+        expect(relayed).to.include({ action: "uploadFile", owner: user.address.toLowerCase(), nonce: "0" });
+        expect((await registry.getFileMetadata(fileHash)).owner).to.equal(user.address);
+        expect(await ethers.provider.getBalance(user.address)).to.equal(0n);
+
+        const receipt = await ethers.provider.getTransactionReceipt(relayed.txHash);
+        expect(relayed.gasCost).to.equal((receipt.gasUsed * receipt.gasPrice).toString());
+        expect(relayed.allowance.spent).to.equal(relayed.gasCost);
+
+        const grant = await relayer.prepare("grantAccess", { owner: user.address, fileHash, recipient: recipient.address, wrappedKey: WRAPPED_KEY });
+        expect(grant.message.nonce).to.equal("1");
+        await relayer.relay(grant, signTypedData(grant, user.privateKey));
+        expect(await registry.hasAccess(fileHash, recipient.address)).to.equal(true);
+
+        const deletion = await relayer.prepare("deleteFile", { owner: user.address, fileHash });
+        await relayer.relay(deletion, signTypedData(deletion, user.privateKey));
+        expect(await registry.isDeleted(fileHash)).to.equal(true);
+
+        // Spends survive a restart
+        const ledger = new SpendLedger(path.join(tempDir, "relayer-spend.json"));
+        expect(ledger.spentBy(user.address) > BigInt(relayed.gasCost)).to.equal(true);
+    });
+
+    it("Should refuse bad requests before spending anything", async function () {
+        const relayer = await createRelayer();
+        const [payer] = await ethers.getSigners();
+        const balance = await ethers.provider.getBalance(payer.address);
+
+        const upload = await uploadRequest(relayer, "refused");
+        const signature = signTypedData(upload, user.privateKey);
+
+        await expect(relayer.relay(upload, signTypedData(upload, recipient.privateKey)))
+            .to.be.rejectedWith(/^Validation failed: the request is not signed by its owner/);
+
+        // The domain comes from the registry, not the client
+        const otherChain = buildTypedData("uploadFile", { ...upload.domain, chainId: 1 }, upload.message);
+        await expect(relayer.relay(otherChain, signTypedData(otherChain, user.privateKey)))
+            .to.be.rejectedWith(/^Validation failed: the request is not signed by its owner/);
+
+        const tampered = { ...upload, message: { ...upload.message, encryptedKey: WRAPPED_KEY } };
+        await expect(relayer.relay(tampered, signature)).to.be.rejectedWith(/not signed by its owner/);
+
+        const expired = await relayer.prepare("uploadFile", { ...upload.message, owner: user.address, deadline: 1 });
+        await expect(relayer.relay(expired, signTypedData(expired, user.privateKey))).to.be.rejectedWith(/has expired/);
+
+        const ahead = await relayer.prepare("uploadFile", { ...upload.message, owner: user.address, nonce: 1 });
+        await expect(relayer.relay(ahead, signTypedData(ahead, user.privateKey))).to.be.rejectedWith(/^Nonce 1 is not the next/);
+
+        // Signed by its owner, but the registry would refuse it: another account's file
+        await registry.uploadFile(generateFileHash("taken"), ENCRYPTED_KEY);
+        const notOwned = await relayer.prepare("deleteFile", { owner: user.address, fileHash: generateFileHash("taken") });
+        await expect(relayer.relay(notOwned, signTypedData(notOwned, user.privateKey))).to.be.rejectedWith(/^Relayed request would revert/);
+
+        await expect(relayer.relay({ ...upload, primaryType: "Transfer" }, signature)).to.be.rejectedWith(/primaryType must be/);
+        expect(() => recoverTypedDataSigner(upload, signature.slice(0, 66))).to.throw(/65 bytes/);
+
+        // Only the registry's own upload above was paid for
+        const spentOnUpload = await ethers.provider.getBalance(payer.address);
+        expect(balance - spentOnUpload < ethers.parseEther("0.001")).to.equal(true);
+        expect(relayer.getAllowance(user.address).spent).to.equal("0");
+
+        await relayer.relay(upload, signature);
+        await expect(relayer.relay(upload, signature)).to.be.rejectedWith(/^Nonce 0 is not the next/);
+    });
+
+    it("Should have the browser wallet sign a request for its own account only", async function () {
+        const relayer = await createRelayer();
+        const upload = await uploadRequest(relayer, "from-wallet");
+        const calls = [];
+        // EIP-1193 provider signing typed data the way wallets do
+        const provider = {
+            async request({ method, params }) {
+                calls.push(method);
+                if (method === "eth_requestAccounts") {
+                    return [user.address.toLowerCase()];
+                }
+                expect(method).to.equal("eth_signTypedData_v4");
+                const { domain, types: { EIP712Domain, ...types }, message } = JSON.parse(params[1]);
+                return user.signTypedData(domain, types, message);
+            }
+        };
+
+        const signature = await signRelayRequest(provider, upload);
+        expect(calls).to.deep.equal(["eth_requestAccounts", "eth_signTypedData_v4"]);
+        await relayer.relay(upload, signature);
+        expect((await registry.getFileMetadata(generateFileHash("from-wallet"))).owner).to.equal(user.address);
+
+        const othersRequest = await uploadRequest(relayer, "not-mine", recipient);
+        await expect(signRelayRequest(provider, othersRequest))
+            .to.be.rejectedWith(`Switch the wallet to account ${recipient.address.toLowerCase()} to sign this request`);
+    });
+
+    it("Should stop relaying for an account at its spend limit until the window moves on", async function () {
+        const probe = await createRelayer();
+        const first = await uploadRequest(probe, "first");
+        const { gasCost } = await probe.relay(first, signTypedData(first, user.privateKey));
+
+        // Room for one upload per account, and none at all for the recipient
+        const relayer = await createRelayer({
+            ledger: new SpendLedger(null),
+            spendLimitWei: BigInt(gasCost) * 3n / 2n,
+            userLimits: { [recipient.address]: "0" }
+        });
+        const second = await uploadRequest(relayer, "second");
+        await relayer.relay(second, signTypedData(second, user.privateKey));
+        const third = await uploadRequest(relayer, "third");
+        await expect(relayer.relay(third, signTypedData(third, user.privateKey)))
+            .to.be.rejectedWith(new RegExp(`^Spend limit reached for ${user.address.toLowerCase()}`));
+
+        const other = ethers.Wallet.createRandom();
+        const othersUpload = await uploadRequest(relayer, "other", other);
+        await relayer.relay(othersUpload, signTypedData(othersUpload, other.privateKey));
+
+        const blocked = await uploadRequest(relayer, "blocked", recipient);
+        await expect(relayer.relay(blocked, signTypedData(blocked, recipient.privateKey))).to.be.rejectedWith(/^Spend limit reached/);
+        expect(relayer.getAllowance(recipient.address)).to.include({ limit: "0", remaining: "0" });
+
+        const later = Date.now() + relayer.ledger.windowMs + 1;
+        expect(relayer.getAllowance(user.address, later)).to.include({ spent: "0", remaining: (BigInt(gasCost) * 3n / 2n).toString() });
+    });
+
+    it("Should stop relaying for every account once the relayer's budget is used up", async function () {
+        const probe = await createRelayer();
+        const first = await uploadRequest(probe, "budget-probe");
+        const { gasCost } = await probe.relay(first, signTypedData(first, user.privateKey));
+
+        // Each account may spend plenty, but all of them together only about one upload
+        const relayer = await createRelayer({
+            ledger: new SpendLedger(null),
+            globalSpendLimitWei: BigInt(gasCost) * 3n / 2n
+        });
+        const second = await uploadRequest(relayer, "budget-second");
+        await relayer.relay(second, signTypedData(second, user.privateKey));
+
+        const fresh = ethers.Wallet.createRandom();
+        const freshUpload = await uploadRequest(relayer, "budget-fresh", fresh);
+        await expect(relayer.relay(freshUpload, signTypedData(freshUpload, fresh.privateKey)))
+            .to.be.rejectedWith(/^Spend limit reached for all accounts/);
+        expect(await registry.fileExists(generateFileHash("budget-fresh"))).to.equal(false);
+        const budget = relayer.getBudget();
+        expect(budget).to.include({ limit: (BigInt(gasCost) * 3n / 2n).toString(), spent: relayer.ledger.spentBy(user.address).toString() });
+        expect(relayer.getAllowance(fresh.address).remaining).to.equal(budget.remaining);
+
+        // Over HTTP the refusal is a 429
+        const sessions = new SessionStore(null);
+        const cookie = createSessionCookie(sessions, fresh.address);
+        const app = express();
+        app.use(express.json());
+        app.use(sessionAuth(sessions));
+        app.use("/api/relay", createRelayRouter({ getRelayer: () => relayer }));
+        const server = app.listen(0, "127.0.0.1");
+        await new Promise(resolve => server.once("listening", resolve));
+        try {
+            const response = await fetch(`http://127.0.0.1:${server.address().port}/api/relay`, {
+                method: "POST",
+                headers: { "Content-Type": "application/json", Cookie: cookie },
+                body: JSON.stringify({ typedData: freshUpload, signature: signTypedData(freshUpload, fresh.privateKey) })
+            });
+            expect(response.status).to.equal(429);
+            expect((await response.json()).error).to.match(/^Spend limit reached for all accounts/);
+        } finally {
+            server.closeAllConnections();
+            await new Promise(resolve => server.close(resolve));
+        }
+
+        const later = Date.now() + relayer.ledger.windowMs + 1;
+        expect(relayer.getBudget(later)).to.include({ spent: "0" });
+    });
+});
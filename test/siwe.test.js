@@ -0,0 +1,210 @@
+/*
+ * Project: DecentraFile
+ * Author: Thor Thor
+ * Contact: codethor@gmail.com
+ * LinkedIn: https://www.linkedin.com/in/thor-thor0
+ */
+
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const express = require("express");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { createSiweMessage, parseSiweMessage, verifySiweMessage } = require("../src/auth/siwe");
+const { SessionStore } = require("../src/auth/sessionStore");
+const { createAuthRouter, sessionAuth, requireSession } = require("../src/api/auth");
+const { publicKeyToAddress } = require("../src/crypto/crypto");
+
+describe("Sign-In with Ethereum", function () {
+    const wallet = new ethers.Wallet("0x59c6995e998f97a5a0044966f0945389dc9e86dae88c7a8412f4603b6b78690d");
+    const domain = "files.example.com";
+
+    function messageFor(overrides = {}) {
+        return createSiweMessage({
+            domain,
+            address: wallet.address,
+            statement: "Sign in to DecentraFile.",
+            uri: `https://${domain}`,
+            chainId: 31337,
+            nonce: "a1b2c3d4e5f6a7b8",
+            issuedAt: new Date().toISOString(),
+            ...overrides
+        });
+    }
+
+    describe("Messages", function () {
+        it("Should build EIP-4361 messages and parse them back", function () {
+            const message = messageFor({ expirationTime: "2030-01-01T00:00:00.000Z", resources: ["ipfs://bafy", "https://example.com/terms"] });
+            const lines = message.split("\n");
+            expect(lines[0]).to.equal(`${domain} wants you to sign in with your Ethereum account:`);
+            expect(lines[1]).to.equal(wallet.address);
+            expect(lines).to.include("Version: 1");
+            expect(lines).to.include("Chain ID: 31337");
+
+            const fields = parseSiweMessage(message);
+            expect(fields).to.include({ domain, address: wallet.address, statement: "Sign in to DecentraFile.", chainId: 31337, nonce: "a1b2c3d4e5f6a7b8" });
+            expect(fields.resources).to.deep.equal(["ipfs://bafy", "https://example.com/terms"]);
+
+            const withoutStatement = parseSiweMessage(messageFor({ statement: undefined }));
+            expect(withoutStatement.statement).to.equal(undefined);
+            expect(withoutStatement.uri).to.equal(`https://${domain}`);
+        });
+
+        it("Should reject malformed messages", function () {
+            expect(() => parseSiweMessage("hello")).to.throw("not a Sign-In with Ethereum message");
+            expect(() => parseSiweMessage(messageFor().replace(/Nonce: .*/, "Nonce: short"))).to.throw("invalid nonce");
+            expect(() => parseSiweMessage(messageFor().replace("Version: 1", "Version: 2"))).to.throw("unsupported");
+            expect(() => parseSiweMessage(messageFor().replace(/\nIssued At: .*/, ""))).to.throw("missing issuedAt");
+            expect(() => parseSiweMessage(messageFor() + "\nExtra: field")).to.throw("unexpected line");
+        });
+    });
+
+    describe("Verification", function () {
+        it("Should recover the account and its public key", async function () {
+            const message = messageFor();
+            const signature = await wallet.signMessage(message);
+
+            const verified = verifySiweMessage(message, signature, { domain, chainId: 31337 });
+            expect(verified.address).to.equal(wallet.address);
+            expect(publicKeyToAddress(verified.publicKey)).to.equal(wallet.address.toLowerCase());
+            expect(verified.fields.nonce).to.equal("a1b2c3d4e5f6a7b8");
+        });
+
+        it("Should reject messages for another site, chain or time, or signed by another account", async function () {
+            const other = ethers.Wallet.createRandom();
+            const message = messageFor();
+            const signature = await wallet.signMessage(message);
+
+            expect(() => verifySiweMessage(message, signature, { domain: "evil.example", chainId: 31337 })).to.throw("Sign-in failed: message is for files.example.com");
+            expect(() => verifySiweMessage(message, signature, { domain, chainId: 1 })).to.throw("not 1");
+            const otherSignature = await other.signMessage(message);
+            expect(() => verifySiweMessage(message, otherSignature, { domain, chainId: 31337 })).to.throw("not made by the message account");
+            expect(() => verifySiweMessage(message, "0x1234", { domain, chainId: 31337 })).to.throw("65 bytes");
+
+            const expired = messageFor({ expirationTime: new Date(Date.now() - 1000).toISOString() });
+            const expiredSignature = await wallet.signMessage(expired);
+            expect(() => verifySiweMessage(expired, expiredSignature, { domain, chainId: 31337 })).to.throw("expired");
+            const lowercase = messageFor({ address: wallet.address.toLowerCase() });
+            const lowercaseSignature = await wallet.signMessage(lowercase);
+            expect(() => verifySiweMessage(lowercase, lowercaseSignature, { domain, chainId: 31337 })).to.throw("checksummed");
+        });
+    });
+
+    describe("Sessions", function () {
+        it("Should accept each nonce once and only before it expires", function () {
+            const store = new SessionStore(null);
+            const { nonce } = store.issueNonce();
+            expect(nonce).to.match(/^[a-f0-9]{32}$/);
+            expect(store.consumeNonce(nonce)).to.equal(true);
+            expect(store.consumeNonce(nonce)).to.equal(false);
+            expect(store.consumeNonce("neverissued1")).to.equal(false);
+
+            const stale = store.issueNonce().nonce;
+            store.nonces.set(stale, Date.now() - 1);
+            expect(store.consumeNonce(stale)).to.equal(false);
+        });
+
+        it("Should keep sessions across restarts under a hash of their id until they expire", async function () {
+            const tempDir = fs.mkdtempSync(path.join(os.tmpdir(), "decentrafile-sessions-"));
+            const file = path.join(tempDir, "sessions.json");
+            try {
+                const session = new SessionStore(file).create({ address: wallet.address, publicKey: "0x04", chainId: 31337 });
+                expect(fs.readFileSync(file, "utf8")).to.not.include(session.id);
+
+                const restarted = new SessionStore(file);
+                expect(restarted.get(session.id)).to.include({ address: wallet.address, chainId: 31337 });
+                expect(restarted.get("unknown")).to.equal(null);
+                expect(restarted.destroy(session.id)).to.equal(true);
+                expect(new SessionStore(file).get(session.id)).to.equal(null);
+
+                const shortLived = new SessionStore(file, 1).create({ address: wallet.address, publicKey: "0x04", chainId: 31337 });
+                await new Promise(resolve => setTimeout(resolve, 5));
+                expect(new SessionStore(file).get(shortLived.id)).to.equal(null);
+            } finally {
+                fs.rmSync(tempDir, { recursive: true, force: true });
+            }
+        });
+    });
+
+    describe("HTTP sign-in", function () {
+        let server;
+        let baseUrl;
+
+        beforeEach(async function () {
+            const store = new SessionStore(null);
+            const app = express();
+            app.use(express.json());
+            app.use(sessionAuth(store));
+            app.use("/api/auth", createAuthRouter({ store, getChainId: () => 31337, domain }));
+            app.get("/api/private", requireSession, (req, res) => res.json({ address: req.session.address }));
+            server = app.listen(0, "127.0.0.1");
+            await new Promise(resolve => server.once("listening", resolve));
+            baseUrl = `http://127.0.0.1:${server.address().port}`;
+        });
+
+        afterEach(async function () {
+            await new Promise(resolve => server.close(resolve));
+        });
+
+        async function signIn(signer = wallet) {
+            const challenge = await (await fetch(`${baseUrl}/api/auth/nonce?address=${signer.address.toLowerCase()}`)).json();
+            const signature = await signer.signMessage(challenge.message);
+            return fetch(`${baseUrl}/api/auth/verify`, {
+                method: "POST",
+                headers: { "Content-Type": "application/json" },
+                body: JSON.stringify({ message: challenge.message, signature })
+            }).then(async response => ({ response, challenge, signature }));
+        }
+
+        it("Should sign in with a nonce, set a session cookie and sign out", async function () {
+            expect((await fetch(`${baseUrl}/api/private`)).status).to.equal(401);
+
+            const { response, challenge } = await signIn();
+            expect(challenge).to.include({ domain, chainId: 31337 });
+            expect(parseSiweMessage(challenge.message)).to.include({ address: wallet.address, nonce: challenge.nonce });
+            expect(response.status).to.equal(200);
+            const setCookie = response.headers.get("set-cookie");
+            expect(setCookie).to.match(/^decentrafile_session=[^;]+;/);
+            expect(setCookie).to.include("HttpOnly").and.to.include("SameSite=Strict");
+            const cookie = setCookie.split(";")[0];
+
+            const session = await (await fetch(`${baseUrl}/api/auth/session`, { headers: { Cookie: cookie } })).json();
+            expect(session.address).to.equal(wallet.address);
+            expect(await (await fetch(`${baseUrl}/api/private`, { headers: { Cookie: cookie } })).json()).to.deep.equal({ address: wallet.address });
+
+            await fetch(`${baseUrl}/api/auth/logout`, { method: "POST", headers: { Cookie: cookie } });
+            expect((await fetch(`${baseUrl}/api/private`, { headers: { Cookie: cookie } })).status).to.equal(401);
+        });
+
+        it("Should refuse a replayed nonce and a message signed by someone else", async function () {
+            const { challenge, signature } = await signIn();
+            const replay = await fetch(`${baseUrl}/api/auth/verify`, {
+                method: "POST",
+                headers: { "Content-Type": "application/json" },
+                body: JSON.stringify({ message: challenge.message, signature })
+            });
+            expect(replay.status).to.equal(401);
+            expect((await replay.json()).error).to.include("nonce");
+
+            const fresh = await (await fetch(`${baseUrl}/api/auth/nonce?address=${wallet.address}`)).json();
+            const forged = await fetch(`${baseUrl}/api/auth/verify`, {
+                method: "POST",
+                headers: { "Content-Type": "application/json" },
+                body: JSON.stringify({ message: fresh.message, signature: await ethers.Wallet.createRandom().signMessage(fresh.message) })
+            });
+            expect(forged.status).to.equal(401);
+            expect(forged.headers.get("set-cookie")).to.equal(null);
+
+            expect((await fetch(`${baseUrl}/api/auth/nonce?address=nope`)).status).to.equal(400);
+        });
+
+        it("Should treat a malformed session cookie as no session", async function () {
+            const headers = { Cookie: "decentrafile_session=%E0%A4%A" };
+            const refused = await fetch(`${baseUrl}/api/private`, { headers });
+            expect(refused.status).to.equal(401);
+            expect((await refused.json()).error).to.equal("Sign in with your Ethereum account first");
+            expect((await fetch(`${baseUrl}/api/auth/logout`, { method: "POST", headers })).status).to.be.below(500);
+        });
+    });
+});
@@ -0,0 +1,148 @@
+/*
+ * Project: DecentraFile
+ * Author: Thor Thor
+ * Contact: codethor@gmail.com
+ * LinkedIn: https://www.linkedin.com/in/thor-thor0
+ */
+
+const { expect } = require("chai");
+const { ethers, upgrades } = require("hardhat");
+const { deployFileRegistry, upgradeFileRegistry } = require("../scripts/utils/fileRegistryDeployment");
+
+describe("FileRegistry Upgrades", function () {
+    const encryptedKey = ethers.toUtf8Bytes("encrypted-key-data");
+    const wrappedKey = ethers.toUtf8Bytes("wrapped-key-data");
+    const uploadTypes = {
+        UploadFile: [
+            { name: "owner", type: "address" },
+            { name: "fileHash", type: "bytes32" },
+            { name: "encryptedKey", type: "bytes" },
+            { name: "locator", type: "bytes" },
+            { name: "nonce", type: "uint256" },
+            { name: "deadline", type: "uint256" }
+        ]
+    };
+    let registry;
+    let entry;
+    let admin;
+    let user;
+    let other;
+
+    beforeEach(async function () {
+        [admin, user, other] = await ethers.getSigners();
+        ({ contract: registry, entry } = await deployFileRegistry(admin));
+    });
+
+    function fileHashOf(name) {
+        return ethers.keccak256(ethers.toUtf8Bytes(name));
+    }
+
+    // other signs an upload for the registry at the proxy's address; admin relays it
+    async function relaySignedUpload(name) {
+        const { chainId } = await ethers.provider.getNetwork();
+        const request = {
+            owner: other.address,
+            fileHash: fileHashOf(name),
+            encryptedKey,
+            locator: "0x",
+            nonce: await registry.nonces(other.address),
+            deadline: (await ethers.provider.getBlock("latest")).timestamp + 3600
+        };
+        const domain = { name: "DecentraFile", version: "1", chainId, verifyingContract: entry.address };
+        const signature = await other.signTypedData(domain, uploadTypes, request);
+        await registry.uploadFileBySig(request.owner, request.fileHash, request.encryptedKey, request.locator, request.deadline, signature);
+    }
+
+    it("Should deploy behind a proxy set up by initialize", async function () {
+        const receipt = await registry.deploymentTransaction().wait();
+        expect(entry).to.include({ address: await registry.getAddress(), proxy: "uups", blockNumber: receipt.blockNumber });
+        expect(entry.implementation).to.equal(await upgrades.erc1967.getImplementationAddress(entry.address));
+        expect(entry.implementations).to.deep.equal([{
+            address: entry.implementation,
+            activatedAt: entry.deployedAt,
+            blockNumber: receipt.blockNumber,
+            txHash: receipt.hash
+        }]);
+
+        expect(await registry.admin()).to.equal(admin.address);
+        expect(await registry.maxFilesPerUser()).to.equal(await registry.MAX_FILES_PER_USER());
+        expect((await registry.eip712Domain())[4]).to.equal(entry.address);
+        await expect(registry.initialize(other.address)).to.be.revertedWithCustomError(registry, "InvalidInitialization");
+
+        // The implementation's own storage cannot be taken over
+        const implementation = await ethers.getContractAt("FileRegistry", entry.implementation);
+        await expect(implementation.connect(other).initialize(other.address)).to.be.revertedWithCustomError(registry, "InvalidInitialization");
+        await expect(implementation.upgradeToAndCall(entry.implementation, "0x")).to.be.revertedWithCustomError(registry, "UUPSUnauthorizedCallContext");
+    });
+
+    it("Should keep files, grants and nonces across an upgrade and run its migration", async function () {
+        const fileHash = fileHashOf("kept");
+        await registry.connect(user).uploadFile(fileHash, encryptedKey);
+        await registry.connect(user).grantAccess(fileHash, other.address, wrappedKey);
+        await relaySignedUpload("signed-before");
+        const [, , uploadedAt] = await registry.getFileMetadata(fileHash);
+
+        const upgrade = await upgradeFileRegistry(entry, admin, {
+            contractName: "FileRegistryV2Mock",
+            call: { fn: "migrate", args: [2] }
+        });
+        expect(upgrade.upgraded).to.equal(true);
+        const implementations = upgrade.entry.implementations;
+        expect(implementations).to.have.length(2);
+        expect(implementations[0]).to.deep.equal(entry.implementations[0]);
+        expect(implementations[1].address).to.equal(await upgrades.erc1967.getImplementationAddress(entry.address));
+        expect(implementations[1].address).to.not.equal(entry.implementation);
+        expect(upgrade.entry).to.include({ address: entry.address, implementation: implementations[1].address, blockNumber: entry.blockNumber });
+        expect((await ethers.provider.getTransactionReceipt(implementations[1].txHash)).blockNumber).to.equal(implementations[1].blockNumber);
+
+        const upgraded = await ethers.getContractAt("FileRegistryV2Mock", entry.address);
+        expect(await upgraded.version()).to.equal(2n);
+        expect(await upgraded.migratedFileCount()).to.equal(2n);
+        await expect(upgraded.migrate(3)).to.be.revertedWithCustomError(upgraded, "InvalidInitialization");
+
+        expect(await upgraded.getFileMetadata(fileHash)).to.deep.equal([fileHash, user.address, uploadedAt]);
+        expect(await upgraded.connect(user).getAccessKey(fileHash)).to.equal(ethers.hexlify(encryptedKey));
+        expect(await upgraded.connect(other).getAccessKey(fileHash)).to.equal(ethers.hexlify(wrappedKey));
+        expect(await upgraded.getUserFiles(other.address)).to.deep.equal([fileHashOf("signed-before")]);
+        expect(await upgraded.admin()).to.equal(admin.address);
+
+        // Signatures stay bound to the proxy's address, and nonces carry on
+        expect(await upgraded.nonces(other.address)).to.equal(1n);
+        await relaySignedUpload("signed-after");
+        expect(await upgraded.nonces(other.address)).to.equal(2n);
+
+        // Nothing to do when the proxy already runs the code
+        const again = await upgradeFileRegistry(upgrade.entry, admin, { contractName: "FileRegistryV2Mock" });
+        expect(again).to.deep.equal({ upgraded: false, entry: upgrade.entry });
+    });
+
+    it("Should only let the admin upgrade a proxied registry", async function () {
+        const FileRegistryV2Mock = await ethers.getContractFactory("FileRegistryV2Mock");
+        const nextImplementation = await (await FileRegistryV2Mock.deploy()).getAddress();
+
+        await expect(registry.connect(other).upgradeToAndCall(nextImplementation, "0x")).to.be.revertedWithCustomError(registry, "NotAdmin");
+        await expect(upgradeFileRegistry(entry, other, { contractName: "FileRegistryV2Mock" }))
+            .to.be.rejectedWith(`Only the registry admin ${admin.address} can upgrade it, not ${other.address}`);
+
+        // A registry deployed without a proxy stays as it is
+        const FileRegistry = await ethers.getContractFactory("FileRegistry");
+        const standalone = await FileRegistry.deploy();
+        await expect(standalone.upgradeToAndCall(nextImplementation, "0x")).to.be.revertedWithCustomError(standalone, "UUPSUnauthorizedCallContext");
+        await expect(upgradeFileRegistry({ address: await standalone.getAddress() }, admin))
+            .to.be.rejectedWith(/was deployed without a proxy and cannot be upgraded in place/);
+
+        // Without an admin the implementation is fixed for good
+        await registry.transferAdmin(ethers.ZeroAddress);
+        await expect(registry.upgradeToAndCall(nextImplementation, "0x")).to.be.revertedWithCustomError(registry, "NotAdmin");
+    });
+
+    it("Should refuse an implementation whose storage layout moves existing data", async function () {
+        await registry.connect(user).uploadFile(fileHashOf("layout"), encryptedKey);
+
+        await expect(upgradeFileRegistry(entry, admin, { contractName: "FileRegistryBadLayoutMock" }))
+            .to.be.rejectedWith(/New storage layout is incompatible/);
+
+        expect(await upgrades.erc1967.getImplementationAddress(entry.address)).to.equal(entry.implementation);
+        expect((await registry.getFileMetadata(fileHashOf("layout")))[1]).to.equal(user.address);
+    });
+});
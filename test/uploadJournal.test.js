@@ -0,0 +1,274 @@
+/*
+ * Project: DecentraFile
+ * Author: Thor Thor
+ * Contact: codethor@gmail.com
+ * LinkedIn: https://www.linkedin.com/in/thor-thor0
+ */
+
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const crypto = require("crypto");
+const { UploadJournal, resumeUploads } = require("../src/journal");
+const { PinManager, PinStore } = require("../src/pinning");
+const { fileHashOf } = require("../src/fsck");
+
+// Hardhat default account #0
+const SENDER_KEY = "0xac0974bec39a17e36ba4a6b4d238ff944bacb478cbed5efcae784d7bf4f2ff80";
+const ENCRYPTED_KEY = "0x" + "11".repeat(64);
+
+describe("Upload journal", function () {
+    let tempDir;
+
+    beforeEach(function () {
+        tempDir = fs.mkdtempSync(path.join(os.tmpdir(), "decentrafile-journal-"));
+    });
+
+    afterEach(function () {
+        fs.rmSync(tempDir, { recursive: true, force: true });
+    });
+
+    describe("UploadJournal", function () {
+        it("Should record each step and keep it across restarts", function () {
+            const file = path.join(tempDir, "upload-journal.json");
+            const journal = new UploadJournal(file);
+            const { id } = journal.begin({ contractAddress: "0x" + "00".repeat(20), size: 42 });
+            journal.record(id, "stored", { cid: "bafkreitest", fileHash: fileHashOf("bafkreitest") });
+            journal.record(id, "signed", { txHash: "0x" + "aa".repeat(32), rawTransaction: "0x01", nonce: "3" });
+
+            const reloaded = new UploadJournal(file).get(id);
+            expect(reloaded).to.include({ status: "signed", cid: "bafkreitest", rawTransaction: "0x01", size: 42 });
+            expect(reloaded.steps.map(step => step.status)).to.deep.equal(["started", "stored", "signed"]);
+            expect(fs.existsSync(`${file}.tmp`)).to.equal(false);
+        });
+
+        it("Should drop the signed transaction once an upload finishes", function () {
+            const journal = new UploadJournal(null);
+            const { id } = journal.begin();
+            journal.record(id, "signed", { rawTransaction: "0x01" });
+
+            expect(journal.record(id, "completed")).to.not.have.property("rawTransaction");
+            expect(() => journal.record(id, "uploading")).to.throw("Invalid upload status");
+            expect(() => journal.record("missing", "failed")).to.throw("Unknown upload");
+        });
+
+        it("Should only hand out uploads no running upload owns as interrupted", function () {
+            const journal = new UploadJournal(null);
+            const running = journal.begin();
+            const released = journal.begin();
+            journal.release(released.id);
+            const finished = journal.begin();
+            journal.record(finished.id, "completed");
+            journal.release(finished.id);
+
+            expect(journal.list({ pending: true }).map(entry => entry.id)).to.have.members([running.id, released.id]);
+            expect(journal.interrupted().map(entry => entry.id)).to.deep.equal([released.id]);
+            expect(new UploadJournal(null).interrupted()).to.deep.equal([]);
+        });
+
+        it("Should drop old finished uploads and keep pending ones", function () {
+            const journal = new UploadJournal(null);
+            const finished = journal.begin();
+            journal.record(finished.id, "failed", { error: "boom" });
+            const pending = journal.begin();
+
+            expect(journal.prune(0)).to.equal(0);
+            journal.entries.get(finished.id).updatedAt = new Date(Date.now() - 60000).toISOString();
+            journal.entries.get(pending.id).updatedAt = new Date(Date.now() - 60000).toISOString();
+            expect(journal.prune(1000)).to.equal(1);
+            expect(journal.get(finished.id)).to.equal(null);
+            expect(journal.get(pending.id)).to.not.equal(null);
+        });
+
+        it("Should back up a corrupted journal and start empty", function () {
+            const file = path.join(tempDir, "upload-journal.json");
+            fs.writeFileSync(file, "{not json");
+
+            const journal = new UploadJournal(file);
+            expect(journal.list()).to.deep.equal([]);
+            expect(fs.readdirSync(tempDir).some(name => name.startsWith("upload-journal.json.corrupted."))).to.equal(true);
+        });
+    });
+
+    describe("resumeUploads", function () {
+        let registry;
+        let wallet;
+        let journal;
+        let pinned;
+        let pinManager;
+        let mappings;
+        let chain;
+
+        beforeEach(async function () {
+            const FileRegistry = await ethers.getContractFactory("FileRegistry");
+            registry = await FileRegistry.deploy();
+            await registry.waitForDeployment();
+            wallet = new ethers.Wallet(SENDER_KEY, ethers.provider);
+
+            journal = new UploadJournal(path.join(tempDir, "upload-journal.json"));
+            pinned = new Set();
+            pinManager = new PinManager({
+                storage: { pin: async cid => pinned.add(cid), unpin: async cid => pinned.delete(cid) },
+                policy: "local",
+                store: new PinStore(null)
+            });
+            mappings = new Map();
+            chain = {
+                getReceipt: txHash => ethers.provider.getTransactionReceipt(txHash),
+                broadcast: async (rawTransaction) => {
+                    try {
+                        return await (await ethers.provider.broadcastTransaction(rawTransaction)).wait();
+                    } catch (error) {
+                        // Hardhat mines reverting transactions but reports them as errors
+                        const receipt = await ethers.provider.getTransactionReceipt(ethers.keccak256(rawTransaction));
+                        if (receipt) {
+                            return receipt;
+                        }
+                        throw error;
+                    }
+                },
+                getConfirmedNonce: address => ethers.provider.getTransactionCount(address, "latest"),
+                fileExists: fileHash => registry.fileExists(fileHash)
+            };
+        });
+
+        function resume() {
+            return resumeUploads({
+                journal,
+                chain,
+                pinManager,
+                writeMapping: entry => mappings.set(entry.fileHash, entry.cid)
+            });
+        }
+
+        /**
+         * Journal an upload up to its pin, as a crashed process would have left it
+         */
+        async function interruptedUpload(status = "pinned") {
+            const cid = `bafkreijournal${crypto.randomUUID().replace(/-/g, "")}`;
+            const fileHash = fileHashOf(cid);
+            const { id } = journal.begin({ contractAddress: await registry.getAddress() });
+            journal.record(id, "stored", { cid, fileHash });
+            if (status !== "stored") {
+                await pinManager.pin(fileHash, cid);
+                journal.record(id, "pinned");
+            }
+            journal.release(id);
+            return { id, cid, fileHash };
+        }
+
+        async function signUpload(upload, { encryptedKey = ENCRYPTED_KEY, nonce } = {}) {
+            const txNonce = nonce !== undefined ? nonce : await ethers.provider.getTransactionCount(wallet.address, "pending");
+            const rawTransaction = await wallet.signTransaction({
+                to: await registry.getAddress(),
+                data: registry.interface.encodeFunctionData("uploadFile", [upload.fileHash, encryptedKey]),
+                nonce: txNonce,
+                gasLimit: 500000,
+                gasPrice: (await ethers.provider.getFeeData()).gasPrice,
+                chainId: (await ethers.provider.getNetwork()).chainId
+            });
+            journal.record(upload.id, "signed", {
+                sender: wallet.address,
+                nonce: String(txNonce),
+                txHash: ethers.keccak256(rawTransaction),
+                rawTransaction
+            });
+            return rawTransaction;
+        }
+
+        it("Should fail uploads interrupted before their content was stored", async function () {
+            const { id } = journal.begin();
+            journal.release(id);
+
+            const [resumed] = await resume();
+            expect(resumed).to.include({ id, status: "failed" });
+        });
+
+        it("Should release the pins of uploads interrupted before signing", async function () {
+            const upload = await interruptedUpload();
+            const stored = await interruptedUpload("stored");
+
+            const resumed = await resume();
+            expect(resumed.map(entry => entry.status)).to.deep.equal(["rolled_back", "rolled_back"]);
+            expect(pinned.has(upload.cid)).to.equal(false);
+            expect(pinned.has(stored.cid)).to.equal(false);
+            expect((await pinManager.status(upload.fileHash)).local.status).to.equal("unpinned");
+        });
+
+        it("Should broadcast a signed transaction that never left the process and write the mapping", async function () {
+            const upload = await interruptedUpload();
+            await signUpload(upload);
+
+            const [resumed] = await resume();
+            expect(resumed.status).to.equal("completed");
+            expect(resumed.steps.map(step => step.status)).to.include.members(["confirmed", "completed"]);
+            expect(resumed).to.not.have.property("rawTransaction");
+            expect(await registry.fileExists(upload.fileHash)).to.equal(true);
+            expect(mappings.get(upload.fileHash)).to.equal(upload.cid);
+            expect(pinned.has(upload.cid)).to.equal(true);
+        });
+
+        it("Should complete uploads whose transaction was mined before the crash", async function () {
+            const upload = await interruptedUpload();
+            const rawTransaction = await signUpload(upload);
+            await (await ethers.provider.broadcastTransaction(rawTransaction)).wait();
+            const blockNumber = await ethers.provider.getBlockNumber();
+
+            const [resumed] = await resume();
+            expect(resumed).to.include({ status: "completed", blockNumber: String(blockNumber) });
+            expect(mappings.get(upload.fileHash)).to.equal(upload.cid);
+            expect(await ethers.provider.getBlockNumber()).to.equal(blockNumber);
+        });
+
+        it("Should roll back an upload whose transaction reverted", async function () {
+            const upload = await interruptedUpload();
+            await signUpload(upload, { encryptedKey: "0x" });
+
+            const [resumed] = await resume();
+            expect(resumed).to.include({ status: "rolled_back", error: "Upload transaction reverted" });
+            expect(pinned.has(upload.cid)).to.equal(false);
+            expect(mappings.size).to.equal(0);
+        });
+
+        it("Should keep the pins when the file was registered by another upload", async function () {
+            const upload = await interruptedUpload();
+            await signUpload(upload);
+            await registry.connect(wallet).uploadFile(upload.fileHash, ENCRYPTED_KEY);
+
+            const [resumed] = await resume();
+            expect(resumed.status).to.equal("rolled_back");
+            expect(resumed.error).to.include("registered by another upload");
+            expect(pinned.has(upload.cid)).to.equal(true);
+        });
+
+        it("Should roll back an upload whose nonce was used by another transaction", async function () {
+            const upload = await interruptedUpload();
+            const nonce = await ethers.provider.getTransactionCount(wallet.address, "pending");
+            await signUpload(upload, { nonce });
+            await (await wallet.sendTransaction({ to: wallet.address, value: 1, nonce })).wait();
+
+            const [resumed] = await resume();
+            expect(resumed).to.include({ status: "rolled_back", error: "Upload transaction was replaced before it was mined" });
+            expect(await registry.fileExists(upload.fileHash)).to.equal(false);
+            expect(pinned.has(upload.cid)).to.equal(false);
+        });
+
+        it("Should leave uploads pending while the chain cannot be reached", async function () {
+            const first = await interruptedUpload();
+            await signUpload(first);
+            const second = await interruptedUpload();
+            chain.getConfirmedNonce = async () => {
+                throw new Error("connect ECONNREFUSED");
+            };
+
+            const resumed = await resume();
+            expect(resumed.map(entry => entry.status)).to.deep.equal(["signed", "rolled_back"]);
+            expect(resumed[0].lastError).to.equal("connect ECONNREFUSED");
+            expect(journal.get(first.id).status).to.equal("signed");
+            expect(pinned.has(first.cid)).to.equal(true);
+            expect(pinned.has(second.cid)).to.equal(false);
+        });
+    });
+});
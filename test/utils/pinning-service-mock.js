@@ -0,0 +1,138 @@
+/*
+ * Project: DecentraFile
+ * Author: Thor Thor
+ * Contact: codethor@gmail.com
+ * LinkedIn: https://www.linkedin.com/in/thor-thor0
+ */
+
+/**
+ * In-process IPFS Pinning Service API server for testing
+ * Implements POST/GET /pins and GET/DELETE /pins/{requestid} with bearer token auth.
+ * New pins stay queued until setStatus moves them on, mimicking an asynchronous service.
+ */
+
+const http = require("http");
+const crypto = require("crypto");
+
+class MockPinningService {
+    /**
+     * @param {string} accessToken - Token clients must send as a bearer token
+     */
+    constructor(accessToken = "test-pinning-token") {
+        this.accessToken = accessToken;
+        this.pins = new Map();
+        this.requests = [];
+        this.server = http.createServer((req, res) => {
+            this.handle(req, res).catch((error) => {
+                this.sendError(res, 500, "INTERNAL_ERROR", error.message);
+            });
+        });
+    }
+
+    /**
+     * Start listening on a random local port
+     * @returns {Promise<string>} Service endpoint URL
+     */
+    async start() {
+        await new Promise(resolve => this.server.listen(0, "127.0.0.1", resolve));
+        return `http://127.0.0.1:${this.server.address().port}`;
+    }
+
+    /**
+     * Stop the server
+     */
+    async stop() {
+        await new Promise(resolve => this.server.close(resolve));
+    }
+
+    /**
+     * Set the status of a pin request (for test control)
+     */
+    setStatus(requestId, status) {
+        this.pins.get(requestId).status = status;
+    }
+
+    /**
+     * Get pin requests for a CID (for test verification)
+     */
+    pinsFor(cid) {
+        return Array.from(this.pins.values()).filter(pinStatus => pinStatus.pin.cid === cid);
+    }
+
+    sendJson(res, status, body) {
+        res.writeHead(status, { "content-type": "application/json" });
+        res.end(JSON.stringify(body));
+    }
+
+    sendError(res, status, reason, details) {
+        this.sendJson(res, status, { error: { reason, details } });
+    }
+
+    async readJson(req) {
+        const chunks = [];
+        for await (const chunk of req) {
+            chunks.push(chunk);
+        }
+        return JSON.parse(Buffer.concat(chunks).toString("utf8") || "{}");
+    }
+
+    async handle(req, res) {
+        const url = new URL(req.url, "http://localhost");
+        this.requests.push({ method: req.method, path: url.pathname });
+
+        if (req.headers.authorization !== `Bearer ${this.accessToken}`) {
+            return this.sendError(res, 401, "UNAUTHORIZED", "Access token is missing or invalid");
+        }
+
+        if (url.pathname === "/pins") {
+            if (req.method === "POST") {
+                const pin = await this.readJson(req);
+                if (!pin.cid) {
+                    return this.sendError(res, 400, "BAD_REQUEST", "cid is required");
+                }
+                const pinStatus = {
+                    requestid: crypto.randomUUID(),
+                    status: "queued",
+                    created: new Date().toISOString(),
+                    pin,
+                    delegates: [],
+                    info: {}
+                };
+                this.pins.set(pinStatus.requestid, pinStatus);
+                return this.sendJson(res, 202, pinStatus);
+            }
+            if (req.method === "GET") {
+                const cids = url.searchParams.get("cid") ? url.searchParams.get("cid").split(",") : null;
+                const name = url.searchParams.get("name");
+                const statuses = (url.searchParams.get("status") || "pinned").split(",");
+                const limit = Number(url.searchParams.get("limit") || 10);
+                const results = Array.from(this.pins.values()).filter(pinStatus =>
+                    (!cids || cids.includes(pinStatus.pin.cid)) &&
+                    (!name || pinStatus.pin.name === name) &&
+                    statuses.includes(pinStatus.status));
+                return this.sendJson(res, 200, { count: results.length, results: results.slice(0, limit) });
+            }
+        }
+
+        const match = url.pathname.match(/^\/pins\/([^/]+)$/);
+        if (match) {
+            const requestId = decodeURIComponent(match[1]);
+            const pinStatus = this.pins.get(requestId);
+            if (!pinStatus) {
+                return this.sendError(res, 404, "NOT_FOUND", "The specified resource was not found");
+            }
+            if (req.method === "GET") {
+                return this.sendJson(res, 200, pinStatus);
+            }
+            if (req.method === "DELETE") {
+                this.pins.delete(requestId);
+                res.writeHead(202);
+                return res.end();
+            }
+        }
+
+        return this.sendError(res, 404, "NOT_FOUND", `${req.method} ${url.pathname}`);
+    }
+}
+
+module.exports = MockPinningService;
@@ -0,0 +1,104 @@
+/*
+ * Project: DecentraFile
+ * Author: Thor Thor
+ * Contact: codethor@gmail.com
+ * LinkedIn: https://www.linkedin.com/in/thor-thor0
+ */
+
+/**
+ * Hardhat's in-process network over HTTP JSON-RPC, for code that connects by RPC_URL
+ *
+ * src/index.js creates its web3 client from RPC_URL once, when it is first required, so
+ * every test file shares one bridge and loads the library through loadLibrary.
+ */
+
+const http = require("http");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { network } = require("hardhat");
+
+let bridgeUrl = null;
+let dataDir = null;
+
+/**
+ * Answer one JSON-RPC call from the Hardhat network
+ * Errors keep their code and revert data, as a node would return them.
+ */
+async function relay(call) {
+    try {
+        const result = await network.provider.request({ method: call.method, params: call.params || [] });
+        return { jsonrpc: "2.0", id: call.id, result };
+    } catch (error) {
+        return { jsonrpc: "2.0", id: call.id, error: { code: error.code || -32603, message: error.message, data: error.data } };
+    }
+}
+
+/**
+ * Start the bridge, once per test run
+ * @returns {Promise<string>} Its URL
+ */
+async function startRpcBridge() {
+    if (bridgeUrl) {
+        return bridgeUrl;
+    }
+    const server = http.createServer(async (req, res) => {
+        const chunks = [];
+        for await (const chunk of req) {
+            chunks.push(chunk);
+        }
+        const body = JSON.parse(Buffer.concat(chunks).toString("utf8"));
+        const response = Array.isArray(body) ? await Promise.all(body.map(relay)) : await relay(body);
+        res.setHeader("Content-Type", "application/json");
+        res.end(JSON.stringify(response));
+    });
+    // Neither the server nor its connections keep the test run alive
+    server.on("connection", socket => socket.unref());
+    server.unref();
+    await new Promise(resolve => server.listen(0, "127.0.0.1", resolve));
+    bridgeUrl = `http://127.0.0.1:${server.address().port}`;
+    return bridgeUrl;
+}
+
+/**
+ * @returns {string} Directory the library keeps its mappings in, removed when the test run exits
+ */
+function libraryDataDir() {
+    if (!dataDir) {
+        dataDir = fs.mkdtempSync(path.join(os.tmpdir(), "decentrafile-library-"));
+        process.once("exit", () => fs.rmSync(dataDir, { recursive: true, force: true }));
+    }
+    return dataDir;
+}
+
+/**
+ * Require src/index.js connected to the Hardhat network
+ * @returns {Promise<Object>} The library's exports
+ */
+async function loadLibrary() {
+    const settings = {
+        RPC_URL: await startRpcBridge(),
+        IPFS_MAPPING_FILE: path.join(libraryDataDir(), "ipfs-mapping.json")
+    };
+    const previous = {};
+    for (const [name, value] of Object.entries(settings)) {
+        previous[name] = process.env[name];
+        process.env[name] = value;
+    }
+    try {
+        return require("../../src/index");
+    } finally {
+        for (const [name, value] of Object.entries(previous)) {
+            if (value === undefined) {
+                delete process.env[name];
+            } else {
+                process.env[name] = value;
+            }
+        }
+    }
+}
+
+module.exports = {
+    startRpcBridge,
+    loadLibrary
+};
@@ -0,0 +1,169 @@
+/*
+ * Project: DecentraFile
+ * Author: Thor Thor
+ * Contact: codethor@gmail.com
+ * LinkedIn: https://www.linkedin.com/in/thor-thor0
+ */
+
+/**
+ * In-process S3-compatible HTTP server for testing
+ * Implements the path-style object and multipart calls the S3 storage backend makes,
+ * so tests run the real AWS SDK without MinIO. Signatures are not verified.
+ */
+
+const http = require("http");
+const crypto = require("crypto");
+
+class MockS3Server {
+    constructor() {
+        this.objects = new Map();
+        this.uploads = new Map();
+        this.requests = [];
+        this.server = http.createServer((req, res) => {
+            this.handle(req, res).catch((error) => {
+                this.sendError(res, 500, "InternalError", error.message);
+            });
+        });
+    }
+
+    /**
+     * Start listening on a random local port
+     * @returns {Promise<string>} Endpoint URL
+     */
+    async start() {
+        await new Promise(resolve => this.server.listen(0, "127.0.0.1", resolve));
+        return `http://127.0.0.1:${this.server.address().port}`;
+    }
+
+    /**
+     * Stop the server
+     */
+    async stop() {
+        await new Promise(resolve => this.server.close(resolve));
+    }
+
+    /**
+     * Get stored object keys in a bucket (for test verification)
+     */
+    keys(bucket) {
+        return Array.from(this.objects.keys())
+            .filter(key => key.startsWith(`${bucket}/`))
+            .map(key => key.substring(bucket.length + 1));
+    }
+
+    async readBody(req) {
+        const chunks = [];
+        for await (const chunk of req) {
+            chunks.push(chunk);
+        }
+        return Buffer.concat(chunks);
+    }
+
+    sendXml(res, status, xml) {
+        res.writeHead(status, { "Content-Type": "application/xml" });
+        res.end(`<?xml version="1.0" encoding="UTF-8"?>${xml}`);
+    }
+
+    sendError(res, status, code, message) {
+        this.sendXml(res, status, `<Error><Code>${code}</Code><Message>${message}</Message></Error>`);
+    }
+
+    /**
+     * ListObjectsV2, paginated by max-keys with the key offset as continuation token
+     */
+    listObjects(res, bucket, query) {
+        const prefix = `${bucket}/${query.get("prefix") || ""}`;
+        const keys = Array.from(this.objects.keys()).filter(key => key.startsWith(prefix)).sort();
+        const start = Number(query.get("continuation-token") || 0);
+        const maxKeys = Number(query.get("max-keys") || 1000);
+        const page = keys.slice(start, start + maxKeys);
+        const truncated = start + maxKeys < keys.length;
+        const contents = page
+            .map(key => `<Contents><Key>${key.substring(bucket.length + 1)}</Key><Size>${this.objects.get(key).length}</Size></Contents>`)
+            .join("");
+        return this.sendXml(res, 200, "<ListBucketResult>" +
+            `<Name>${bucket}</Name><KeyCount>${page.length}</KeyCount><IsTruncated>${truncated}</IsTruncated>` +
+            (truncated ? `<NextContinuationToken>${start + maxKeys}</NextContinuationToken>` : "") +
+            `${contents}</ListBucketResult>`);
+    }
+
+    async handle(req, res) {
+        const url = new URL(req.url, "http://localhost");
+        const path = decodeURIComponent(url.pathname.substring(1));
+        const query = url.searchParams;
+        this.requests.push({ method: req.method, path });
+
+        if (req.method === "POST" && query.has("uploads")) {
+            const uploadId = crypto.randomBytes(8).toString("hex");
+            this.uploads.set(uploadId, new Map());
+            return this.sendXml(res, 200, `<InitiateMultipartUploadResult><UploadId>${uploadId}</UploadId></InitiateMultipartUploadResult>`);
+        }
+
+        if (query.has("uploadId")) {
+            const parts = this.uploads.get(query.get("uploadId"));
+            if (!parts) {
+                return this.sendError(res, 404, "NoSuchUpload", "Upload not found");
+            }
+            if (req.method === "PUT") {
+                const body = await this.readBody(req);
+                parts.set(Number(query.get("partNumber")), body);
+                res.writeHead(200, { ETag: `"${crypto.createHash("md5").update(body).digest("hex")}"` });
+                return res.end();
+            }
+            if (req.method === "POST") {
+                await this.readBody(req);
+                const ordered = Array.from(parts.keys()).sort((a, b) => a - b).map(n => parts.get(n));
+                this.objects.set(path, Buffer.concat(ordered));
+                this.uploads.delete(query.get("uploadId"));
+                return this.sendXml(res, 200, "<CompleteMultipartUploadResult><ETag>\"multipart\"</ETag></CompleteMultipartUploadResult>");
+            }
+            if (req.method === "DELETE") {
+                this.uploads.delete(query.get("uploadId"));
+                res.writeHead(204);
+                return res.end();
+            }
+        }
+
+        if (req.method === "PUT") {
+            const body = await this.readBody(req);
+            this.objects.set(path, body);
+            res.writeHead(200, { ETag: `"${crypto.createHash("md5").update(body).digest("hex")}"` });
+            return res.end();
+        }
+
+        if (req.method === "GET" && query.get("list-type") === "2") {
+            return this.listObjects(res, path.replace(/\/$/, ""), query);
+        }
+
+        if (req.method === "GET" || req.method === "HEAD") {
+            const body = this.objects.get(path);
+            if (!body) {
+                return this.sendError(res, 404, "NoSuchKey", "The specified key does not exist.");
+            }
+            // Single byte ranges only, as the backend sends them
+            const range = /^bytes=(\d+)-(\d*)$/.exec(req.headers.range || "");
+            if (range) {
+                const start = Number(range[1]);
+                const end = range[2] ? Math.min(Number(range[2]), body.length - 1) : body.length - 1;
+                if (start >= body.length || end < start) {
+                    return this.sendError(res, 416, "InvalidRange", "The requested range is not satisfiable");
+                }
+                const part = body.subarray(start, end + 1);
+                res.writeHead(206, { "Content-Length": part.length, "Content-Range": `bytes ${start}-${end}/${body.length}`, "Content-Type": "application/octet-stream" });
+                return res.end(req.method === "GET" ? part : undefined);
+            }
+            res.writeHead(200, { "Content-Length": body.length, "Content-Type": "application/octet-stream" });
+            return res.end(req.method === "GET" ? body : undefined);
+        }
+
+        if (req.method === "DELETE") {
+            this.objects.delete(path);
+            res.writeHead(204);
+            return res.end();
+        }
+
+        return this.sendError(res, 405, "MethodNotAllowed", req.method);
+    }
+}
+
+module.exports = MockS3Server;
@@ -11,9 +11,23 @@
 
 const { ethers } = require("hardhat");
 const crypto = require("crypto");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { SESSION_COOKIE } = require("../../src/api/auth");
+
+// Private keys of Hardhat's default accounts #0 to #2 (well-known, local network only)
+const HARDHAT_KEYS = [
+    "0xac0974bec39a17e36ba4a6b4d238ff944bacb478cbed5efcae784d7bf4f2ff80",
+    "0x59c6995e998f97a5a0044966f0945389dc9e86dae88c7a8412f4603b6b78690d",
+    "0x5de4111afa1a4b94908f83103eb1f1706367c2e68ca870fc3fb9a804cdab365a"
+];
+
+// Stand-in for a wrapped file key, for registrations whose key is never opened
+const ENCRYPTED_KEY = "0x" + "11".repeat(64);
 
 /**
- * Generate a test file hash from IPFS CID
+ * Generate a test file hash from IPFS CID, or from any name
  * @param {string} ipfsHash - IPFS CID
  * @returns {string} bytes32 fileHash
  */
@@ -21,6 +35,53 @@ function generateFileHash(ipfsHash) {
     return ethers.keccak256(ethers.toUtf8Bytes(ipfsHash));
 }
 
+/**
+ * Generate a file hash no other test uses
+ * @returns {string} bytes32 fileHash
+ */
+function randomFileHash() {
+    return generateFileHash(crypto.randomUUID());
+}
+
+/**
+ * Deploy a fresh FileRegistry to the Hardhat network
+ * @returns {Promise<Object>} Deployed contract
+ */
+async function deployFileRegistry() {
+    const FileRegistry = await ethers.getContractFactory("FileRegistry");
+    const registry = await FileRegistry.deploy();
+    await registry.waitForDeployment();
+    return registry;
+}
+
+/**
+ * Create an empty temporary directory; remove it with removeTempDir
+ * @param {string} name - Part of the directory name, e.g. the test file's subject
+ * @returns {string} Directory path
+ */
+function createTempDir(name) {
+    return fs.mkdtempSync(path.join(os.tmpdir(), `decentrafile-${name}-`));
+}
+
+/**
+ * @param {string} dir - Directory made by createTempDir
+ */
+function removeTempDir(dir) {
+    fs.rmSync(dir, { recursive: true, force: true });
+}
+
+/**
+ * Sign an account in without a wallet
+ * @param {SessionStore} store - Session store the app under test reads
+ * @param {string} address - Account address
+ * @param {string} publicKey - Public key the account signed in with
+ * @returns {string} Cookie header value carrying the session
+ */
+function createSessionCookie(store, address, publicKey = "0x") {
+    const session = store.create({ address, publicKey, chainId: 31337 });
+    return `${SESSION_COOKIE}=${session.id}`;
+}
+
 /**
  * Generate random test data
  * @param {number} size - Size in bytes
@@ -133,7 +194,14 @@ function maskSensitiveData(data, visibleChars = 8) {
 }
 
 module.exports = {
+    HARDHAT_KEYS,
+    ENCRYPTED_KEY,
     generateFileHash,
+    randomFileHash,
+    deployFileRegistry,
+    createTempDir,
+    removeTempDir,
+    createSessionCookie,
     generateTestData,
     generateDeterministicTestData,
     createTestAccount,
@@ -10,6 +10,7 @@
  */
 
 const { expect } = require("chai");
+const { Readable } = require("stream");
 const {
     validateFileHash,
     validateIPFSHash,
@@ -18,7 +19,9 @@ const {
     validateEncryptedKey,
     validateFilePath,
     validateUploadParams,
-    validateDownloadParams
+    validateDownloadParams,
+    validateShareParams,
+    validateFileActionParams
 } = require("../src/utils/validation");
 
 describe("Validation Utilities", function () {
@@ -182,6 +185,25 @@ describe("Validation Utilities", function () {
             expect(result.value).to.deep.equal(validParams);
         });
 
+        it("Should accept the file content as a Buffer or a readable stream", function () {
+            for (const filePath of [Buffer.from("content"), Readable.from([Buffer.from("content")])]) {
+                const result = validateUploadParams({
+                    filePath,
+                    privateKey: "0x" + "a".repeat(64),
+                    contractAddress: "0x" + "b".repeat(40)
+                });
+                expect(result.error).to.be.undefined;
+                expect(result.value.filePath).to.equal(filePath);
+            }
+
+            const invalid = validateUploadParams({
+                filePath: 42,
+                privateKey: "0x" + "a".repeat(64),
+                contractAddress: "0x" + "b".repeat(40)
+            });
+            expect(invalid.error.message).to.equal("File must be a path, a Buffer or a readable stream");
+        });
+
         it("Should reject missing filePath", function () {
             const invalidParams = {
                 privateKey: "0x" + "a".repeat(64),
@@ -243,5 +265,49 @@ describe("Validation Utilities", function () {
             expect(result.error).to.not.be.undefined;
         });
     });
-});
 
+    describe("validateShareParams", function () {
+        const validParams = {
+            fileHash: "0x" + "a".repeat(64),
+            recipientAddress: "0x" + "c".repeat(40),
+            privateKey: "0x" + "a".repeat(64),
+            contractAddress: "0x" + "b".repeat(40)
+        };
+
+        it("Should accept valid share parameters", function () {
+            const result = validateShareParams(validParams);
+            expect(result.error).to.be.undefined;
+        });
+
+        it("Should reject invalid recipient address", function () {
+            const result = validateShareParams({ ...validParams, recipientAddress: "invalid" });
+            expect(result.error).to.not.be.undefined;
+        });
+
+        it("Should reject missing fileHash", function () {
+            const { fileHash, ...params } = validParams;
+            const result = validateShareParams(params);
+            expect(result.error).to.not.be.undefined;
+        });
+    });
+
+    describe("validateFileActionParams", function () {
+        it("Should accept valid file action parameters", function () {
+            const result = validateFileActionParams({
+                fileHash: "0x" + "a".repeat(64),
+                privateKey: "0x" + "a".repeat(64),
+                contractAddress: "0x" + "b".repeat(40)
+            });
+            expect(result.error).to.be.undefined;
+        });
+
+        it("Should reject invalid privateKey", function () {
+            const result = validateFileActionParams({
+                fileHash: "0x" + "a".repeat(64),
+                privateKey: "invalid",
+                contractAddress: "0x" + "b".repeat(40)
+            });
+            expect(result.error).to.not.be.undefined;
+        });
+    });
+});
@@ -0,0 +1,227 @@
+/*
+ * Project: DecentraFile
+ * Author: Thor Thor
+ * Contact: codethor@gmail.com
+ * LinkedIn: https://www.linkedin.com/in/thor-thor0
+ */
+
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const path = require("path");
+const crypto = require("crypto");
+const { buildUnsignedTransaction } = require("../src/utils/unsignedTransaction");
+const { sendPreparedTransaction } = require("../src/wallet");
+const { UploadJournal, resumeUploads, settlePreparedUpload } = require("../src/journal");
+const { PinManager, PinStore } = require("../src/pinning");
+const { fileHashOf } = require("../src/fsck");
+const { HARDHAT_KEYS, ENCRYPTED_KEY, randomFileHash, deployFileRegistry, createTempDir, removeTempDir } = require("./utils/test-helpers");
+
+// Hardhat default account #1, standing in for the user's wallet
+const WALLET_KEY = HARDHAT_KEYS[1];
+
+/**
+ * EIP-1193 provider standing in for a browser wallet: it signs with one account and
+ * sends everything it is asked to, on whichever chain it was switched to
+ */
+function scriptedWallet(signer, chainId = 31337) {
+    const wallet = {
+        chainId: BigInt(chainId),
+        calls: [],
+        async request({ method, params }) {
+            wallet.calls.push(method);
+            switch (method) {
+                case "eth_chainId":
+                    return ethers.toQuantity(wallet.chainId);
+                case "wallet_switchEthereumChain":
+                    wallet.chainId = BigInt(params[0].chainId);
+                    return null;
+                case "eth_requestAccounts":
+                    return [signer.address.toLowerCase()];
+                case "eth_sendTransaction": {
+                    const [tx] = params;
+                    expect(BigInt(tx.chainId)).to.equal(wallet.chainId);
+                    const sent = await signer.sendTransaction({ to: tx.to, data: tx.data, gasLimit: tx.gas, nonce: Number(tx.nonce) });
+                    return sent.hash;
+                }
+                default:
+                    throw new Error(`Unsupported method: ${method}`);
+            }
+        }
+    };
+    return wallet;
+}
+
+describe("Wallet uploads", function () {
+    let registry;
+    let wallet;
+    let other;
+    let chain;
+
+    beforeEach(async function () {
+        registry = await deployFileRegistry();
+        wallet = new ethers.Wallet(WALLET_KEY, ethers.provider);
+        other = ethers.Wallet.createRandom().connect(ethers.provider);
+        await (await wallet.sendTransaction({ to: other.address, value: ethers.parseEther("1") })).wait();
+        chain = {
+            estimateGas: call => ethers.provider.estimateGas(call),
+            getPendingNonce: address => ethers.provider.getTransactionCount(address, "pending"),
+            getChainId: async () => (await ethers.provider.getNetwork()).chainId
+        };
+    });
+
+    async function uploadCall(fileHash, from = wallet.address) {
+        return {
+            from,
+            to: await registry.getAddress(),
+            data: registry.interface.encodeFunctionData("uploadFileWithLocator", [fileHash, ENCRYPTED_KEY, "0x" + "22".repeat(40)])
+        };
+    }
+
+    describe("Unsigned transactions", function () {
+        it("Should prepare a registration the wallet signs and sends from its own account", async function () {
+            const fileHash = randomFileHash();
+            const call = await uploadCall(fileHash);
+            const transaction = await buildUnsignedTransaction(call, chain);
+
+            const nonce = await ethers.provider.getTransactionCount(wallet.address, "pending");
+            expect(transaction).to.include({ from: wallet.address, to: call.to, data: call.data, chainId: "0x7a69", nonce: ethers.toQuantity(nonce) });
+            expect(BigInt(transaction.gas)).to.equal((await ethers.provider.estimateGas(call)) * 120n / 100n);
+            expect((await buildUnsignedTransaction(call, chain, 2)).nonce).to.equal(ethers.toQuantity(nonce + 2));
+
+            const provider = scriptedWallet(wallet);
+            const txHash = await sendPreparedTransaction(provider, transaction);
+            expect(provider.calls).to.deep.equal(["eth_chainId", "eth_requestAccounts", "eth_sendTransaction"]);
+            expect((await ethers.provider.getTransactionReceipt(txHash)).status).to.equal(1);
+            const [, owner] = await registry.getFileMetadata(fileHash);
+            expect(owner).to.equal(wallet.address);
+        });
+
+        it("Should not prepare a call that would revert", async function () {
+            const fileHash = randomFileHash();
+            await registry.connect(wallet).uploadFile(fileHash, ENCRYPTED_KEY);
+
+            let error;
+            try {
+                await buildUnsignedTransaction(await uploadCall(fileHash), chain);
+            } catch (caught) {
+                error = caught;
+            }
+            expect(error).to.be.an("error");
+        });
+
+        it("Should switch the wallet to the transaction's chain and refuse another account", async function () {
+            const transaction = await buildUnsignedTransaction(await uploadCall(randomFileHash()), chain);
+
+            const provider = scriptedWallet(wallet, 1);
+            await sendPreparedTransaction(provider, transaction);
+            expect(provider.calls).to.include("wallet_switchEthereumChain");
+            expect(provider.chainId).to.equal(31337n);
+
+            let error;
+            try {
+                await sendPreparedTransaction(scriptedWallet(other), await buildUnsignedTransaction(await uploadCall(randomFileHash()), chain));
+            } catch (caught) {
+                error = caught;
+            }
+            expect(error.message).to.equal(`Switch the wallet to account ${wallet.address} to sign this transaction`);
+        });
+    });
+
+    describe("Settling prepared uploads", function () {
+        let tempDir;
+        let journal;
+        let pinned;
+        let deps;
+
+        beforeEach(function () {
+            tempDir = createTempDir("wallet");
+            journal = new UploadJournal(path.join(tempDir, "upload-journal.json"));
+            pinned = new Set();
+            deps = {
+                journal,
+                pinManager: new PinManager({
+                    storage: { pin: async cid => pinned.add(cid), unpin: async cid => pinned.delete(cid) },
+                    policy: "local",
+                    store: new PinStore(null)
+                }),
+                chain: {
+                    getReceipt: txHash => ethers.provider.getTransactionReceipt(txHash),
+                    fileExists: fileHash => registry.fileExists(fileHash),
+                    getFileOwner: async (fileHash) => (await registry.fileExists(fileHash)) ? (await registry.getFileMetadata(fileHash))[1] : null
+                },
+                writeMapping: () => {}
+            };
+        });
+
+        afterEach(function () {
+            removeTempDir(tempDir);
+        });
+
+        /**
+         * Journal an upload handed to the wallet, as prepareUpload leaves it
+         */
+        async function preparedUpload({ ttlMs = 60 * 60 * 1000 } = {}) {
+            const cid = `bafkreiwallet${crypto.randomUUID().replace(/-/g, "")}`;
+            const fileHash = fileHashOf(cid);
+            const { id } = journal.begin({ contractAddress: await registry.getAddress() });
+            journal.record(id, "stored", { cid, fileHash });
+            await deps.pinManager.pin(fileHash, cid);
+            journal.record(id, "pinned");
+            const transaction = await buildUnsignedTransaction(await uploadCall(fileHash), chain);
+            journal.record(id, "awaiting_signature", { sender: wallet.address, transaction, expiresAt: new Date(Date.now() + ttlMs).toISOString() });
+            journal.release(id);
+            return { id, cid, fileHash, transaction };
+        }
+
+        it("Should confirm the upload once the file is registered under the wallet's account", async function () {
+            const upload = await preparedUpload();
+            const txHash = await sendPreparedTransaction(scriptedWallet(wallet), upload.transaction);
+            journal.record(upload.id, "awaiting_signature", { txHash });
+
+            const settled = await settlePreparedUpload(journal.get(upload.id), deps);
+            const { blockNumber } = await ethers.provider.getTransactionReceipt(txHash);
+            expect(settled).to.include({ status: "confirmed", blockNumber: String(blockNumber) });
+            expect(pinned.has(upload.cid)).to.equal(true);
+        });
+
+        it("Should leave the upload waiting until it expires, then release its pins", async function () {
+            const waiting = await preparedUpload();
+            const expired = await preparedUpload({ ttlMs: -1 });
+
+            const resumed = await resumeUploads(deps);
+            expect(resumed.map(entry => entry.status)).to.deep.equal(["awaiting_signature", "rolled_back"]);
+            expect(resumed[1].error).to.equal("Upload transaction was not mined before the upload expired");
+            expect(pinned.has(waiting.cid)).to.equal(true);
+            expect(pinned.has(expired.cid)).to.equal(false);
+        });
+
+        it("Should roll back when the reported transaction reverted", async function () {
+            const upload = await preparedUpload();
+            const rawTransaction = await wallet.signTransaction(await wallet.populateTransaction({
+                to: await registry.getAddress(),
+                data: registry.interface.encodeFunctionData("uploadFile", [upload.fileHash, "0x"]),
+                gasLimit: 500000
+            }));
+            // Hardhat mines reverting transactions but reports them as errors
+            await ethers.provider.broadcastTransaction(rawTransaction).catch(() => null);
+            const txHash = ethers.keccak256(rawTransaction);
+            expect((await ethers.provider.getTransactionReceipt(txHash)).status).to.equal(0);
+            journal.record(upload.id, "awaiting_signature", { txHash });
+
+            const settled = await settlePreparedUpload(journal.get(upload.id), deps);
+            expect(settled).to.include({ status: "rolled_back", error: "Upload transaction reverted" });
+            expect(pinned.has(upload.cid)).to.equal(false);
+        });
+
+        it("Should not confirm a file registered by another account", async function () {
+            const upload = await preparedUpload();
+            await registry.connect(other).uploadFile(upload.fileHash, ENCRYPTED_KEY);
+
+            const settled = await settlePreparedUpload(journal.get(upload.id), deps);
+            expect(settled.status).to.equal("rolled_back");
+            expect(settled.error).to.include(`registered by ${other.address} instead of ${wallet.address}`);
+            // The registered file keeps its content
+            expect(pinned.has(upload.cid)).to.equal(true);
+        });
+    });
+});